@@ -45,7 +45,15 @@ import { ThemeProvider, useTheme } from './src/contexts/ThemeContext';
 import { Toast } from './src/components/ui/Toast';
 import NotificationService from './src/services/notificationService';
 import StorageService from './src/services/storage';
+import MigrationService from './src/services/migrationService';
+import AutoBackupService from './src/services/autoBackupService';
+import SyncService from './src/services/syncService';
 import { getTodayString } from './src/utils/helpers';
+import { getPeriodIds } from './src/utils/checkInPeriods';
+import { STORAGE_BACKEND } from './src/utils/constants';
+
+// Select the persistence backend before anything reads storage
+StorageService.useBackend(STORAGE_BACKEND);
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -190,9 +198,8 @@ const ThemedApp = () => {
         const date = data?.date || getTodayString();
         
         if (period) {
-          // Validate period is one of the expected values
-          const validPeriods = ['morning', 'afternoon', 'evening'];
-          if (!validPeriods.includes(period)) {
+          // Validate period is one of the configured check-in periods
+          if (!getPeriodIds().includes(period)) {
             console.warn('Invalid period in confirmation notification:', period);
             return;
           }
@@ -222,9 +229,8 @@ const ThemedApp = () => {
         const period = response?.notification?.request?.content?.data?.period;
         
         if (period) {
-          // Validate period is one of the expected values
-          const validPeriods = ['morning', 'afternoon', 'evening'];
-          if (!validPeriods.includes(period)) {
+          // Validate period is one of the configured check-in periods
+          if (!getPeriodIds().includes(period)) {
             console.warn('Invalid period in notification:', period);
             return;
           }
@@ -259,6 +265,25 @@ const ThemedApp = () => {
     // Initialize notification service and check onboarding status
     const init = async () => {
       try {
+        // Load the check-in periods before migrations, entries, reminders or exports use them
+        await StorageService.getCheckInPeriods();
+
+        // Bring stored data up to the current schema before anything reads it
+        try {
+          await MigrationService.runMigrations();
+        } catch (error) {
+          console.error('Error running storage migrations:', error);
+        }
+
+        // Drop trashed data that is past its retention window
+        await StorageService.purgeExpiredTrash();
+
+        // Write the scheduled backup in the background; it never blocks startup
+        AutoBackupService.runIfDue();
+
+        // Pick up edits made on other devices when a sync server is set up
+        SyncService.syncIfConfigured();
+
         // Check if onboarding is completed
         const completed = await StorageService.getOnboardingCompleted();
         setOnboardingCompleted(completed);
@@ -341,6 +366,8 @@ const ThemedApp = () => {
         NotificationService.syncScheduledNotificationsFromStorage().catch((err) => {
           console.error('Notification sync on foreground failed:', err);
         });
+        AutoBackupService.runIfDue();
+        SyncService.syncIfConfigured();
       }
     });
     return () => sub.remove();
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// Reference sync server for EnergyTune multi-device sync.
+// It doesn't merge anything itself: every device pushes its full sync state, the server
+// keeps the latest one per device and hands out what changed since a device's last
+// pull. The devices merge the states (src/utils/syncState.js), so a server can't lose
+// or reorder edits. Small enough to self-host; run it behind HTTPS for real use.
+//
+//   npm run sync:server
+//
+// Environment: PORT (default 8090), SYNC_TOKEN (default energytune), SYNC_DATA
+// (default ./.sync-server/states.json).
+//
+// API (all requests need "Authorization: Bearer <token>"):
+//   GET /v1/status               → { devices, seq }
+//   GET /v1/states?since=<seq>   → { seq, states: [{ deviceId, seq, updatedAt, state }] }
+//   PUT /v1/states/<deviceId>    → { seq }, body is the device's sync state
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8090;
+const TOKEN = process.env.SYNC_TOKEN || 'energytune';
+const DATA_FILE = path.resolve(process.env.SYNC_DATA || '.sync-server/states.json');
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const SYNC_FORMAT = 'energytune-sync';
+
+const load = () => {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (error) {
+    return { seq: 0, devices: {} };
+  }
+};
+
+// Write to a temporary file first so a crash never leaves half a file behind
+const save = (data) => {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  fs.writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(data));
+  fs.renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+let data = load();
+
+// The web build calls the server from another origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJSON = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Body too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const handle = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJSON(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const stateMatch = /^\/v1\/states\/([^/]+)$/.exec(url.pathname);
+
+  if (req.method === 'GET' && url.pathname === '/v1/status') {
+    sendJSON(res, 200, { devices: Object.keys(data.devices).length, seq: data.seq });
+  } else if (req.method === 'GET' && url.pathname === '/v1/states') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const states = Object.entries(data.devices)
+      .filter(([, device]) => device.seq > since)
+      .map(([deviceId, device]) => ({ deviceId, ...device }));
+    sendJSON(res, 200, { seq: data.seq, states });
+  } else if (req.method === 'PUT' && stateMatch) {
+    const state = await readJSON(req);
+    if (!state || state.format !== SYNC_FORMAT) {
+      sendJSON(res, 400, { error: 'Not an EnergyTune sync state' });
+      return;
+    }
+    data.seq += 1;
+    data.devices[decodeURIComponent(stateMatch[1])] = {
+      seq: data.seq,
+      updatedAt: new Date().toISOString(),
+      state,
+    };
+    save(data);
+    sendJSON(res, 200, { seq: data.seq });
+  } else {
+    sendJSON(res, 404, { error: 'Not found' });
+  }
+};
+
+http.createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    if (!error.status) {
+      console.error(`${req.method} ${req.url} failed:`, error);
+    }
+    sendJSON(res, error.status || 500, { error: error.message });
+  });
+}).listen(PORT, () => {
+  console.log(`EnergyTune sync server storing ${DATA_FILE}`);
+  console.log(`URL: http://localhost:${PORT}/  token: ${TOKEN}`);
+});
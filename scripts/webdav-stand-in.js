@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Local WebDAV stand-in for trying the WebDAV backup target without a real server.
+// Implements the subset the app uses (OPTIONS, PROPFIND, MKCOL, PUT, GET, DELETE)
+// with basic auth, backed by a plain folder. Not meant for real data.
+//
+//   npm run webdav:stand-in
+//
+// Environment: PORT (default 8080), WEBDAV_USER / WEBDAV_PASSWORD (default
+// energytune / energytune), WEBDAV_ROOT (default ./.webdav-stand-in).
+// In the app, use http://<this computer's address>:8080/ as the server URL.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8080;
+const USER = process.env.WEBDAV_USER || 'energytune';
+const PASSWORD = process.env.WEBDAV_PASSWORD || 'energytune';
+const ROOT = path.resolve(process.env.WEBDAV_ROOT || '.webdav-stand-in');
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Request path → file on disk, refusing anything outside ROOT
+const resolvePath = (urlPath) => {
+  const decoded = decodeURIComponent(urlPath.split('?')[0]);
+  const resolved = path.resolve(ROOT, `.${path.posix.normalize(`/${decoded}`)}`);
+  return resolved === ROOT || resolved.startsWith(ROOT + path.sep) ? resolved : null;
+};
+
+const hrefFor = (filePath, isFolder) => {
+  const relative = path.relative(ROOT, filePath).split(path.sep).filter(Boolean);
+  const href = `/${relative.map(encodeURIComponent).join('/')}`;
+  return isFolder && href !== '/' ? `${href}/` : href;
+};
+
+const propResponse = (filePath) => {
+  const stat = fs.statSync(filePath);
+  const isFolder = stat.isDirectory();
+  return '<d:response>'
+    + `<d:href>${escapeXML(hrefFor(filePath, isFolder))}</d:href>`
+    + '<d:propstat><d:prop>'
+    + (isFolder ? '<d:resourcetype><d:collection/></d:resourcetype>' : '<d:resourcetype/>')
+    + (isFolder ? '' : `<d:getcontentlength>${stat.size}</d:getcontentlength>`)
+    + `<d:getlastmodified>${stat.mtime.toUTCString()}</d:getlastmodified>`
+    + '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>'
+    + '</d:response>';
+};
+
+const isAuthorized = (req) => {
+  const expected = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+  return req.headers.authorization === expected;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const send = (res, status, body = '', headers = {}) => {
+  res.writeHead(status, headers);
+  res.end(body);
+};
+
+const handle = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 200, '', { DAV: '1', Allow: 'OPTIONS, PROPFIND, MKCOL, PUT, GET, DELETE' });
+    return;
+  }
+  if (!isAuthorized(req)) {
+    send(res, 401, '', { 'WWW-Authenticate': 'Basic realm="EnergyTune WebDAV stand-in"' });
+    return;
+  }
+
+  const filePath = resolvePath(req.url);
+  if (!filePath) {
+    send(res, 403);
+    return;
+  }
+  const exists = fs.existsSync(filePath);
+
+  switch (req.method) {
+    case 'PROPFIND': {
+      await readBody(req);
+      if (!exists) {
+        send(res, 404);
+        return;
+      }
+      const targets = [filePath];
+      if (req.headers.depth !== '0' && fs.statSync(filePath).isDirectory()) {
+        fs.readdirSync(filePath).forEach(name => targets.push(path.join(filePath, name)));
+      }
+      send(
+        res,
+        207,
+        `<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">${targets.map(propResponse).join('')}</d:multistatus>`,
+        { 'Content-Type': 'application/xml; charset=utf-8' }
+      );
+      return;
+    }
+    case 'MKCOL':
+      if (exists) {
+        send(res, 405);
+      } else if (!fs.existsSync(path.dirname(filePath))) {
+        send(res, 409);
+      } else {
+        fs.mkdirSync(filePath);
+        send(res, 201);
+      }
+      return;
+    case 'PUT': {
+      if (!fs.existsSync(path.dirname(filePath))) {
+        send(res, 409);
+        return;
+      }
+      fs.writeFileSync(filePath, await readBody(req));
+      send(res, exists ? 204 : 201);
+      return;
+    }
+    case 'GET':
+      if (!exists || fs.statSync(filePath).isDirectory()) {
+        send(res, 404);
+      } else {
+        send(res, 200, fs.readFileSync(filePath), { 'Content-Type': 'application/octet-stream' });
+      }
+      return;
+    case 'DELETE':
+      if (!exists) {
+        send(res, 404);
+      } else {
+        fs.rmSync(filePath, { recursive: true });
+        send(res, 204);
+      }
+      return;
+    default:
+      send(res, 405);
+  }
+};
+
+fs.mkdirSync(ROOT, { recursive: true });
+
+http.createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error(`${req.method} ${req.url} failed:`, error);
+    send(res, 500);
+  });
+}).listen(PORT, () => {
+  console.log(`WebDAV stand-in serving ${ROOT}`);
+  console.log(`URL: http://localhost:${PORT}/  user: ${USER}  password: ${PASSWORD}`);
+});
@@ -0,0 +1,327 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { analytics } from '../../config/texts';
+import { CONTEXT_METRICS, getContextValue } from '../../utils/dayContext';
+import { correlationStrength, pearsonCorrelation } from '../../utils/correlation';
+import { getPeriodIds, getPeriodName } from '../../utils/checkInPeriods';
+
+const texts = analytics.contextCorrelation;
+
+// Fewer paired days than this give coefficients that swing wildly
+const MIN_PAIRED_DAYS = 5;
+
+const averageLevel = (levels) => {
+  const values = Object.values(levels || {}).filter(value => value !== null && value !== undefined && value > 0);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+// The day's first check-in is the one sleep is most likely to show up in
+const getTargets = () => {
+  const firstPeriod = getPeriodIds()[0];
+  return [
+    {
+      key: 'firstPeriodEnergy',
+      label: texts.targets.periodEnergy(getPeriodName(firstPeriod)),
+      getValue: item => item.energyLevels?.[firstPeriod] ?? null,
+    },
+    { key: 'energy', label: texts.targets.energy, getValue: item => averageLevel(item.energyLevels) },
+    { key: 'stress', label: texts.targets.stress, getValue: item => averageLevel(item.stressLevels) },
+  ];
+};
+
+/**
+ * Correlate every imported context metric with logged energy and stress
+ * @param {Array} data - Daily chart points with `context` (see useTrendsData)
+ * @returns {Object} { results, strongest } where results is
+ *   [{ metric, days, average, correlations: [{ target, value, days }] }] for every metric
+ *   with data, and strongest is the largest usable correlation (or null)
+ */
+export const analyzeContextCorrelations = (data, metrics = CONTEXT_METRICS) => {
+  const targets = getTargets();
+  const results = metrics
+    .map(metric => {
+      const days = data.filter(item => getContextValue(item.context, metric) !== null);
+      if (days.length === 0) {
+        return null;
+      }
+
+      const correlations = targets.map(target => {
+        const pairs = days
+          .map(item => [getContextValue(item.context, metric), target.getValue(item)])
+          .filter(([, value]) => value !== null && value !== undefined);
+        return {
+          target,
+          days: pairs.length,
+          value: pairs.length >= MIN_PAIRED_DAYS ? pearsonCorrelation(pairs) : null,
+        };
+      });
+
+      const average = days.reduce((sum, item) => sum + getContextValue(item.context, metric), 0) / days.length;
+      return { metric, days: days.length, average, correlations };
+    })
+    .filter(Boolean);
+
+  const strongest = results
+    .flatMap(result => result.correlations
+      .filter(correlation => correlation.value !== null)
+      .map(correlation => ({ metric: result.metric, ...correlation })))
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))[0] || null;
+
+  return { results, strongest };
+};
+
+export const ContextCorrelationCard = ({ data = [], theme }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const styles = getStyles(theme);
+
+  const { results, strongest } = useMemo(() => analyzeContextCorrelations(data), [data]);
+
+  const handleToggle = () => {
+    setIsExpanded(!isExpanded);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  // Nothing imported for this timeframe
+  if (results.length === 0) {
+    return null;
+  }
+
+  const getCorrelationColor = (value) => {
+    const strength = Math.abs(value);
+    if (strength > 0.7) return theme.colors.systemRed;
+    if (strength > 0.4) return theme.colors.systemOrange;
+    return theme.colors.systemGray;
+  };
+
+  const hasFinding = strongest && correlationStrength(strongest.value) !== 'weak';
+  const subtitle = hasFinding
+    ? `${texts.strengths[correlationStrength(strongest.value)]}: ${strongest.metric.label} · ${strongest.target.label}`
+    : texts.noFinding;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.header} onPress={handleToggle} activeOpacity={0.7}>
+        <View style={styles.headerContent}>
+          <View style={styles.titleContainer}>
+            <View style={[styles.iconContainer, { backgroundColor: theme.colors.systemIndigo }]}>
+              <Ionicons name="bed-outline" size={20} color="#FFFFFF" />
+            </View>
+            <View style={styles.titleContent}>
+              <Text style={styles.title}>{texts.title}</Text>
+              <Text style={styles.subtitle}>{subtitle}</Text>
+            </View>
+          </View>
+          <Ionicons
+            name={isExpanded ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={theme.colors.secondaryText}
+          />
+        </View>
+      </TouchableOpacity>
+
+      {isExpanded && (
+        <View style={styles.expandedContent}>
+          <Text style={styles.description}>{texts.description}</Text>
+
+          {hasFinding && (
+            <View style={styles.interpretationBox}>
+              <Ionicons
+                name="information-circle"
+                size={16}
+                color={theme.colors.systemBlue}
+                style={styles.interpretationIcon}
+              />
+              <Text style={styles.interpretationText}>
+                {texts.finding(strongest.metric.label, strongest.target.label, strongest.value > 0)}
+              </Text>
+            </View>
+          )}
+
+          {results.map(({ metric, days, average, correlations }) => (
+            <View key={metric.id} style={styles.metricRow}>
+              <Text style={styles.metricLabel}>{metric.label}</Text>
+              <Text style={styles.metricSummary}>{texts.metricSummary(metric.format(average), days)}</Text>
+              <View style={styles.correlationRow}>
+                {correlations.map(({ target, value, days: pairedDays }) => (
+                  <View key={target.key} style={styles.correlationCell}>
+                    <Text style={styles.targetLabel}>{target.label}</Text>
+                    {value !== null ? (
+                      <View style={[styles.correlationBadge, { backgroundColor: getCorrelationColor(value) }]}>
+                        <Text style={styles.correlationValue}>
+                          {`${value > 0 ? '+' : ''}${value.toFixed(2)}`}
+                        </Text>
+                      </View>
+                    ) : (
+                      <Text style={styles.notEnoughText}>{texts.notEnoughDays(pairedDays, MIN_PAIRED_DAYS)}</Text>
+                    )}
+                  </View>
+                ))}
+              </View>
+            </View>
+          ))}
+
+          <Text style={styles.caveat}>{texts.caveat}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.cardBackground,
+    borderRadius: 16,
+    marginVertical: 8,
+    shadowColor: theme.colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+
+  header: {
+    padding: 20,
+  },
+
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  titleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 16,
+  },
+
+  titleContent: {
+    flex: 1,
+  },
+
+  title: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+
+  subtitle: {
+    fontSize: 13,
+    color: theme.colors.secondaryText,
+  },
+
+  expandedContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.separator,
+  },
+
+  description: {
+    fontSize: 14,
+    color: theme.colors.text,
+    lineHeight: 20,
+    marginTop: 16,
+    marginBottom: 16,
+  },
+
+  interpretationBox: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: theme.colors.systemBlue + '10',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+
+  interpretationIcon: {
+    marginTop: 1,
+    marginRight: 8,
+  },
+
+  interpretationText: {
+    fontSize: 13,
+    color: theme.colors.text,
+    lineHeight: 18,
+    flex: 1,
+  },
+
+  metricRow: {
+    backgroundColor: theme.colors.tertiaryBackground,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+
+  metricLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+
+  metricSummary: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    marginTop: 2,
+    marginBottom: 12,
+  },
+
+  correlationRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+
+  correlationCell: {
+    flex: 1,
+    alignItems: 'flex-start',
+  },
+
+  targetLabel: {
+    fontSize: 11,
+    color: theme.colors.secondaryText,
+    marginBottom: 4,
+  },
+
+  correlationBadge: {
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+
+  correlationValue: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+
+  notEnoughText: {
+    fontSize: 11,
+    color: theme.colors.tertiaryLabel,
+    fontStyle: 'italic',
+  },
+
+  caveat: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    lineHeight: 17,
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,490 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Dimensions,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { LineChart } from 'react-native-chart-kit';
+import { analytics } from '../../config/texts';
+import { correlationStrength, pearsonCorrelation } from '../../utils/correlation';
+import { getPeriodIds } from '../../utils/checkInPeriods';
+import {
+  METRIC_TYPES,
+  formatMetricValue,
+  getDailyMetricValue,
+  getMetricValue,
+  isPerPeriodMetric,
+} from '../../utils/customMetrics';
+
+const texts = analytics.customMetrics;
+
+// Same threshold as the Sleep & Body card
+const MIN_PAIRED_DAYS = 5;
+// Most recent days drawn in the chart
+const MAX_CHART_DAYS = 30;
+const MAX_LABELS = 5;
+
+const { width: screenWidth } = Dimensions.get('window');
+
+const isLevel = (value) => value !== null && value !== undefined && value > 0;
+
+const averageOf = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+const averageLevel = (levels) => averageOf(Object.values(levels || {}).filter(isLevel));
+
+// Per-period metrics pair with the level logged at the same check-in, per-day metrics
+// with the day's average level
+const levelPairs = (data, metric, levelsKey) => {
+  if (isPerPeriodMetric(metric)) {
+    return data.flatMap(item => getPeriodIds()
+      .map(period => [getMetricValue(item, metric, period), item[levelsKey]?.[period]])
+      .filter(([value, level]) => value !== null && isLevel(level))
+      .map(([value, level]) => [Number(value), level]));
+  }
+  return data
+    .map(item => [getDailyMetricValue(item, metric), averageLevel(item[levelsKey])])
+    .filter(([value, level]) => value !== null && level !== null);
+};
+
+const metricPairs = (data, metric, other) => data
+  .map(item => [getDailyMetricValue(item, metric), getDailyMetricValue(item, other)])
+  .filter(([value, otherValue]) => value !== null && otherValue !== null);
+
+/**
+ * Correlate every custom metric with energy, stress and the other custom metrics
+ * @param {Array} data - Daily chart points with `metrics` (see useTrendsData)
+ * @param {Array} metrics - Custom metric definitions
+ * @returns {Object} { results, strongest } where results is
+ *   [{ metric, days, average, series: [{ date, value }], correlations: [{ key, label, value, pairs }] }]
+ *   for every metric with data, and strongest is the largest usable energy or stress
+ *   correlation (or null)
+ */
+export const analyzeCustomMetrics = (data, metrics = []) => {
+  const results = metrics
+    .map(metric => {
+      const series = data
+        .map(item => ({ date: item.date, value: getDailyMetricValue(item, metric) }))
+        .filter(point => point.value !== null)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      if (series.length === 0) {
+        return null;
+      }
+
+      const targets = [
+        { key: 'energy', label: texts.targets.energy, pairs: levelPairs(data, metric, 'energyLevels') },
+        { key: 'stress', label: texts.targets.stress, pairs: levelPairs(data, metric, 'stressLevels') },
+        ...metrics
+          .filter(other => other.id !== metric.id)
+          .map(other => ({ key: other.id, label: other.name, pairs: metricPairs(data, metric, other) })),
+      ];
+
+      const correlations = targets
+        .filter(target => target.pairs.length > 0)
+        .map(({ pairs, ...target }) => ({
+          ...target,
+          pairs: pairs.length,
+          value: pairs.length >= MIN_PAIRED_DAYS ? pearsonCorrelation(pairs) : null,
+        }));
+
+      return {
+        metric,
+        days: series.length,
+        average: averageOf(series.map(point => point.value)),
+        series,
+        correlations,
+      };
+    })
+    .filter(Boolean);
+
+  const strongest = results
+    .flatMap(result => result.correlations
+      .filter(correlation => ['energy', 'stress'].includes(correlation.key) && correlation.value !== null)
+      .map(correlation => ({ metric: result.metric, ...correlation })))
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))[0] || null;
+
+  return { results, strongest };
+};
+
+// Average energy and stress on days a yes/no metric was yes, and on days it was no
+const splitByAnswer = (data, metric) => {
+  const daysWith = (answer) => data.filter(item => getDailyMetricValue(item, metric) === answer);
+  const levels = (days) => ({
+    days: days.length,
+    energy: averageOf(days.map(item => averageLevel(item.energyLevels)).filter(value => value !== null)),
+    stress: averageOf(days.map(item => averageLevel(item.stressLevels)).filter(value => value !== null)),
+  });
+  return { yes: levels(daysWith(1)), no: levels(daysWith(0)) };
+};
+
+export const CustomMetricsCard = ({ data = [], metrics = [], theme }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const styles = getStyles(theme);
+
+  const { results, strongest } = useMemo(() => analyzeCustomMetrics(data, metrics), [data, metrics]);
+
+  const handleToggle = () => {
+    setIsExpanded(!isExpanded);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  // No custom metric logged in this timeframe
+  if (results.length === 0) {
+    return null;
+  }
+
+  const selected = results.find(result => result.metric.id === selectedId) || results[0];
+  const { metric } = selected;
+  const isBoolean = metric.type === METRIC_TYPES.BOOLEAN;
+
+  const hasFinding = strongest && correlationStrength(strongest.value) !== 'weak';
+  const subtitle = hasFinding
+    ? `${analytics.contextCorrelation.strengths[correlationStrength(strongest.value)]}: ${strongest.metric.name} · ${strongest.label}`
+    : texts.tracked(results.length);
+
+  const getCorrelationColor = (value) => {
+    const strength = Math.abs(value);
+    if (strength > 0.7) return theme.colors.systemRed;
+    if (strength > 0.4) return theme.colors.systemOrange;
+    return theme.colors.systemGray;
+  };
+
+  const chartPoints = selected.series.slice(-MAX_CHART_DAYS);
+  const labelEvery = Math.max(1, Math.ceil(chartPoints.length / MAX_LABELS));
+  const chartData = {
+    labels: chartPoints.map((point, index) => (index % labelEvery === 0
+      ? `${Number(point.date.slice(5, 7))}/${Number(point.date.slice(8, 10))}`
+      : '')),
+    datasets: [{
+      data: chartPoints.map(point => point.value),
+      color: (opacity = 1) => `rgba(88, 86, 214, ${opacity})`,
+      strokeWidth: 2,
+    }],
+  };
+
+  const chartConfig = {
+    backgroundColor: 'transparent',
+    backgroundGradientFrom: theme.colors.cardBackground,
+    backgroundGradientTo: theme.colors.cardBackground,
+    decimalPlaces: metric.type === METRIC_TYPES.DURATION ? 0 : 1,
+    color: (opacity = 1) => `rgba(${theme.colors.labelRGB || '0, 0, 0'}, ${opacity})`,
+    labelColor: (opacity = 1) => `rgba(${theme.colors.secondaryLabelRGB || '128, 128, 128'}, ${opacity})`,
+    propsForDots: {
+      r: chartPoints.length > 14 ? '0' : '3',
+      strokeWidth: '1',
+      stroke: theme.colors.cardBackground,
+    },
+    propsForLabels: { fontSize: 10 },
+  };
+
+  const split = isBoolean ? splitByAnswer(data, metric) : null;
+  const formatLevel = (value) => (value !== null ? value.toFixed(1) : '–');
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.header} onPress={handleToggle} activeOpacity={0.7}>
+        <View style={styles.headerContent}>
+          <View style={styles.titleContainer}>
+            <View style={[styles.iconContainer, { backgroundColor: theme.colors.systemIndigo }]}>
+              <Ionicons name="options-outline" size={20} color="#FFFFFF" />
+            </View>
+            <View style={styles.titleContent}>
+              <Text style={styles.title}>{texts.title}</Text>
+              <Text style={styles.subtitle}>{subtitle}</Text>
+            </View>
+          </View>
+          <Ionicons
+            name={isExpanded ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={theme.colors.secondaryText}
+          />
+        </View>
+      </TouchableOpacity>
+
+      {isExpanded && (
+        <View style={styles.expandedContent}>
+          <Text style={styles.description}>{texts.description}</Text>
+
+          <View style={styles.chips}>
+            {results.map(result => {
+              const active = result.metric.id === metric.id;
+              return (
+                <TouchableOpacity
+                  key={result.metric.id}
+                  style={[styles.chip, active && { backgroundColor: theme.colors.systemIndigo }]}
+                  onPress={() => handleSelect(result.metric.id)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.chipText, active && styles.activeChipText]}>{result.metric.name}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={styles.metricSummary}>
+            {isBoolean
+              ? texts.yesShare(Math.round(selected.average * 100), selected.days)
+              : texts.summary(formatMetricValue(metric, selected.average), selected.days)}
+          </Text>
+
+          {isBoolean ? (
+            <View style={styles.splitRow}>
+              {[['yes', texts.yesDays], ['no', texts.noDays]].map(([answer, label]) => (
+                <View key={answer} style={styles.splitCell}>
+                  <Text style={styles.splitLabel}>{`${label} · ${split[answer].days}`}</Text>
+                  <Text style={styles.splitValue}>
+                    {texts.averageLevels(formatLevel(split[answer].energy), formatLevel(split[answer].stress))}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          ) : chartPoints.length >= 2 && (
+            <LineChart
+              data={chartData}
+              width={screenWidth - 88}
+              height={180}
+              chartConfig={chartConfig}
+              fromZero
+              withVerticalLines={false}
+              withShadow={false}
+              style={styles.chart}
+            />
+          )}
+
+          {selected.correlations.map(({ key, label, value, pairs }) => (
+            <View key={key} style={styles.correlationRow}>
+              <Text style={styles.correlationLabel}>{label}</Text>
+              {value !== null ? (
+                <View style={[styles.correlationBadge, { backgroundColor: getCorrelationColor(value) }]}>
+                  <Text style={styles.correlationValue}>{`${value > 0 ? '+' : ''}${value.toFixed(2)}`}</Text>
+                </View>
+              ) : (
+                <Text style={styles.notEnoughText}>{texts.notEnoughPairs(pairs, MIN_PAIRED_DAYS)}</Text>
+              )}
+            </View>
+          ))}
+
+          {hasFinding && strongest.metric.id === metric.id && (
+            <View style={styles.interpretationBox}>
+              <Ionicons
+                name="information-circle"
+                size={16}
+                color={theme.colors.systemBlue}
+                style={styles.interpretationIcon}
+              />
+              <Text style={styles.interpretationText}>
+                {analytics.contextCorrelation.finding(strongest.metric.name, strongest.label, strongest.value > 0)}
+              </Text>
+            </View>
+          )}
+
+          <Text style={styles.caveat}>{analytics.contextCorrelation.caveat}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.cardBackground,
+    borderRadius: 16,
+    marginVertical: 8,
+    shadowColor: theme.colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+
+  header: {
+    padding: 20,
+  },
+
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  titleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 16,
+  },
+
+  titleContent: {
+    flex: 1,
+  },
+
+  title: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+
+  subtitle: {
+    fontSize: 13,
+    color: theme.colors.secondaryText,
+  },
+
+  expandedContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.separator,
+  },
+
+  description: {
+    fontSize: 14,
+    color: theme.colors.text,
+    lineHeight: 20,
+    marginTop: 16,
+    marginBottom: 16,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: theme.colors.tertiaryBackground,
+  },
+
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+
+  activeChipText: {
+    color: '#FFFFFF',
+  },
+
+  metricSummary: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    marginBottom: 12,
+  },
+
+  chart: {
+    marginLeft: -16,
+    marginBottom: 12,
+    borderRadius: 12,
+  },
+
+  splitRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 12,
+  },
+
+  splitCell: {
+    flex: 1,
+    backgroundColor: theme.colors.tertiaryBackground,
+    borderRadius: 12,
+    padding: 16,
+  },
+
+  splitLabel: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    marginBottom: 4,
+  },
+
+  splitValue: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+
+  correlationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: theme.colors.tertiaryBackground,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    gap: 12,
+  },
+
+  correlationLabel: {
+    fontSize: 13,
+    color: theme.colors.text,
+    flex: 1,
+  },
+
+  correlationBadge: {
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+
+  correlationValue: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+
+  notEnoughText: {
+    fontSize: 11,
+    color: theme.colors.tertiaryLabel,
+    fontStyle: 'italic',
+  },
+
+  interpretationBox: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: theme.colors.systemBlue + '10',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+
+  interpretationIcon: {
+    marginTop: 1,
+    marginRight: 8,
+  },
+
+  interpretationText: {
+    fontSize: 13,
+    color: theme.colors.text,
+    lineHeight: 18,
+    flex: 1,
+  },
+
+  caveat: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    lineHeight: 17,
+    marginTop: 8,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback, useRef } from 'react';
+import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -14,10 +14,29 @@ import { Ionicons } from '@expo/vector-icons';
 import { LineChart } from 'react-native-chart-kit';
 import * as Haptics from 'expo-haptics';
 import { EnergyStressCorrelation } from './EnergyStressCorrelation';
+import { ContextCorrelationCard } from './ContextCorrelationCard';
+import { WearableReadinessCard } from './WearableReadinessCard';
+import { MeetingLoadCard } from './MeetingLoadCard';
+import { CustomMetricsCard } from './CustomMetricsCard';
 import { TimeFrameSelector } from './TimeFrameSelector';
+import {
+  filterByTimePeriod,
+  aggregateDaily,
+  aggregateWeekly,
+  aggregateMonthly,
+} from '../../utils/aggregation';
+import { DEFAULT_CHECK_IN_PERIODS, getActivePeriods, getPeriodIcon } from '../../utils/checkInPeriods';
 
 const { width: screenWidth } = Dimensions.get('window');
 
+// Short button labels for the default periods, as long as they keep their name
+const DEFAULT_PERIOD_LABELS = { morning: 'AM', afternoon: 'PM', evening: 'EVE' };
+
+const periodButtonLabel = (period) => {
+  const isDefault = DEFAULT_CHECK_IN_PERIODS.some(other => other.id === period.id && other.name === period.name);
+  return isDefault ? DEFAULT_PERIOD_LABELS[period.id] : period.name;
+};
+
 /**
  * PeriodInsightsPanel - Simple, grandmother-friendly insights for longer timeframes
  * Shows: Best period, Most challenging period, Overall trend
@@ -241,6 +260,7 @@ const periodInsightsStyles = (theme) => StyleSheet.create({
 
 export const EnhancedAnalyticsPanel = ({ 
   data = [], 
+  customMetrics = [],
   loading = false, 
   theme, 
   onDataPointSelect,
@@ -248,7 +268,7 @@ export const EnhancedAnalyticsPanel = ({
 }) => {
   const [selectedTimeframe, setSelectedTimeframe] = useState(7); // Default to 7 days
   const [selectedDataSource, setSelectedDataSource] = useState('both');
-  const [selectedTimePeriod, setSelectedTimePeriod] = useState('all'); // 'all', 'morning', 'afternoon', 'evening'
+  const [selectedTimePeriod, setSelectedTimePeriod] = useState('all'); // 'all' or a check-in period id
   const [chartType, setChartType] = useState('line'); // 'line' or 'area'
   const [selectedDataPointIndex, setSelectedDataPointIndex] = useState(null);
   const [tooltipVisible, setTooltipVisible] = useState(false);
@@ -288,190 +308,32 @@ export const EnhancedAnalyticsPanel = ({
     { key: 'both', label: 'Both', color: theme.colors.systemBlue },
   ];
 
-  // Time period options
+  // Time period options: all periods, then every configured check-in period
+  const checkInPeriods = getActivePeriods();
   const timePeriodOptions = [
     { key: 'all', label: 'All', icon: '🌅🌞🌙', description: 'Average of all periods' },
-    { key: 'morning', label: 'AM', icon: '🌅', description: 'Morning values only' },
-    { key: 'afternoon', label: 'PM', icon: '☀️', description: 'Afternoon values only' },
-    { key: 'evening', label: 'EVE', icon: '🌙', description: 'Evening values only' },
+    ...checkInPeriods.map(period => ({
+      key: period.id,
+      label: periodButtonLabel(period),
+      name: period.name,
+      icon: getPeriodIcon(period),
+      description: `${period.name} values only`,
+    })),
   ];
 
+  // A period removed in Profile can't stay selected
+  useEffect(() => {
+    if (selectedTimePeriod !== 'all' && !checkInPeriods.some(period => period.id === selectedTimePeriod)) {
+      setSelectedTimePeriod('all');
+    }
+  }, [checkInPeriods, selectedTimePeriod]);
+
   // Chart type options
   const chartTypeOptions = [
     { key: 'line', label: 'Line', icon: '📈' },
     { key: 'area', label: 'Area', icon: '📊' },
   ];
 
-  // Filter data by time period
-  const filterByTimePeriod = useCallback((rawData, timePeriod) => {
-    return rawData.map(item => {
-      let energy = null;
-      let stress = null;
-      let energyLevels = item.energyLevels || {};
-      let stressLevels = item.stressLevels || {};
-
-      if (timePeriod === 'all') {
-        // Use existing averaged values or calculate from individual periods
-        if (item.energy !== null && item.energy !== undefined) {
-          energy = item.energy;
-        } else if (energyLevels) {
-          const energyValues = Object.values(energyLevels).filter(val => val !== null && val !== undefined);
-          energy = energyValues.length > 0 
-            ? energyValues.reduce((sum, val) => sum + val, 0) / energyValues.length 
-            : null;
-        }
-
-        if (item.stress !== null && item.stress !== undefined) {
-          stress = item.stress;
-        } else if (stressLevels) {
-          const stressValues = Object.values(stressLevels).filter(val => val !== null && val !== undefined);
-          stress = stressValues.length > 0 
-            ? stressValues.reduce((sum, val) => sum + val, 0) / stressValues.length 
-            : null;
-        }
-      } else {
-        // Use specific time period values
-        energy = energyLevels[timePeriod] !== null && energyLevels[timePeriod] !== undefined 
-          ? energyLevels[timePeriod] 
-          : null;
-        stress = stressLevels[timePeriod] !== null && stressLevels[timePeriod] !== undefined 
-          ? stressLevels[timePeriod] 
-          : null;
-      }
-
-      return {
-        ...item,
-        energy,
-        stress,
-        timePeriod,
-        energyLevels,
-        stressLevels,
-      };
-    });
-  }, []);
-
-  // Aggregate data by day (for monthly views)
-  const aggregateDaily = useCallback((rawData) => {
-    const grouped = {};
-    rawData.forEach(item => {
-      const date = new Date(item.date);
-      const dayKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-      
-      if (!grouped[dayKey]) {
-        grouped[dayKey] = {
-          date: dayKey,
-          energyValues: [],
-          stressValues: [],
-          entries: []
-        };
-      }
-      
-      if (item.energy !== null && item.energy !== undefined) {
-        grouped[dayKey].energyValues.push(item.energy);
-      }
-      if (item.stress !== null && item.stress !== undefined) {
-        grouped[dayKey].stressValues.push(item.stress);
-      }
-      grouped[dayKey].entries.push(item);
-    });
-
-    return Object.values(grouped).map(group => ({
-      date: group.date,
-      energy: group.energyValues.length > 0 
-        ? group.energyValues.reduce((sum, val) => sum + val, 0) / group.energyValues.length 
-        : null,
-      stress: group.stressValues.length > 0 
-        ? group.stressValues.reduce((sum, val) => sum + val, 0) / group.stressValues.length 
-        : null,
-      entriesCount: group.entries.length,
-      originalEntries: group.entries,
-      energyLevels: group.entries[0]?.energyLevels || {},
-      stressLevels: group.entries[0]?.stressLevels || {},
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));
-  }, []);
-
-  // Aggregate data by week (for quarterly views)
-  const aggregateWeekly = useCallback((rawData) => {
-    const grouped = {};
-    rawData.forEach(item => {
-      const date = new Date(item.date);
-      // Calculate start of week (Sunday)
-      const weekStart = new Date(date);
-      weekStart.setDate(date.getDate() - date.getDay());
-      weekStart.setHours(0, 0, 0, 0);
-      
-      // Use ISO date string as unique week key (YYYY-MM-DD of week start)
-      const weekKey = weekStart.toISOString().split('T')[0];
-      
-      if (!grouped[weekKey]) {
-        grouped[weekKey] = {
-          date: weekKey,
-          energyValues: [],
-          stressValues: [],
-          entries: []
-        };
-      }
-      
-      if (item.energy !== null && item.energy !== undefined) {
-        grouped[weekKey].energyValues.push(item.energy);
-      }
-      if (item.stress !== null && item.stress !== undefined) {
-        grouped[weekKey].stressValues.push(item.stress);
-      }
-      grouped[weekKey].entries.push(item);
-    });
-
-    return Object.values(grouped).map(group => ({
-      date: group.date,
-      energy: group.energyValues.length > 0 
-        ? group.energyValues.reduce((sum, val) => sum + val, 0) / group.energyValues.length 
-        : null,
-      stress: group.stressValues.length > 0 
-        ? group.stressValues.reduce((sum, val) => sum + val, 0) / group.stressValues.length 
-        : null,
-      entriesCount: group.entries.length,
-      originalEntries: group.entries,
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));
-  }, []);
-
-  // Aggregate data by month (for yearly views)
-  const aggregateMonthly = useCallback((rawData) => {
-    const grouped = {};
-    rawData.forEach(item => {
-      const date = new Date(item.date);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (!grouped[monthKey]) {
-        grouped[monthKey] = {
-          date: `${monthKey}-01`,
-          energyValues: [],
-          stressValues: [],
-          entries: []
-        };
-      }
-      
-      if (item.energy !== null && item.energy !== undefined) {
-        grouped[monthKey].energyValues.push(item.energy);
-      }
-      if (item.stress !== null && item.stress !== undefined) {
-        grouped[monthKey].stressValues.push(item.stress);
-      }
-      grouped[monthKey].entries.push(item);
-    });
-
-    return Object.values(grouped).map(group => ({
-      date: group.date,
-      energy: group.energyValues.length > 0 
-        ? group.energyValues.reduce((sum, val) => sum + val, 0) / group.energyValues.length 
-        : null,
-      stress: group.stressValues.length > 0 
-        ? group.stressValues.reduce((sum, val) => sum + val, 0) / group.stressValues.length 
-        : null,
-      entriesCount: group.entries.length,
-      originalEntries: group.entries,
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));
-  }, []);
-
   // Filter data by date range (before aggregation)
   const filteredDailyData = useMemo(() => {
     if (!data || data.length === 0) return [];
@@ -513,7 +375,7 @@ export const EnhancedAnalyticsPanel = ({
 
     // Apply time period filtering
     return filterByTimePeriod(filteredData, selectedTimePeriod);
-  }, [data, selectedTimeframe, selectedTimePeriod, timeframeOptions, filterByTimePeriod, isCustomRange, customStartDate, customEndDate]);
+  }, [data, selectedTimeframe, selectedTimePeriod, timeframeOptions, isCustomRange, customStartDate, customEndDate]);
 
   // Smart data aggregation with proper date-based filtering
   const aggregatedData = useMemo(() => {
@@ -551,7 +413,7 @@ export const EnhancedAnalyticsPanel = ({
       default:
         return filteredDailyData;
     }
-  }, [filteredDailyData, selectedTimeframe, timeframeOptions, aggregateDaily, aggregateWeekly, aggregateMonthly, isCustomRange, customStartDate, customEndDate]);
+  }, [filteredDailyData, selectedTimeframe, timeframeOptions, isCustomRange, customStartDate, customEndDate]);
 
   // Calculate actual date range being displayed
   const dateRange = useMemo(() => {
@@ -1365,13 +1227,13 @@ export const EnhancedAnalyticsPanel = ({
             </View>
             
             <View style={styles.levelsGrid}>
-              {['morning', 'afternoon', 'evening'].map((period) => (
-                <View key={period} style={styles.levelItem}>
+              {checkInPeriods.map((period) => (
+                <View key={period.id} style={styles.levelItem}>
                   <Text style={styles.levelPeriod}>
-                    {period === 'morning' ? '🌅' : period === 'afternoon' ? '☀️' : '🌙'} {period}
+                    {getPeriodIcon(period)} {period.name}
                   </Text>
                   <Text style={styles.levelValue}>
-                    {energyLevels[period] ? `${energyLevels[period]}/10` : '--'}
+                    {energyLevels[period.id] ? `${energyLevels[period.id]}/10` : '--'}
                   </Text>
                 </View>
               ))}
@@ -1398,13 +1260,13 @@ export const EnhancedAnalyticsPanel = ({
             </View>
             
             <View style={styles.levelsGrid}>
-              {['morning', 'afternoon', 'evening'].map((period) => (
-                <View key={period} style={styles.levelItem}>
+              {checkInPeriods.map((period) => (
+                <View key={period.id} style={styles.levelItem}>
                   <Text style={styles.levelPeriod}>
-                    {period === 'morning' ? '🌅' : period === 'afternoon' ? '☀️' : '🌙'} {period}
+                    {getPeriodIcon(period)} {period.name}
                   </Text>
                   <Text style={styles.levelValue}>
-                    {stressLevels[period] ? `${stressLevels[period]}/10` : '--'}
+                    {stressLevels[period.id] ? `${stressLevels[period.id]}/10` : '--'}
                   </Text>
                 </View>
               ))}
@@ -1449,7 +1311,7 @@ export const EnhancedAnalyticsPanel = ({
         }]} />
       </Animated.View>
     );
-  }, [tooltipVisible, detailedData, tooltipPosition, selectedDataSource, theme, tooltipOpacity, tooltipScale, screenWidth, styles, aggregation, getEffectiveAggregation, isCustomRange, customStartDate, customEndDate, selectedTimeframe, timeframeOptions]);
+  }, [tooltipVisible, detailedData, tooltipPosition, selectedDataSource, theme, tooltipOpacity, tooltipScale, screenWidth, styles, aggregation, getEffectiveAggregation, isCustomRange, customStartDate, customEndDate, selectedTimeframe, timeframeOptions, checkInPeriods]);
 
   // Render vertical indicator line and connection to tooltip
   const renderVerticalIndicator = useCallback(() => {
@@ -1543,7 +1405,7 @@ export const EnhancedAnalyticsPanel = ({
               ? (selectedDataSource === 'energy' ? 'Track your energy patterns and sources' :
                  selectedDataSource === 'stress' ? 'Monitor stress levels and triggers' :
                  'Comprehensive energy and stress insights')
-              : `Analyzing ${selectedTimePeriod} ${selectedDataSource === 'both' ? 'energy & stress' : selectedDataSource} patterns`
+              : `Analyzing ${timePeriodOptions.find(opt => opt.key === selectedTimePeriod)?.name.toLowerCase()} ${selectedDataSource === 'both' ? 'energy & stress' : selectedDataSource} patterns`
             }
           </Text>
         </View>
@@ -1811,6 +1673,31 @@ export const EnhancedAnalyticsPanel = ({
           showExpanded={false}
         />
       )}
+
+      {/* User-defined metrics over time and vs energy, stress and each other */}
+      <CustomMetricsCard
+        data={filteredDailyData}
+        metrics={customMetrics}
+        theme={theme}
+      />
+
+      {/* Imported health data vs energy and stress, per day */}
+      <ContextCorrelationCard
+        data={filteredDailyData}
+        theme={theme}
+      />
+
+      {/* Wearable readiness vs morning energy, per day */}
+      <WearableReadinessCard
+        data={filteredDailyData}
+        theme={theme}
+      />
+
+      {/* Calendar meeting load vs stress, per day and check-in */}
+      <MeetingLoadCard
+        data={filteredDailyData}
+        theme={theme}
+      />
     </View>
   );
 };
@@ -1922,6 +1809,8 @@ const getStyles = (theme) => StyleSheet.create({
 
   timePeriodButtons: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
     gap: 6,
   },
 
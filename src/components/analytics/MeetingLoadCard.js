@@ -0,0 +1,373 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { analytics } from '../../config/texts';
+import { getMeetingLoad } from '../../utils/dayContext';
+import { pearsonCorrelation } from '../../utils/correlation';
+import { getPeriodIds } from '../../utils/checkInPeriods';
+
+const texts = analytics.meetingLoad;
+
+// Same threshold as the Sleep & Body card
+const MIN_PAIRED_DAYS = 5;
+
+// Days by total meeting minutes
+const BUCKETS = [
+  { key: 'none', maxMinutes: 0 },
+  { key: 'light', maxMinutes: 120 },
+  { key: 'medium', maxMinutes: 240 },
+  { key: 'heavy', maxMinutes: Infinity },
+];
+
+const isLevel = (value) => value !== null && value !== undefined && value > 0;
+
+const averageOf = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+/**
+ * Compare calendar meeting load with logged stress
+ * @param {Array} data - Daily chart points with `context` (see useTrendsData)
+ * @returns {Object} { days, buckets: [{ key, days, stress }], periodMinutes, backToBack }
+ *   where periodMinutes pairs each check-in's stress with the meeting minutes of its
+ *   period, backToBack pairs daily transitions with average stress; both are
+ *   { value, pairs } with a null value below MIN_PAIRED_DAYS pairs
+ */
+export const analyzeMeetingLoad = (data) => {
+  const days = data
+    .map(item => ({
+      load: getMeetingLoad(item.context),
+      stressLevels: item.stressLevels || {},
+      stress: averageOf(Object.values(item.stressLevels || {}).filter(isLevel)),
+    }))
+    .filter(day => day.load && day.stress !== null);
+
+  const buckets = BUCKETS.map((bucket, index) => {
+    const minMinutes = index > 0 ? BUCKETS[index - 1].maxMinutes : -1;
+    const stressValues = days
+      .filter(day => day.load.meetingMinutes > minMinutes && day.load.meetingMinutes <= bucket.maxMinutes)
+      .map(day => day.stress);
+    return { key: bucket.key, days: stressValues.length, stress: averageOf(stressValues) };
+  });
+
+  const periodPairs = days.flatMap(day => getPeriodIds()
+    .filter(period => isLevel(day.stressLevels[period]) && day.load.periods?.[period])
+    .map(period => [day.load.periods[period].meetingMinutes, day.stressLevels[period]]));
+  const backToBackPairs = days.map(day => [day.load.backToBack, day.stress]);
+
+  const correlate = (pairs) => ({
+    pairs: pairs.length,
+    value: pairs.length >= MIN_PAIRED_DAYS ? pearsonCorrelation(pairs) : null,
+  });
+
+  return {
+    days: days.length,
+    buckets,
+    periodMinutes: correlate(periodPairs),
+    backToBack: correlate(backToBackPairs),
+  };
+};
+
+export const MeetingLoadCard = ({ data = [], theme }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const styles = getStyles(theme);
+
+  const hasCalendar = useMemo(() => data.some(item => getMeetingLoad(item.context)), [data]);
+  const analysis = useMemo(() => analyzeMeetingLoad(data), [data]);
+
+  const handleToggle = () => {
+    setIsExpanded(!isExpanded);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  // No calendar imported for this timeframe
+  if (!hasCalendar) {
+    return null;
+  }
+
+  const filledBuckets = analysis.buckets.filter(bucket => bucket.days > 0);
+  const lightest = filledBuckets[0];
+  const heaviest = filledBuckets[filledBuckets.length - 1];
+  const hasComparison = analysis.days >= MIN_PAIRED_DAYS && filledBuckets.length >= 2;
+
+  const subtitle = hasComparison
+    ? texts.subtitle(texts.buckets[heaviest.key], heaviest.stress.toFixed(1), texts.buckets[lightest.key], lightest.stress.toFixed(1))
+    : texts.notEnoughDays(analysis.days, MIN_PAIRED_DAYS);
+
+  const getCorrelationColor = (value) => {
+    const strength = Math.abs(value);
+    if (strength > 0.7) return theme.colors.systemRed;
+    if (strength > 0.4) return theme.colors.systemOrange;
+    return theme.colors.systemGray;
+  };
+
+  const correlations = [
+    { key: 'periodMinutes', label: texts.correlations.periodMinutes, ...analysis.periodMinutes },
+    { key: 'backToBack', label: texts.correlations.backToBack, ...analysis.backToBack },
+  ];
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.header} onPress={handleToggle} activeOpacity={0.7}>
+        <View style={styles.headerContent}>
+          <View style={styles.titleContainer}>
+            <View style={[styles.iconContainer, { backgroundColor: theme.colors.systemOrange }]}>
+              <Ionicons name="calendar-outline" size={20} color="#FFFFFF" />
+            </View>
+            <View style={styles.titleContent}>
+              <Text style={styles.title}>{texts.title}</Text>
+              <Text style={styles.subtitle}>{subtitle}</Text>
+            </View>
+          </View>
+          <Ionicons
+            name={isExpanded ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={theme.colors.secondaryText}
+          />
+        </View>
+      </TouchableOpacity>
+
+      {isExpanded && (
+        <View style={styles.expandedContent}>
+          <Text style={styles.description}>{texts.description}</Text>
+
+          {hasComparison && (
+            <View style={styles.interpretationBox}>
+              <Ionicons
+                name="information-circle"
+                size={16}
+                color={theme.colors.systemBlue}
+                style={styles.interpretationIcon}
+              />
+              <Text style={styles.interpretationText}>
+                {texts.finding(
+                  texts.bucketPhrases[heaviest.key],
+                  heaviest.stress.toFixed(1),
+                  texts.bucketPhrases[lightest.key],
+                  lightest.stress.toFixed(1)
+                )}
+              </Text>
+            </View>
+          )}
+
+          {analysis.buckets.map(bucket => (
+            <View key={bucket.key} style={styles.bucketRow}>
+              <View style={styles.bucketLabels}>
+                <Text style={styles.bucketLabel}>{texts.buckets[bucket.key]}</Text>
+                <Text style={styles.bucketDays}>{texts.bucketDays(bucket.days)}</Text>
+              </View>
+              <View style={styles.barTrack}>
+                {bucket.stress !== null && (
+                  <View
+                    style={[
+                      styles.barFill,
+                      { width: `${bucket.stress * 10}%`, backgroundColor: theme.colors.systemRed },
+                    ]}
+                  />
+                )}
+              </View>
+              <Text style={styles.bucketValue}>{bucket.stress !== null ? bucket.stress.toFixed(1) : '–'}</Text>
+            </View>
+          ))}
+
+          {correlations.map(({ key, label, value, pairs }) => (
+            <View key={key} style={styles.correlationRow}>
+              <Text style={styles.correlationLabel}>{label}</Text>
+              {value !== null ? (
+                <View style={[styles.correlationBadge, { backgroundColor: getCorrelationColor(value) }]}>
+                  <Text style={styles.correlationValue}>{`${value > 0 ? '+' : ''}${value.toFixed(2)}`}</Text>
+                </View>
+              ) : (
+                <Text style={styles.notEnoughText}>{texts.notEnoughPairs(pairs, MIN_PAIRED_DAYS)}</Text>
+              )}
+            </View>
+          ))}
+
+          <Text style={styles.caveat}>{analytics.contextCorrelation.caveat}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.cardBackground,
+    borderRadius: 16,
+    marginVertical: 8,
+    shadowColor: theme.colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+
+  header: {
+    padding: 20,
+  },
+
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  titleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 16,
+  },
+
+  titleContent: {
+    flex: 1,
+  },
+
+  title: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+
+  subtitle: {
+    fontSize: 13,
+    color: theme.colors.secondaryText,
+  },
+
+  expandedContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.separator,
+  },
+
+  description: {
+    fontSize: 14,
+    color: theme.colors.text,
+    lineHeight: 20,
+    marginTop: 16,
+    marginBottom: 16,
+  },
+
+  interpretationBox: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: theme.colors.systemBlue + '10',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+
+  interpretationIcon: {
+    marginTop: 1,
+    marginRight: 8,
+  },
+
+  interpretationText: {
+    fontSize: 13,
+    color: theme.colors.text,
+    lineHeight: 18,
+    flex: 1,
+  },
+
+  bucketRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+
+  bucketLabels: {
+    width: 96,
+  },
+
+  bucketLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+
+  bucketDays: {
+    fontSize: 11,
+    color: theme.colors.secondaryText,
+  },
+
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: theme.colors.tertiaryBackground,
+    overflow: 'hidden',
+    marginHorizontal: 12,
+  },
+
+  barFill: {
+    height: 8,
+    borderRadius: 4,
+  },
+
+  bucketValue: {
+    width: 32,
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.text,
+    textAlign: 'right',
+  },
+
+  correlationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: theme.colors.tertiaryBackground,
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 4,
+    marginBottom: 8,
+    gap: 12,
+  },
+
+  correlationLabel: {
+    fontSize: 13,
+    color: theme.colors.text,
+    flex: 1,
+  },
+
+  correlationBadge: {
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+
+  correlationValue: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+
+  notEnoughText: {
+    fontSize: 11,
+    color: theme.colors.tertiaryLabel,
+    fontStyle: 'italic',
+  },
+
+  caveat: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    lineHeight: 17,
+    marginTop: 8,
+  },
+});
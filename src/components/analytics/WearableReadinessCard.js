@@ -0,0 +1,366 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Dimensions,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { LineChart } from 'react-native-chart-kit';
+import { analytics } from '../../config/texts';
+import { getContextMetric, getContextValue } from '../../utils/dayContext';
+import { correlationStrength, pearsonCorrelation } from '../../utils/correlation';
+import { getPeriodIds } from '../../utils/checkInPeriods';
+
+const texts = analytics.wearableComparison;
+
+const { width: screenWidth } = Dimensions.get('window');
+
+// Same threshold as the Sleep & Body card
+const MIN_PAIRED_DAYS = 5;
+// Most recent mornings drawn in the chart
+const MAX_CHART_DAYS = 30;
+const MAX_LABELS = 5;
+
+const READINESS = getContextMetric('readiness');
+
+const averageOf = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+/**
+ * Pair wearable readiness with logged morning energy per day
+ * Morning energy is the day's first check-in period, whatever it is called.
+ * @param {Array} data - Daily chart points with `context` (see useTrendsData)
+ * @returns {Object} { pairs: [{ date, readiness, energy }], correlation, median, highAverage, lowAverage }
+ *   where the averages are the morning energy on days at/above and below median readiness
+ */
+export const compareReadiness = (data) => {
+  const firstPeriod = getPeriodIds()[0];
+  const pairs = data
+    .map(item => ({
+      date: item.date,
+      readiness: getContextValue(item.context, READINESS),
+      energy: item.energyLevels?.[firstPeriod] ?? null,
+    }))
+    .filter(pair => pair.readiness !== null && pair.energy !== null && pair.energy > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (pairs.length < MIN_PAIRED_DAYS) {
+    return { pairs, correlation: null, median: null, highAverage: null, lowAverage: null };
+  }
+
+  const sorted = pairs.map(pair => pair.readiness).sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+  return {
+    pairs,
+    correlation: pearsonCorrelation(pairs.map(pair => [pair.readiness, pair.energy])),
+    median,
+    highAverage: averageOf(pairs.filter(pair => pair.readiness >= median).map(pair => pair.energy)),
+    lowAverage: averageOf(pairs.filter(pair => pair.readiness < median).map(pair => pair.energy)),
+  };
+};
+
+export const WearableReadinessCard = ({ data = [], theme }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const styles = getStyles(theme);
+
+  const comparison = useMemo(() => compareReadiness(data), [data]);
+  const hasReadiness = useMemo(
+    () => data.some(item => getContextValue(item.context, READINESS) !== null),
+    [data]
+  );
+
+  const handleToggle = () => {
+    setIsExpanded(!isExpanded);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  // No wearable readiness for this timeframe
+  if (!hasReadiness) {
+    return null;
+  }
+
+  const { pairs, correlation, median, highAverage, lowAverage } = comparison;
+  const hasComparison = median !== null;
+  const subtitle = hasComparison
+    ? texts.subtitle(pairs.length)
+    : texts.notEnoughDays(pairs.length, MIN_PAIRED_DAYS);
+
+  const chartPairs = pairs.slice(-MAX_CHART_DAYS);
+  const labelEvery = Math.max(1, Math.ceil(chartPairs.length / MAX_LABELS));
+  const chartData = {
+    labels: chartPairs.map((pair, index) => (index % labelEvery === 0
+      ? `${Number(pair.date.slice(5, 7))}/${Number(pair.date.slice(8, 10))}`
+      : '')),
+    datasets: [
+      {
+        data: chartPairs.map(pair => pair.energy),
+        color: (opacity = 1) => `rgba(52, 199, 89, ${opacity})`,
+        strokeWidth: 2,
+      },
+      {
+        data: chartPairs.map(pair => Math.round(pair.readiness) / 10),
+        color: (opacity = 1) => `rgba(88, 86, 214, ${opacity})`,
+        strokeWidth: 2,
+      },
+    ],
+  };
+
+  const chartConfig = {
+    backgroundColor: 'transparent',
+    backgroundGradientFrom: theme.colors.cardBackground,
+    backgroundGradientTo: theme.colors.cardBackground,
+    decimalPlaces: 0,
+    color: (opacity = 1) => `rgba(${theme.colors.labelRGB || '0, 0, 0'}, ${opacity})`,
+    labelColor: (opacity = 1) => `rgba(${theme.colors.secondaryLabelRGB || '128, 128, 128'}, ${opacity})`,
+    propsForDots: {
+      r: chartPairs.length > 14 ? '0' : '3',
+      strokeWidth: '1',
+      stroke: theme.colors.cardBackground,
+    },
+    propsForLabels: { fontSize: 10 },
+  };
+
+  const formatEnergy = (value) => (value !== null ? value.toFixed(1) : '–');
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.header} onPress={handleToggle} activeOpacity={0.7}>
+        <View style={styles.headerContent}>
+          <View style={styles.titleContainer}>
+            <View style={[styles.iconContainer, { backgroundColor: theme.colors.systemIndigo }]}>
+              <Ionicons name="pulse-outline" size={20} color="#FFFFFF" />
+            </View>
+            <View style={styles.titleContent}>
+              <Text style={styles.title}>{texts.title}</Text>
+              <Text style={styles.subtitle}>{subtitle}</Text>
+            </View>
+          </View>
+          <Ionicons
+            name={isExpanded ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={theme.colors.secondaryText}
+          />
+        </View>
+      </TouchableOpacity>
+
+      {isExpanded && (
+        <View style={styles.expandedContent}>
+          <Text style={styles.description}>{texts.description}</Text>
+
+          {chartPairs.length >= 2 && (
+            <>
+              <LineChart
+                data={chartData}
+                width={screenWidth - 88}
+                height={180}
+                chartConfig={chartConfig}
+                fromZero
+                withVerticalLines={false}
+                withShadow={false}
+                style={styles.chart}
+              />
+              <View style={styles.legend}>
+                <View style={styles.legendItem}>
+                  <View style={[styles.legendDot, { backgroundColor: theme.colors.systemGreen }]} />
+                  <Text style={styles.legendText}>{texts.legendEnergy}</Text>
+                </View>
+                <View style={styles.legendItem}>
+                  <View style={[styles.legendDot, { backgroundColor: theme.colors.systemIndigo }]} />
+                  <Text style={styles.legendText}>{texts.legendReadiness}</Text>
+                </View>
+              </View>
+            </>
+          )}
+
+          {hasComparison && (
+            <>
+              <View style={styles.splitRow}>
+                <View style={styles.splitCell}>
+                  <Text style={styles.splitLabel}>{texts.highDays(Math.round(median))}</Text>
+                  <Text style={styles.splitValue}>{formatEnergy(highAverage)}</Text>
+                  <Text style={styles.splitCaption}>{texts.averageEnergy}</Text>
+                </View>
+                <View style={styles.splitCell}>
+                  <Text style={styles.splitLabel}>{texts.lowDays(Math.round(median))}</Text>
+                  <Text style={styles.splitValue}>{formatEnergy(lowAverage)}</Text>
+                  <Text style={styles.splitCaption}>{texts.averageEnergy}</Text>
+                </View>
+              </View>
+
+              {correlation !== null && (
+                <View style={styles.interpretationBox}>
+                  <Ionicons
+                    name="information-circle"
+                    size={16}
+                    color={theme.colors.systemBlue}
+                    style={styles.interpretationIcon}
+                  />
+                  <Text style={styles.interpretationText}>
+                    {texts.finding(correlationStrength(correlation), correlation > 0)}
+                    {` (r = ${correlation > 0 ? '+' : ''}${correlation.toFixed(2)})`}
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.cardBackground,
+    borderRadius: 16,
+    marginVertical: 8,
+    shadowColor: theme.colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+
+  header: {
+    padding: 20,
+  },
+
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  titleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 16,
+  },
+
+  titleContent: {
+    flex: 1,
+  },
+
+  title: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+
+  subtitle: {
+    fontSize: 13,
+    color: theme.colors.secondaryText,
+  },
+
+  expandedContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.separator,
+  },
+
+  description: {
+    fontSize: 14,
+    color: theme.colors.text,
+    lineHeight: 20,
+    marginTop: 16,
+    marginBottom: 16,
+  },
+
+  chart: {
+    marginLeft: -16,
+    borderRadius: 12,
+  },
+
+  legend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 20,
+    marginTop: 8,
+    marginBottom: 16,
+  },
+
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+
+  legendText: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+  },
+
+  splitRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 16,
+  },
+
+  splitCell: {
+    flex: 1,
+    backgroundColor: theme.colors.tertiaryBackground,
+    borderRadius: 12,
+    padding: 16,
+  },
+
+  splitLabel: {
+    fontSize: 12,
+    color: theme.colors.secondaryText,
+    marginBottom: 4,
+  },
+
+  splitValue: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+
+  splitCaption: {
+    fontSize: 11,
+    color: theme.colors.tertiaryLabel,
+    marginTop: 2,
+  },
+
+  interpretationBox: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: theme.colors.systemBlue + '10',
+    borderRadius: 8,
+    padding: 12,
+  },
+
+  interpretationIcon: {
+    marginTop: 1,
+    marginRight: 8,
+  },
+
+  interpretationText: {
+    fontSize: 13,
+    color: theme.colors.text,
+    lineHeight: 18,
+    flex: 1,
+  },
+});
@@ -1,6 +1,7 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
 import * as Haptics from 'expo-haptics';
+import { Ionicons } from '@expo/vector-icons';
 import { DatePicker } from '../ui/DatePicker';
 import { entry as entryTexts } from '../../config/texts';
 import {
@@ -9,17 +10,30 @@ import {
   parseLocalDate,
 } from '../../utils/helpers';
 
-// Header with title, date picker, and reset button
+// Header with title, date picker, undo/history and reset buttons
 // State-of-the-art Apple minimalist design - matches Dashboard/Analytics aesthetic
 
-export const EntryHeader = ({ selectedDate, onDateChange, onReset, theme }) => {
-  const handleResetPress = () => {
+export const EntryHeader = ({
+  selectedDate,
+  onDateChange,
+  onReset,
+  onUndo,
+  canUndo = false,
+  onShowHistory,
+  theme,
+}) => {
+  const withHaptics = (handler) => () => {
     if (Platform.OS === 'ios') {
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
     }
-    onReset();
+    handler();
   };
 
+  const roundButtonStyle = [styles.resetButton, {
+    backgroundColor: theme.colors.tertiaryBackground,
+    borderColor: theme.colors.separator,
+  }];
+
   const showGraceBanner =
     isEntryGracePeriod() && selectedDate === getEntryDayString();
 
@@ -37,12 +51,30 @@ export const EntryHeader = ({ selectedDate, onDateChange, onReset, theme }) => {
     }]}>
       <View style={styles.titleRow}>
         <Text style={[styles.title, { color: theme.colors.label }]}>Energy Check-in</Text>
+        {onUndo && (
+          <TouchableOpacity
+            style={[roundButtonStyle, { opacity: canUndo ? 1 : 0.4 }]}
+            onPress={withHaptics(onUndo)}
+            disabled={!canUndo}
+            hitSlop={{ top: 12, bottom: 12, left: 6, right: 6 }}
+            activeOpacity={0.6}
+          >
+            <Ionicons name="arrow-undo" size={17} color={theme.colors.systemBlue} />
+          </TouchableOpacity>
+        )}
+        {onShowHistory && (
+          <TouchableOpacity
+            style={roundButtonStyle}
+            onPress={withHaptics(onShowHistory)}
+            hitSlop={{ top: 12, bottom: 12, left: 6, right: 6 }}
+            activeOpacity={0.6}
+          >
+            <Ionicons name="time-outline" size={18} color={theme.colors.systemBlue} />
+          </TouchableOpacity>
+        )}
         <TouchableOpacity 
-          style={[styles.resetButton, { 
-            backgroundColor: theme.colors.tertiaryBackground,
-            borderColor: theme.colors.separator,
-          }]}
-          onPress={handleResetPress}
+          style={roundButtonStyle}
+          onPress={withHaptics(onReset)}
           hitSlop={{ top: 12, bottom: 12, left: 12, right: 12 }}
           activeOpacity={0.6}
         >
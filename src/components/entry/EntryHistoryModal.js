@@ -0,0 +1,192 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { entry as entryTexts } from '../../config/texts';
+import { formatFieldValue } from '../../utils/entryDiff';
+
+// Bottom sheet listing the recorded changes for one day
+// Each change can be restored on its own, or a whole revision at once
+
+const historyTexts = entryTexts.history;
+
+const formatValue = (value) => formatFieldValue(value, historyTexts.emptyValue);
+
+const formatTimestamp = (timestamp) => {
+  return new Date(timestamp).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export const EntryHistoryModal = ({ visible, history, metricNames, periodNames, onRevert, onClose, theme }) => {
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{historyTexts.title}</Text>
+            <TouchableOpacity onPress={onClose} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.closeButton, { color: theme.colors.systemBlue }]}>{historyTexts.close}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            {history.length === 0 && (
+              <Text style={[styles.emptyText, { color: theme.colors.secondaryLabel }]}>
+                {historyTexts.empty}
+              </Text>
+            )}
+
+            {history.map(revision => (
+              <View
+                key={revision.id}
+                style={[styles.revision, { borderBottomColor: theme.colors.separator }]}
+              >
+                <View style={styles.revisionHeader}>
+                  <Text style={[styles.revisionSource, { color: theme.colors.label }]}>
+                    {historyTexts.sources[revision.source] || revision.source}
+                  </Text>
+                  <Text style={[styles.revisionTime, { color: theme.colors.secondaryLabel }]}>
+                    {formatTimestamp(revision.timestamp)}
+                  </Text>
+                </View>
+
+                {revision.changes.map(change => (
+                  <View key={change.field} style={styles.changeRow}>
+                    <View style={styles.changeText}>
+                      <Text style={[styles.fieldLabel, { color: theme.colors.secondaryLabel }]}>
+                        {historyTexts.fieldLabel(change.field, metricNames, periodNames)}
+                      </Text>
+                      <Text style={[styles.values, { color: theme.colors.label }]}>
+                        {formatValue(change.before)} → {formatValue(change.after)}
+                      </Text>
+                    </View>
+                    {revision.changes.length > 1 && (
+                      <TouchableOpacity onPress={() => onRevert(revision.id, change.field)}>
+                        <Text style={[styles.revertLink, { color: theme.colors.systemBlue }]}>
+                          {historyTexts.revertField}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))}
+
+                <TouchableOpacity onPress={() => onRevert(revision.id)} style={styles.revertAll}>
+                  <Text style={[styles.revertLink, { color: theme.colors.systemBlue }]}>
+                    {revision.changes.length > 1 ? historyTexts.revertAll : historyTexts.revertField}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '75%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  closeButton: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  content: {
+    paddingHorizontal: 20,
+    paddingBottom: 32,
+  },
+
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    paddingVertical: 32,
+  },
+
+  revision: {
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  revisionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+
+  revisionSource: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+
+  revisionTime: {
+    fontSize: 13,
+  },
+
+  changeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+
+  changeText: {
+    flex: 1,
+  },
+
+  fieldLabel: {
+    fontSize: 13,
+  },
+
+  values: {
+    fontSize: 15,
+  },
+
+  revertLink: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+
+  revertAll: {
+    alignSelf: 'flex-end',
+    marginTop: 6,
+  },
+});
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, Platform, TouchableOpacity } from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { Input } from '../ui/Input';
+import { entry as entryTexts } from '../../config/texts';
+import {
+  METRIC_TYPES,
+  formatMetricValue,
+  parseMetricInput,
+} from '../../utils/customMetrics';
+
+// One custom metric in an entry step: chips for scales and yes/no, a text field for
+// numbers and durations. Tapping the selected chip again clears the value.
+
+const texts = entryTexts.metrics;
+
+const getSubtitle = (metric) => {
+  switch (metric.type) {
+    case METRIC_TYPES.SCALE:
+      return texts.subtitles.scale(metric.min, metric.max);
+    case METRIC_TYPES.BOOLEAN:
+      return texts.subtitles.boolean;
+    case METRIC_TYPES.DURATION:
+      return texts.subtitles.duration;
+    default:
+      return texts.subtitles.number(metric.unit);
+  }
+};
+
+// Typed values are shown the way they were stored, durations as minutes
+const toInputText = (value) => (value === null || value === undefined ? '' : String(value));
+
+export const MetricInput = React.memo(({
+  metric,
+  title,
+  value,
+  onValueChange,
+  onTextInputFocus,
+  onTextInputBlur,
+  theme,
+}) => {
+  const [text, setText] = useState(toInputText(value));
+  const [error, setError] = useState(null);
+
+  // Keep the field in step with undo, reset and date changes
+  useEffect(() => {
+    setText(toInputText(value));
+    setError(null);
+  }, [value]);
+
+  const handleChoice = useCallback((choice) => {
+    onValueChange(choice === value ? null : choice);
+
+    if (Platform.OS === 'ios') {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light).catch(() => {});
+    }
+  }, [value, onValueChange]);
+
+  const handleEndEditing = () => {
+    const parsed = parseMetricInput(metric, text);
+    if (parsed === undefined) {
+      setError(texts.invalidValue);
+      return;
+    }
+    setError(null);
+    setText(toInputText(parsed));
+    if (parsed !== value) {
+      onValueChange(parsed);
+    }
+  };
+
+  const handleBlur = () => {
+    handleEndEditing();
+    if (onTextInputBlur) {
+      onTextInputBlur();
+    }
+  };
+
+  const renderChoice = (choice, label) => {
+    const isSelected = value === choice;
+    return (
+      <TouchableOpacity
+        key={label}
+        style={[
+          styles.choice,
+          { backgroundColor: theme.colors.tertiaryBackground },
+          isSelected && { backgroundColor: theme.colors.systemIndigo },
+        ]}
+        onPress={() => handleChoice(choice)}
+        activeOpacity={0.6}
+        hitSlop={{ top: 4, bottom: 4, left: 2, right: 2 }}
+      >
+        <Text style={[styles.choiceText, { color: isSelected ? '#fff' : theme.colors.secondaryLabel }]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderControl = () => {
+    switch (metric.type) {
+      case METRIC_TYPES.SCALE: {
+        const choices = Array.from({ length: metric.max - metric.min + 1 }, (_, index) => metric.min + index);
+        return (
+          <View style={styles.choiceRow}>
+            {choices.map(choice => renderChoice(choice, String(choice)))}
+          </View>
+        );
+      }
+      case METRIC_TYPES.BOOLEAN:
+        return (
+          <View style={styles.choiceRow}>
+            {renderChoice(true, texts.yes)}
+            {renderChoice(false, texts.no)}
+          </View>
+        );
+      default:
+        return (
+          <View>
+            <Input
+              value={text}
+              onChangeText={setText}
+              onFocus={onTextInputFocus}
+              onBlur={handleBlur}
+              placeholder={metric.type === METRIC_TYPES.DURATION ? texts.placeholders.duration : texts.placeholders.number}
+              keyboardType={metric.type === METRIC_TYPES.DURATION ? 'numbers-and-punctuation' : 'decimal-pad'}
+              returnKeyType="done"
+              error={error}
+              theme={theme}
+            />
+            {metric.type === METRIC_TYPES.DURATION && value !== null && !error && (
+              <Text style={[styles.hintText, { color: theme.colors.secondaryText }]}>
+                {formatMetricValue(metric, value)}
+              </Text>
+            )}
+          </View>
+        );
+    }
+  };
+
+  return (
+    <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+      <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{title}</Text>
+      <Text style={[styles.sectionSubtitle, { color: theme.colors.secondaryLabel }]}>
+        {getSubtitle(metric)}
+      </Text>
+      {renderControl()}
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  section: {
+    marginHorizontal: 16,
+    marginBottom: 14,
+    padding: 24,
+    borderRadius: 12,
+  },
+
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+
+  sectionSubtitle: {
+    fontSize: 15,
+    marginBottom: 16,
+  },
+
+  choiceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+
+  choice: {
+    minWidth: 44,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 10,
+    alignItems: 'center',
+    flexGrow: 1,
+  },
+
+  choiceText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+
+  hintText: {
+    fontSize: 13,
+    marginTop: 8,
+  },
+});
@@ -1,11 +1,14 @@
 import React, { useRef } from 'react';
 import { View, Text, StyleSheet, Keyboard } from 'react-native';
 import { Input } from '../ui/Input';
+import { MetricInput } from './MetricInput';
 import { entry as entryTexts } from '../../config/texts';
+import { getMetricValue } from '../../utils/customMetrics';
 
 
 // SourcesStep component for energy and stress sources input
-// This component allows users to input their energy and stress sources
+// This component allows users to input their energy and stress sources,
+// followed by the custom metrics logged once per day
 
 export const SourcesStep = ({ 
   entry, 
@@ -14,6 +17,8 @@ export const SourcesStep = ({
   onTextInputFocus,
   onTextInputBlur,
   onStressSourceFocus,
+  metrics = [],
+  onMetricChange,
   theme
 }) => {
   const energyInputRef = useRef(null);
@@ -86,6 +91,19 @@ export const SourcesStep = ({
           </Text>
         )}
       </View>
+
+      {metrics.map(metric => (
+        <MetricInput
+          key={metric.id}
+          metric={metric}
+          title={metric.name}
+          value={getMetricValue(entry, metric)}
+          onValueChange={(value) => onMetricChange(metric, null, value)}
+          onTextInputFocus={onTextInputFocus}
+          onTextInputBlur={onTextInputBlur}
+          theme={theme}
+        />
+      ))}
     </View>
   );
 };
@@ -1,12 +1,30 @@
-import React from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import React, { useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform, ScrollView } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { isStepComplete } from '../../utils/entryValidation';
 
 // Tab navigation with completion indicators
 // Option 3: Underline + Subtle Card - State-of-the-art hybrid design
+// With more check-in periods than fit the screen width, the tabs scroll sideways.
+
+// Up to this many tabs (periods + sources) share the width evenly
+const MAX_FIXED_TABS = 4;
+const SCROLLABLE_TAB_WIDTH = 96;
 
 export const StepTabs = ({ steps, stepTitles, currentStep, entry, onStepPress, theme }) => {
+  const scrollViewRef = useRef(null);
+  const isScrollable = steps.length > MAX_FIXED_TABS;
+
+  // Keep the active tab in view, with the previous one peeking in
+  useEffect(() => {
+    if (isScrollable && scrollViewRef.current) {
+      scrollViewRef.current.scrollTo({
+        x: Math.max(0, (currentStep - 1) * SCROLLABLE_TAB_WIDTH),
+        animated: true,
+      });
+    }
+  }, [currentStep, isScrollable]);
+
   const handleTabPress = (index) => {
     if (Platform.OS === 'ios') {
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
@@ -23,52 +41,68 @@ export const StepTabs = ({ steps, stepTitles, currentStep, entry, onStepPress, t
       : 'rgba(255, 255, 255, 0.5)';
   };
 
+  const tabs = steps.map((step, index) => {
+    const isActive = currentStep === index;
+    const isComplete = isStepComplete(entry, index, steps);
+    
+    return (
+      <TouchableOpacity
+        key={step}
+        style={[
+          styles.tab,
+          isScrollable && styles.scrollableTab,
+          isActive && { 
+            borderBottomColor: theme.colors.systemBlue,
+          },
+        ]}
+        onPress={() => handleTabPress(index)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.tabContent}>
+          <Text style={[
+            styles.tabText,
+            { color: isActive ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
+            isActive && styles.activeTabText,
+          ]}>
+            {stepTitles[index]}
+          </Text>
+          {isComplete && (
+            <View style={[
+              styles.completionIndicator, 
+              { 
+                backgroundColor: theme.colors.systemGreen,
+                shadowColor: theme.colors.systemGreen,
+              }
+            ]}>
+              <Text style={styles.checkmark}>✓</Text>
+            </View>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  });
+
+  const tabContainerStyle = [styles.tabContainer, { 
+    borderTopColor: theme.colors.separator,
+  }];
+
   return (
     <View style={styles.tabContainerWrapper}>
       <View style={[styles.cardOverlay, { backgroundColor: getSubtleCardBackground() }]} />
-      <View style={[styles.tabContainer, { 
-        borderTopColor: theme.colors.separator,
-      }]}>
-        {steps.map((step, index) => {
-          const isActive = currentStep === index;
-          const isComplete = isStepComplete(entry, index);
-          
-          return (
-            <TouchableOpacity
-              key={step}
-              style={[
-                styles.tab,
-                isActive && { 
-                  borderBottomColor: theme.colors.systemBlue,
-                },
-              ]}
-              onPress={() => handleTabPress(index)}
-              activeOpacity={0.7}
-            >
-              <View style={styles.tabContent}>
-                <Text style={[
-                  styles.tabText,
-                  { color: isActive ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
-                  isActive && styles.activeTabText,
-                ]}>
-                  {stepTitles[index]}
-                </Text>
-                {isComplete && (
-                  <View style={[
-                    styles.completionIndicator, 
-                    { 
-                      backgroundColor: theme.colors.systemGreen,
-                      shadowColor: theme.colors.systemGreen,
-                    }
-                  ]}>
-                    <Text style={styles.checkmark}>✓</Text>
-                  </View>
-                )}
-              </View>
-            </TouchableOpacity>
-          );
-        })}
-      </View>
+      {isScrollable ? (
+        <ScrollView
+          ref={scrollViewRef}
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={tabContainerStyle}
+        >
+          {tabs}
+        </ScrollView>
+      ) : (
+        <View style={tabContainerStyle}>
+          {tabs}
+        </View>
+      )}
     </View>
   );
 };
@@ -115,6 +149,11 @@ const styles = StyleSheet.create({
     letterSpacing: -0.3,
   },
 
+  scrollableTab: {
+    flex: 0,
+    width: SCROLLABLE_TAB_WIDTH,
+  },
+
   activeTabText: {
     fontWeight: '600',
   },
@@ -2,9 +2,12 @@ import React, { useCallback } from 'react';
 import { View, Text, StyleSheet, Platform, TouchableOpacity } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { RatingScale } from '../ui/RatingScale';
+import { MetricInput } from './MetricInput';
 import { entry as entryTexts } from '../../config/texts';
+import { getMetricValue } from '../../utils/customMetrics';
 
 // Reusable component for morning, afternoon, evening steps
+// Per-period custom metrics are asked after energy and stress
 
 export const TimePeriodStep = React.memo(({ 
   step, 
@@ -14,6 +17,10 @@ export const TimePeriodStep = React.memo(({
   onStressChange,
   quickEntryMeta,
   onClearQuickFlag,
+  metrics = [],
+  onMetricChange,
+  onTextInputFocus,
+  onTextInputBlur,
   theme
 }) => {
   const handleEnergyChange = useCallback((value) => {
@@ -83,6 +90,19 @@ export const TimePeriodStep = React.memo(({
           theme={theme}
         />
       </View>
+
+      {metrics.map(metric => (
+        <MetricInput
+          key={metric.id}
+          metric={metric}
+          title={entryTexts.metrics.periodTitle(stepTitle, metric.name)}
+          value={getMetricValue(entry, metric, step)}
+          onValueChange={(value) => onMetricChange(metric, step, value)}
+          onTextInputFocus={onTextInputFocus}
+          onTextInputBlur={onTextInputBlur}
+          theme={theme}
+        />
+      ))}
     </View>
   );
 });
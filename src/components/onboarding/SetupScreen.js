@@ -7,6 +7,7 @@ import { useTheme } from '../../contexts/ThemeContext';
 import { getTheme } from '../../config/theme';
 import { onboarding } from '../../config/onboardingTexts';
 import { PeriodTimeSetting } from '../ui/PeriodTimeSetting';
+import { getActivePeriods } from '../../utils/checkInPeriods';
 import { hapticFeedback } from '../../utils/helpers';
 import StorageService from '../../services/storage';
 import NotificationService from '../../services/notificationService';
@@ -361,30 +362,17 @@ export const SetupScreen = ({ onComplete }) => {
 
             {notifSettings.enabled && (
               <View style={styles.compactTimePickers}>
-                <PeriodTimeSetting
-                  label="Morning"
-                  enabled={notifSettings.periods.morning.enabled}
-                  time={notifSettings.periods.morning.time}
-                  onToggle={(val) => handlePeriodToggle('morning', val)}
-                  onTimeChange={(time) => handleTimeChange('morning', time)}
-                  theme={theme}
-                />
-                <PeriodTimeSetting
-                  label="Afternoon"
-                  enabled={notifSettings.periods.afternoon.enabled}
-                  time={notifSettings.periods.afternoon.time}
-                  onToggle={(val) => handlePeriodToggle('afternoon', val)}
-                  onTimeChange={(time) => handleTimeChange('afternoon', time)}
-                  theme={theme}
-                />
-                <PeriodTimeSetting
-                  label="Evening"
-                  enabled={notifSettings.periods.evening.enabled}
-                  time={notifSettings.periods.evening.time}
-                  onToggle={(val) => handlePeriodToggle('evening', val)}
-                  onTimeChange={(time) => handleTimeChange('evening', time)}
-                  theme={theme}
-                />
+                {getActivePeriods().map(period => (
+                  <PeriodTimeSetting
+                    key={period.id}
+                    label={period.name}
+                    enabled={notifSettings.periods[period.id].enabled}
+                    time={notifSettings.periods[period.id].time}
+                    onToggle={(val) => handlePeriodToggle(period.id, val)}
+                    onTimeChange={(time) => handleTimeChange(period.id, time)}
+                    theme={theme}
+                  />
+                ))}
               </View>
             )}
           </View>
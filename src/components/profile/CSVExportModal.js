@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { profile, common } from '../../config/texts';
+import { getDaysAgo, getTodayString } from '../../utils/helpers';
+import {
+  CSV_EXPORT_COLUMNS,
+  CSV_EXPORT_LAYOUTS,
+  CSV_DIALECTS,
+  DEFAULT_CSV_EXPORT_OPTIONS,
+} from '../../utils/csvExport';
+import { DatePicker } from '../ui/DatePicker';
+
+// Options for a CSV export: which days, which layout, which columns and which spreadsheet dialect
+
+const texts = profile.exportSection.csvOptions;
+const RANGES = ['all', 'last30', 'last90', 'thisYear', 'custom'];
+const LAYOUTS = Object.values(CSV_EXPORT_LAYOUTS);
+const COLUMNS = Object.values(CSV_EXPORT_COLUMNS);
+const DIALECTS = Object.keys(CSV_DIALECTS);
+
+const rangeDates = (range, custom) => {
+  switch (range) {
+    case 'last30':
+      return { startDate: getDaysAgo(29), endDate: getTodayString() };
+    case 'last90':
+      return { startDate: getDaysAgo(89), endDate: getTodayString() };
+    case 'thisYear':
+      return { startDate: `${new Date().getFullYear()}-01-01`, endDate: getTodayString() };
+    case 'custom':
+      return custom;
+    default:
+      return { startDate: null, endDate: null };
+  }
+};
+
+const Chip = ({ label, active, onPress, theme }) => (
+  <TouchableOpacity
+    style={[
+      styles.chip,
+      {
+        backgroundColor: active ? theme.colors.systemBlue : theme.colors.secondaryBackground,
+        borderColor: active ? theme.colors.systemBlue : theme.colors.separator,
+      },
+    ]}
+    onPress={onPress}
+  >
+    <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.colors.label }]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+export const CSVExportModal = ({ visible, initialOptions, onExport, onCancel, theme }) => {
+  const [range, setRange] = useState('all');
+  const [custom, setCustom] = useState({ startDate: getDaysAgo(29), endDate: getTodayString() });
+  const [layout, setLayout] = useState(DEFAULT_CSV_EXPORT_OPTIONS.layout);
+  const [columns, setColumns] = useState(DEFAULT_CSV_EXPORT_OPTIONS.columns);
+  const [dialect, setDialect] = useState(DEFAULT_CSV_EXPORT_OPTIONS.dialect);
+
+  // Reopen with the options of the last export
+  useEffect(() => {
+    if (visible && initialOptions) {
+      setRange(initialOptions.range || 'all');
+      if (initialOptions.range === 'custom') {
+        setCustom({ startDate: initialOptions.startDate, endDate: initialOptions.endDate });
+      }
+      setLayout(initialOptions.layout);
+      setColumns(initialOptions.columns);
+      setDialect(initialOptions.dialect);
+    }
+  }, [visible, initialOptions]);
+
+  const aggregated = layout === CSV_EXPORT_LAYOUTS.WEEKLY || layout === CSV_EXPORT_LAYOUTS.MONTHLY;
+  const customInvalid = range === 'custom' && custom.startDate > custom.endDate;
+
+  const toggleColumn = (column, enabled) => {
+    setColumns(current => (enabled ? [...current, column] : current.filter(value => value !== column)));
+  };
+
+  const handleExport = () => {
+    onExport({ range, ...rangeDates(range, custom), layout, columns, dialect });
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            <TouchableOpacity
+              onPress={handleExport}
+              disabled={customInvalid}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[
+                styles.headerButton,
+                styles.confirmButton,
+                { color: customInvalid ? theme.colors.tertiaryLabel : theme.colors.systemBlue },
+              ]}>
+                {texts.export}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.rangeTitle}</Text>
+            <View style={styles.chips}>
+              {RANGES.map(option => (
+                <Chip
+                  key={option}
+                  label={texts.ranges[option]}
+                  active={range === option}
+                  onPress={() => setRange(option)}
+                  theme={theme}
+                />
+              ))}
+            </View>
+            {range === 'custom' && (
+              <View style={styles.customRange}>
+                <Text style={[styles.rangeLabel, { color: theme.colors.secondaryLabel }]}>{texts.from}</Text>
+                <DatePicker
+                  selectedDate={custom.startDate}
+                  onDateChange={(date) => setCustom(current => ({ ...current, startDate: date }))}
+                  theme={theme}
+                />
+                <Text style={[styles.rangeLabel, { color: theme.colors.secondaryLabel }]}>{texts.to}</Text>
+                <DatePicker
+                  selectedDate={custom.endDate}
+                  onDateChange={(date) => setCustom(current => ({ ...current, endDate: date }))}
+                  theme={theme}
+                />
+              </View>
+            )}
+            {customInvalid && (
+              <Text style={[styles.hint, { color: theme.colors.systemRed }]}>{texts.invalidRange}</Text>
+            )}
+
+            <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.layoutTitle}</Text>
+            <View style={styles.chips}>
+              {LAYOUTS.map(option => (
+                <Chip
+                  key={option}
+                  label={texts.layouts[option]}
+                  active={layout === option}
+                  onPress={() => setLayout(option)}
+                  theme={theme}
+                />
+              ))}
+            </View>
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.layoutHints[layout]}</Text>
+
+            {!aggregated && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.columnsTitle}</Text>
+                {COLUMNS.map(column => {
+                  // Long rows always carry the period's energy and stress
+                  const fixed = column === CSV_EXPORT_COLUMNS.LEVELS && layout === CSV_EXPORT_LAYOUTS.LONG;
+                  return (
+                    <View key={column} style={[styles.switchRow, { borderBottomColor: theme.colors.separator }]}>
+                      <Text style={[styles.switchLabel, { color: theme.colors.label }]}>{texts.columns[column]}</Text>
+                      <Switch
+                        value={fixed || columns.includes(column)}
+                        disabled={fixed}
+                        onValueChange={(value) => toggleColumn(column, value)}
+                      />
+                    </View>
+                  );
+                })}
+              </>
+            )}
+
+            <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.dialectTitle}</Text>
+            <View style={styles.chips}>
+              {DIALECTS.map(option => (
+                <Chip
+                  key={option}
+                  label={texts.dialects[option]}
+                  active={dialect === option}
+                  onPress={() => setDialect(option)}
+                  theme={theme}
+                />
+              ))}
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  customRange: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+
+  rangeLabel: {
+    fontSize: 15,
+  },
+
+  hint: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  switchLabel: {
+    flex: 1,
+    fontSize: 15,
+    marginRight: 12,
+  },
+});
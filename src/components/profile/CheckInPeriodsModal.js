@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { profile, common } from '../../config/texts';
+import { PeriodTimeSetting } from '../ui/PeriodTimeSetting';
+import { ENTRY_DAY_ROLLOVER_HOUR } from '../../utils/helpers';
+import {
+  DEFAULT_CHECK_IN_PERIODS,
+  MAX_CHECK_IN_PERIODS,
+  MAX_PERIOD_NAME_LENGTH,
+  MIN_CHECK_IN_PERIODS,
+  createPeriodId,
+  sortPeriods,
+  validatePeriods,
+} from '../../utils/checkInPeriods';
+
+// Edit the full set of check-in periods at once
+// Existing periods keep their id when renamed or moved, so their logged levels follow them.
+
+const texts = profile.checkInPeriodsSection.editor;
+const ROLLOVER_TIME = `${String(ENTRY_DAY_ROLLOVER_HOUR).padStart(2, '0')}:00`;
+
+// New rows start an hour after the last period, so they don't clash with it
+const nextStart = (rows) => {
+  const last = rows[rows.length - 1];
+  const hour = last ? (Number(last.start.split(':')[0]) + 1) % 24 : 12;
+  return `${String(hour).padStart(2, '0')}:00`;
+};
+
+let rowCounter = 0;
+const toRow = (period) => ({ key: `row-${rowCounter++}`, id: period.id || null, name: period.name, start: period.start });
+
+/**
+ * @param {Array} periods - The saved periods
+ * @param {Function} onSave - Gets the new periods, with ids for added ones, in day order
+ */
+export const CheckInPeriodsModal = ({ visible, periods = [], onSave, onCancel, theme }) => {
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setRows(periods.map(toRow));
+      setError(null);
+    }
+  }, [visible, periods]);
+
+  const updateRow = (key, changes) => {
+    setRows(current => current.map(row => (row.key === key ? { ...row, ...changes } : row)));
+    setError(null);
+  };
+
+  const addRow = () => {
+    setRows(current => [...current, toRow({ name: '', start: nextStart(current) })]);
+    setError(null);
+  };
+
+  const removeRow = (key) => {
+    setRows(current => current.filter(row => row.key !== key));
+    setError(null);
+  };
+
+  const resetToDefaults = () => {
+    setRows(DEFAULT_CHECK_IN_PERIODS.map(toRow));
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const candidates = rows.map(row => ({ ...row, name: row.name.trim() }));
+    const errorKey = validatePeriods(candidates);
+    if (errorKey) {
+      const messages = {
+        ...texts.errors,
+        tooFew: texts.errors.tooFew(MIN_CHECK_IN_PERIODS),
+        tooMany: texts.errors.tooMany(MAX_CHECK_IN_PERIODS),
+        nameTooLong: texts.errors.nameTooLong(MAX_PERIOD_NAME_LENGTH),
+      };
+      setError(messages[errorKey]);
+      return;
+    }
+
+    // Kept periods keep their id; a re-added name gets its old id back
+    const usedIds = candidates.filter(row => row.id).map(row => row.id);
+    const saved = candidates.map(row => {
+      const id = row.id || createPeriodId(row.name, usedIds);
+      usedIds.push(id);
+      return { id, name: row.name, start: row.start };
+    });
+    onSave(sortPeriods(saved));
+  };
+
+  const canAdd = rows.length < MAX_CHECK_IN_PERIODS;
+  const canRemove = rows.length > MIN_CHECK_IN_PERIODS;
+
+  const inputStyle = [styles.input, {
+    color: theme.colors.label,
+    backgroundColor: theme.colors.secondaryBackground,
+    borderColor: theme.colors.separator,
+  }];
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            <TouchableOpacity onPress={handleSave} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, styles.confirmButton, { color: theme.colors.systemBlue }]}>
+                {texts.save}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.hint, styles.firstHint, { color: theme.colors.secondaryLabel }]}>
+              {texts.hint(MIN_CHECK_IN_PERIODS, MAX_CHECK_IN_PERIODS, ROLLOVER_TIME)}
+            </Text>
+
+            {rows.map(row => (
+              <View key={row.key} style={[styles.periodCard, { borderColor: theme.colors.separator }]}>
+                <View style={styles.nameRow}>
+                  <TextInput
+                    style={[inputStyle, styles.nameInput]}
+                    value={row.name}
+                    onChangeText={(name) => updateRow(row.key, { name })}
+                    placeholder={texts.namePlaceholder}
+                    placeholderTextColor={theme.colors.tertiaryLabel}
+                    maxLength={MAX_PERIOD_NAME_LENGTH}
+                  />
+                  <TouchableOpacity
+                    onPress={() => removeRow(row.key)}
+                    disabled={!canRemove}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Text style={[
+                      styles.removeText,
+                      { color: canRemove ? theme.colors.systemRed : theme.colors.tertiaryLabel },
+                    ]}>
+                      {texts.remove}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+                <PeriodTimeSetting
+                  label={texts.startsAt}
+                  enabled={true}
+                  time={row.start}
+                  onTimeChange={(start) => updateRow(row.key, { start })}
+                  theme={theme}
+                  hideToggle
+                />
+              </View>
+            ))}
+
+            {error && (
+              <Text style={[styles.hint, { color: theme.colors.systemRed }]}>{error}</Text>
+            )}
+
+            <TouchableOpacity
+              style={[styles.actionButton, { backgroundColor: theme.colors.secondaryBackground }]}
+              onPress={addRow}
+              disabled={!canAdd}
+            >
+              <Text style={[styles.actionText, { color: canAdd ? theme.colors.systemBlue : theme.colors.tertiaryLabel }]}>
+                {texts.add}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={resetToDefaults} style={styles.resetButton}>
+              <Text style={[styles.actionText, { color: theme.colors.systemBlue }]}>{texts.reset}</Text>
+            </TouchableOpacity>
+
+            <Text style={[styles.hint, { color: theme.colors.tertiaryLabel }]}>{texts.keptData}</Text>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  periodCard: {
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingTop: 12,
+    marginBottom: 12,
+  },
+
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+
+  nameInput: {
+    flex: 1,
+  },
+
+  input: {
+    fontSize: 17,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+
+  removeText: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+
+  actionButton: {
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+
+  resetButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+
+  actionText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+
+  hint: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+
+  firstHint: {
+    marginTop: 0,
+    marginBottom: 16,
+  },
+});
@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { profile, common } from '../../config/texts';
+import { GENERIC_COLUMN_TARGETS, SCALE_PRESETS } from '../../services/importers';
+
+// Column mapping for CSV files from trackers we don't know:
+// a target per column, the scale energy and stress were logged on, and the date order
+
+const texts = profile.importSection.columnMapping;
+const TARGET_ORDER = Object.values(GENERIC_COLUMN_TARGETS);
+const METRICS = ['energy', 'stress'];
+
+const usesMetric = (mapping, metric) => mapping.some(target => (
+  target.startsWith(metric) && target !== `${metric}Sources`
+));
+
+const Chip = ({ label, active, onPress, theme }) => (
+  <TouchableOpacity
+    style={[
+      styles.chip,
+      {
+        backgroundColor: active ? theme.colors.systemBlue : theme.colors.secondaryBackground,
+        borderColor: active ? theme.colors.systemBlue : theme.colors.separator,
+      },
+    ]}
+    onPress={onPress}
+  >
+    <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.colors.label }]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+export const ColumnMappingModal = ({ visible, inspection, onConfirm, onCancel, theme }) => {
+  const [mapping, setMapping] = useState([]);
+  const [scales, setScales] = useState({});
+  const [dayFirst, setDayFirst] = useState(false);
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  // Start from the suggestions for every file
+  useEffect(() => {
+    if (visible && inspection) {
+      setMapping(inspection.mapping);
+      setScales(inspection.scales);
+      setDayFirst(inspection.dayFirst);
+      setExpandedIndex(null);
+    }
+  }, [visible, inspection]);
+
+  if (!inspection) {
+    return null;
+  }
+
+  const hasDate = mapping.includes(GENERIC_COLUMN_TARGETS.DATE);
+
+  const setTarget = (index, target) => {
+    setMapping(current => current.map((value, i) => {
+      if (i === index) {
+        return target;
+      }
+      // Only one column can hold the date or the time
+      const unique = target === GENERIC_COLUMN_TARGETS.DATE || target === GENERIC_COLUMN_TARGETS.TIME;
+      return unique && value === target ? GENERIC_COLUMN_TARGETS.IGNORE : value;
+    }));
+    setExpandedIndex(null);
+  };
+
+  const setScale = (metric, changes) => {
+    setScales(current => ({ ...current, [metric]: { ...current[metric], ...changes } }));
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            <TouchableOpacity
+              onPress={() => onConfirm({ mapping, scales, dayFirst })}
+              disabled={!hasDate}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[
+                styles.headerButton,
+                styles.confirmButton,
+                { color: hasDate ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
+              ]}>
+                {texts.continue}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={[styles.detail, { color: theme.colors.secondaryLabel }]}>
+              {hasDate ? texts.description : texts.needsDate}
+            </Text>
+
+            {inspection.columns.map(column => {
+              const target = mapping[column.index] || GENERIC_COLUMN_TARGETS.IGNORE;
+              const expanded = expandedIndex === column.index;
+
+              return (
+                <View key={column.index} style={[styles.column, { borderBottomColor: theme.colors.separator }]}>
+                  <TouchableOpacity
+                    style={styles.columnHeader}
+                    onPress={() => setExpandedIndex(expanded ? null : column.index)}
+                  >
+                    <View style={styles.columnInfo}>
+                      <Text style={[styles.columnName, { color: theme.colors.label }]} numberOfLines={1}>
+                        {column.header || texts.unnamedColumn(column.index + 1)}
+                      </Text>
+                      {column.sample ? (
+                        <Text style={[styles.columnSample, { color: theme.colors.secondaryLabel }]} numberOfLines={1}>
+                          {texts.sample(column.sample)}
+                        </Text>
+                      ) : null}
+                    </View>
+                    <Text style={[
+                      styles.columnTarget,
+                      { color: target === GENERIC_COLUMN_TARGETS.IGNORE ? theme.colors.secondaryLabel : theme.colors.systemBlue },
+                    ]}>
+                      {texts.targets[target]}
+                    </Text>
+                  </TouchableOpacity>
+
+                  {expanded && (
+                    <View style={styles.chips}>
+                      {TARGET_ORDER.map(option => (
+                        <Chip
+                          key={option}
+                          label={texts.targets[option]}
+                          active={option === target}
+                          onPress={() => setTarget(column.index, option)}
+                          theme={theme}
+                        />
+                      ))}
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+
+            {METRICS.filter(metric => usesMetric(mapping, metric)).map(metric => (
+              <View key={metric}>
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.scaleTitle[metric]}</Text>
+                <View style={styles.chips}>
+                  {SCALE_PRESETS.map(preset => (
+                    <Chip
+                      key={`${preset.min}-${preset.max}`}
+                      label={texts.scaleLabel(preset)}
+                      active={scales[metric]?.min === preset.min && scales[metric]?.max === preset.max}
+                      onPress={() => setScale(metric, preset)}
+                      theme={theme}
+                    />
+                  ))}
+                </View>
+                <View style={styles.switchRow}>
+                  <Text style={[styles.switchLabel, { color: theme.colors.label }]}>{texts.invert[metric]}</Text>
+                  <Switch
+                    value={!!scales[metric]?.invert}
+                    onValueChange={(value) => setScale(metric, { invert: value })}
+                  />
+                </View>
+              </View>
+            ))}
+
+            {hasDate && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.dateOrderTitle}</Text>
+                <View style={styles.chips}>
+                  <Chip label={texts.dayFirst} active={dayFirst} onPress={() => setDayFirst(true)} theme={theme} />
+                  <Chip label={texts.monthFirst} active={!dayFirst} onPress={() => setDayFirst(false)} theme={theme} />
+                </View>
+              </>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  detail: {
+    fontSize: 15,
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+
+  column: {
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  columnHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  columnInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+
+  columnName: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+
+  columnSample: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+
+  columnTarget: {
+    fontSize: 15,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 10,
+  },
+
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 16,
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+
+  switchLabel: {
+    flex: 1,
+    fontSize: 15,
+    marginRight: 12,
+  },
+});
@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { profile, common } from '../../config/texts';
+import {
+  MAX_METRIC_NAME_LENGTH,
+  MAX_SCALE_STEPS,
+  METRIC_FREQUENCIES,
+  METRIC_PRESETS,
+  METRIC_TYPES,
+  createMetricId,
+  normalizeMetric,
+  validateMetric,
+} from '../../utils/customMetrics';
+
+// Add or edit a custom metric definition
+// Type and frequency are fixed once a metric exists, so logged values keep their meaning.
+
+const texts = profile.customMetricsSection.editor;
+const TYPES = Object.values(METRIC_TYPES);
+const FREQUENCIES = Object.values(METRIC_FREQUENCIES);
+
+const EMPTY_FORM = {
+  name: '',
+  type: METRIC_TYPES.SCALE,
+  frequency: METRIC_FREQUENCIES.PERIOD,
+  min: '1',
+  max: '10',
+  unit: '',
+};
+
+const toForm = (metric) => ({
+  name: metric.name,
+  type: metric.type,
+  frequency: metric.frequency,
+  min: metric.min !== null ? String(metric.min) : '',
+  max: metric.max !== null ? String(metric.max) : '',
+  unit: metric.unit || '',
+});
+
+const Chip = ({ label, active, disabled, onPress, theme }) => (
+  <TouchableOpacity
+    style={[
+      styles.chip,
+      {
+        backgroundColor: active ? theme.colors.systemBlue : theme.colors.secondaryBackground,
+        borderColor: active ? theme.colors.systemBlue : theme.colors.separator,
+      },
+      disabled && !active && styles.disabledChip,
+    ]}
+    onPress={onPress}
+    disabled={disabled}
+  >
+    <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.colors.label }]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+/**
+ * @param {Object|null} metric - The definition to edit, or null to add one
+ * @param {Array} metrics - All saved definitions
+ * @param {Function} onSave - Gets the normalized definition, with an id for new metrics
+ */
+export const CustomMetricModal = ({ visible, metric, metrics = [], onSave, onCancel, theme }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const isNew = !metric;
+
+  useEffect(() => {
+    if (visible) {
+      setForm(metric ? toForm(metric) : EMPTY_FORM);
+      setError(null);
+    }
+  }, [visible, metric]);
+
+  const update = (changes) => {
+    setForm(current => ({ ...current, ...changes }));
+    setError(null);
+  };
+
+  const applyPreset = (preset) => {
+    update(toForm({ ...preset, name: texts.presets[preset.key] }));
+  };
+
+  // Switching type starts from that type's usual range
+  const changeType = (type) => {
+    const defaults = normalizeMetric({ type });
+    update({
+      type,
+      min: defaults.min !== null ? String(defaults.min) : '',
+      max: defaults.max !== null ? String(defaults.max) : '',
+    });
+  };
+
+  const handleSave = () => {
+    const others = metrics.filter(other => other.id !== metric?.id);
+    const definition = normalizeMetric({
+      ...form,
+      id: metric ? metric.id : createMetricId(form.name, metrics.map(other => other.id)),
+    });
+
+    const errorKey = validateMetric(definition, others);
+    if (errorKey) {
+      const messages = {
+        ...texts.errors,
+        nameTooLong: texts.errors.nameTooLong(MAX_METRIC_NAME_LENGTH),
+        invalidScale: texts.errors.invalidScale(MAX_SCALE_STEPS),
+      };
+      setError(messages[errorKey]);
+      return;
+    }
+    onSave(definition);
+  };
+
+  const canSave = form.name.trim().length > 0;
+  const hasRange = form.type !== METRIC_TYPES.BOOLEAN;
+
+  const inputStyle = [styles.input, {
+    color: theme.colors.label,
+    backgroundColor: theme.colors.secondaryBackground,
+    borderColor: theme.colors.separator,
+  }];
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>
+              {isNew ? texts.newTitle : texts.editTitle}
+            </Text>
+            <TouchableOpacity
+              onPress={handleSave}
+              disabled={!canSave}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[
+                styles.headerButton,
+                styles.confirmButton,
+                { color: canSave ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
+              ]}>
+                {texts.save}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {isNew && (
+              <>
+                <Text style={[styles.label, styles.firstLabel, { color: theme.colors.label }]}>{texts.presetsTitle}</Text>
+                <View style={styles.chips}>
+                  {METRIC_PRESETS.map(preset => (
+                    <Chip
+                      key={preset.key}
+                      label={texts.presets[preset.key]}
+                      active={form.name === texts.presets[preset.key]}
+                      onPress={() => applyPreset(preset)}
+                      theme={theme}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={[styles.label, !isNew && styles.firstLabel, { color: theme.colors.label }]}>{texts.name}</Text>
+            <TextInput
+              style={inputStyle}
+              value={form.name}
+              onChangeText={(name) => update({ name })}
+              placeholder={texts.namePlaceholder}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              maxLength={MAX_METRIC_NAME_LENGTH}
+            />
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.type}</Text>
+            <View style={styles.chips}>
+              {TYPES.map(type => (
+                <Chip
+                  key={type}
+                  label={profile.customMetricsSection.types[type]}
+                  active={form.type === type}
+                  disabled={!isNew}
+                  onPress={() => changeType(type)}
+                  theme={theme}
+                />
+              ))}
+            </View>
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.typeHints[form.type]}</Text>
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.frequency}</Text>
+            <View style={styles.chips}>
+              {FREQUENCIES.map(frequency => (
+                <Chip
+                  key={frequency}
+                  label={profile.customMetricsSection.frequencies[frequency]}
+                  active={form.frequency === frequency}
+                  disabled={!isNew}
+                  onPress={() => update({ frequency })}
+                  theme={theme}
+                />
+              ))}
+            </View>
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>
+              {isNew ? texts.frequencyHints[form.frequency] : texts.fixedAfterCreate}
+            </Text>
+
+            {hasRange && (
+              <>
+                <Text style={[styles.label, { color: theme.colors.label }]}>{texts.range}</Text>
+                <View style={styles.rangeRow}>
+                  <TextInput
+                    style={[inputStyle, styles.rangeInput]}
+                    value={form.min}
+                    onChangeText={(min) => update({ min })}
+                    placeholder={texts.min}
+                    placeholderTextColor={theme.colors.tertiaryLabel}
+                    keyboardType="numbers-and-punctuation"
+                  />
+                  <Text style={[styles.rangeSeparator, { color: theme.colors.secondaryLabel }]}>–</Text>
+                  <TextInput
+                    style={[inputStyle, styles.rangeInput]}
+                    value={form.max}
+                    onChangeText={(max) => update({ max })}
+                    placeholder={form.type === METRIC_TYPES.SCALE ? texts.max : texts.noLimit}
+                    placeholderTextColor={theme.colors.tertiaryLabel}
+                    keyboardType="numbers-and-punctuation"
+                  />
+                </View>
+                {form.type === METRIC_TYPES.DURATION && (
+                  <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.durationRangeHint}</Text>
+                )}
+              </>
+            )}
+
+            {form.type === METRIC_TYPES.NUMBER && (
+              <>
+                <Text style={[styles.label, { color: theme.colors.label }]}>{texts.unit}</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={form.unit}
+                  onChangeText={(unit) => update({ unit })}
+                  placeholder={texts.unitPlaceholder}
+                  placeholderTextColor={theme.colors.tertiaryLabel}
+                  autoCapitalize="none"
+                  maxLength={12}
+                />
+              </>
+            )}
+
+            {error && (
+              <Text style={[styles.hint, { color: theme.colors.systemRed }]}>{error}</Text>
+            )}
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+
+  firstLabel: {
+    marginTop: 0,
+  },
+
+  input: {
+    fontSize: 17,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+
+  disabledChip: {
+    opacity: 0.4,
+  },
+
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+
+  rangeInput: {
+    flex: 1,
+  },
+
+  rangeSeparator: {
+    fontSize: 17,
+  },
+
+  hint: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+});
@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { profile, entry as entryTexts, common } from '../../config/texts';
+import { formatDisplayDateWithYear } from '../../utils/helpers';
+import { formatFieldValue } from '../../utils/entryDiff';
+import {
+  CONFLICT_STRATEGIES,
+  DEFAULT_CONFLICT_STRATEGY,
+  resolveConflict,
+} from '../../utils/importConflicts';
+
+// Import preview: counts, a default strategy for days that already exist,
+// and a field-by-field diff per conflicting day with an optional per-day override
+
+const texts = profile.importSection.preview;
+const STRATEGY_ORDER = [
+  CONFLICT_STRATEGIES.KEEP_IMPORTED,
+  CONFLICT_STRATEGIES.KEEP_EXISTING,
+  CONFLICT_STRATEGIES.NEWEST,
+  CONFLICT_STRATEGIES.FILL_EMPTY,
+];
+
+const MAX_REJECTED_SHOWN = 50;
+
+const formatValue = (value) => formatFieldValue(value, entryTexts.history.emptyValue, 30);
+
+const formatRejection = ({ reason, field, value }) => {
+  const describe = texts.rejectedReasons[reason];
+  const fieldLabel = field ? entryTexts.history.fieldLabel(field) : null;
+  return describe ? describe(fieldLabel, formatValue(value)) : reason;
+};
+
+const StrategyChips = ({ selected, onSelect, theme, compact = false }) => (
+  <View style={styles.chips}>
+    {STRATEGY_ORDER.map(strategy => {
+      const active = strategy === selected;
+      return (
+        <TouchableOpacity
+          key={strategy}
+          style={[
+            styles.chip,
+            compact && styles.chipCompact,
+            {
+              backgroundColor: active ? theme.colors.systemBlue : theme.colors.secondaryBackground,
+              borderColor: active ? theme.colors.systemBlue : theme.colors.separator,
+            },
+          ]}
+          onPress={() => onSelect(strategy)}
+        >
+          <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.colors.label }]}>
+            {texts.strategies[strategy]}
+          </Text>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
+export const ImportPreviewModal = ({ visible, preview, existingCount, onConfirm, onCancel, theme }) => {
+  const [strategy, setStrategy] = useState(DEFAULT_CONFLICT_STRATEGY);
+  const [overrides, setOverrides] = useState({});
+  const [expandedDate, setExpandedDate] = useState(null);
+
+  // Start from a clean slate for every file
+  useEffect(() => {
+    if (visible) {
+      setStrategy(DEFAULT_CONFLICT_STRATEGY);
+      setOverrides({});
+      setExpandedDate(null);
+    }
+  }, [visible, preview]);
+
+  if (!preview) {
+    return null;
+  }
+
+  const conflicts = preview.conflicts || [];
+  const rejectedRows = preview.rejectedRows || [];
+  const canImport = preview.importedCount > 0;
+
+  const setOverride = (date, value) => {
+    setOverrides(current => {
+      const next = { ...current };
+      if (value === strategy) {
+        delete next[date];
+      } else {
+        next[date] = value;
+      }
+      return next;
+    });
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            <TouchableOpacity
+              onPress={() => onConfirm({ strategy, overrides })}
+              disabled={!canImport}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[
+                styles.headerButton,
+                styles.confirmButton,
+                { color: canImport ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
+              ]}>
+                {texts.confirm}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={[styles.summary, { color: theme.colors.label }]}>
+              {texts.summary(preview.importedCount)}
+            </Text>
+            <Text style={[styles.detail, { color: theme.colors.secondaryLabel }]}>
+              {texts.counts(preview.newCount, conflicts.length, preview.unchangedCount)}
+            </Text>
+            <Text style={[styles.detail, { color: theme.colors.secondaryLabel }]}>
+              {canImport ? texts.existing(existingCount) : texts.nothingToImport}
+            </Text>
+            {texts.fromSource[preview.source] && (
+              <Text style={[styles.detail, { color: theme.colors.secondaryLabel }]}>
+                {texts.fromSource[preview.source]}
+              </Text>
+            )}
+
+            {conflicts.length > 0 && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.strategyTitle}</Text>
+                <StrategyChips selected={strategy} onSelect={setStrategy} theme={theme} />
+                <Text style={[styles.detail, { color: theme.colors.secondaryLabel }]}>
+                  {texts.strategyDescriptions[strategy]}
+                </Text>
+
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>
+                  {texts.conflictsTitle(conflicts.length)}
+                </Text>
+
+                {conflicts.map(conflict => {
+                  const dayStrategy = overrides[conflict.date] || strategy;
+                  const resolved = resolveConflict(conflict.existing, conflict.imported, dayStrategy);
+                  const expanded = expandedDate === conflict.date;
+
+                  return (
+                    <View
+                      key={conflict.date}
+                      style={[styles.conflict, { borderBottomColor: theme.colors.separator }]}
+                    >
+                      <TouchableOpacity
+                        style={styles.conflictHeader}
+                        onPress={() => setExpandedDate(expanded ? null : conflict.date)}
+                      >
+                        <Text style={[styles.conflictDate, { color: theme.colors.label }]}>
+                          {formatDisplayDateWithYear(conflict.date)}
+                        </Text>
+                        <Text style={[styles.conflictOutcome, { color: theme.colors.secondaryLabel }]}>
+                          {resolved === conflict.existing ? texts.outcomeExisting : texts.outcomeUpdated}
+                          {overrides[conflict.date] ? ` · ${texts.overridden}` : ''}
+                        </Text>
+                      </TouchableOpacity>
+
+                      {expanded && (
+                        <>
+                          {conflict.changes.map(change => (
+                            <View key={change.field} style={styles.changeRow}>
+                              <Text style={[styles.fieldLabel, { color: theme.colors.secondaryLabel }]}>
+                                {entryTexts.history.fieldLabel(change.field)}
+                              </Text>
+                              <Text style={[styles.values, { color: theme.colors.label }]}>
+                                {texts.existingValue} {formatValue(change.before)}
+                                {'  →  '}
+                                {texts.importedValue} {formatValue(change.after)}
+                              </Text>
+                            </View>
+                          ))}
+                          <StrategyChips
+                            selected={dayStrategy}
+                            onSelect={(value) => setOverride(conflict.date, value)}
+                            theme={theme}
+                            compact={true}
+                          />
+                        </>
+                      )}
+                    </View>
+                  );
+                })}
+              </>
+            )}
+
+            {rejectedRows.length > 0 && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>
+                  {texts.rejectedTitle(rejectedRows.length)}
+                </Text>
+                {rejectedRows.slice(0, MAX_REJECTED_SHOWN).map(row => (
+                  <View
+                    key={`${row.line ?? row.item}-${row.reason}`}
+                    style={[styles.rejectedRow, { borderBottomColor: theme.colors.separator }]}
+                  >
+                    <Text style={[styles.rejectedLine, { color: theme.colors.secondaryLabel }]}>
+                      {row.item ? texts.rejectedItem(row.item) : texts.rejectedLine(row.line)}
+                    </Text>
+                    <Text style={[styles.rejectedReason, { color: theme.colors.label }]}>
+                      {formatRejection(row)}
+                    </Text>
+                  </View>
+                ))}
+                {rejectedRows.length > MAX_REJECTED_SHOWN && (
+                  <Text style={[styles.detail, { color: theme.colors.secondaryLabel }]}>
+                    {texts.rejectedMore(rejectedRows.length - MAX_REJECTED_SHOWN)}
+                  </Text>
+                )}
+              </>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  summary: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+
+  detail: {
+    fontSize: 15,
+    lineHeight: 20,
+    marginBottom: 4,
+  },
+
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+
+  chipCompact: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  conflict: {
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  conflictHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  conflictDate: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+
+  conflictOutcome: {
+    fontSize: 14,
+  },
+
+  changeRow: {
+    paddingVertical: 4,
+  },
+
+  fieldLabel: {
+    fontSize: 13,
+  },
+
+  values: {
+    fontSize: 15,
+  },
+
+  rejectedRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  rejectedLine: {
+    width: 72,
+    fontSize: 14,
+  },
+
+  rejectedReason: {
+    flex: 1,
+    fontSize: 14,
+  },
+});
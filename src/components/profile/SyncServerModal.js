@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { profile, common } from '../../config/texts';
+
+// Address and access token of a sync server, with a connection test
+// `onTest` gets the entered settings and resolves with { devices } or rejects with a
+// readable error.
+
+const texts = profile.syncSection.settings;
+
+export const SyncServerModal = ({ visible, initialSettings, onSave, onTest, onCancel, theme }) => {
+  const [settings, setSettings] = useState(initialSettings);
+  const [testing, setTesting] = useState(false);
+  // { ok, message } after a connection test
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setSettings(initialSettings);
+      setTestResult(null);
+    }
+  }, [visible, initialSettings]);
+
+  const update = (changes) => {
+    setSettings(current => ({ ...current, ...changes }));
+    setTestResult(null);
+  };
+
+  const handleTest = async () => {
+    try {
+      setTesting(true);
+      const { devices } = await onTest(settings);
+      setTestResult({ ok: true, message: texts.testSuccess(devices) });
+    } catch (error) {
+      setTestResult({ ok: false, message: error.message });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const canSave = !!settings?.serverUrl?.trim() && !!settings?.token?.trim();
+
+  const inputStyle = [styles.input, {
+    color: theme.colors.label,
+    backgroundColor: theme.colors.secondaryBackground,
+    borderColor: theme.colors.separator,
+  }];
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            <TouchableOpacity
+              onPress={() => onSave({ ...settings, serverUrl: settings.serverUrl.trim(), token: settings.token.trim() })}
+              disabled={!canSave}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[
+                styles.headerButton,
+                styles.confirmButton,
+                { color: canSave ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
+              ]}>
+                {texts.save}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.description}</Text>
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.url}</Text>
+            <TextInput
+              style={inputStyle}
+              value={settings.serverUrl}
+              onChangeText={(serverUrl) => update({ serverUrl })}
+              placeholder={texts.urlPlaceholder}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              keyboardType="url"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.token}</Text>
+            <TextInput
+              style={inputStyle}
+              value={settings.token}
+              onChangeText={(token) => update({ token })}
+              placeholder={texts.tokenPlaceholder}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              secureTextEntry={true}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <TouchableOpacity
+              style={[styles.testButton, { borderColor: theme.colors.systemBlue }]}
+              onPress={handleTest}
+              disabled={!canSave || testing}
+            >
+              {testing ? (
+                <ActivityIndicator color={theme.colors.systemBlue} />
+              ) : (
+                <Text style={[styles.testButtonText, { color: canSave ? theme.colors.systemBlue : theme.colors.tertiaryLabel }]}>
+                  {texts.test}
+                </Text>
+              )}
+            </TouchableOpacity>
+
+            {testResult && (
+              <Text style={[
+                styles.hint,
+                { color: testResult.ok ? theme.colors.systemGreen : theme.colors.systemRed },
+              ]}>
+                {testResult.message}
+              </Text>
+            )}
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+
+  input: {
+    fontSize: 17,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+
+  hint: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+
+  testButton: {
+    marginTop: 24,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 44,
+  },
+
+  testButtonText: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+});
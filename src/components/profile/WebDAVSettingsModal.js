@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { profile, common } from '../../config/texts';
+
+// Server address, credentials and folder for WebDAV backups, with a connection test
+// `onTest` gets the entered settings and resolves with { folderExists } or rejects with
+// a readable error.
+
+const texts = profile.webdavSection.settings;
+
+export const WebDAVSettingsModal = ({ visible, initialSettings, onSave, onTest, onCancel, theme }) => {
+  const [settings, setSettings] = useState(initialSettings);
+  const [testing, setTesting] = useState(false);
+  // { ok, message } after a connection test
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setSettings(initialSettings);
+      setTestResult(null);
+    }
+  }, [visible, initialSettings]);
+
+  const update = (changes) => {
+    setSettings(current => ({ ...current, ...changes }));
+    setTestResult(null);
+  };
+
+  const handleTest = async () => {
+    try {
+      setTesting(true);
+      const { folderExists } = await onTest(settings);
+      setTestResult({ ok: true, message: folderExists ? texts.testSuccess : texts.testSuccessNoFolder });
+    } catch (error) {
+      setTestResult({ ok: false, message: error.message });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const canSave = !!settings?.url?.trim();
+
+  const inputStyle = [styles.input, {
+    color: theme.colors.label,
+    backgroundColor: theme.colors.secondaryBackground,
+    borderColor: theme.colors.separator,
+  }];
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            <TouchableOpacity
+              onPress={() => onSave({ ...settings, url: settings.url.trim(), folder: settings.folder.trim() })}
+              disabled={!canSave}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={[
+                styles.headerButton,
+                styles.confirmButton,
+                { color: canSave ? theme.colors.systemBlue : theme.colors.tertiaryLabel },
+              ]}>
+                {texts.save}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.description}</Text>
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.url}</Text>
+            <TextInput
+              style={inputStyle}
+              value={settings.url}
+              onChangeText={(url) => update({ url })}
+              placeholder={texts.urlPlaceholder}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              keyboardType="url"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.username}</Text>
+            <TextInput
+              style={inputStyle}
+              value={settings.username}
+              onChangeText={(username) => update({ username })}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="username"
+            />
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.password}</Text>
+            <TextInput
+              style={inputStyle}
+              value={settings.password}
+              onChangeText={(password) => update({ password })}
+              placeholder={texts.passwordPlaceholder}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              secureTextEntry={true}
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="password"
+            />
+
+            <Text style={[styles.label, { color: theme.colors.label }]}>{texts.folder}</Text>
+            <TextInput
+              style={inputStyle}
+              value={settings.folder}
+              onChangeText={(folder) => update({ folder })}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <View style={[styles.switchRow, { borderBottomColor: theme.colors.separator }]}>
+              <Text style={[styles.switchLabel, { color: theme.colors.label }]}>{texts.uploadAutoBackups}</Text>
+              <Switch
+                value={settings.uploadAutoBackups}
+                onValueChange={(uploadAutoBackups) => update({ uploadAutoBackups })}
+              />
+            </View>
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.uploadAutoBackupsHint}</Text>
+
+            <TouchableOpacity
+              style={[styles.testButton, { borderColor: theme.colors.systemBlue }]}
+              onPress={handleTest}
+              disabled={!canSave || testing}
+            >
+              {testing ? (
+                <ActivityIndicator color={theme.colors.systemBlue} />
+              ) : (
+                <Text style={[styles.testButtonText, { color: canSave ? theme.colors.systemBlue : theme.colors.tertiaryLabel }]}>
+                  {texts.test}
+                </Text>
+              )}
+            </TouchableOpacity>
+
+            {testResult && (
+              <Text style={[
+                styles.hint,
+                { color: testResult.ok ? theme.colors.systemGreen : theme.colors.systemRed },
+              ]}>
+                {testResult.message}
+              </Text>
+            )}
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+
+  input: {
+    fontSize: 17,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+
+  hint: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginTop: 16,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  switchLabel: {
+    flex: 1,
+    fontSize: 15,
+    marginRight: 12,
+  },
+
+  testButton: {
+    marginTop: 24,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 44,
+  },
+
+  testButtonText: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  Pressable,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { passphraseModal as texts, common } from '../../config/texts';
+import { MIN_PASSPHRASE_LENGTH } from '../../utils/encryption';
+
+// Cross-platform passphrase prompt (Alert.prompt is iOS only)
+// With `requireConfirmation` the passphrase has to be typed twice, for encrypting.
+
+export const PassphraseModal = ({
+  visible,
+  title,
+  message,
+  requireConfirmation = false,
+  onSubmit,
+  onCancel,
+  theme,
+}) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+
+  // Never keep a passphrase around between prompts
+  useEffect(() => {
+    if (!visible) {
+      setPassphrase('');
+      setConfirmation('');
+      setError(null);
+    }
+  }, [visible]);
+
+  const handleSubmit = () => {
+    if (requireConfirmation && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(texts.tooShort(MIN_PASSPHRASE_LENGTH));
+      return;
+    }
+    if (requireConfirmation && passphrase !== confirmation) {
+      setError(texts.mismatch);
+      return;
+    }
+    if (!passphrase) {
+      setError(texts.required);
+      return;
+    }
+    onSubmit(passphrase);
+  };
+
+  const inputStyle = [styles.input, {
+    color: theme.colors.label,
+    backgroundColor: theme.colors.secondaryBackground,
+    borderColor: theme.colors.separator,
+  }];
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <Pressable style={styles.overlay} onPress={onCancel}>
+          <Pressable
+            style={[styles.content, { backgroundColor: theme.colors.primaryBackground }]}
+            onPress={(e) => e.stopPropagation()}
+          >
+            <Text style={[styles.title, { color: theme.colors.label }]}>{title}</Text>
+            {message ? (
+              <Text style={[styles.message, { color: theme.colors.secondaryLabel }]}>{message}</Text>
+            ) : null}
+
+            <TextInput
+              style={inputStyle}
+              value={passphrase}
+              onChangeText={(text) => { setPassphrase(text); setError(null); }}
+              placeholder={texts.placeholder}
+              placeholderTextColor={theme.colors.tertiaryLabel}
+              secureTextEntry={true}
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoFocus={true}
+              onSubmitEditing={requireConfirmation ? undefined : handleSubmit}
+            />
+            {requireConfirmation && (
+              <TextInput
+                style={inputStyle}
+                value={confirmation}
+                onChangeText={(text) => { setConfirmation(text); setError(null); }}
+                placeholder={texts.confirmPlaceholder}
+                placeholderTextColor={theme.colors.tertiaryLabel}
+                secureTextEntry={true}
+                autoCapitalize="none"
+                autoCorrect={false}
+                onSubmitEditing={handleSubmit}
+              />
+            )}
+
+            {error && (
+              <Text style={[styles.error, { color: theme.colors.systemRed }]}>{error}</Text>
+            )}
+
+            <View style={styles.buttons}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton, {
+                  borderColor: theme.colors.separator,
+                  backgroundColor: theme.colors.secondaryBackground,
+                }]}
+                onPress={onCancel}
+              >
+                <Text style={[styles.buttonText, { color: theme.colors.label }]}>{common.cancel}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: theme.colors.systemBlue }]}
+                onPress={handleSubmit}
+              >
+                <Text style={[styles.buttonText, { color: '#FFFFFF' }]}>{texts.submit}</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  content: {
+    width: '100%',
+    maxWidth: 400,
+    borderRadius: 16,
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    lineHeight: 25,
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 15,
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  input: {
+    fontSize: 17,
+    borderWidth: StyleSheet.hairlineWidth,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 8,
+  },
+  error: {
+    fontSize: 15,
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 8,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButton: {
+    borderWidth: 1,
+  },
+  buttonText: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+});
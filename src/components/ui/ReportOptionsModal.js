@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { reportModal as texts, common } from '../../config/texts';
+import { getDaysAgo, getTodayString } from '../../utils/helpers';
+import { DatePicker } from './DatePicker';
+
+// Options for the shareable HTML report: which days, and whether free text is left out
+// With `fixedRange` ({ start, end }) the range is given by the caller, e.g. the weekly summary.
+
+const RANGES = ['last7', 'last30', 'last90', 'custom'];
+
+const rangeDates = (range, custom) => {
+  switch (range) {
+    case 'last7':
+      return { startDate: getDaysAgo(6), endDate: getTodayString() };
+    case 'last90':
+      return { startDate: getDaysAgo(89), endDate: getTodayString() };
+    case 'custom':
+      return custom;
+    default:
+      return { startDate: getDaysAgo(29), endDate: getTodayString() };
+  }
+};
+
+const Chip = ({ label, active, onPress, theme }) => (
+  <TouchableOpacity
+    style={[
+      styles.chip,
+      {
+        backgroundColor: active ? theme.colors.systemBlue : theme.colors.secondaryBackground,
+        borderColor: active ? theme.colors.systemBlue : theme.colors.separator,
+      },
+    ]}
+    onPress={onPress}
+  >
+    <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.colors.label }]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+export const ReportOptionsModal = ({ visible, fixedRange = null, busy = false, onShare, onCancel, theme }) => {
+  const [range, setRange] = useState('last30');
+  const [custom, setCustom] = useState({ startDate: getDaysAgo(29), endDate: getTodayString() });
+  const [redact, setRedact] = useState(false);
+
+  // Free text stays in only when asked for again
+  useEffect(() => {
+    if (visible) {
+      setRedact(false);
+    }
+  }, [visible]);
+
+  const dates = fixedRange
+    ? { startDate: fixedRange.start, endDate: fixedRange.end }
+    : rangeDates(range, custom);
+  const invalid = dates.startDate > dates.endDate;
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={[styles.sheet, { backgroundColor: theme.colors.primaryBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.colors.separator }]}>
+            <TouchableOpacity onPress={onCancel} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Text style={[styles.headerButton, { color: theme.colors.label }]}>{common.cancel}</Text>
+            </TouchableOpacity>
+            <Text style={[styles.title, { color: theme.colors.label }]}>{texts.title}</Text>
+            {busy ? (
+              <ActivityIndicator color={theme.colors.systemBlue} />
+            ) : (
+              <TouchableOpacity
+                onPress={() => onShare({ ...dates, redact })}
+                disabled={invalid}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              >
+                <Text style={[
+                  styles.headerButton,
+                  styles.confirmButton,
+                  { color: invalid ? theme.colors.tertiaryLabel : theme.colors.systemBlue },
+                ]}>
+                  {texts.share}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.description}</Text>
+
+            {!fixedRange && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.rangeTitle}</Text>
+                <View style={styles.chips}>
+                  {RANGES.map(option => (
+                    <Chip
+                      key={option}
+                      label={texts.ranges[option]}
+                      active={range === option}
+                      onPress={() => setRange(option)}
+                      theme={theme}
+                    />
+                  ))}
+                </View>
+                {range === 'custom' && (
+                  <View style={styles.customRange}>
+                    <Text style={[styles.rangeLabel, { color: theme.colors.secondaryLabel }]}>{texts.from}</Text>
+                    <DatePicker
+                      selectedDate={custom.startDate}
+                      onDateChange={(date) => setCustom(current => ({ ...current, startDate: date }))}
+                      theme={theme}
+                    />
+                    <Text style={[styles.rangeLabel, { color: theme.colors.secondaryLabel }]}>{texts.to}</Text>
+                    <DatePicker
+                      selectedDate={custom.endDate}
+                      onDateChange={(date) => setCustom(current => ({ ...current, endDate: date }))}
+                      theme={theme}
+                    />
+                  </View>
+                )}
+                {invalid && (
+                  <Text style={[styles.hint, { color: theme.colors.systemRed }]}>{texts.invalidRange}</Text>
+                )}
+              </>
+            )}
+
+            <View style={[styles.switchRow, { borderBottomColor: theme.colors.separator }]}>
+              <Text style={[styles.switchLabel, { color: theme.colors.label }]}>{texts.redactTitle}</Text>
+              <Switch value={redact} onValueChange={setRedact} />
+            </View>
+            <Text style={[styles.hint, { color: theme.colors.secondaryLabel }]}>{texts.redactHint}</Text>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+
+  sheet: {
+    maxHeight: '90%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  title: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+
+  headerButton: {
+    fontSize: 17,
+  },
+
+  confirmButton: {
+    fontWeight: '600',
+  },
+
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  customRange: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+
+  rangeLabel: {
+    fontSize: 15,
+  },
+
+  hint: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginTop: 16,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  switchLabel: {
+    flex: 1,
+    fontSize: 15,
+    marginRight: 12,
+  },
+});
@@ -138,7 +138,7 @@ export const texts = {
         section: 'Analysis of your energy and stress patterns from the last 7 days.',
         bestDay: 'The day with your highest average energy score from the last 7 days.',
         challengingDay: 'The day with your highest average stress score from the last 7 days.',
-        peakEnergy: 'The time period (Morning/Afternoon/Evening) where you typically have the most energy, based on your average scores across the last 7 days.',
+        peakEnergy: 'The check-in period where you typically have the most energy, based on your average scores across the last 7 days.',
       },
     },
 
@@ -234,6 +234,104 @@ export const texts = {
       errorTitle: 'Analysis unavailable',
       errorSubtitle: 'Please try again later',
     },
+
+    // Imported day context (see utils/dayContext)
+    contextMetrics: {
+      sleep: 'Sleep duration',
+      steps: 'Step count',
+      restingHeartRate: 'Resting heart rate',
+      hrv: 'Heart rate variability',
+      wearableHrv: 'Overnight HRV',
+      readiness: 'Readiness',
+      sleepScore: 'Sleep score',
+    },
+
+    // Health data vs energy and stress
+    contextCorrelation: {
+      title: 'Sleep & Body',
+      description: 'How your imported health data lines up with the energy and stress you logged on the same day. Sleep counts toward the morning after it.',
+      noFinding: 'No clear relationship yet',
+      targets: {
+        periodEnergy: (period) => `${period} energy`,
+        energy: 'Energy',
+        stress: 'Stress',
+      },
+      strengths: {
+        strong: 'Strong',
+        moderate: 'Moderate',
+        weak: 'Weak',
+      },
+      finding: (metric, target, higher) => `When ${metric.toLowerCase()} is higher, ${target.toLowerCase()} tends to be ${higher ? 'higher' : 'lower'}.`,
+      metricSummary: (average, days) => `Average ${average} · ${days} day${days !== 1 ? 's' : ''}`,
+      notEnoughDays: (days, minimum) => `${days} of ${minimum} days needed`,
+      caveat: 'A correlation shows what tends to happen together, not what causes what. It gets more reliable with every day you log.',
+    },
+
+    // Wearable readiness vs logged morning energy
+    wearableComparison: {
+      title: 'Readiness vs Morning Energy',
+      description: 'Your wearable\'s readiness score next to the morning energy you logged that day. Readiness is divided by 10 so both fit the same scale.',
+      subtitle: (days) => `${days} morning${days !== 1 ? 's' : ''} compared`,
+      notEnoughDays: (days, minimum) => `${days} of ${minimum} mornings with both needed`,
+      legendEnergy: 'Morning energy',
+      legendReadiness: 'Readiness ÷ 10',
+      highDays: (median) => `Readiness ${median} or higher`,
+      lowDays: (median) => `Readiness below ${median}`,
+      averageEnergy: 'average morning energy',
+      finding: (strength, positive) => {
+        if (strength === 'weak') {
+          return 'So far your readiness score says little about how energetic you feel in the morning.';
+        }
+        return positive
+          ? `Your readiness score ${strength === 'strong' ? 'closely matches' : 'roughly matches'} how energetic you feel in the morning.`
+          : 'You tend to feel less energetic on mornings with a higher readiness score.';
+      },
+    },
+
+    // Calendar meeting load vs logged stress
+    meetingLoad: {
+      title: 'Meeting Load vs Stress',
+      description: 'The stress you logged next to the meetings in your imported calendar. Meeting minutes count toward the check-in period they fall in.',
+      subtitle: (heavy, heavyStress, light, lightStress) => `Stress ${heavyStress} (${heavy.toLowerCase()}) vs ${lightStress} (${light.toLowerCase()})`,
+      notEnoughDays: (days, minimum) => `${days} of ${minimum} days with meetings and stress needed`,
+      notEnoughPairs: (pairs, minimum) => `${pairs} of ${minimum} needed`,
+      buckets: {
+        none: 'No meetings',
+        light: 'Up to 2 h',
+        medium: '2–4 h',
+        heavy: 'Over 4 h',
+      },
+      bucketPhrases: {
+        none: 'days without meetings',
+        light: 'days with up to 2 hours of meetings',
+        medium: 'days with 2 to 4 hours of meetings',
+        heavy: 'days with over 4 hours of meetings',
+      },
+      bucketDays: (days) => `${days} day${days !== 1 ? 's' : ''}`,
+      finding: (heavy, heavyStress, light, lightStress) => `Your stress averaged ${heavyStress} on ${heavy}, and ${lightStress} on ${light}.`,
+      correlations: {
+        periodMinutes: 'Meeting minutes in a period and stress at that check-in',
+        backToBack: 'Back-to-back meetings and stress that day',
+      },
+    },
+
+    // User-defined metrics vs energy, stress and each other
+    customMetrics: {
+      title: 'Custom Metrics',
+      description: 'Your own metrics over time, and how they line up with energy, stress and each other. Metrics asked at every check-in are compared check-in by check-in.',
+      tracked: (count) => `${count} metric${count !== 1 ? 's' : ''} tracked`,
+      noFinding: 'No clear relationship yet',
+      targets: {
+        energy: 'Energy',
+        stress: 'Stress',
+      },
+      summary: (average, days) => `Average ${average} · ${days} day${days !== 1 ? 's' : ''}`,
+      yesShare: (percent, days) => `Yes on ${percent}% of ${days} day${days !== 1 ? 's' : ''}`,
+      yesDays: 'Yes',
+      noDays: 'No',
+      averageLevels: (energy, stress) => `Energy ${energy} · Stress ${stress}`,
+      notEnoughPairs: (pairs, minimum) => `${pairs} of ${minimum} needed`,
+    },
   },
 
   // Entry Screen
@@ -269,16 +367,79 @@ export const texts = {
       stressPlaceholder: 'e.g., Deadlines, meetings, technical issues, interruptions...',
     },
 
+    // Custom metrics (set up in Profile)
+    metrics: {
+      periodTitle: (period, name) => `${period} ${name}`,
+      subtitles: {
+        scale: (min, max) => `From ${min} to ${max}`,
+        number: (unit) => (unit ? `Amount in ${unit}` : 'Enter a number'),
+        boolean: 'Yes or no',
+        duration: 'Minutes, or hours and minutes like 1:30',
+      },
+      placeholders: {
+        number: 'e.g., 2',
+        duration: 'e.g., 45 or 1:30',
+      },
+      yes: 'Yes',
+      no: 'No',
+      invalidValue: 'Enter a number',
+    },
+
     // Alerts & Messages
     alerts: {
       saveEnergyError: 'Failed to save energy level',
       saveStressError: 'Failed to save stress level',
       saveEnergySourcesError: 'Failed to save energy sources',
       saveStressSourcesError: 'Failed to save stress sources',
+      saveMetricError: (name) => `Failed to save ${name}`,
       loadError: 'Failed to load entry data',
       resetConfirmTitle: 'Reset Day Data',
       resetConfirmMessage: 'This will clear all data for this day. Are you sure?',
       resetError: 'Failed to reset day data',
+      undoError: 'Failed to undo the last change',
+      revertError: 'Failed to restore the previous value',
+    },
+
+    // Revision history & undo
+    history: {
+      title: 'Change History',
+      empty: 'No changes recorded for this day yet.',
+      close: 'Done',
+      revertField: 'Restore',
+      revertAll: 'Restore all',
+      undone: 'Last change undone',
+      reverted: 'Previous value restored',
+      nothingToUndo: 'Nothing to undo',
+      emptyValue: '–',
+      sources: {
+        manual: 'Edited',
+        quick_fill: 'Quick entry from notification',
+        import: 'Imported',
+        reset: 'Day reset',
+        revert: 'Restored',
+        restore: 'Restored from trash',
+        sync: 'Synced from another device',
+      },
+      // `metricNames` maps custom metric ids to their current names
+      fieldLabel: (field, metricNames = {}, periodNames = {}) => {
+        const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+        const periodLabel = (period) => periodNames[period] || capitalize(period.replace(/_/g, ' '));
+        if (field.startsWith('metrics.')) {
+          const [, id, period] = field.split('.');
+          const label = metricNames[id] || capitalize(id.replace(/_/g, ' '));
+          return period ? `${label} · ${periodLabel(period)}` : label;
+        }
+        const [name, period] = field.split('.');
+        const names = {
+          energyLevels: 'Energy',
+          stressLevels: 'Stress',
+          energySources: 'Energy sources',
+          stressSources: 'Stress sources',
+          notes: 'Notes',
+        };
+        const label = names[name] || name;
+        return period ? `${label} · ${periodLabel(period)}` : label;
+      },
     },
 
     // Navigation
@@ -311,6 +472,36 @@ export const texts = {
     },
   },
 
+  // Passphrase Prompt Component
+  passphraseModal: {
+    placeholder: 'Passphrase',
+    confirmPlaceholder: 'Repeat passphrase',
+    submit: 'Continue',
+    required: 'Please enter the passphrase',
+    mismatch: 'The passphrases do not match',
+    tooShort: (min) => `Use at least ${min} characters`,
+  },
+
+  // Options for the shareable HTML report (Profile and Weekly Summary)
+  reportModal: {
+    title: 'Share Report',
+    share: 'Share',
+    description: 'A single web page with your averages, charts and patterns that opens on any device, even offline.',
+    rangeTitle: 'Days',
+    ranges: {
+      last7: 'Last 7 days',
+      last30: 'Last 30 days',
+      last90: 'Last 90 days',
+      custom: 'Custom',
+    },
+    from: 'From',
+    to: 'to',
+    invalidRange: 'The start date is after the end date.',
+    redactTitle: 'Leave out notes and sources',
+    redactHint: 'Only numbers and charts are included; pattern names are replaced with placeholders.',
+    error: 'Report failed',
+  },
+
   // Energy & Stress Level Descriptions
   levels: {
     energy: {
@@ -437,24 +628,355 @@ export const texts = {
       firstEntry: 'First Entry',
       lastEntry: 'Latest Entry',
       noData: 'No entries yet',
+      recoveredTitle: 'Your data was repaired',
+      recoveredMessage: (count) => `Saved entries were damaged and have been restored from the last good snapshot (${count} entr${count !== 1 ? 'ies' : 'y'}). Your most recent change may be missing.`,
+      recoveryFailedTitle: 'Your data could not be repaired',
+      recoveryFailedMessage: 'Saved entries were damaged and no backup could be read. The damaged data has been kept aside instead of being overwritten. Import a backup file to restore your history.',
+      dismissRecovery: 'Dismiss',
+    },
+
+    // Automatic backups kept on this device
+    autoBackupSection: {
+      title: 'Automatic Backups',
+      description: 'Full backups are saved on this device when you open the app, so a bad import or change can be undone. They are removed with the app.',
+      enableToggle: 'Back Up Automatically',
+      frequencyLabel: 'Frequency',
+      frequencyPrompt: 'How often a new backup is saved',
+      frequencies: {
+        daily: 'Daily',
+        weekly: 'Weekly',
+      },
+      keepLabel: 'Keep',
+      keepPrompt: 'Older backups are deleted automatically',
+      keepOption: (count) => `${count} backups`,
+      backupNow: 'Back Up Now',
+      backingUp: 'Backing Up...',
+      backupNowError: 'Failed to create backup',
+      noBackups: 'No automatic backups yet.',
+      itemCreated: (dateLabel, timeLabel) => `${dateLabel} at ${timeLabel}`,
+      itemSize: (size) => (size >= 1024 * 1024
+        ? `${(size / (1024 * 1024)).toFixed(1)} MB`
+        : `${Math.max(1, Math.round(size / 1024))} KB`),
+      restore: 'Restore',
+      delete: 'Delete',
+      restoreConfirmTitle: 'Restore Backup?',
+      restoreConfirmMessage: (label) => `All entries and settings will be replaced with the backup from ${label}. Your current entries are moved to the trash.`,
+      restoreSuccess: 'Backup Restored',
+      restoreSuccessMessage: (count) => `${count} ${count === 1 ? 'entry' : 'entries'} restored.`,
+      restoreError: 'Failed to restore backup',
+      deleteConfirmTitle: 'Delete Backup?',
+      deleteConfirmMessage: 'This backup will be deleted permanently.',
+      deleteError: 'Failed to delete backup',
+    },
+
+    // Backups on a self-hosted WebDAV server (Nextcloud, ownCloud, ...)
+    webdavSection: {
+      title: 'WebDAV Backup',
+      description: 'Keep backups on your own server, such as Nextcloud, instead of only on this device.',
+      notConfigured: 'No server set up.',
+      setUp: 'Set Up Server',
+      edit: 'Edit',
+      remove: 'Remove',
+      server: 'Server',
+      lastUpload: (label) => `Last upload ${label}`,
+      uploadNow: 'Upload Backup Now',
+      uploading: 'Uploading...',
+      uploadSuccess: 'Backup Uploaded',
+      uploadSuccessMessage: (filename) => `Saved as ${filename} on your server.`,
+      uploadError: 'Upload Failed',
+      listError: 'Could not load backups from the server',
+      retry: 'Try Again',
+      showBackups: 'Show Backups on Server',
+      loadingBackups: 'Loading backups...',
+      refresh: 'Refresh',
+      noBackups: 'No backups on the server yet.',
+      restore: 'Restore',
+      delete: 'Delete',
+      restoreConfirmTitle: 'Restore Backup?',
+      restoreConfirmMessage: (filename) => `All entries and settings will be replaced with ${filename} from your server. Your current entries are moved to the trash.`,
+      restoreSuccess: 'Backup Restored',
+      restoreSuccessMessage: (count) => `${count} ${count === 1 ? 'entry' : 'entries'} restored.`,
+      restoreError: 'Failed to restore backup',
+      deleteConfirmTitle: 'Delete Backup?',
+      deleteConfirmMessage: (filename) => `${filename} will be deleted from your server permanently.`,
+      deleteError: 'Failed to delete backup',
+      removeConfirmTitle: 'Remove Server?',
+      removeConfirmMessage: 'The server address and password are removed from this device. Backups already on the server are kept.',
+      settings: {
+        title: 'WebDAV Server',
+        save: 'Save',
+        description: 'For Nextcloud, the address is shown under Files → Settings → WebDAV. Use an app password if two-factor login is on.',
+        url: 'Server URL',
+        urlPlaceholder: 'https://cloud.example.com/remote.php/dav/files/you/',
+        username: 'Username',
+        password: 'Password',
+        passwordPlaceholder: 'Password or app password',
+        folder: 'Folder',
+        uploadAutoBackups: 'Upload automatic backups',
+        uploadAutoBackupsHint: 'Each automatic backup is also copied to the server when it is reachable.',
+        test: 'Test Connection',
+        testSuccess: 'Connected. The backup folder was found.',
+        testSuccessNoFolder: 'Connected. The backup folder will be created with the first upload.',
+      },
+    },
+
+    syncSection: {
+      title: 'Sync Between Devices',
+      description: 'Merge entries with your other devices. Edits to the same day on two devices are combined field by field, so nothing is overwritten.',
+      exportFile: 'Export Sync File',
+      importFile: 'Import Sync File',
+      fileHint: 'Open the sync file from one device on the other, then do the same the other way round.',
+      importing: 'Merging...',
+      noServer: 'Or sync automatically through your own sync server.',
+      setUpServer: 'Set Up Sync Server',
+      server: 'Sync Server',
+      edit: 'Edit',
+      remove: 'Remove',
+      lastSync: (label) => `Last synced ${label}`,
+      neverSynced: 'Not synced yet',
+      syncNow: 'Sync Now',
+      syncing: 'Syncing...',
+      syncError: 'Sync Failed',
+      importError: 'Could not import sync file',
+      resultTitle: 'Sync Complete',
+      resultUpToDate: 'Everything was already up to date.',
+      resultChanged: (count) => `${count} ${count === 1 ? 'day was' : 'days were'} updated.`,
+      resultConflicts: (count) => `${count} ${count === 1 ? 'value was' : 'values were'} changed on more than one device. The newest edit was kept; the other value is in that day's change history.`,
+      removeConfirmTitle: 'Remove Sync Server?',
+      removeConfirmMessage: 'This device stops syncing with the server. Your entries and the data on the server are kept.',
+      settings: {
+        title: 'Sync Server',
+        save: 'Save',
+        description: 'Run scripts/sync-server.js from the EnergyTune repository on a computer or server you control, then enter its address and access token on every device.',
+        url: 'Server URL',
+        urlPlaceholder: 'https://sync.example.com',
+        token: 'Access Token',
+        tokenPlaceholder: 'SYNC_TOKEN of your server',
+        test: 'Test Connection',
+        testSuccess: (devices) => (devices === 0
+          ? 'Connected. No device has synced yet.'
+          : `Connected. ${devices} ${devices === 1 ? 'device has' : 'devices have'} synced.`),
+      },
     },
     
+    healthSection: {
+      title: 'Health & Wearables',
+      description: 'Import sleep, activity, heart and readiness data to compare it with your energy and stress in Analytics. The data stays on this device.',
+      sources: {
+        appleHealth: 'Apple Health',
+        oura: 'Oura',
+        garmin: 'Garmin',
+        fitbit: 'Fitbit',
+      },
+      howTo: 'In the Health app, tap your profile picture → Export All Health Data. Unzip the export and choose export.xml.',
+      importFile: 'Import Apple Health export.xml',
+      importing: (percent) => `Reading export... ${percent}%`,
+      importWearable: 'Import Oura, Garmin or Fitbit CSV',
+      wearableHowTo: 'Oura: export from Trends or request your data on the Oura website. Garmin Connect: open a sleep or readiness report and export it. Fitbit: the sleep score, daily readiness or HRV summary files from your Google Takeout export.',
+      wearableNotRecognized: 'This file is not an Oura, Garmin or Fitbit export. You can import other CSV files under Import Data.',
+      importSuccess: 'Health Data Imported',
+      importSuccessMessage: (days, range) => `${days} day${days !== 1 ? 's' : ''} (${range}) can now be compared in Analytics.`,
+      skippedRows: (count) => `${count} row${count !== 1 ? 's' : ''} without usable values ${count !== 1 ? 'were' : 'was'} skipped.`,
+      importError: 'Import failed',
+      stored: (days, range) => `${days} day${days !== 1 ? 's' : ''} · ${range}`,
+      noData: 'No health data imported yet.',
+      remove: 'Remove',
+      removeConfirmTitle: (source) => `Remove ${source} Data?`,
+      removeConfirmMessage: 'The imported data from this source is removed from this device. Your entries are not affected.',
+    },
+
+    // Named parts of the day energy and stress are logged for
+    checkInPeriodsSection: {
+      title: 'Check-in Periods',
+      description: 'The parts of the day you check in for. Each period lasts until the next one starts, and each gets its own reminder.',
+      window: (start, end) => `${start}–${end}`,
+      edit: 'Edit Periods',
+      saveError: 'Failed to save check-in periods',
+      editor: {
+        title: 'Check-in Periods',
+        save: 'Save',
+        namePlaceholder: 'e.g., Pre-shift',
+        startsAt: 'Starts at',
+        add: 'Add Period',
+        remove: 'Remove',
+        reset: 'Use Morning, Afternoon & Evening',
+        hint: (min, max, rolloverTime) => `Use ${min} to ${max} periods. Entry days start at ${rolloverTime}, so a period starting after midnight but before then comes last in the day.`,
+        keptData: 'Levels logged for a removed period stay with your entries and come back if you add a period with the same name.',
+        errors: {
+          tooFew: (min) => `Keep at least ${min} periods`,
+          tooMany: (max) => `Use at most ${max} periods`,
+          nameRequired: 'Give every period a name',
+          nameTooLong: (max) => `Use at most ${max} characters per name`,
+          nameTaken: 'Every period needs a different name',
+          invalidTime: 'Pick a start time for every period',
+          sameStart: 'Two periods can\'t start at the same time',
+        },
+      },
+    },
+
+    // User-defined metrics next to energy and stress
+    customMetricsSection: {
+      title: 'Custom Metrics',
+      description: 'Track more than energy and stress, like focus, mood or cups of coffee. Metrics are asked in your check-ins and can be charted and compared in Analytics.',
+      noMetrics: 'No custom metrics yet',
+      add: 'Add Metric',
+      limitReached: (max) => `You can track up to ${max} custom metrics.`,
+      edit: 'Edit',
+      delete: 'Delete',
+      types: {
+        scale: 'Scale',
+        number: 'Number',
+        boolean: 'Yes / No',
+        duration: 'Duration',
+      },
+      frequencies: {
+        period: 'Every check-in',
+        day: 'Once a day',
+      },
+      summary: (type, frequency, range) => [type, range, frequency].filter(Boolean).join(' · '),
+      range: (min, max) => (max !== null ? `${min}–${max}` : `${min}+`),
+      deleteConfirmTitle: (name) => `Delete ${name}?`,
+      deleteConfirmMessage: 'The metric is removed from check-ins and analytics. Values you already logged stay with your entries and come back if you add a metric with the same name.',
+      saveError: 'Failed to save custom metrics',
+      editor: {
+        newTitle: 'New Metric',
+        editTitle: 'Edit Metric',
+        save: 'Save',
+        presetsTitle: 'Start from',
+        presets: {
+          focus: 'Focus',
+          mood: 'Mood',
+          sleepHours: 'Sleep hours',
+          caffeine: 'Caffeine',
+          exercise: 'Exercise',
+        },
+        name: 'Name',
+        namePlaceholder: 'e.g., Focus',
+        type: 'Type',
+        typeHints: {
+          scale: 'Pick a value from a short range, like 1 to 10.',
+          number: 'Any amount, like cups of coffee or glasses of water.',
+          boolean: 'Yes or no, like "took a walk" or "worked from home".',
+          duration: 'Time spent, like exercise or meditation, in minutes.',
+        },
+        frequency: 'Asked',
+        frequencyHints: {
+          period: 'Asked in every check-in period.',
+          day: 'Asked once a day, on the last check-in step.',
+        },
+        fixedAfterCreate: 'Type and frequency can\'t be changed once a metric is created.',
+        range: 'Range',
+        min: 'Min',
+        max: 'Max',
+        noLimit: 'No limit',
+        durationRangeHint: 'In minutes',
+        unit: 'Unit',
+        unitPlaceholder: 'e.g., cups',
+        errors: {
+          nameRequired: 'Enter a name',
+          nameTooLong: (max) => `Use at most ${max} characters`,
+          nameTaken: 'A metric with this name already exists',
+          invalidRange: 'The minimum has to be below the maximum',
+          invalidScale: (steps) => `Scales need whole numbers and at most ${steps} steps`,
+        },
+      },
+    },
+
+    calendarSection: {
+      title: 'Calendar',
+      description: 'Import your calendar to see how meeting load lines up with your stress in Analytics. Only meeting times are kept, not titles or attendees.',
+      howTo: 'Google Calendar: Settings → Import & export → Export, then unzip. Outlook: Save Calendar or share as ICS. Apple Calendar: File → Export.',
+      importFile: 'Import .ics File',
+      importSuccess: 'Calendar Imported',
+      importSuccessMessage: (meetings, days, range) => `${meetings} meeting${meetings !== 1 ? 's' : ''} over ${days} day${days !== 1 ? 's' : ''} (${range}) can now be compared in Analytics.`,
+      importError: 'Import failed',
+      noData: 'No calendar imported yet.',
+      removeConfirmTitle: 'Remove Calendar Data?',
+      removeConfirmMessage: 'Imported meeting times are removed from this device. Your entries are not affected.',
+    },
+
     // Export Section
     exportSection: {
       title: 'Export Data',
       description: 'Download your energy and stress data',
       exportJSON: 'Export as JSON',
       exportCSV: 'Export as CSV',
+      exportXLSX: 'Export as Excel Workbook',
+      exportBackup: 'Export Full Backup',
+      exportMarkdown: 'Export Markdown Journal',
+      shareReport: 'Share Report',
+      shareReportHint: 'An offline web page with charts and patterns, for a coach or therapist.',
+      markdownHint: 'A zip with a note for every day and an index per month, ready to drop into Obsidian or Logseq.',
+      backupHint: 'A full backup (.energytune) also keeps your reminders, weekly summary, appearance and quick-entry details.',
+      encryptToggle: 'Password-protect exports',
+      encryptHint: 'JSON exports and backups are encrypted with your passphrase. Other formats cannot be encrypted.',
+      encryptTitle: 'Choose a Passphrase',
+      encryptMessage: 'You will need this passphrase to import the file. It cannot be recovered if you forget it.',
       exporting: 'Exporting...',
       exportSuccess: 'Export completed',
       exportError: 'Export failed',
       noDataToExport: 'No data to export',
+
+      // Standard formats for health record systems and research tools
+      healthExport: {
+        button: 'Export for Health Records',
+        title: 'Health Records Export',
+        message: 'FHIR R4 works with patient portals and clinical systems; Open mHealth with research and mobile health tools. Both can be imported back into EnergyTune.',
+        fhir: 'FHIR R4',
+        openMHealth: 'Open mHealth',
+      },
+
+      // Options sheet shown before a CSV export
+      csvOptions: {
+        title: 'CSV Export',
+        export: 'Export',
+        rangeTitle: 'Days',
+        ranges: {
+          all: 'All time',
+          last30: 'Last 30 days',
+          last90: 'Last 90 days',
+          thisYear: 'This year',
+          custom: 'Custom',
+        },
+        from: 'From',
+        to: 'to',
+        invalidRange: 'The start date is after the end date.',
+        layoutTitle: 'Rows',
+        layouts: {
+          wide: 'One per day',
+          long: 'One per check-in',
+          weekly: 'Weekly averages',
+          monthly: 'Monthly averages',
+        },
+        layoutHints: {
+          wide: 'The classic export: a row for every day with all of its values.',
+          long: 'A row for every check-in — the tidy format R and pandas expect.',
+          weekly: 'Average energy and stress per week (starting Sunday), as in the analytics chart.',
+          monthly: 'Average energy and stress per month, as in the analytics chart.',
+        },
+        columnsTitle: 'Columns',
+        columns: {
+          levels: 'Energy and stress per check-in',
+          dailyAverages: 'Daily averages',
+          sources: 'Energy and stress sources',
+          notes: 'Notes',
+          quickEntryMeta: 'Quick entry markers',
+          timestamps: 'Created and updated times',
+          customMetrics: 'Custom metrics',
+        },
+        dialectTitle: 'Format',
+        dialects: {
+          standard: 'Comma (1.5)',
+          excelEurope: 'Excel Europe (1,5)',
+          tab: 'Tab-separated',
+        },
+      },
     },
     
     // Import Section
     importSection: {
       title: 'Import Data',
-      description: 'Restore data from backup file. Entries with same dates will be overwritten.',
+      description: 'Restore a backup, or bring over your history from Daylio, Bearable or any tracker that exports CSV.',
       importFile: 'Choose File to Import',
       importing: 'Importing...',
       importSuccess: (count) => `Successfully imported ${count} entr${count !== 1 ? 'ies' : 'y'}`,
@@ -465,6 +987,123 @@ export const texts = {
       confirmImportMessage: (count) => `This will add ${count} entr${count !== 1 ? 'ies' : 'y'} to your data. Existing entries for the same dates will be overwritten. Continue?`,
       mergeOption: 'Merge with existing data',
       replaceOption: 'Replace all data',
+      decryptTitle: 'Encrypted File',
+      decryptMessage: 'Enter the passphrase that was used when this file was exported.',
+      restoreSettingsSuccess: (total) => `Settings were restored as well.\nTotal entries: ${total}`,
+
+      // Preview shown before committing an import
+      preview: {
+        title: 'Review Import',
+        confirm: 'Import',
+        summary: (count) => `${count} entr${count !== 1 ? 'ies' : 'y'} in this file`,
+        counts: (newCount, conflictCount, unchangedCount) =>
+          `${newCount} new · ${conflictCount} different from your data · ${unchangedCount} identical`,
+        existing: (count) => `You currently have ${count} entr${count !== 1 ? 'ies' : 'y'}.`,
+        strategyTitle: 'When a day already exists',
+        strategies: {
+          keep_imported: 'Use imported',
+          keep_existing: 'Keep mine',
+          newest: 'Newest wins',
+          fill_empty: 'Fill gaps',
+        },
+        strategyDescriptions: {
+          keep_imported: 'The imported day replaces yours.',
+          keep_existing: 'Your day stays as it is; the imported version is skipped.',
+          newest: 'Whichever version was edited last is kept.',
+          fill_empty: 'Your values stay; only empty fields are filled from the import.',
+        },
+        conflictsTitle: (count) => `Days that differ (${count})`,
+        outcomeExisting: 'Keeps your version',
+        outcomeUpdated: 'Will be updated',
+        overridden: 'custom',
+        existingValue: 'Yours:',
+        importedValue: 'Imported:',
+        nothingToImport: 'None of the rows in this file could be imported.',
+        rejectedTitle: (count) => `Skipped rows (${count})`,
+        rejectedLine: (line) => `Line ${line}`,
+        rejectedItem: (item) => `Item ${item}`,
+        rejectedMore: (count) => `…and ${count} more`,
+        rejectedReasons: {
+          unclosed_quote: () => 'A quoted field is never closed, so the rest of the file could not be read',
+          missing_date: () => 'No date',
+          invalid_date: (field, value) => `"${value}" is not a date`,
+          ambiguous_date: (field, value) => `"${value}" could be day/month or month/day`,
+          invalid_level: (field, value) => `${field}: "${value}" is not a whole number from 1 to 10`,
+          duplicate_date: (field, value) => `Same date as line ${value}`,
+          empty_row: () => 'No energy, stress or notes',
+          unknown_mood: (field, value) => `Unknown mood "${value}"`,
+          invalid_value: (field, value) => `${field ? `${field}: ` : ''}"${value}" is outside the chosen scale`,
+        },
+        fromSource: {
+          daylio: 'Converted from a Daylio export: moods become energy levels, activities become sources.',
+          bearable: 'Converted from a Bearable export: energy and mood become energy levels, stress and anxiety symptoms become stress levels.',
+          generic: 'Converted with your column mapping.',
+          fhir: 'Read from a FHIR export: observations are grouped back into daily entries.',
+          openmhealth: 'Read from an Open mHealth export: data points are grouped back into daily entries.',
+        },
+      },
+
+      // Mapping the columns of a CSV from another tracker
+      columnMapping: {
+        title: 'Match Columns',
+        continue: 'Next',
+        description: 'This file wasn\'t made by EnergyTune. Tap a column to choose what it holds.',
+        needsDate: 'Choose the column that holds the date to continue.',
+        unnamedColumn: (number) => `Column ${number}`,
+        sample: (value) => `e.g. ${value}`,
+        targets: {
+          ignore: 'Skip',
+          date: 'Date',
+          time: 'Time of day',
+          energy: 'Energy',
+          stress: 'Stress',
+          'energyLevels.morning': 'Energy · Morning',
+          'energyLevels.afternoon': 'Energy · Afternoon',
+          'energyLevels.evening': 'Energy · Evening',
+          'stressLevels.morning': 'Stress · Morning',
+          'stressLevels.afternoon': 'Stress · Afternoon',
+          'stressLevels.evening': 'Stress · Evening',
+          energySources: 'Energy sources',
+          stressSources: 'Stress sources',
+          notes: 'Notes',
+        },
+        scaleTitle: {
+          energy: 'Energy was rated',
+          stress: 'Stress was rated',
+        },
+        scaleLabel: ({ min, max }) => `${min}–${max}`,
+        invert: {
+          energy: 'Higher numbers mean less energy',
+          stress: 'Higher numbers mean less stress',
+        },
+        dateOrderTitle: 'Dates are written',
+        dayFirst: 'Day first (31/12)',
+        monthFirst: 'Month first (12/31)',
+      },
+
+      // Preview shown before restoring a full backup
+      backupPreview: {
+        title: 'Restore Backup',
+        created: (dateLabel, appVersion) => `Created ${dateLabel}${appVersion ? ` with EnergyTune ${appVersion}` : ''}`,
+        entries: (count, dateRange) => `${count} entr${count !== 1 ? 'ies' : 'y'} · ${dateRange}`,
+        noEntries: 'no entries',
+        settings: (names) => `Settings: ${names}`,
+        noSettings: 'No settings included',
+        settingNames: {
+          notifications: 'reminders',
+          weeklySummary: 'weekly summary',
+          themePreference: 'appearance',
+          onboardingCompleted: 'onboarding',
+          trash: 'trash retention',
+          dayContext: 'imported health and calendar data',
+          customMetrics: 'custom metrics',
+          checkInPeriods: 'check-in periods',
+        },
+        mergeExplanation: (conflicts) => `Merge keeps your data; ${conflicts} day${conflicts !== 1 ? 's differ' : ' differs'} and can be reviewed next.`,
+        replaceExplanation: (existing) => `Replace moves your ${existing} current entr${existing !== 1 ? 'ies' : 'y'} to the trash.`,
+        merge: 'Merge',
+        replace: 'Replace All',
+      },
     },
     
     // Weekly Summary Section
@@ -490,17 +1129,48 @@ export const texts = {
     // Remove Data Section
     removeDataSection: {
       title: 'Remove All Data',
-      description: 'Permanently delete all your entries. This action cannot be undone.',
+      description: 'Delete all your entries. They stay in the trash until the retention period ends.',
       removeButton: 'Remove All Data',
       warningTitle: 'Delete All Data?',
-      warningMessage: 'This will permanently delete all your energy and stress entries. This action cannot be undone.\n\nMake sure you have exported your data if you want to keep a backup.',
+      warningMessage: 'This will delete all your energy and stress entries. You can restore them from the trash until the retention period ends.\n\nMake sure you have exported your data if you want to keep a backup.',
       confirmButton: 'Delete All',
       cancelButton: 'Cancel',
       removing: 'Removing...',
       removeSuccess: 'All data has been removed',
+      removeSuccessMessage: 'Your entries were moved to the trash.',
       removeError: 'Failed to remove data',
       noDataToRemove: 'No data to remove',
     },
+
+    // Trash Section
+    trashSection: {
+      title: 'Trash',
+      description: 'Reset days and removed data are kept here before being deleted for good.',
+      empty: 'The trash is empty.',
+      retentionLabel: 'Keep deleted data for',
+      retentionOption: (days) => `${days} days`,
+      retentionPrompt: 'Items older than this are deleted permanently',
+      reasons: {
+        reset: 'Day reset',
+        clear_all: 'All data removed',
+        import_replace: 'Replaced by import',
+      },
+      itemDates: (firstDate, lastDate, count) => (
+        count === 1 ? firstDate : `${count} days · ${firstDate} – ${lastDate}`
+      ),
+      itemDeleted: (deletedLabel, expiresLabel) => `Deleted ${deletedLabel} · kept until ${expiresLabel}`,
+      restore: 'Restore',
+      delete: 'Delete',
+      emptyTrash: 'Empty Trash',
+      restoreSuccess: 'Restored',
+      restoreSuccessMessage: (count) => `${count} ${count === 1 ? 'day was' : 'days were'} restored.`,
+      restoreError: 'Failed to restore from trash',
+      deleteConfirmTitle: 'Delete Permanently?',
+      deleteConfirmMessage: 'This data will be deleted permanently and cannot be restored.',
+      emptyConfirmTitle: 'Empty Trash?',
+      emptyConfirmMessage: 'Everything in the trash will be deleted permanently.',
+      deleteError: 'Failed to delete from trash',
+    },
     
     // App Info Section
     appSection: {
@@ -546,5 +1216,7 @@ export const {
   commonSources,
   chart,
   dateDisplay,
+  passphraseModal,
+  reportModal,
   profile,
 } = texts;
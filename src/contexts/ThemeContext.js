@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { useColorScheme } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import StorageService from '../services/storage';
 
 const ThemeContext = createContext();
 
@@ -40,10 +40,8 @@ export const ThemeProvider = ({ children }) => {
 
   const loadThemePreference = async () => {
     try {
-      const saved = await AsyncStorage.getItem('themePreference');
-      if (saved) {
-        setThemePreference(saved);
-      }
+      const saved = await StorageService.getThemePreference();
+      setThemePreference(saved);
     } catch (error) {
       console.warn('Failed to load theme preference:', error);
     }
@@ -51,7 +49,7 @@ export const ThemeProvider = ({ children }) => {
 
   const setTheme = async (preference) => {
     try {
-      await AsyncStorage.setItem('themePreference', preference);
+      await StorageService.saveThemePreference(preference);
       setThemePreference(preference);
     } catch (error) {
       console.warn('Failed to save theme preference:', error);
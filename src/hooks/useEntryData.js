@@ -3,15 +3,23 @@ import { Alert } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { entry as entryTexts, common } from '../config/texts';
 import StorageService from '../services/storage';
+import { getActivePeriods } from '../utils/checkInPeriods';
 
 // This hook manages the entry data for a selected date
-// It handles loading, saving, and updating energy/stress levels and sources
+// It handles loading, saving, and updating energy/stress levels, sources and custom metrics,
+// and loads the check-in periods the entry steps are built from
 // It also provides debounced save functions to minimize storage writes
 
 export const useEntryData = (selectedDate) => {
   const [entry, setEntry] = useState(null);
+  const [customMetrics, setCustomMetrics] = useState([]);
+  const [periods, setPeriods] = useState(getActivePeriods);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  // Bumped once a write has reached storage (revision history included), so
+  // anything read back from storage, like the history, can reload after it
+  const [savedVersion, setSavedVersion] = useState(0);
+  const markSaved = () => setSavedVersion(version => version + 1);
 
   // Debounced save functions
   const saveEnergySourcesDebounced = useRef(null);
@@ -41,6 +49,7 @@ export const useEntryData = (selectedDate) => {
     saveEnergySourcesDebounced.current = debounce(async (text) => {
       try {
         await StorageService.updateEnergySources(selectedDate, text);
+        markSaved();
       } catch (error) {
         Alert.alert(common.error, entryTexts.alerts.saveEnergySourcesError);
       }
@@ -49,6 +58,7 @@ export const useEntryData = (selectedDate) => {
     saveStressSourcesDebounced.current = debounce(async (text) => {
       try {
         await StorageService.updateStressSources(selectedDate, text);
+        markSaved();
       } catch (error) {
         Alert.alert(common.error, entryTexts.alerts.saveStressSourcesError);
       }
@@ -58,8 +68,16 @@ export const useEntryData = (selectedDate) => {
   const loadEntry = async () => {
     try {
       setLoading(true);
-      const entryData = await StorageService.getEntry(selectedDate);
+      // Periods first: a new entry gets a level for each of them
+      const checkInPeriods = await StorageService.getCheckInPeriods();
+      const [entryData, metrics] = await Promise.all([
+        StorageService.getEntry(selectedDate),
+        StorageService.getCustomMetrics(),
+      ]);
       setEntry(entryData);
+      setCustomMetrics(metrics);
+      setPeriods(checkInPeriods);
+      markSaved();
     } catch (error) {
       console.error('Error loading entry:', error);
       Alert.alert(common.error, entryTexts.alerts.loadError);
@@ -83,6 +101,7 @@ export const useEntryData = (selectedDate) => {
     try {
       setSaving(true);
       await StorageService.updateEnergyLevel(selectedDate, step, value);
+      markSaved();
       return updatedEntry;
     } catch (error) {
       // Revert state on error
@@ -109,6 +128,7 @@ export const useEntryData = (selectedDate) => {
     try {
       setSaving(true);
       await StorageService.updateStressLevel(selectedDate, step, value);
+      markSaved();
       return updatedEntry;
     } catch (error) {
       // Revert state on error
@@ -142,29 +162,42 @@ export const useEntryData = (selectedDate) => {
     }
   };
 
-  const resetEntry = async () => {
-    try {
-      const freshEntry = {
-        date: selectedDate,
-        energyLevels: {
-          morning: null,
-          afternoon: null,
-          evening: null,
+  // `period` is null for per-day metrics
+  const updateMetric = async (metric, period, value) => {
+    const previousEntry = entry;
+    setEntry(prev => {
+      const current = prev.metrics?.[metric.id];
+      return {
+        ...prev,
+        metrics: {
+          ...prev.metrics,
+          [metric.id]: period
+            ? { ...(current && typeof current === 'object' ? current : {}), [period]: value }
+            : value,
         },
-        stressLevels: {
-          morning: null,
-          afternoon: null,
-          evening: null,
-        },
-        energySources: '',
-        stressSources: '',
-        notes: '',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
       };
-      
-      await StorageService.saveEntry(selectedDate, freshEntry);
+    });
+
+    try {
+      setSaving(true);
+      const savedEntry = await StorageService.updateMetricValue(selectedDate, metric.id, period, value);
+      markSaved();
+      return savedEntry;
+    } catch (error) {
+      setEntry(previousEntry);
+      Alert.alert(common.error, entryTexts.alerts.saveMetricError(metric.name));
+      throw error;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetEntry = async () => {
+    try {
+      // The previous version of the day is kept in the trash
+      const freshEntry = await StorageService.resetEntry(selectedDate);
       setEntry(freshEntry);
+      markSaved();
       return freshEntry;
     } catch (error) {
       Alert.alert(common.error, entryTexts.alerts.resetError);
@@ -172,14 +205,47 @@ export const useEntryData = (selectedDate) => {
     }
   };
 
+  // Returns the restored entry, or null when the day has no recorded changes
+  const undoLastChange = async () => {
+    try {
+      const restoredEntry = await StorageService.undoLastChange(selectedDate);
+      if (restoredEntry) {
+        setEntry(restoredEntry);
+        markSaved();
+      }
+      return restoredEntry;
+    } catch (error) {
+      Alert.alert(common.error, entryTexts.alerts.undoError);
+      throw error;
+    }
+  };
+
+  const revertRevision = async (revisionId, field = null) => {
+    try {
+      const restoredEntry = await StorageService.revertEntry(selectedDate, revisionId, field);
+      setEntry(restoredEntry);
+      markSaved();
+      return restoredEntry;
+    } catch (error) {
+      Alert.alert(common.error, entryTexts.alerts.revertError);
+      throw error;
+    }
+  };
+
   return {
     entry,
+    customMetrics,
+    periods,
     loading,
     saving,
+    savedVersion,
     updateEnergyLevel,
     updateStressLevel,
     updateEnergySources,
     updateStressSources,
+    updateMetric,
     resetEntry,
+    undoLastChange,
+    revertRevision,
   };
 };
@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Animated, Dimensions, Easing, PanResponder, Platform } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { isStepComplete } from '../utils/entryValidation';
@@ -14,18 +14,25 @@ import { isStepComplete } from '../utils/entryValidation';
  * 2. No automatic jumps: Manual user actions always take precedence
  * 3. Auto-advance only happens after completing current step
  * 4. Initial navigation only happens once on mount
+ *
+ * Steps are one per configured check-in period, followed by 'sources'.
+ * @param {Object} entry
+ * @param {Array} periodIds - Ids of the configured check-in periods, in day order
  */
 
-// Steps array defined outside hook to maintain referential equality
-const STEPS = ['morning', 'afternoon', 'evening', 'sources'];
+const SOURCES_STEP = 'sources';
+
+export const useStepNavigation = (entry, periodIds) => {
+  const periodKey = periodIds.join(',');
+  // Memoized on the ids so the steps array keeps its identity between renders
+  const steps = useMemo(() => [...periodIds, SOURCES_STEP], [periodKey]);
+  const sourcesStepIndex = steps.length - 1;
 
-export const useStepNavigation = (entry) => {
   const [currentStep, setCurrentStep] = useState(0);
-  const [currentPeriod, setCurrentPeriod] = useState('morning');
+  const [currentPeriod, setCurrentPeriod] = useState(steps[0]);
   const [isTextInputFocused, setIsTextInputFocused] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
   
-  const steps = STEPS; // Use constant reference
   const screenWidth = Dimensions.get('window').width;
   const scrollX = useRef(new Animated.Value(0)).current;
   const panResponderRef = useRef(null);
@@ -47,30 +54,13 @@ export const useStepNavigation = (entry) => {
     
     if (entry && !isInitialized) {
       // Only auto-navigate on initial mount, not on every entry change
-      const morningComplete = isStepComplete(entry, 0);
-      const afternoonComplete = isStepComplete(entry, 1);
-      const eveningComplete = isStepComplete(entry, 2);
-      const sourcesComplete = isStepComplete(entry, 3);
-      
-      let targetStep = 0;
-      
-      if (!morningComplete) {
-        targetStep = 0;
-      } else if (!afternoonComplete) {
-        targetStep = 1;
-      } else if (!eveningComplete) {
-        targetStep = 2;
-      } else if (!sourcesComplete) {
-        targetStep = 3;
-      } else {
-        // All steps complete, stay on first step
-        targetStep = 0;
-      }
-    
+      // Go to the first incomplete step; when all steps are complete, stay on the first
+      const firstIncomplete = steps.findIndex((step, index) => !isStepComplete(entry, index, steps));
+      const targetStep = firstIncomplete === -1 ? 0 : firstIncomplete;
       
       // Set step and period synchronously
       setCurrentStep(targetStep);
-      if (targetStep < 3) {
+      if (targetStep < sourcesStepIndex) {
         setCurrentPeriod(steps[targetStep]);
       }
       
@@ -79,7 +69,17 @@ export const useStepNavigation = (entry) => {
       
       setIsInitialized(true);
     }
-  }, [entry, isInitialized, screenWidth, scrollX]);
+  }, [entry, isInitialized, screenWidth, scrollX, steps, sourcesStepIndex]);
+
+  /**
+   * Periods changed in settings while mounted - stay within the new steps
+   */
+  useEffect(() => {
+    if (currentStepRef.current >= steps.length) {
+      setCurrentStep(sourcesStepIndex);
+      scrollX.setValue(-sourcesStepIndex * screenWidth);
+    }
+  }, [steps, sourcesStepIndex, screenWidth, scrollX]);
 
   /**
    * Animate to a specific step - Core navigation function
@@ -95,7 +95,7 @@ export const useStepNavigation = (entry) => {
     setCurrentStep(stepIndex);
     
     // Update period if it's a time period step
-    if (stepIndex < 3) {
+    if (stepIndex < sourcesStepIndex) {
       setCurrentPeriod(steps[stepIndex]);
     }
     
@@ -109,7 +109,7 @@ export const useStepNavigation = (entry) => {
     
     // Mark that user has manually navigated
     userNavigatedRef.current = true;
-  }, [screenWidth, scrollX]);
+  }, [steps, sourcesStepIndex, screenWidth, scrollX]);
 
   /**
    * Navigate to next step
@@ -119,7 +119,7 @@ export const useStepNavigation = (entry) => {
       const nextStep = currentStepRef.current + 1;
       animateToStep(nextStep);
     }
-  }, [steps.length, animateToStep]);
+  }, [steps, animateToStep]);
 
   /**
    * Navigate to previous step
@@ -154,12 +154,12 @@ export const useStepNavigation = (entry) => {
       }
       
       // Check if current step is now complete
-      const isComplete = isStepComplete(updatedEntry, stepIndex);
+      const isComplete = isStepComplete(updatedEntry, stepIndex, steps);
       
       if (isComplete && stepIndex < steps.length - 1) {
         // Current step is complete, find next incomplete step
         for (let i = stepIndex + 1; i < steps.length; i++) {
-          const isNextComplete = isStepComplete(updatedEntry, i);
+          const isNextComplete = isStepComplete(updatedEntry, i, steps);
           if (!isNextComplete) {
             animateToStep(i);
             break;
@@ -167,7 +167,7 @@ export const useStepNavigation = (entry) => {
         }
       }
     }, 300);
-  }, [animateToStep]);
+  }, [steps, animateToStep]);
 
   /**
    * Text input focus handlers
@@ -192,7 +192,7 @@ export const useStepNavigation = (entry) => {
       }
       
       // On sources step, don't capture gestures in the input areas
-      if (currentStepRef.current === 3) {
+      if (currentStepRef.current === sourcesStepIndex) {
         const { pageY } = evt.nativeEvent;
         const screenHeight = Dimensions.get('window').height;
         
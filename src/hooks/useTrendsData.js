@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import AnalyticsService from '../services/analytics';
+import StorageService from '../services/storage';
 
 export const useTrendsData = (initialPeriod = 14) => {
   const [trendsData, setTrendsData] = useState(null);
@@ -8,6 +9,7 @@ export const useTrendsData = (initialPeriod = 14) => {
   const [insights, setInsights] = useState(null);
   const [dataSources, setDataSources] = useState(null);
   const [entries, setEntries] = useState(null);
+  const [customMetrics, setCustomMetrics] = useState([]);
   const [currentPeriod, setCurrentPeriod] = useState(initialPeriod);
 
   const loadTrendsData = useCallback(async (period) => {
@@ -25,6 +27,13 @@ export const useTrendsData = (initialPeriod = 14) => {
         return;
       }
 
+      // Sleep, steps etc. imported for the same days, and the user's own metrics
+      const [dayContext, metrics] = await Promise.all([
+        StorageService.getDayContext(),
+        StorageService.getCustomMetrics(),
+      ]);
+      setCustomMetrics(metrics);
+
       // Transform data for charts
       const chartData = entries.map(entry => {
         const energyValues = Object.values(entry.energyLevels || {})
@@ -47,6 +56,8 @@ export const useTrendsData = (initialPeriod = 14) => {
           stressLevels: entry.stressLevels,
           energySources: entry.energySources,
           stressSources: entry.stressSources,
+          context: dayContext[entry.date] || null,
+          metrics: entry.metrics || {},
         };
       });
 
@@ -82,6 +93,7 @@ export const useTrendsData = (initialPeriod = 14) => {
 
   return {
     trendsData,
+    customMetrics,
     loading,
     error,
     insights,
@@ -34,6 +34,7 @@ export const AnalyticsScreen = ({ navigation }) => {
   // Trends data for detailed analysis - load ALL data, let EnhancedAnalyticsPanel filter by timeframe
   const {
     trendsData,
+    customMetrics,
     loading: trendsLoading,
     entries, // Add entries for AI analysis
     refresh: refreshTrendsData,
@@ -112,6 +113,7 @@ export const AnalyticsScreen = ({ navigation }) => {
         {/* Enhanced Analytics Panel */}
         <EnhancedAnalyticsPanel 
           data={trendsData || []}
+          customMetrics={customMetrics}
           loading={trendsLoading}
           theme={theme}
           onDataPointSelect={handleDataPointSelect}
@@ -22,6 +22,7 @@ import { dashboard, common } from '../config/texts';
 import { calculateAverage, formatDisplayDate, getDaysAgo } from '../utils/helpers';
 import { getCelebrationState, clearCelebrationState } from '../utils/celebrationState';
 import { isEntryComplete, hasAnyData } from '../utils/entryValidation';
+import { getPeriodName } from '../utils/checkInPeriods';
 import StorageService from '../services/storage';
 
 const screenWidth = Dimensions.get('window').width;
@@ -382,7 +383,7 @@ export const DashboardScreen = ({ navigation, route }) => {
       const avg = calculateAverage(values);
       if (avg > highestAvg) {
         highestAvg = avg;
-        peakEnergyTime = time;
+        peakEnergyTime = getPeriodName(time);
         peakEnergyValue = avg;
       }
     });
@@ -673,7 +674,7 @@ export const DashboardScreen = ({ navigation, route }) => {
         break;
       case 'dataCompleteness':
         title = 'Data Completeness';
-        message = 'This shows which days have incomplete data in your 7-day trends:\n\n⚠️ Orange badge = No data entered for that day\n\n🔵 Blue badge = Partial entry (some time slots logged, but not all three: morning, afternoon, evening)\n\nTap any badge to jump directly to that day\'s entry and fill in the missing data. For the most accurate insights, try to log all three time slots each day.';
+        message = 'This shows which days have incomplete data in your 7-day trends:\n\n⚠️ Orange badge = No data entered for that day\n\n🔵 Blue badge = Partial entry (some check-in periods logged, but not all of them)\n\nTap any badge to jump directly to that day\'s entry and fill in the missing data. For the most accurate insights, try to log every check-in period each day.';
         break;
     }
     
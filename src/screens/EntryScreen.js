@@ -19,6 +19,8 @@ import { getTheme } from '../config/theme';
 import { entry as entryTexts, common } from '../config/texts';
 import { getEntryDayString } from '../utils/helpers';
 import { canContinueFromStep } from '../utils/entryValidation';
+import { isPerPeriodMetric } from '../utils/customMetrics';
+import { getPeriodIds, getPeriodNames } from '../utils/checkInPeriods';
 import { setCelebrationState } from '../utils/celebrationState';
 import { useEntryData } from '../hooks/useEntryData';
 import { useStepNavigation } from '../hooks/useStepNavigation';
@@ -28,7 +30,8 @@ import { StepTabs } from '../components/entry/StepTabs';
 import { TimePeriodStep } from '../components/entry/TimePeriodStep';
 import { SourcesStep } from '../components/entry/SourcesStep';
 import { NavigationFooter } from '../components/entry/NavigationFooter';
-import StorageService from '../services/storage';
+import { EntryHistoryModal } from '../components/entry/EntryHistoryModal';
+import StorageService, { REVISION_SOURCES } from '../services/storage';
 
 export const EntryScreen = ({ navigation, route }) => {
   const { isDarkMode } = useTheme();
@@ -37,6 +40,8 @@ export const EntryScreen = ({ navigation, route }) => {
   const { showToast } = useToast();
   const sourcesScrollViewRef = useRef(null);
   const [quickEntryMeta, setQuickEntryMeta] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
   const lastProcessedDateRef = useRef(route.params?.date || null);
   const lastProcessedNavigationKeyRef = useRef(null);
   const userOverrodeDateRef = useRef(false);
@@ -58,12 +63,18 @@ export const EntryScreen = ({ navigation, route }) => {
   // Custom hooks
   const {
     entry,
+    customMetrics,
+    periods,
     loading,
+    savedVersion,
     updateEnergyLevel,
     updateStressLevel,
     updateEnergySources,
     updateStressSources,
+    updateMetric,
     resetEntry,
+    undoLastChange,
+    revertRevision,
   } = useEntryData(selectedDate);
 
   const {
@@ -78,14 +89,17 @@ export const EntryScreen = ({ navigation, route }) => {
     autoAdvanceIfComplete,
     handleTextInputFocus,
     handleTextInputBlur,
-  } = useStepNavigation(entry);
+  } = useStepNavigation(entry, getPeriodIds(periods));
+
+  const periodMetrics = customMetrics.filter(isPerPeriodMetric);
+  const dayMetrics = customMetrics.filter(metric => !isPerPeriodMetric(metric));
+  const metricNames = Object.fromEntries(customMetrics.map(metric => [metric.id, metric.name]));
 
   const stepTitles = [
-    entryTexts.periods.morning, 
-    entryTexts.periods.afternoon, 
-    entryTexts.periods.evening, 
+    ...periods.map(period => period.name),
     entryTexts.periods.sources
   ];
+  const sourcesStepIndex = steps.length - 1;
 
   // Update date when route params change (e.g., navigating from Dashboard badge)
   // Also refresh entry day on focus when the user has not manually overridden the date
@@ -147,15 +161,9 @@ export const EntryScreen = ({ navigation, route }) => {
       // Mark this navigation as processed immediately to prevent re-processing
       lastProcessedNavigationKeyRef.current = navigationKey;
       
-      // Map period to step index: morning=0, afternoon=1, evening=2
-      const periodToStepMap = {
-        morning: 0,
-        afternoon: 1,
-        evening: 2,
-      };
-      
-      const targetStep = periodToStepMap[focusPeriod];
-      if (targetStep !== undefined) {
+      // Map period to its step; reminders of removed periods open the entry as usual
+      const targetStep = steps.indexOf(focusPeriod);
+      if (targetStep !== -1 && targetStep < sourcesStepIndex) {
         // Small delay to ensure the component is fully rendered
         setTimeout(() => {
           goToStep(targetStep);
@@ -166,7 +174,7 @@ export const EntryScreen = ({ navigation, route }) => {
       // This prevents the effect from running again when user types in sources
       navigation.setParams({ focusPeriod: undefined });
     }
-  }, [route.params?.focusPeriod, route.params?.date, selectedDate, entry, goToStep, navigation]);
+  }, [route.params?.focusPeriod, route.params?.date, selectedDate, entry, steps, goToStep, navigation]);
 
   // Load quick entry metadata when date changes
   useEffect(() => {
@@ -181,6 +189,15 @@ export const EntryScreen = ({ navigation, route }) => {
     loadQuickMeta();
   }, [selectedDate, entry]);
 
+  // Load revision history when the date changes or a write has been stored
+  useEffect(() => {
+    const loadHistory = async () => {
+      const revisions = await StorageService.getEntryHistory(selectedDate);
+      setHistory(revisions);
+    };
+    loadHistory();
+  }, [selectedDate, savedVersion]);
+
   // Wrapper function to dismiss keyboard when switching tabs
   const handleStepPress = (stepIndex) => {
     Keyboard.dismiss();
@@ -216,6 +233,12 @@ export const EntryScreen = ({ navigation, route }) => {
     });
   };
 
+  const handleMetricChange = (metric, period, value) => {
+    updateMetric(metric, period, value).catch((error) => {
+      // Error already handled in hook
+    });
+  };
+
   const handleCompleteCheckIn = async () => {
     const isComplete = canContinueFromStep(entry, steps.length - 1, steps);
     const actuallyComplete = Boolean(isComplete);
@@ -268,6 +291,28 @@ export const EntryScreen = ({ navigation, route }) => {
     );
   };
 
+  const handleUndo = async () => {
+    try {
+      const restoredEntry = await undoLastChange();
+      showToast(
+        restoredEntry ? entryTexts.history.undone : entryTexts.history.nothingToUndo,
+        'info'
+      );
+    } catch (error) {
+      // Error already handled in hook
+    }
+  };
+
+  const handleRevert = async (revisionId, field) => {
+    try {
+      await revertRevision(revisionId, field);
+      setShowHistory(false);
+      showToast(entryTexts.history.reverted, 'success');
+    } catch (error) {
+      // Error already handled in hook
+    }
+  };
+
   const scrollToStressSource = () => {
     if (sourcesScrollViewRef.current) {
       // Scroll down to show the stress source field
@@ -323,6 +368,9 @@ export const EntryScreen = ({ navigation, route }) => {
           selectedDate={selectedDate}
           onDateChange={handleDateChange}
           onReset={handleResetDay}
+          onUndo={handleUndo}
+          canUndo={history.some(revision => revision.source !== REVISION_SOURCES.REVERT && !revision.reverted)}
+          onShowHistory={() => setShowHistory(true)}
           theme={theme}
         />
 
@@ -349,7 +397,7 @@ export const EntryScreen = ({ navigation, route }) => {
           {steps.map((step, index) => (
             <View key={step} style={[styles.stepContainer, { width: screenWidth }]}>
               <ScrollView 
-                ref={index === 3 ? sourcesScrollViewRef : null}
+                ref={index === sourcesStepIndex ? sourcesScrollViewRef : null}
                 style={styles.scrollView} 
                 showsVerticalScrollIndicator={false}
                 keyboardShouldPersistTaps="handled"
@@ -357,7 +405,7 @@ export const EntryScreen = ({ navigation, route }) => {
                 scrollEnabled={true}
                 keyboardDismissMode="interactive"
               >
-                {index < 3 ? (
+                {index < sourcesStepIndex ? (
                   <TimePeriodStep
                     step={step}
                     stepTitle={stepTitles[index]}
@@ -366,6 +414,10 @@ export const EntryScreen = ({ navigation, route }) => {
                     onStressChange={handleStressLevelChange}
                     quickEntryMeta={quickEntryMeta?.[step]}
                     onClearQuickFlag={() => clearQuickFlag(step)}
+                    metrics={periodMetrics}
+                    onMetricChange={handleMetricChange}
+                    onTextInputFocus={handleTextInputFocus}
+                    onTextInputBlur={handleTextInputBlur}
                     theme={theme}
                   />
                 ) : (
@@ -376,6 +428,8 @@ export const EntryScreen = ({ navigation, route }) => {
                     onTextInputFocus={handleTextInputFocus}
                     onTextInputBlur={handleTextInputBlur}
                     onStressSourceFocus={scrollToStressSource}
+                    metrics={dayMetrics}
+                    onMetricChange={handleMetricChange}
                     theme={theme}
                   />
                 )}
@@ -394,6 +448,16 @@ export const EntryScreen = ({ navigation, route }) => {
           theme={theme}
         />
       </KeyboardAvoidingView>
+
+      <EntryHistoryModal
+        visible={showHistory}
+        history={history}
+        metricNames={metricNames}
+        periodNames={getPeriodNames(periods)}
+        onRevert={handleRevert}
+        onClose={() => setShowHistory(false)}
+        theme={theme}
+      />
     </SafeAreaView>
   );
 };
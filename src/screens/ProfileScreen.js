@@ -13,23 +13,50 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
-import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system/legacy';
 import * as DocumentPicker from 'expo-document-picker';
 import { useFocusEffect } from '@react-navigation/native';
 import { useTheme } from '../contexts/ThemeContext';
 import { getTheme } from '../config/theme';
-import { profile, common } from '../config/texts';
-import { formatDisplayDate, formatDisplayDateWithYear, hapticFeedback } from '../utils/helpers';
+import { profile, common, reportModal } from '../config/texts';
+import { formatDate, formatDisplayDate, formatDisplayDateWithYear, hapticFeedback } from '../utils/helpers';
 import { Button } from '../components/ui/Button';
 import { AppearanceSelector } from '../components/ui/AppearanceSelector';
 import { PeriodTimeSetting } from '../components/ui/PeriodTimeSetting';
-import StorageService from '../services/storage';
+import StorageService, {
+  AUTO_BACKUP_FREQUENCIES,
+  AUTO_BACKUP_KEEP_OPTIONS,
+  TRASH_RETENTION_OPTIONS,
+} from '../services/storage';
+import { IMPORT_SOURCES } from '../services/importers';
+import { BACKUP_FILE_EXTENSION } from '../utils/backupEnvelope';
+import { isEncryptedContent } from '../utils/encryption';
+import { HEALTH_EXPORT_FORMATS } from '../utils/healthStandards';
+import { DAY_CONTEXT_SOURCES, summarizeDayContextSources } from '../utils/dayContext';
+import { MAX_CUSTOM_METRICS } from '../utils/customMetrics';
+import { getActivePeriods, getPeriodEnd } from '../utils/checkInPeriods';
+import { shareFile } from '../utils/shareFile';
+import { PassphraseModal } from '../components/ui/PassphraseModal';
+import { ImportPreviewModal } from '../components/profile/ImportPreviewModal';
+import { ColumnMappingModal } from '../components/profile/ColumnMappingModal';
+import { CSVExportModal } from '../components/profile/CSVExportModal';
+import { WebDAVSettingsModal } from '../components/profile/WebDAVSettingsModal';
+import { SyncServerModal } from '../components/profile/SyncServerModal';
+import { CustomMetricModal } from '../components/profile/CustomMetricModal';
+import { CheckInPeriodsModal } from '../components/profile/CheckInPeriodsModal';
+import { ReportOptionsModal } from '../components/ui/ReportOptionsModal';
 import NotificationService from '../services/notificationService';
+import ReportService from '../services/reportService';
+import AutoBackupService from '../services/autoBackupService';
+import WebDAVBackupService from '../services/webdavBackupService';
+import SyncService from '../services/syncService';
+import AppleHealthService from '../services/appleHealthService';
+import WearableService from '../services/wearableService';
+import CalendarService from '../services/calendarService';
 
 export const ProfileScreen = () => {
   const navigation = useNavigation();
-  const { isDarkMode } = useTheme();
+  const { isDarkMode, setTheme } = useTheme();
   const theme = getTheme(isDarkMode);
   const [dataStats, setDataStats] = useState({
     totalEntries: 0,
@@ -39,12 +66,60 @@ export const ProfileScreen = () => {
   const [loading, setLoading] = useState(true);
   const [exportingJSON, setExportingJSON] = useState(false);
   const [exportingCSV, setExportingCSV] = useState(false);
+  const [showCSVOptions, setShowCSVOptions] = useState(false);
+  const [showReportOptions, setShowReportOptions] = useState(false);
+  const [generatingReport, setGeneratingReport] = useState(false);
+  const [csvExportOptions, setCSVExportOptions] = useState(null);
+  const [exportingBackup, setExportingBackup] = useState(false);
+  const [exportingHealth, setExportingHealth] = useState(false);
+  const [exportingMarkdown, setExportingMarkdown] = useState(false);
+  const [exportingXLSX, setExportingXLSX] = useState(false);
+  const [encryptExports, setEncryptExports] = useState(false);
+  // { mode: 'export' | 'import', format, fileContent? } while the passphrase prompt is open
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null);
+  // { preview, existingCount, options } while the import preview is open
+  const [importPreview, setImportPreview] = useState(null);
+  // CSV from an unknown tracker waiting for its columns to be mapped
+  const [columnMapping, setColumnMapping] = useState(null);
   const [importing, setImporting] = useState(false);
   const [showRemoveWarning, setShowRemoveWarning] = useState(false);
   const [removing, setRemoving] = useState(false);
   const [notifSettings, setNotifSettings] = useState(null);
   const [permissionStatus, setPermissionStatus] = useState('undetermined');
   const [weeklySummarySettings, setWeeklySummarySettings] = useState(null);
+  const [recoveryStatus, setRecoveryStatus] = useState(null);
+  const [trashItems, setTrashItems] = useState([]);
+  const [trashSettings, setTrashSettings] = useState(null);
+  const [trashBusyId, setTrashBusyId] = useState(null);
+  const [autoBackupSettings, setAutoBackupSettings] = useState(null);
+  const [autoBackups, setAutoBackups] = useState([]);
+  const [autoBackupBusy, setAutoBackupBusy] = useState(false);
+  const [creatingBackup, setCreatingBackup] = useState(false);
+  const [webdavSettings, setWebDAVSettings] = useState(null);
+  const [showWebDAVSettings, setShowWebDAVSettings] = useState(false);
+  // Backups on the server; null until the user opens the list
+  const [remoteBackups, setRemoteBackups] = useState(null);
+  const [loadingRemoteBackups, setLoadingRemoteBackups] = useState(false);
+  // Message when the server could not be listed
+  const [remoteError, setRemoteError] = useState(null);
+  const [uploadingBackup, setUploadingBackup] = useState(false);
+  const [webdavBusy, setWebDAVBusy] = useState(false);
+  const [syncSettings, setSyncSettings] = useState(null);
+  const [showSyncServer, setShowSyncServer] = useState(false);
+  const [exportingSyncFile, setExportingSyncFile] = useState(false);
+  const [importingSyncFile, setImportingSyncFile] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  // [{ source, days, firstDate, lastDate }] for every source with imported data
+  const [healthSummaries, setHealthSummaries] = useState([]);
+  // Fraction of the export read so far, null when no import is running
+  const [healthImportProgress, setHealthImportProgress] = useState(null);
+  const [importingWearable, setImportingWearable] = useState(false);
+  const [importingCalendar, setImportingCalendar] = useState(false);
+  const [customMetrics, setCustomMetrics] = useState([]);
+  // { metric } while the metric editor is open; metric is null for a new one
+  const [metricEditor, setMetricEditor] = useState(null);
+  const [checkInPeriods, setCheckInPeriods] = useState(getActivePeriods());
+  const [showPeriodsEditor, setShowPeriodsEditor] = useState(false);
 
   // Load data stats when screen comes into focus
   useFocusEffect(
@@ -52,6 +127,13 @@ export const ProfileScreen = () => {
       loadDataStats();
       loadNotificationSettings();
       loadWeeklySummarySettings();
+      loadTrash();
+      loadAutoBackups();
+      loadWebDAV();
+      loadSync();
+      loadHealthSummary();
+      loadCustomMetrics();
+      loadCheckInPeriods();
     }, [])
   );
 
@@ -60,6 +142,7 @@ export const ProfileScreen = () => {
       setLoading(true);
       const stats = await StorageService.getDataStats();
       setDataStats(stats);
+      setRecoveryStatus(await StorageService.getRecoveryStatus());
     } catch (error) {
       console.error('Error loading data stats:', error);
     } finally {
@@ -67,48 +150,661 @@ export const ProfileScreen = () => {
     }
   };
 
-  const handleExport = async (format) => {
-    if (dataStats.totalEntries === 0) {
+  const loadTrash = async () => {
+    try {
+      setTrashItems(await StorageService.getTrashItems());
+      setTrashSettings(await StorageService.getTrashSettings());
+    } catch (error) {
+      console.error('Error loading trash:', error);
+    }
+  };
+
+  const handleRestoreTrashItem = async (item) => {
+    try {
+      setTrashBusyId(item.id);
+      const { restoredCount } = await StorageService.restoreTrashItem(item.id);
+      await loadDataStats();
+      await loadTrash();
       Alert.alert(
-        profile.exportSection.exportError,
-        profile.exportSection.noDataToExport
+        profile.trashSection.restoreSuccess,
+        profile.trashSection.restoreSuccessMessage(restoredCount)
       );
+    } catch (error) {
+      Alert.alert(common.error, error.message || profile.trashSection.restoreError);
+    } finally {
+      setTrashBusyId(null);
+    }
+  };
+
+  const handleDeleteTrashItem = (item) => {
+    Alert.alert(
+      profile.trashSection.deleteConfirmTitle,
+      profile.trashSection.deleteConfirmMessage,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: profile.trashSection.delete,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setTrashBusyId(item.id);
+              await StorageService.purgeTrashItem(item.id);
+              await loadTrash();
+            } catch (error) {
+              Alert.alert(common.error, profile.trashSection.deleteError);
+            } finally {
+              setTrashBusyId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      profile.trashSection.emptyConfirmTitle,
+      profile.trashSection.emptyConfirmMessage,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: profile.trashSection.emptyTrash,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await StorageService.emptyTrash();
+              await loadTrash();
+            } catch (error) {
+              Alert.alert(common.error, profile.trashSection.deleteError);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const loadAutoBackups = async () => {
+    // Settings stay unset where backups can't be written, which hides the section
+    if (!AutoBackupService.isAvailable) {
       return;
     }
 
-    const setLoadingState = format === 'json' ? setExportingJSON : setExportingCSV;
+    try {
+      setAutoBackupSettings(await StorageService.getAutoBackupSettings());
+      setAutoBackups(await AutoBackupService.listBackups());
+    } catch (error) {
+      console.error('Error loading automatic backups:', error);
+    }
+  };
 
+  const handleAutoBackupSettingsChange = async (changes) => {
     try {
-      setLoadingState(true);
-      
-      const { data, filename, mimeType } = await StorageService.exportData(format);
-      
-      // Create temporary file
-      const fileUri = FileSystem.documentDirectory + filename;
-      await FileSystem.writeAsStringAsync(fileUri, data, {
+      setAutoBackupBusy(true);
+      await AutoBackupService.updateSettings({ ...autoBackupSettings, ...changes });
+      await loadAutoBackups();
+    } catch (error) {
+      console.error('Error updating automatic backup settings:', error);
+    } finally {
+      setAutoBackupBusy(false);
+    }
+  };
+
+  const handleBackupNow = async () => {
+    try {
+      setCreatingBackup(true);
+      await AutoBackupService.createBackup();
+      await loadAutoBackups();
+    } catch (error) {
+      Alert.alert(common.error, profile.autoBackupSection.backupNowError);
+    } finally {
+      setCreatingBackup(false);
+    }
+  };
+
+  const formatBackupTime = (backup) => {
+    const createdAt = new Date(backup.createdAt);
+    return profile.autoBackupSection.itemCreated(
+      formatDisplayDateWithYear(formatDate(createdAt)),
+      createdAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    );
+  };
+
+  const handleRestoreAutoBackup = (backup) => {
+    const texts = profile.autoBackupSection;
+    Alert.alert(
+      texts.restoreConfirmTitle,
+      texts.restoreConfirmMessage(formatBackupTime(backup)),
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.restore,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setAutoBackupBusy(true);
+              const result = await AutoBackupService.restoreBackup(backup.uri);
+              await applyRestoredSettings(result.restoredSettings);
+              await loadDataStats();
+              await loadAutoBackups();
+              Alert.alert(texts.restoreSuccess, texts.restoreSuccessMessage(result.totalEntries));
+            } catch (error) {
+              Alert.alert(texts.restoreError, error.message);
+            } finally {
+              setAutoBackupBusy(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleDeleteAutoBackup = (backup) => {
+    const texts = profile.autoBackupSection;
+    Alert.alert(
+      texts.deleteConfirmTitle,
+      texts.deleteConfirmMessage,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.delete,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await AutoBackupService.deleteBackup(backup.uri);
+              await loadAutoBackups();
+            } catch (error) {
+              Alert.alert(common.error, texts.deleteError);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Settings only: the server is listed when the user opens the backup list
+  const loadWebDAV = async () => {
+    const settings = await StorageService.getWebDAVSettings();
+    setWebDAVSettings(settings);
+    if (!WebDAVBackupService.isConfigured(settings)) {
+      setRemoteBackups(null);
+      setRemoteError(null);
+    }
+  };
+
+  const loadRemoteBackups = async () => {
+    try {
+      setLoadingRemoteBackups(true);
+      setRemoteBackups(await WebDAVBackupService.listBackups());
+      setRemoteError(null);
+    } catch (error) {
+      setRemoteError(error.message);
+    } finally {
+      setLoadingRemoteBackups(false);
+    }
+  };
+
+  const handleSaveWebDAVSettings = async (settings) => {
+    try {
+      await StorageService.saveWebDAVSettings(settings);
+      setShowWebDAVSettings(false);
+      // The server may have changed, so a listed folder is out of date
+      setRemoteBackups(null);
+      setRemoteError(null);
+      await loadWebDAV();
+    } catch (error) {
+      Alert.alert(common.error, error.message);
+    }
+  };
+
+  const handleRemoveWebDAV = () => {
+    const texts = profile.webdavSection;
+    Alert.alert(
+      texts.removeConfirmTitle,
+      texts.removeConfirmMessage,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.remove,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await StorageService.removeWebDAVSettings();
+              await loadWebDAV();
+            } catch (error) {
+              Alert.alert(common.error, error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleUploadBackup = async () => {
+    const texts = profile.webdavSection;
+    try {
+      setUploadingBackup(true);
+      const { filename } = await WebDAVBackupService.uploadBackup();
+      await loadWebDAV();
+      if (remoteBackups !== null) {
+        await loadRemoteBackups();
+      }
+      Alert.alert(texts.uploadSuccess, texts.uploadSuccessMessage(filename));
+    } catch (error) {
+      Alert.alert(texts.uploadError, error.message);
+    } finally {
+      setUploadingBackup(false);
+    }
+  };
+
+  const handleRestoreRemoteBackup = (backup) => {
+    const texts = profile.webdavSection;
+    Alert.alert(
+      texts.restoreConfirmTitle,
+      texts.restoreConfirmMessage(backup.filename),
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.restore,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setWebDAVBusy(true);
+              const result = await WebDAVBackupService.restoreBackup(backup.filename);
+              await applyRestoredSettings(result.restoredSettings);
+              await loadDataStats();
+              Alert.alert(texts.restoreSuccess, texts.restoreSuccessMessage(result.totalEntries));
+            } catch (error) {
+              Alert.alert(texts.restoreError, error.message);
+            } finally {
+              setWebDAVBusy(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleDeleteRemoteBackup = (backup) => {
+    const texts = profile.webdavSection;
+    Alert.alert(
+      texts.deleteConfirmTitle,
+      texts.deleteConfirmMessage(backup.filename),
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.delete,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setWebDAVBusy(true);
+              await WebDAVBackupService.deleteBackup(backup.filename);
+              await loadRemoteBackups();
+            } catch (error) {
+              Alert.alert(texts.deleteError, error.message);
+            } finally {
+              setWebDAVBusy(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const loadSync = async () => {
+    setSyncSettings(await StorageService.getSyncSettings());
+  };
+
+  // Summary of a merge for the user
+  const showSyncResult = ({ changedDates, conflicts }) => {
+    const texts = profile.syncSection;
+    const lines = [changedDates.length > 0 ? texts.resultChanged(changedDates.length) : texts.resultUpToDate];
+    if (conflicts.length > 0) {
+      lines.push(texts.resultConflicts(conflicts.length));
+    }
+    Alert.alert(texts.resultTitle, lines.join('\n\n'));
+  };
+
+  const handleExportSyncFile = async () => {
+    try {
+      setExportingSyncFile(true);
+      const file = await SyncService.createSyncFile();
+      await shareFile(file, profile.syncSection.title);
+    } catch (error) {
+      Alert.alert(profile.exportSection.exportError, error.message);
+    } finally {
+      setExportingSyncFile(false);
+    }
+  };
+
+  const handleImportSyncFile = async () => {
+    try {
+      setImportingSyncFile(true);
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets[0]) {
+        return;
+      }
+
+      const content = await FileSystem.readAsStringAsync(result.assets[0].uri, {
         encoding: FileSystem.EncodingType.UTF8,
       });
+      const merge = await SyncService.importSyncFile(content);
+      await loadDataStats();
+      showSyncResult(merge);
+    } catch (error) {
+      Alert.alert(profile.syncSection.importError, error.message);
+    } finally {
+      setImportingSyncFile(false);
+    }
+  };
+
+  const handleSyncNow = async () => {
+    try {
+      setSyncing(true);
+      const merge = await SyncService.syncWithServer();
+      await Promise.all([loadDataStats(), loadSync()]);
+      showSyncResult(merge);
+    } catch (error) {
+      Alert.alert(profile.syncSection.syncError, error.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleSaveSyncServer = async (settings) => {
+    try {
+      // A different server has its own sequence numbers
+      const cursor = settings.serverUrl === syncSettings.serverUrl ? syncSettings.cursor : 0;
+      await StorageService.saveSyncSettings({ ...syncSettings, ...settings, cursor });
+      setShowSyncServer(false);
+      await loadSync();
+    } catch (error) {
+      Alert.alert(common.error, error.message);
+    }
+  };
+
+  const handleRemoveSyncServer = () => {
+    const texts = profile.syncSection;
+    Alert.alert(
+      texts.removeConfirmTitle,
+      texts.removeConfirmMessage,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.remove,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await StorageService.saveSyncSettings({
+                ...syncSettings, serverUrl: '', token: '', cursor: 0, lastSyncAt: null,
+              });
+              await loadSync();
+            } catch (error) {
+              Alert.alert(common.error, error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const loadHealthSummary = async () => {
+    const dayContext = await StorageService.getDayContext();
+    setHealthSummaries(summarizeDayContextSources(dayContext));
+  };
+
+  const formatDateRange = (firstDate, lastDate) => (firstDate === lastDate
+    ? formatDisplayDateWithYear(firstDate)
+    : `${formatDisplayDateWithYear(firstDate)} – ${formatDisplayDateWithYear(lastDate)}`);
+
+  const handleImportAppleHealth = async () => {
+    const texts = profile.healthSection;
+    let file = null;
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/xml', 'text/xml'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets[0]) {
+        return;
+      }
+      file = result.assets[0];
 
-      // Check if sharing is available
-      if (!(await Sharing.isAvailableAsync())) {
-        throw new Error('Sharing is not available on this device');
+      setHealthImportProgress(0);
+      const summary = await AppleHealthService.importExport(file, {
+        onProgress: setHealthImportProgress,
+      });
+      await loadHealthSummary();
+      Alert.alert(
+        texts.importSuccess,
+        texts.importSuccessMessage(summary.days, formatDateRange(summary.firstDate, summary.lastDate))
+      );
+    } catch (error) {
+      Alert.alert(texts.importError, error.message);
+    } finally {
+      setHealthImportProgress(null);
+      // Exports are large; don't leave the picker's copy behind
+      if (file) {
+        FileSystem.deleteAsync(file.uri, { idempotent: true }).catch(() => {});
+      }
+    }
+  };
+
+  // Oura, Garmin or Fitbit CSV, picked here or recognised in the general import
+  const importWearableCSV = async (fileContent, importer) => {
+    const texts = profile.healthSection;
+    const summary = await WearableService.importCSV(fileContent, importer);
+    await loadHealthSummary();
+
+    const message = texts.importSuccessMessage(summary.days, formatDateRange(summary.firstDate, summary.lastDate));
+    Alert.alert(
+      texts.importSuccess,
+      summary.rejectedRows.length > 0 ? `${message} ${texts.skippedRows(summary.rejectedRows.length)}` : message
+    );
+  };
+
+  const handleImportWearable = async () => {
+    const texts = profile.healthSection;
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets[0]) {
+        return;
       }
 
-      // Share the file
-      await Sharing.shareAsync(fileUri, {
-        mimeType,
-        dialogTitle: profile.exportSection.title,
+      setImportingWearable(true);
+      const fileContent = await FileSystem.readAsStringAsync(result.assets[0].uri, {
+        encoding: FileSystem.EncodingType.UTF8,
       });
+      const importer = WearableService.detect(fileContent);
+      if (!importer) {
+        Alert.alert(texts.importError, texts.wearableNotRecognized);
+        return;
+      }
+      await importWearableCSV(fileContent, importer);
+    } catch (error) {
+      Alert.alert(texts.importError, error.message);
+    } finally {
+      setImportingWearable(false);
+    }
+  };
 
-      // Clean up the temporary file after a short delay
-      setTimeout(async () => {
-        try {
-          await FileSystem.deleteAsync(fileUri, { idempotent: true });
-        } catch (cleanupError) {
-          console.warn('Failed to clean up temporary file:', cleanupError);
-        }
-      }, 1000);
+  const confirmRemoveDayContext = (source, title, message) => {
+    Alert.alert(
+      title,
+      message,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: profile.healthSection.remove,
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await StorageService.removeDayContext(source);
+              await loadHealthSummary();
+            } catch (error) {
+              Alert.alert(common.error, error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
 
+  const handleRemoveHealthData = (source) => {
+    const texts = profile.healthSection;
+    confirmRemoveDayContext(source, texts.removeConfirmTitle(texts.sources[source]), texts.removeConfirmMessage);
+  };
+
+  const handleImportCalendar = async () => {
+    const texts = profile.calendarSection;
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        // Some providers hand out .ics files without the calendar mime type
+        type: ['text/calendar', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets[0]) {
+        return;
+      }
+
+      setImportingCalendar(true);
+      const summary = await CalendarService.importICS(result.assets[0]);
+      await loadHealthSummary();
+      Alert.alert(
+        texts.importSuccess,
+        texts.importSuccessMessage(summary.meetingCount, summary.days, formatDateRange(summary.firstDate, summary.lastDate))
+      );
+    } catch (error) {
+      Alert.alert(texts.importError, error.message);
+    } finally {
+      setImportingCalendar(false);
+    }
+  };
+
+  const handleRemoveCalendar = () => {
+    const texts = profile.calendarSection;
+    confirmRemoveDayContext(DAY_CONTEXT_SOURCES.CALENDAR, texts.removeConfirmTitle, texts.removeConfirmMessage);
+  };
+
+  const loadCustomMetrics = async () => {
+    setCustomMetrics(await StorageService.getCustomMetrics());
+  };
+
+  const saveCustomMetrics = async (metrics) => {
+    try {
+      await StorageService.saveCustomMetrics(metrics);
+      setCustomMetrics(metrics);
+      return true;
+    } catch (error) {
+      Alert.alert(common.error, profile.customMetricsSection.saveError);
+      return false;
+    }
+  };
+
+  const handleSaveMetric = async (metric) => {
+    const exists = customMetrics.some(other => other.id === metric.id);
+    const metrics = exists
+      ? customMetrics.map(other => (other.id === metric.id ? metric : other))
+      : [...customMetrics, metric];
+    if (await saveCustomMetrics(metrics)) {
+      setMetricEditor(null);
+      hapticFeedback();
+    }
+  };
+
+  const loadCheckInPeriods = async () => {
+    setCheckInPeriods(await StorageService.getCheckInPeriods());
+  };
+
+  const handleSaveCheckInPeriods = async (periods) => {
+    try {
+      const saved = await StorageService.saveCheckInPeriods(periods);
+      setCheckInPeriods(saved);
+
+      // Reminders follow the periods: new ones get a reminder at their start time
+      const settings = await StorageService.getNotificationSettings();
+      setNotifSettings(settings);
+      if (settings.enabled) {
+        await NotificationService.scheduleAllReminders(settings);
+      }
+
+      setShowPeriodsEditor(false);
+      hapticFeedback();
+    } catch (error) {
+      console.error('Error saving check-in periods:', error);
+      Alert.alert(common.error, profile.checkInPeriodsSection.saveError);
+    }
+  };
+
+  const handleDeleteMetric = (metric) => {
+    const texts = profile.customMetricsSection;
+    Alert.alert(
+      texts.deleteConfirmTitle(metric.name),
+      texts.deleteConfirmMessage,
+      [
+        { text: common.cancel, style: 'cancel' },
+        {
+          text: texts.delete,
+          style: 'destructive',
+          onPress: () => saveCustomMetrics(customMetrics.filter(other => other.id !== metric.id)),
+        },
+      ]
+    );
+  };
+
+  const handleTrashRetentionChange = async (retentionDays) => {
+    try {
+      await StorageService.saveTrashSettings({ ...trashSettings, retentionDays });
+      await loadTrash();
+    } catch (error) {
+      console.error('Error updating trash retention:', error);
+    }
+  };
+
+  const handleDismissRecovery = async () => {
+    try {
+      await StorageService.dismissRecoveryStatus();
+      setRecoveryStatus(null);
+    } catch (error) {
+      console.error('Error dismissing recovery status:', error);
+    }
+  };
+
+  const handleExport = async (format, { passphrase = null, csv = null } = {}) => {
+    if (dataStats.totalEntries === 0) {
+      Alert.alert(
+        profile.exportSection.exportError,
+        profile.exportSection.noDataToExport
+      );
+      return;
+    }
+
+    // Ask for a passphrase first; the prompt calls back into handleExport
+    if (encryptExports && !passphrase) {
+      setPassphrasePrompt({ mode: 'export', format });
+      return;
+    }
+
+    const setLoadingState = {
+      json: setExportingJSON,
+      csv: setExportingCSV,
+      backup: setExportingBackup,
+      [HEALTH_EXPORT_FORMATS.FHIR]: setExportingHealth,
+      [HEALTH_EXPORT_FORMATS.OPEN_MHEALTH]: setExportingHealth,
+      markdown: setExportingMarkdown,
+      xlsx: setExportingXLSX,
+    }[format];
+
+    try {
+      setLoadingState(true);
+      
+      const file = await StorageService.exportData(format, { passphrase, csv });
+      await shareFile(file, profile.exportSection.title);
     } catch (error) {
       console.error('Export error:', error);
       Alert.alert(
@@ -120,6 +816,35 @@ export const ProfileScreen = () => {
     }
   };
 
+  const handleCSVExport = async (options) => {
+    setShowCSVOptions(false);
+    setCSVExportOptions(options);
+    await handleExport('csv', { csv: options });
+  };
+
+  const handleShareReport = async ({ startDate, endDate, redact }) => {
+    try {
+      setGeneratingReport(true);
+      const file = await ReportService.generateReport(startDate, endDate, { redact });
+      setShowReportOptions(false);
+      await shareFile(file, reportModal.title);
+    } catch (error) {
+      console.error('Report error:', error);
+      Alert.alert(reportModal.error, error.message);
+    } finally {
+      setGeneratingReport(false);
+    }
+  };
+
+  const handleHealthExport = () => {
+    const texts = profile.exportSection.healthExport;
+    Alert.alert(texts.title, texts.message, [
+      { text: texts.fhir, onPress: () => handleExport(HEALTH_EXPORT_FORMATS.FHIR) },
+      { text: texts.openMHealth, onPress: () => handleExport(HEALTH_EXPORT_FORMATS.OPEN_MHEALTH) },
+      { text: common.cancel, style: 'cancel' },
+    ]);
+  };
+
   const handleImport = async () => {
     // Prevent multiple concurrent imports
     if (importing) {
@@ -131,7 +856,8 @@ export const ProfileScreen = () => {
 
       // Pick a document
       const result = await DocumentPicker.getDocumentAsync({
-        type: ['application/json', 'text/csv', 'text/comma-separated-values'],
+        // .energytune backups have no registered mime type
+        type: ['application/json', 'application/fhir+json', 'text/csv', 'text/comma-separated-values', 'application/octet-stream'],
         copyToCacheDirectory: true,
       });
 
@@ -158,51 +884,91 @@ export const ProfileScreen = () => {
       let format = 'json';
       if (file.name.endsWith('.csv') || file.mimeType?.includes('csv')) {
         format = 'csv';
+      } else if (file.name.endsWith(`.${BACKUP_FILE_EXTENSION}`)) {
+        format = 'backup';
       }
 
-      // Parse and validate the import (preview mode)
-      const previewResult = await StorageService.importData(fileContent, format, 'merge');
-      const existingStats = await StorageService.getDataStats();
-      
-      // Calculate conflicts
-      const importedDates = previewResult.previewData.map(entry => entry.date);
-      const existingEntries = await StorageService.getAllEntries();
-      const conflictDates = importedDates.filter(date => existingEntries[date]).length;
-      const newDates = importedDates.length - conflictDates;
+      // Encrypted files need the passphrase before they can be previewed
+      if (isEncryptedContent(fileContent)) {
+        setPassphrasePrompt({ mode: 'import', format, fileContent });
+        return;
+      }
 
-      // Show confirmation with details
+      // CSVs from trackers we don't recognise need their columns mapped first
+      if (format === 'csv') {
+        // Wearable exports hold per-day context, not entries
+        const wearableImporter = WearableService.detect(fileContent);
+        if (wearableImporter) {
+          await importWearableCSV(fileContent, wearableImporter);
+          return;
+        }
+
+        const inspection = StorageService.inspectCSVImport(fileContent);
+        if (inspection.source === IMPORT_SOURCES.GENERIC) {
+          setColumnMapping({ fileContent, inspection });
+          return;
+        }
+      }
+
+      await previewImport(fileContent, format);
+    } catch (error) {
+      console.error('Import error:', error);
       Alert.alert(
-        'Confirm Import',
-        `Import ${previewResult.importedCount} entries?\n\n` +
-        `• ${conflictDates} will overwrite existing entries\n` +
-        `• ${newDates} new entries will be added\n` +
-        `• Your ${existingStats.totalEntries} existing entries will be preserved`,
-        [
-          { 
-            text: 'Cancel', 
-            style: 'cancel',
-            onPress: () => setImporting(false)
-          },
-          {
-            text: 'Import',
-            onPress: async () => {
-              try {
-                setImporting(true); // Keep loading state during finalization
-                const finalResult = await StorageService.finalizeImport();
-                Alert.alert(
-                  profile.importSection.importSuccess(finalResult.importedCount),
-                  `Total entries: ${finalResult.totalEntries}`
-                );
-                loadDataStats();
-              } catch (error) {
-                Alert.alert(profile.importSection.importError, error.message);
-              } finally {
-                setImporting(false);
-              }
-            },
-          },
-        ]
+        profile.importSection.importError,
+        error.message || 'An error occurred while importing'
+      );
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handlePassphraseSubmit = async (passphrase) => {
+    const prompt = passphrasePrompt;
+    setPassphrasePrompt(null);
+
+    if (prompt.mode === 'export') {
+      await handleExport(prompt.format, { passphrase });
+      return;
+    }
+
+    try {
+      setImporting(true);
+      await previewImport(prompt.fileContent, prompt.format, { passphrase });
+    } catch (error) {
+      console.error('Import error:', error);
+      Alert.alert(
+        profile.importSection.importError,
+        error.message || 'An error occurred while importing'
       );
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handlePassphraseCancel = () => {
+    setPassphrasePrompt(null);
+  };
+
+  // Parse the file and show the import preview
+  const previewImport = async (fileContent, format, options = {}) => {
+    const previewResult = await StorageService.importData(fileContent, format, 'merge', options);
+    const existingStats = await StorageService.getDataStats();
+
+    if (previewResult.backup) {
+      showBackupRestorePreview(previewResult, existingStats);
+      return;
+    }
+
+    setImportPreview({ preview: previewResult, existingCount: existingStats.totalEntries, options: {} });
+  };
+
+  const handleColumnMappingConfirm = async (importOptions) => {
+    const { fileContent } = columnMapping;
+    setColumnMapping(null);
+
+    try {
+      setImporting(true);
+      await previewImport(fileContent, 'csv', { source: IMPORT_SOURCES.GENERIC, importOptions });
     } catch (error) {
       console.error('Import error:', error);
       Alert.alert(
@@ -214,6 +980,104 @@ export const ProfileScreen = () => {
     }
   };
 
+  const handleColumnMappingCancel = () => {
+    setColumnMapping(null);
+    setImporting(false);
+  };
+
+  const handleImportPreviewConfirm = async ({ strategy, overrides }) => {
+    const { options } = importPreview;
+    setImportPreview(null);
+    await runFinalizeImport({ ...options, strategy, overrides });
+  };
+
+  const handleImportPreviewCancel = () => {
+    setImportPreview(null);
+    setImporting(false);
+  };
+
+  // Apply settings restored from a backup to the running app
+  const applyRestoredSettings = async (restoredSettings) => {
+    if (!restoredSettings) {
+      return;
+    }
+    if (restoredSettings.themePreference) {
+      await setTheme(restoredSettings.themePreference);
+    }
+    // Periods first: reminders are scheduled for the restored periods
+    await loadCheckInPeriods();
+    await loadCustomMetrics();
+    await NotificationService.syncScheduledNotificationsFromStorage();
+    await loadNotificationSettings();
+    await loadWeeklySummarySettings();
+    await loadTrash();
+  };
+
+  const runFinalizeImport = async (options) => {
+    try {
+      setImporting(true); // Keep loading state during finalization
+      const finalResult = await StorageService.finalizeImport(options);
+      await applyRestoredSettings(finalResult.restoredSettings);
+
+      Alert.alert(
+        profile.importSection.importSuccess(finalResult.importedCount),
+        finalResult.restoredSettings
+          ? profile.importSection.restoreSettingsSuccess(finalResult.totalEntries)
+          : `Total entries: ${finalResult.totalEntries}`
+      );
+      loadDataStats();
+    } catch (error) {
+      Alert.alert(profile.importSection.importError, error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const showBackupRestorePreview = (previewResult, existingStats) => {
+    const conflictDates = previewResult.conflicts.length;
+    const { backup, importedCount } = previewResult;
+    const texts = profile.importSection.backupPreview;
+    const dateRange = backup.firstDate
+      ? `${formatDisplayDateWithYear(backup.firstDate)} – ${formatDisplayDateWithYear(backup.lastDate)}`
+      : texts.noEntries;
+    const settingNames = backup.settings.map(name => texts.settingNames[name] || name);
+
+    Alert.alert(
+      texts.title,
+      [
+        texts.created(formatDisplayDateWithYear(formatDate(new Date(backup.createdAt))), backup.appVersion),
+        texts.entries(importedCount, dateRange),
+        settingNames.length > 0 ? texts.settings(settingNames.join(', ')) : texts.noSettings,
+        '',
+        texts.mergeExplanation(conflictDates),
+        texts.replaceExplanation(existingStats.totalEntries),
+      ].join('\n'),
+      [
+        {
+          text: common.cancel,
+          style: 'cancel',
+          onPress: () => setImporting(false),
+        },
+        {
+          text: texts.merge,
+          // Differing days get the same per-day review as a regular import
+          onPress: () => (conflictDates > 0
+            ? setImportPreview({
+                preview: previewResult,
+                existingCount: existingStats.totalEntries,
+                options: { mode: 'merge' },
+              })
+            : runFinalizeImport({ mode: 'merge' })),
+        },
+        {
+          text: texts.replace,
+          style: 'destructive',
+          onPress: () => runFinalizeImport({ mode: 'replace' }),
+        },
+      ]
+    );
+  };
+
   const handleRemoveAllData = async () => {
     if (dataStats.totalEntries === 0) {
       Alert.alert(
@@ -233,9 +1097,10 @@ export const ProfileScreen = () => {
       await StorageService.clearAllData();
       setShowRemoveWarning(false);
       await loadDataStats();
+      await loadTrash();
       Alert.alert(
         profile.removeDataSection.removeSuccess,
-        'All your entries have been permanently deleted.'
+        profile.removeDataSection.removeSuccessMessage
       );
     } catch (error) {
       console.error('Remove data error:', error);
@@ -449,15 +1314,163 @@ export const ProfileScreen = () => {
       {dataStats.totalEntries === 0 && !loading && (
         <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{profile.dataSection.noData}</Text>
       )}
+
+      {/* Storage recovery notice */}
+      {recoveryStatus && (
+        <View style={[styles.warningBox, { backgroundColor: theme.colors.systemOrange + '15' }]}>
+          <Ionicons name="warning-outline" size={20} color={theme.colors.systemOrange} />
+          <View style={styles.recoveryContent}>
+            <Text style={[styles.recoveryTitle, { color: theme.colors.systemOrange }]}>
+              {recoveryStatus.restored
+                ? profile.dataSection.recoveredTitle
+                : profile.dataSection.recoveryFailedTitle}
+            </Text>
+            <Text style={[styles.warningText, { color: theme.colors.systemOrange }]}>
+              {recoveryStatus.restored
+                ? profile.dataSection.recoveredMessage(recoveryStatus.recoveredEntries)
+                : profile.dataSection.recoveryFailedMessage}
+            </Text>
+            <TouchableOpacity onPress={handleDismissRecovery} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+              <Text style={[styles.recoveryDismiss, { color: theme.colors.systemBlue }]}>
+                {profile.dataSection.dismissRecovery}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {autoBackupSettings && <AutoBackups />}
     </View>
   );
 
+  const AutoBackups = () => {
+    const texts = profile.autoBackupSection;
+
+    return (
+      <>
+        <Text style={[styles.subsectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        <View style={[styles.settingRow, { borderBottomColor: theme.colors.separator }]}>
+          <Text style={[styles.settingLabel, { color: theme.colors.label }]}>{texts.enableToggle}</Text>
+          <Switch
+            value={autoBackupSettings.enabled}
+            onValueChange={(enabled) => handleAutoBackupSettingsChange({ enabled })}
+            disabled={autoBackupBusy}
+            trackColor={{ 
+              false: theme.colors.systemGray4, 
+              true: Platform.OS === 'ios' ? undefined : '#34C759'
+            }}
+            thumbColor={Platform.OS === 'ios' ? undefined : (autoBackupSettings.enabled ? '#FFFFFF' : theme.colors.systemGray3)}
+          />
+        </View>
+
+        {autoBackupSettings.enabled && (
+          <>
+            <View style={[styles.settingRow, { borderBottomColor: theme.colors.separator }]}>
+              <Text style={[styles.settingLabel, { color: theme.colors.label }]}>{texts.frequencyLabel}</Text>
+              <TouchableOpacity
+                style={styles.pickerButton}
+                onPress={() => {
+                  Alert.alert(
+                    texts.frequencyLabel,
+                    texts.frequencyPrompt,
+                    Object.values(AUTO_BACKUP_FREQUENCIES).map(frequency => ({
+                      text: texts.frequencies[frequency],
+                      onPress: () => handleAutoBackupSettingsChange({ frequency }),
+                      style: frequency === autoBackupSettings.frequency ? 'destructive' : 'default',
+                    })).concat([{ text: common.cancel, style: 'cancel' }])
+                  );
+                }}
+              >
+                <Text style={[styles.pickerButtonText, { color: theme.colors.systemBlue }]}>
+                  {texts.frequencies[autoBackupSettings.frequency]}
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={[styles.settingRow, { borderBottomColor: theme.colors.separator }]}>
+              <Text style={[styles.settingLabel, { color: theme.colors.label }]}>{texts.keepLabel}</Text>
+              <TouchableOpacity
+                style={styles.pickerButton}
+                onPress={() => {
+                  Alert.alert(
+                    texts.keepLabel,
+                    texts.keepPrompt,
+                    AUTO_BACKUP_KEEP_OPTIONS.map(keep => ({
+                      text: texts.keepOption(keep),
+                      onPress: () => handleAutoBackupSettingsChange({ keep }),
+                      style: keep === autoBackupSettings.keep ? 'destructive' : 'default',
+                    })).concat([{ text: common.cancel, style: 'cancel' }])
+                  );
+                }}
+              >
+                <Text style={[styles.pickerButtonText, { color: theme.colors.systemBlue }]}>
+                  {texts.keepOption(autoBackupSettings.keep)}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        {autoBackups.length === 0 && (
+          <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.noBackups}</Text>
+        )}
+
+        {autoBackups.map(backup => (
+          <View key={backup.filename} style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+            <View style={styles.trashInfo}>
+              <Text style={[styles.dataLabel, { color: theme.colors.label }]}>{formatBackupTime(backup)}</Text>
+              {backup.size !== null && (
+                <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]}>
+                  {texts.itemSize(backup.size)}
+                </Text>
+              )}
+            </View>
+            <View style={styles.trashActions}>
+              <TouchableOpacity
+                onPress={() => handleRestoreAutoBackup(backup)}
+                disabled={autoBackupBusy}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>{texts.restore}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleDeleteAutoBackup(backup)}
+                disabled={autoBackupBusy}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>{texts.delete}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        {dataStats.totalEntries > 0 && (
+          <TouchableOpacity
+            style={[styles.actionButton, { backgroundColor: theme.colors.systemBlue }]}
+            onPress={handleBackupNow}
+            disabled={autoBackupBusy || creatingBackup}
+          >
+            <Text style={styles.actionButtonText}>
+              {creatingBackup ? texts.backingUp : texts.backupNow}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </>
+    );
+  };
+
   const AppearanceSection = () => (
     <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
       <AppearanceSelector />
     </View>
   );
 
+  const exportBusy = exportingJSON || exportingCSV || exportingBackup || exportingHealth || exportingMarkdown || exportingXLSX;
+
   const ExportSection = () => (
     <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
       <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{profile.exportSection.title}</Text>
@@ -465,13 +1478,34 @@ export const ProfileScreen = () => {
         {profile.exportSection.description}
       </Text>
       
+      {/* Encryption Toggle */}
+      <View style={[styles.settingRow, { borderBottomColor: theme.colors.separator }]}>
+        <Text style={[styles.settingLabel, { color: theme.colors.label }]}>
+          {profile.exportSection.encryptToggle}
+        </Text>
+        <Switch
+          value={encryptExports}
+          onValueChange={setEncryptExports}
+          trackColor={{ 
+            false: theme.colors.systemGray4, 
+            true: Platform.OS === 'ios' ? undefined : '#34C759'
+          }}
+          thumbColor={Platform.OS === 'ios' ? undefined : (encryptExports ? '#FFFFFF' : theme.colors.systemGray3)}
+        />
+      </View>
+      {encryptExports && (
+        <Text style={[styles.exportHint, styles.encryptHint, { color: theme.colors.tertiaryLabel }]}>
+          {profile.exportSection.encryptHint}
+        </Text>
+      )}
+
       <View style={styles.exportButtons}>
         <Button
           title={profile.exportSection.exportJSON}
           variant="secondary"
           size="medium"
           onPress={() => handleExport('json')}
-          disabled={exportingJSON || exportingCSV || dataStats.totalEntries === 0}
+          disabled={exportBusy || dataStats.totalEntries === 0}
           loading={exportingJSON}
           style={styles.exportButton}
         />
@@ -480,11 +1514,69 @@ export const ProfileScreen = () => {
           title={profile.exportSection.exportCSV}
           variant="secondary"
           size="medium"
-          onPress={() => handleExport('csv')}
-          disabled={exportingJSON || exportingCSV || dataStats.totalEntries === 0}
+          onPress={() => setShowCSVOptions(true)}
+          disabled={exportBusy || encryptExports || dataStats.totalEntries === 0}
           loading={exportingCSV}
           style={styles.exportButton}
         />
+
+        <Button
+          title={profile.exportSection.exportXLSX}
+          variant="secondary"
+          size="medium"
+          onPress={() => handleExport('xlsx')}
+          disabled={exportBusy || encryptExports || dataStats.totalEntries === 0}
+          loading={exportingXLSX}
+          style={styles.exportButton}
+        />
+
+        <Button
+          title={profile.exportSection.exportBackup}
+          variant="secondary"
+          size="medium"
+          onPress={() => handleExport('backup')}
+          disabled={exportBusy || dataStats.totalEntries === 0}
+          loading={exportingBackup}
+          style={styles.exportButton}
+        />
+        <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>
+          {profile.exportSection.backupHint}
+        </Text>
+
+        <Button
+          title={profile.exportSection.healthExport.button}
+          variant="secondary"
+          size="medium"
+          onPress={handleHealthExport}
+          disabled={exportBusy || encryptExports || dataStats.totalEntries === 0}
+          loading={exportingHealth}
+          style={styles.exportButton}
+        />
+
+        <Button
+          title={profile.exportSection.exportMarkdown}
+          variant="secondary"
+          size="medium"
+          onPress={() => handleExport('markdown')}
+          disabled={exportBusy || encryptExports || dataStats.totalEntries === 0}
+          loading={exportingMarkdown}
+          style={styles.exportButton}
+        />
+        <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>
+          {profile.exportSection.markdownHint}
+        </Text>
+
+        <Button
+          title={profile.exportSection.shareReport}
+          variant="secondary"
+          size="medium"
+          onPress={() => setShowReportOptions(true)}
+          disabled={exportBusy || encryptExports || dataStats.totalEntries === 0}
+          style={styles.exportButton}
+        />
+        <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>
+          {profile.exportSection.shareReportHint}
+        </Text>
       </View>
     </View>
   );
@@ -522,35 +1614,23 @@ export const ProfileScreen = () => {
         {/* Conditional: Show time pickers when enabled */}
         {notifSettings.enabled && (
           <>
-            {/* Morning */}
-            <PeriodTimeSetting
-              label="Morning"
-              enabled={notifSettings.periods.morning.enabled}
-              time={notifSettings.periods.morning.time}
-              onToggle={(val) => handlePeriodToggle('morning', val)}
-              onTimeChange={(time) => handleTimeChange('morning', time)}
-              theme={theme}
-            />
-
-            {/* Afternoon */}
-            <PeriodTimeSetting
-              label="Afternoon"
-              enabled={notifSettings.periods.afternoon.enabled}
-              time={notifSettings.periods.afternoon.time}
-              onToggle={(val) => handlePeriodToggle('afternoon', val)}
-              onTimeChange={(time) => handleTimeChange('afternoon', time)}
-              theme={theme}
-            />
-
-            {/* Evening */}
-            <PeriodTimeSetting
-              label="Evening"
-              enabled={notifSettings.periods.evening.enabled}
-              time={notifSettings.periods.evening.time}
-              onToggle={(val) => handlePeriodToggle('evening', val)}
-              onTimeChange={(time) => handleTimeChange('evening', time)}
-              theme={theme}
-            />
+            {checkInPeriods.map(period => {
+              const periodSettings = notifSettings.periods[period.id];
+              if (!periodSettings) {
+                return null;
+              }
+              return (
+                <PeriodTimeSetting
+                  key={period.id}
+                  label={period.name}
+                  enabled={periodSettings.enabled}
+                  time={periodSettings.time}
+                  onToggle={(val) => handlePeriodToggle(period.id, val)}
+                  onTimeChange={(time) => handleTimeChange(period.id, time)}
+                  theme={theme}
+                />
+              );
+            })}
 
             {/* Info text */}
             <Text style={[styles.infoText, { color: theme.colors.tertiaryLabel }]}>
@@ -686,6 +1766,439 @@ export const ProfileScreen = () => {
     </View>
   );
 
+  const HealthSection = () => {
+    const texts = profile.healthSection;
+    const importingHealth = healthImportProgress !== null;
+    const busy = importingHealth || importingWearable;
+    const summaries = healthSummaries.filter(summary => summary.source !== DAY_CONTEXT_SOURCES.CALENDAR);
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        {summaries.length === 0 && (
+          <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.noData}</Text>
+        )}
+
+        {summaries.map(summary => (
+          <View key={summary.source} style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+            <View style={styles.trashInfo}>
+              <Text style={[styles.dataLabel, { color: theme.colors.label }]}>
+                {texts.sources[summary.source] || summary.source}
+              </Text>
+              <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]}>
+                {texts.stored(summary.days, formatDateRange(summary.firstDate, summary.lastDate))}
+              </Text>
+            </View>
+            <View style={styles.trashActions}>
+              <TouchableOpacity
+                onPress={() => handleRemoveHealthData(summary.source)}
+                disabled={busy}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>{texts.remove}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        <Button
+          title={texts.importFile}
+          variant="secondary"
+          size="medium"
+          onPress={handleImportAppleHealth}
+          disabled={busy}
+          loading={importingHealth}
+          style={styles.importButton}
+        />
+        <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>
+          {importingHealth ? texts.importing(Math.round(healthImportProgress * 100)) : texts.howTo}
+        </Text>
+
+        <Button
+          title={texts.importWearable}
+          variant="secondary"
+          size="medium"
+          onPress={handleImportWearable}
+          disabled={busy}
+          loading={importingWearable}
+          style={styles.importButton}
+        />
+        <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>
+          {texts.wearableHowTo}
+        </Text>
+      </View>
+    );
+  };
+
+  const CalendarSection = () => {
+    const texts = profile.calendarSection;
+    const summary = healthSummaries.find(item => item.source === DAY_CONTEXT_SOURCES.CALENDAR);
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        {summary ? (
+          <View style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+            <View style={styles.trashInfo}>
+              <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]}>
+                {profile.healthSection.stored(summary.days, formatDateRange(summary.firstDate, summary.lastDate))}
+              </Text>
+            </View>
+            <View style={styles.trashActions}>
+              <TouchableOpacity
+                onPress={handleRemoveCalendar}
+                disabled={importingCalendar}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>
+                  {profile.healthSection.remove}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : (
+          <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.noData}</Text>
+        )}
+
+        <Button
+          title={texts.importFile}
+          variant="secondary"
+          size="medium"
+          onPress={handleImportCalendar}
+          disabled={importingCalendar}
+          loading={importingCalendar}
+          style={styles.importButton}
+        />
+        <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>{texts.howTo}</Text>
+      </View>
+    );
+  };
+
+  const CheckInPeriodsSection = () => {
+    const texts = profile.checkInPeriodsSection;
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        {checkInPeriods.map(period => (
+          <View key={period.id} style={[styles.dataRow, { borderBottomColor: theme.colors.separator }]}>
+            <Text style={[styles.dataLabel, { color: theme.colors.label }]}>{period.name}</Text>
+            <Text style={[styles.dataValue, { color: theme.colors.secondaryLabel }]}>
+              {texts.window(period.start, getPeriodEnd(period.id, checkInPeriods))}
+            </Text>
+          </View>
+        ))}
+
+        <Button
+          title={texts.edit}
+          variant="secondary"
+          size="medium"
+          onPress={() => setShowPeriodsEditor(true)}
+          style={styles.importButton}
+        />
+      </View>
+    );
+  };
+
+  const CustomMetricsSection = () => {
+    const texts = profile.customMetricsSection;
+    const canAdd = customMetrics.length < MAX_CUSTOM_METRICS;
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        {customMetrics.length === 0 && (
+          <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.noMetrics}</Text>
+        )}
+
+        {customMetrics.map(metric => (
+          <View key={metric.id} style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+            <View style={styles.trashInfo}>
+              <Text style={[styles.dataLabel, { color: theme.colors.label }]}>{metric.name}</Text>
+              <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]}>
+                {texts.summary(
+                  texts.types[metric.type],
+                  texts.frequencies[metric.frequency],
+                  metric.min !== null ? texts.range(metric.min, metric.max) : null
+                )}
+                {metric.unit ? ` ${metric.unit}` : ''}
+              </Text>
+            </View>
+            <View style={styles.trashActions}>
+              <TouchableOpacity
+                onPress={() => setMetricEditor({ metric })}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>{texts.edit}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleDeleteMetric(metric)}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>{texts.delete}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        <Button
+          title={texts.add}
+          variant="secondary"
+          size="medium"
+          onPress={() => setMetricEditor({ metric: null })}
+          disabled={!canAdd}
+          style={styles.importButton}
+        />
+        {!canAdd && (
+          <Text style={[styles.exportHint, { color: theme.colors.tertiaryLabel }]}>
+            {texts.limitReached(MAX_CUSTOM_METRICS)}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const SyncSection = () => {
+    if (!syncSettings) {
+      return null;
+    }
+
+    const texts = profile.syncSection;
+    const configured = SyncService.isServerConfigured(syncSettings);
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        <Button
+          title={texts.exportFile}
+          variant="secondary"
+          size="medium"
+          onPress={handleExportSyncFile}
+          disabled={exportingSyncFile || importingSyncFile || syncing}
+          loading={exportingSyncFile}
+          style={styles.importButton}
+        />
+        <Button
+          title={importingSyncFile ? texts.importing : texts.importFile}
+          variant="secondary"
+          size="medium"
+          onPress={handleImportSyncFile}
+          disabled={exportingSyncFile || importingSyncFile || syncing}
+          loading={importingSyncFile}
+          style={styles.importButton}
+        />
+        <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.fileHint}</Text>
+
+        <Text style={[styles.subsectionTitle, { color: theme.colors.label }]}>{texts.server}</Text>
+        {!configured ? (
+          <>
+            <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.noServer}</Text>
+            <Button
+              title={texts.setUpServer}
+              variant="secondary"
+              size="medium"
+              onPress={() => setShowSyncServer(true)}
+              style={styles.importButton}
+            />
+          </>
+        ) : (
+          <>
+            <View style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+              <View style={styles.trashInfo}>
+                <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]} numberOfLines={1}>
+                  {syncSettings.serverUrl}
+                </Text>
+                <Text style={[styles.trashMeta, { color: theme.colors.tertiaryLabel }]}>
+                  {syncSettings.lastSyncAt
+                    ? texts.lastSync(formatBackupTime({ createdAt: syncSettings.lastSyncAt }))
+                    : texts.neverSynced}
+                </Text>
+              </View>
+              <View style={styles.trashActions}>
+                <TouchableOpacity onPress={() => setShowSyncServer(true)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                  <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>{texts.edit}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={handleRemoveSyncServer} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                  <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>{texts.remove}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <Button
+              title={syncing ? texts.syncing : texts.syncNow}
+              variant="primary"
+              size="medium"
+              onPress={handleSyncNow}
+              disabled={syncing || importingSyncFile}
+              loading={syncing}
+              style={styles.importButton}
+            />
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const WebDAVSection = () => {
+    if (!webdavSettings) {
+      return null;
+    }
+
+    const texts = profile.webdavSection;
+    const configured = WebDAVBackupService.isConfigured(webdavSettings);
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{texts.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {texts.description}
+        </Text>
+
+        {!configured ? (
+          <Button
+            title={texts.setUp}
+            variant="secondary"
+            size="medium"
+            onPress={() => setShowWebDAVSettings(true)}
+            style={styles.importButton}
+          />
+        ) : (
+          <>
+            <View style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+              <View style={styles.trashInfo}>
+                <Text style={[styles.dataLabel, { color: theme.colors.label }]}>{texts.server}</Text>
+                <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]} numberOfLines={1}>
+                  {webdavSettings.url}
+                </Text>
+                {webdavSettings.lastUploadAt && (
+                  <Text style={[styles.trashMeta, { color: theme.colors.tertiaryLabel }]}>
+                    {texts.lastUpload(formatBackupTime({ createdAt: webdavSettings.lastUploadAt }))}
+                  </Text>
+                )}
+              </View>
+              <View style={styles.trashActions}>
+                <TouchableOpacity
+                  onPress={() => setShowWebDAVSettings(true)}
+                  hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                >
+                  <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>{texts.edit}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={handleRemoveWebDAV} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                  <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>{texts.remove}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {remoteError ? (
+              <View style={[styles.warningBox, { backgroundColor: theme.colors.systemOrange + '15' }]}>
+                <Ionicons name="cloud-offline-outline" size={20} color={theme.colors.systemOrange} />
+                <View style={styles.recoveryContent}>
+                  <Text style={[styles.recoveryTitle, { color: theme.colors.systemOrange }]}>{texts.listError}</Text>
+                  <Text style={[styles.warningText, { color: theme.colors.systemOrange }]}>{remoteError}</Text>
+                  <TouchableOpacity
+                    onPress={loadRemoteBackups}
+                    disabled={loadingRemoteBackups}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Text style={[styles.recoveryDismiss, { color: theme.colors.systemBlue }]}>
+                      {loadingRemoteBackups ? texts.loadingBackups : texts.retry}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : remoteBackups === null ? (
+              <Button
+                title={loadingRemoteBackups ? texts.loadingBackups : texts.showBackups}
+                variant="secondary"
+                size="medium"
+                onPress={loadRemoteBackups}
+                disabled={loadingRemoteBackups}
+                loading={loadingRemoteBackups}
+                style={styles.importButton}
+              />
+            ) : (
+              <>
+                {remoteBackups.length === 0 && (
+                  <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>{texts.noBackups}</Text>
+                )}
+                {remoteBackups.map(backup => (
+                  <View key={backup.filename} style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+                    <View style={styles.trashInfo}>
+                      <Text style={[styles.dataLabel, { color: theme.colors.label }]} numberOfLines={1}>
+                        {backup.modifiedAt ? formatBackupTime({ createdAt: backup.modifiedAt }) : backup.filename}
+                      </Text>
+                      <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]} numberOfLines={1}>
+                        {backup.size !== null
+                          ? `${backup.filename} · ${profile.autoBackupSection.itemSize(backup.size)}`
+                          : backup.filename}
+                      </Text>
+                    </View>
+                    <View style={styles.trashActions}>
+                      <TouchableOpacity
+                        onPress={() => handleRestoreRemoteBackup(backup)}
+                        disabled={webdavBusy}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>{texts.restore}</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => handleDeleteRemoteBackup(backup)}
+                        disabled={webdavBusy}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>{texts.delete}</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+                <TouchableOpacity
+                  onPress={loadRemoteBackups}
+                  disabled={loadingRemoteBackups}
+                  style={styles.refreshLink}
+                  hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                >
+                  <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>
+                    {loadingRemoteBackups ? texts.loadingBackups : texts.refresh}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            <Button
+              title={uploadingBackup ? texts.uploading : texts.uploadNow}
+              variant="primary"
+              size="medium"
+              onPress={handleUploadBackup}
+              disabled={uploadingBackup || webdavBusy || dataStats.totalEntries === 0}
+              loading={uploadingBackup}
+              style={styles.importButton}
+            />
+          </>
+        )}
+      </View>
+    );
+  };
+
   const RemoveDataSection = () => (
     <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
       <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{profile.removeDataSection.title}</Text>
@@ -712,6 +2225,107 @@ export const ProfileScreen = () => {
     </View>
   );
 
+  const TrashSection = () => {
+    if (!trashSettings) {
+      return null;
+    }
+
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{profile.trashSection.title}</Text>
+        <Text style={[styles.sectionDescription, { color: theme.colors.secondaryLabel }]}>
+          {profile.trashSection.description}
+        </Text>
+
+        {/* Retention Picker */}
+        <View style={[styles.settingRow, { borderBottomColor: theme.colors.separator }]}>
+          <Text style={[styles.settingLabel, { color: theme.colors.label }]}>
+            {profile.trashSection.retentionLabel}
+          </Text>
+          <TouchableOpacity
+            style={styles.pickerButton}
+            onPress={() => {
+              Alert.alert(
+                profile.trashSection.retentionLabel,
+                profile.trashSection.retentionPrompt,
+                TRASH_RETENTION_OPTIONS.map(days => ({
+                  text: profile.trashSection.retentionOption(days),
+                  onPress: () => handleTrashRetentionChange(days),
+                  style: days === trashSettings.retentionDays ? 'destructive' : 'default',
+                })).concat([{ text: common.cancel, style: 'cancel' }])
+              );
+            }}
+          >
+            <Text style={[styles.pickerButtonText, { color: theme.colors.systemBlue }]}>
+              {profile.trashSection.retentionOption(trashSettings.retentionDays)}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {trashItems.length === 0 && (
+          <Text style={[styles.noDataText, { color: theme.colors.tertiaryLabel }]}>
+            {profile.trashSection.empty}
+          </Text>
+        )}
+
+        {trashItems.map(item => (
+          <View key={item.id} style={[styles.trashRow, { borderBottomColor: theme.colors.separator }]}>
+            <View style={styles.trashInfo}>
+              <Text style={[styles.dataLabel, { color: theme.colors.label }]}>
+                {profile.trashSection.reasons[item.reason] || item.reason}
+              </Text>
+              <Text style={[styles.trashMeta, { color: theme.colors.secondaryLabel }]}>
+                {profile.trashSection.itemDates(
+                  formatDisplayDateWithYear(item.firstDate),
+                  formatDisplayDateWithYear(item.lastDate),
+                  item.entryCount
+                )}
+              </Text>
+              <Text style={[styles.trashMeta, { color: theme.colors.tertiaryLabel }]}>
+                {profile.trashSection.itemDeleted(
+                  formatDisplayDate(formatDate(new Date(item.deletedAt))),
+                  formatDisplayDate(formatDate(new Date(item.expiresAt)))
+                )}
+              </Text>
+            </View>
+            <View style={styles.trashActions}>
+              <TouchableOpacity
+                onPress={() => handleRestoreTrashItem(item)}
+                disabled={trashBusyId !== null}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemBlue }]}>
+                  {profile.trashSection.restore}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleDeleteTrashItem(item)}
+                disabled={trashBusyId !== null}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Text style={[styles.trashAction, { color: theme.colors.systemRed }]}>
+                  {profile.trashSection.delete}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        {trashItems.length > 1 && (
+          <TouchableOpacity
+            style={[styles.removeButton, { borderColor: theme.colors.systemRed, marginTop: 16 }]}
+            onPress={handleEmptyTrash}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.removeButtonText, { color: theme.colors.systemRed }]}>
+              {profile.trashSection.emptyTrash}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
   const AboutSection = () => (
     <View style={[styles.section, { backgroundColor: theme.colors.primaryBackground }]}>
       <Text style={[styles.sectionTitle, { color: theme.colors.label }]}>{profile.appSection.title}</Text>
@@ -817,15 +2431,104 @@ export const ProfileScreen = () => {
       <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
         <DataSection />
         <AppearanceSection />
+        <CheckInPeriodsSection />
         <NotificationsSection />
         <WeeklySummarySection />
+        <CustomMetricsSection />
         <ImportSection />
+        <HealthSection />
+        <CalendarSection />
         <ExportSection />
+        <SyncSection />
+        <WebDAVSection />
         <RemoveDataSection />
+        <TrashSection />
         <AboutSection />
       </ScrollView>
       
       <WarningModal />
+
+      <PassphraseModal
+        visible={passphrasePrompt !== null}
+        title={passphrasePrompt?.mode === 'export'
+          ? profile.exportSection.encryptTitle
+          : profile.importSection.decryptTitle}
+        message={passphrasePrompt?.mode === 'export'
+          ? profile.exportSection.encryptMessage
+          : profile.importSection.decryptMessage}
+        requireConfirmation={passphrasePrompt?.mode === 'export'}
+        onSubmit={handlePassphraseSubmit}
+        onCancel={handlePassphraseCancel}
+        theme={theme}
+      />
+
+      <ReportOptionsModal
+        visible={showReportOptions}
+        busy={generatingReport}
+        onShare={handleShareReport}
+        onCancel={() => setShowReportOptions(false)}
+        theme={theme}
+      />
+
+      <WebDAVSettingsModal
+        visible={showWebDAVSettings}
+        initialSettings={webdavSettings}
+        onSave={handleSaveWebDAVSettings}
+        onTest={(settings) => WebDAVBackupService.testConnection(settings)}
+        onCancel={() => setShowWebDAVSettings(false)}
+        theme={theme}
+      />
+
+      <SyncServerModal
+        visible={showSyncServer}
+        initialSettings={syncSettings}
+        onSave={handleSaveSyncServer}
+        onTest={(settings) => SyncService.testServer(settings)}
+        onCancel={() => setShowSyncServer(false)}
+        theme={theme}
+      />
+
+      <CustomMetricModal
+        visible={metricEditor !== null}
+        metric={metricEditor?.metric ?? null}
+        metrics={customMetrics}
+        onSave={handleSaveMetric}
+        onCancel={() => setMetricEditor(null)}
+        theme={theme}
+      />
+
+      <CheckInPeriodsModal
+        visible={showPeriodsEditor}
+        periods={checkInPeriods}
+        onSave={handleSaveCheckInPeriods}
+        onCancel={() => setShowPeriodsEditor(false)}
+        theme={theme}
+      />
+
+      <CSVExportModal
+        visible={showCSVOptions}
+        initialOptions={csvExportOptions}
+        onExport={handleCSVExport}
+        onCancel={() => setShowCSVOptions(false)}
+        theme={theme}
+      />
+
+      <ColumnMappingModal
+        visible={columnMapping !== null}
+        inspection={columnMapping?.inspection}
+        onConfirm={handleColumnMappingConfirm}
+        onCancel={handleColumnMappingCancel}
+        theme={theme}
+      />
+
+      <ImportPreviewModal
+        visible={importPreview !== null}
+        preview={importPreview?.preview}
+        existingCount={importPreview?.existingCount ?? 0}
+        onConfirm={handleImportPreviewConfirm}
+        onCancel={handleImportPreviewCancel}
+        theme={theme}
+      />
     </View>
   );
 };
@@ -876,6 +2579,13 @@ const styles = StyleSheet.create({
     lineHeight: 22,
     marginBottom: 8,
   },
+  subsectionTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    lineHeight: 22,
+    marginTop: 24,
+    marginBottom: 4,
+  },
   sectionDescription: {
     fontSize: 17,
     fontWeight: '400',
@@ -915,6 +2625,14 @@ const styles = StyleSheet.create({
   importButton: {
     marginBottom: 0,
   },
+  exportHint: {
+    fontSize: 15,
+    fontWeight: '400',
+    lineHeight: 20,
+  },
+  encryptHint: {
+    marginBottom: 12,
+  },
   aboutDescription: {
     fontSize: 17,
     fontWeight: '400',
@@ -1060,4 +2778,48 @@ const styles = StyleSheet.create({
     fontWeight: '400',
     lineHeight: 20,
   },
+  recoveryContent: {
+    flex: 1,
+    gap: 4,
+  },
+  recoveryTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    lineHeight: 20,
+  },
+  trashRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    gap: 12,
+  },
+  trashInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  trashMeta: {
+    fontSize: 15,
+    fontWeight: '400',
+    lineHeight: 20,
+  },
+  trashActions: {
+    alignItems: 'flex-end',
+    gap: 8,
+  },
+  trashAction: {
+    fontSize: 15,
+    fontWeight: '600',
+    lineHeight: 20,
+  },
+  refreshLink: {
+    alignSelf: 'flex-start',
+    paddingVertical: 10,
+  },
+  recoveryDismiss: {
+    fontSize: 15,
+    fontWeight: '600',
+    lineHeight: 20,
+    marginTop: 4,
+  },
 });
@@ -12,12 +12,17 @@ import {
   Pressable,
   PanResponder,
   Animated,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { getTheme } from '../config/theme';
 import WeeklySummaryService from '../services/weeklySummaryService';
+import ReportService from '../services/reportService';
+import { ReportOptionsModal } from '../components/ui/ReportOptionsModal';
+import { reportModal } from '../config/texts';
+import { shareFile } from '../utils/shareFile';
 
 /**
  * Weekly Summary Screen - Zen-like, simple weekly overview
@@ -32,6 +37,8 @@ export const WeeklySummaryScreen = ({ navigation, route }) => {
   const [summary, setSummary] = useState(null);
   const [error, setError] = useState(null);
   const [selectedPattern, setSelectedPattern] = useState(null);
+  const [showReportOptions, setShowReportOptions] = useState(false);
+  const [generatingReport, setGeneratingReport] = useState(false);
   
   // Test mode state for algorithm comparison
   const [testMode, setTestMode] = useState(false);
@@ -134,9 +141,32 @@ export const WeeklySummaryScreen = ({ navigation, route }) => {
     }, 500);
   };
   
-  const handleShare = async () => {
+  const handleShare = () => {
     if (!summary) return;
     
+    Alert.alert('Share Summary', null, [
+      { text: 'Share as Text', onPress: handleShareText },
+      { text: 'Share Report', onPress: () => setShowReportOptions(true) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+  
+  // Full HTML report for the same week, for a coach or therapist
+  const handleShareReport = async ({ startDate, endDate, redact }) => {
+    try {
+      setGeneratingReport(true);
+      const file = await ReportService.generateReport(startDate, endDate, { redact });
+      setShowReportOptions(false);
+      await shareFile(file, reportModal.title);
+    } catch (error) {
+      console.error('Error sharing report:', error);
+      Alert.alert(reportModal.error, error.message);
+    } finally {
+      setGeneratingReport(false);
+    }
+  };
+  
+  const handleShareText = async () => {
     try {
       const message = formatSummaryForSharing(summary);
       await Share.share({
@@ -447,6 +477,16 @@ export const WeeklySummaryScreen = ({ navigation, route }) => {
         theme={theme}
         styles={styles}
       />
+      
+      {/* Report Options */}
+      <ReportOptionsModal
+        visible={showReportOptions}
+        fixedRange={summary.dateRange}
+        busy={generatingReport}
+        onShare={handleShareReport}
+        onCancel={() => setShowReportOptions(false)}
+        theme={theme}
+      />
     </SafeAreaView>
   );
 };
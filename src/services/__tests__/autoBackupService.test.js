@@ -0,0 +1,43 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// As on web, where expo-file-system has no document directory
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: null,
+  EncodingType: { UTF8: 'utf8' },
+  makeDirectoryAsync: jest.fn(),
+  writeAsStringAsync: jest.fn(),
+  getInfoAsync: jest.fn(),
+  readDirectoryAsync: jest.fn(),
+  deleteAsync: jest.fn(),
+}));
+
+let StorageService;
+let AutoBackupService;
+let FileSystem;
+
+beforeEach(() => {
+  jest.resetModules();
+  StorageService = require('../storage').default;
+  AutoBackupService = require('../autoBackupService').default;
+  FileSystem = require('expo-file-system/legacy');
+  const { STORAGE_BACKENDS } = require('../backends');
+  StorageService.useBackend(STORAGE_BACKENDS.MEMORY);
+});
+
+describe('AutoBackupService without a document directory', () => {
+  it('skips scheduled backups and lists none', async () => {
+    await StorageService.updateEnergyLevel('2024-03-05', 'morning', 6);
+    await StorageService.saveAutoBackupSettings({
+      ...(await StorageService.getAutoBackupSettings()),
+      enabled: true,
+    });
+
+    expect(AutoBackupService.isAvailable).toBe(false);
+    expect(await AutoBackupService.runIfDue()).toBeNull();
+    expect(await AutoBackupService.listBackups()).toEqual([]);
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+    expect((await StorageService.getAutoBackupSettings()).lastBackupAt).toBeFalsy();
+  });
+});
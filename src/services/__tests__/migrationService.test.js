@@ -0,0 +1,38 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+let StorageService;
+let MigrationService;
+
+beforeEach(() => {
+  jest.resetModules();
+  StorageService = require('../storage').default;
+  MigrationService = require('../migrationService').default;
+  const { STORAGE_BACKENDS } = require('../backends');
+  StorageService.useBackend(STORAGE_BACKENDS.MEMORY);
+});
+
+describe('MigrationService', () => {
+  it('adds custom metric values to entries stored at data version 1', async () => {
+    await StorageService.backend.putEntries([{
+      date: '2024-03-05',
+      schemaVersion: 1,
+      energyLevels: { morning: 6, afternoon: null, evening: null },
+      stressLevels: { morning: 3, afternoon: null, evening: null },
+      energySources: '',
+      stressSources: '',
+      notes: '',
+    }]);
+    await StorageService.setDataVersion(1);
+
+    const result = await MigrationService.runMigrations();
+
+    expect(result.applied).toEqual([2]);
+    expect(await StorageService.getDataVersion()).toBe(2);
+    const stored = await StorageService.backend.getEntry('2024-03-05');
+    expect(stored.metrics).toEqual({});
+    expect(stored.schemaVersion).toBe(2);
+    expect(stored.energyLevels.morning).toBe(6);
+  });
+});
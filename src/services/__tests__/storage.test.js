@@ -0,0 +1,127 @@
+// Concurrent updates to the same day go through one queued read-modify-write,
+// so none of them may overwrite another
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const DATE = '2024-03-05';
+
+let StorageService;
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  StorageService = require('../storage').default;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const readStored = (date = DATE) => StorageService.getEntry(date);
+
+describe('StorageService concurrent entry updates', () => {
+  it('keeps every field when different updates to one day run at once', async () => {
+    await Promise.all([
+      StorageService.updateEnergyLevel(DATE, 'morning', 7),
+      StorageService.updateStressLevel(DATE, 'afternoon', 4),
+      StorageService.updateEnergySources(DATE, 'Good sleep, coffee'),
+      StorageService.saveQuickEntry(DATE, 'evening', 'energy', 8),
+    ]);
+
+    const stored = await readStored();
+    expect(stored.energyLevels.morning).toBe(7);
+    expect(stored.stressLevels.afternoon).toBe(4);
+    expect(stored.energySources).toBe('Good sleep, coffee');
+    expect(stored.energyLevels.evening).toBe(8);
+    expect(stored.quickEntryMeta.evening).toMatchObject({ isQuick: true, energy: true });
+  });
+
+  it('keeps every level when all periods are updated at once', async () => {
+    const periods = ['morning', 'afternoon', 'evening'];
+    await Promise.all(periods.flatMap((period, index) => [
+      StorageService.updateEnergyLevel(DATE, period, index + 1),
+      StorageService.updateStressLevel(DATE, period, index + 5),
+    ]));
+
+    const stored = await readStored();
+    expect(stored.energyLevels).toEqual({ morning: 1, afternoon: 2, evening: 3 });
+    expect(stored.stressLevels).toEqual({ morning: 5, afternoon: 6, evening: 7 });
+  });
+
+  it('keeps later values for the same field in call order', async () => {
+    await Promise.all([
+      StorageService.updateEnergyLevel(DATE, 'morning', 3),
+      StorageService.updateEnergyLevel(DATE, 'morning', 6),
+      StorageService.updateEnergyLevel(DATE, 'morning', 9),
+    ]);
+
+    expect((await readStored()).energyLevels.morning).toBe(9);
+  });
+
+  it('clears a quick entry flag without losing updates made at the same time', async () => {
+    await StorageService.saveQuickEntry(DATE, 'morning', 'stress', 8);
+
+    await Promise.all([
+      StorageService.clearQuickEntryFlag(DATE, 'morning'),
+      StorageService.updateStressLevel(DATE, 'evening', 2),
+      StorageService.updateEnergySources(DATE, 'Walk'),
+      StorageService.saveQuickEntry(DATE, 'afternoon', 'energy', 9),
+    ]);
+
+    const stored = await readStored();
+    expect(stored.quickEntryMeta.morning.isQuick).toBe(false);
+    expect(stored.stressLevels.morning).toBe(8);
+    expect(stored.stressLevels.evening).toBe(2);
+    expect(stored.energySources).toBe('Walk');
+    expect(stored.energyLevels.afternoon).toBe(9);
+    expect(stored.quickEntryMeta.afternoon.isQuick).toBe(true);
+  });
+
+  it('keeps updates to different days queued together apart', async () => {
+    const otherDate = '2024-03-06';
+    await Promise.all([
+      StorageService.updateEnergyLevel(DATE, 'morning', 4),
+      StorageService.updateEnergyLevel(otherDate, 'morning', 6),
+      StorageService.updateEnergySources(otherDate, 'Friends'),
+    ]);
+
+    expect((await readStored()).energyLevels.morning).toBe(4);
+    expect((await readStored(otherDate)).energyLevels.morning).toBe(6);
+    expect((await readStored(otherDate)).energySources).toBe('Friends');
+  });
+
+  it('rejects only the failing update when a mutation throws', async () => {
+    const failing = StorageService.mutateEntry(DATE, () => {
+      throw new Error('boom');
+    });
+    const saved = StorageService.updateEnergyLevel(DATE, 'evening', 5);
+
+    await expect(failing).rejects.toThrow('boom');
+    await saved;
+    expect((await readStored()).energyLevels.evening).toBe(5);
+  });
+
+  it('moves the entry a reset replaces to the trash, including edits queued before it', async () => {
+    await StorageService.updateEnergyLevel(DATE, 'morning', 7);
+
+    await Promise.all([
+      StorageService.updateEnergySources(DATE, 'Walk'),
+      StorageService.resetEntry(DATE),
+      StorageService.updateStressLevel(DATE, 'evening', 2),
+    ]);
+
+    const stored = await readStored();
+    expect(stored.energyLevels.morning).toBeNull();
+    expect(stored.energySources).toBe('');
+    expect(stored.stressLevels.evening).toBe(2);
+
+    const [item] = await StorageService.getTrashItems();
+    expect(item.entryCount).toBe(1);
+    await StorageService.restoreTrashItem(item.id);
+    const restored = await readStored();
+    expect(restored.energyLevels.morning).toBe(7);
+    expect(restored.energySources).toBe('Walk');
+  });
+});
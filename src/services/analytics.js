@@ -1,25 +1,13 @@
 import StorageService from './storage';
-import { getTodayString } from '../utils/helpers';
+import { getTodayString, getDaysAgo } from '../utils/helpers';
 
 class AnalyticsService {
   // Helper to get last N days of entries with valid data
   async getRecentEntries(days = 14) {
     try {
-      const allEntries = await StorageService.getAllEntries();
-      const today = new Date();
-      const recentEntries = [];
-
-      for (let i = 0; i < days; i++) {
-        const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-        const dateString = date.toISOString().split('T')[0];
-        const entry = allEntries[dateString];
-        
-        if (entry && this.hasValidData(entry)) {
-          recentEntries.push({ ...entry, date: dateString });
-        }
-      }
-
-      return recentEntries.reverse(); // Chronological order
+      // Range query for the window, already in chronological order
+      const entries = await StorageService.getEntriesInRange(getDaysAgo(days - 1), getTodayString());
+      return entries.filter(entry => this.hasValidData(entry));
     } catch (error) {
       console.error('Error getting recent entries:', error);
       return [];
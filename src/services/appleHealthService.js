@@ -0,0 +1,63 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import StorageService from './storage';
+import { createAppleHealthParser } from '../utils/appleHealth';
+import { base64ToBytes } from '../utils/bytes';
+import { DAY_CONTEXT_SOURCES } from '../utils/dayContext';
+
+// A multiple of 3, so every chunk is whole base64 without padding in between
+const CHUNK_BYTES = 3 * 256 * 1024;
+
+// Latin-1 view of the bytes. The tags and values we read are ASCII, and a multi-byte
+// character split across two chunks can't corrupt anything this way.
+const toBinaryString = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+};
+
+/**
+ * Apple Health Service - Imports sleep, steps, resting heart rate and HRV per day
+ * from the export.xml the Health app writes (Profile → Export All Health Data).
+ * The file is read in chunks, so exports of several hundred megabytes fit in memory.
+ */
+class AppleHealthService {
+  /**
+   * @param {Object} file - Picked document: { uri, size }
+   * @param {Object} options - { onProgress(fraction) }
+   * @returns {Promise<Object>} { days, firstDate, lastDate, recordCount }
+   */
+  async importExport(file, { onProgress } = {}) {
+    try {
+      const info = await FileSystem.getInfoAsync(file.uri);
+      const size = info.size || file.size || 0;
+      const parser = createAppleHealthParser();
+
+      for (let position = 0; position < size; position += CHUNK_BYTES) {
+        const chunk = await FileSystem.readAsStringAsync(file.uri, {
+          encoding: FileSystem.EncodingType.Base64,
+          position,
+          length: CHUNK_BYTES,
+        });
+        parser.push(toBinaryString(base64ToBytes(chunk)));
+        onProgress?.(Math.min((position + CHUNK_BYTES) / size, 1));
+      }
+
+      const { days, recordCount } = parser.finish();
+      if (Object.keys(days).length === 0) {
+        throw new Error('The export contains no sleep, step, resting heart rate or HRV data');
+      }
+
+      await StorageService.saveDayContext(DAY_CONTEXT_SOURCES.APPLE_HEALTH, days);
+
+      const dates = Object.keys(days).sort();
+      return { days: dates.length, firstDate: dates[0], lastDate: dates[dates.length - 1], recordCount };
+    } catch (error) {
+      console.error('Error importing Apple Health export:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AppleHealthService();
@@ -0,0 +1,216 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import StorageService, { AUTO_BACKUP_FREQUENCIES } from './storage';
+import WebDAVBackupService from './webdavBackupService';
+import { BACKUP_FILE_EXTENSION, formatBackupTimestamp } from '../utils/backupEnvelope';
+import { formatDate, parseLocalDate } from '../utils/helpers';
+
+const BACKUP_DIRECTORY = 'backups/';
+const FILE_PREFIX = 'energytune_auto_';
+// energytune_auto_2024-03-05_081500.energytune
+const FILE_PATTERN = new RegExp(`^${FILE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})_(\\d{2})(\\d{2})(\\d{2})\\.${BACKUP_FILE_EXTENSION}$`);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_DAYS = 7;
+
+const backupFilename = (date) => `${FILE_PREFIX}${formatBackupTimestamp(date)}.${BACKUP_FILE_EXTENSION}`;
+
+// Local creation time from the filename, so listing doesn't depend on file metadata
+const parseBackupFilename = (filename) => {
+  const match = FILE_PATTERN.exec(filename);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * Auto Backup Service - Writes full backups to the app's document directory on a
+ * daily or weekly schedule and keeps only the newest few.
+ * Backups are checked for when the app starts or comes to the foreground, so nothing
+ * runs in the background.
+ */
+class AutoBackupService {
+  constructor() {
+    this._running = null;
+  }
+
+  // There is no document directory on web, so automatic backups aren't offered there
+  get isAvailable() {
+    return !!FileSystem.documentDirectory;
+  }
+
+  get directory() {
+    return FileSystem.documentDirectory + BACKUP_DIRECTORY;
+  }
+
+  /**
+   * Whether a backup is due, given the settings and the current time
+   * Daily backups are due on a new calendar day, weekly ones seven days after the last.
+   */
+  isDue(settings, now = new Date()) {
+    if (!settings.enabled) {
+      return false;
+    }
+    if (!settings.lastBackupAt) {
+      return true;
+    }
+
+    const lastDay = formatDate(new Date(settings.lastBackupAt));
+    const today = formatDate(now);
+    if (settings.frequency === AUTO_BACKUP_FREQUENCIES.WEEKLY) {
+      return Math.round((parseLocalDate(today) - parseLocalDate(lastDay)) / DAY_MS) >= WEEK_DAYS;
+    }
+    return today !== lastDay;
+  }
+
+  /**
+   * Write a backup if one is due. Safe to call on every foreground; concurrent calls
+   * share one run.
+   * @returns {Promise<Object|null>} The new backup, or null when none was written
+   */
+  runIfDue() {
+    if (!this._running) {
+      this._running = this.runScheduledBackup().finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+
+  async runScheduledBackup() {
+    if (!this.isAvailable) {
+      return null;
+    }
+
+    try {
+      const settings = await StorageService.getAutoBackupSettings();
+      if (!this.isDue(settings)) {
+        return null;
+      }
+
+      // An empty backup would only push good ones out of the rotation
+      const { totalEntries } = await StorageService.getDataStats();
+      if (totalEntries === 0) {
+        return null;
+      }
+
+      return await this.createBackup();
+    } catch (error) {
+      console.error('Error running automatic backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a full backup now and remove the oldest ones beyond the keep limit
+   * @returns {Promise<Object>} { uri, filename, createdAt, size }
+   */
+  async createBackup() {
+    if (!this.isAvailable) {
+      throw new Error('Automatic backups need a document directory, which this platform does not have');
+    }
+
+    try {
+      const now = new Date();
+      const { data } = await StorageService.exportData('backup');
+
+      await FileSystem.makeDirectoryAsync(this.directory, { intermediates: true });
+      const filename = backupFilename(now);
+      const uri = this.directory + filename;
+      await FileSystem.writeAsStringAsync(uri, data, { encoding: FileSystem.EncodingType.UTF8 });
+
+      // Read the settings again so changes made while exporting aren't lost
+      const settings = await StorageService.getAutoBackupSettings();
+      await StorageService.saveAutoBackupSettings({ ...settings, lastBackupAt: now.toISOString() });
+      await this.rotate(settings.keep);
+
+      // Off-device copy, when a WebDAV server is set up for it
+      await WebDAVBackupService.uploadAutoBackup(filename, data);
+
+      return { uri, filename, createdAt: now.toISOString(), size: data.length };
+    } catch (error) {
+      console.error('Error creating automatic backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save new settings, drop backups beyond a lowered keep limit and write a backup
+   * straight away if the new schedule makes one due
+   */
+  async updateSettings(settings) {
+    await StorageService.saveAutoBackupSettings(settings);
+    await this.rotate(settings.keep);
+    return this.runIfDue();
+  }
+
+  /**
+   * Automatic backups on this device, newest first
+   * @returns {Promise<Array>} [{ uri, filename, createdAt, size }]
+   */
+  async listBackups() {
+    if (!this.isAvailable) {
+      return [];
+    }
+
+    try {
+      const info = await FileSystem.getInfoAsync(this.directory);
+      if (!info.exists) {
+        return [];
+      }
+
+      const filenames = await FileSystem.readDirectoryAsync(this.directory);
+      const backups = [];
+      for (const filename of filenames) {
+        const createdAt = parseBackupFilename(filename);
+        if (!createdAt) {
+          continue;
+        }
+        const uri = this.directory + filename;
+        const { size = null } = await FileSystem.getInfoAsync(uri);
+        backups.push({ uri, filename, createdAt: createdAt.toISOString(), size });
+      }
+
+      return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+      console.error('Error listing automatic backups:', error);
+      return [];
+    }
+  }
+
+  // Remove the oldest backups so at most `keep` remain
+  async rotate(keep) {
+    const backups = await this.listBackups();
+    for (const backup of backups.slice(Math.max(keep, 1))) {
+      await this.deleteBackup(backup.uri);
+    }
+  }
+
+  async deleteBackup(uri) {
+    try {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      console.error('Error deleting automatic backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all data with an automatic backup, settings included
+   * Current entries go to the trash, as with any replacing import.
+   * @returns {Promise<Object>} The StorageService.finalizeImport result
+   */
+  async restoreBackup(uri) {
+    try {
+      const content = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.UTF8 });
+      await StorageService.importData(content, 'backup', 'replace');
+      return await StorageService.finalizeImport();
+    } catch (error) {
+      console.error('Error restoring automatic backup:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AutoBackupService();
@@ -0,0 +1,123 @@
+// Damaged shards are restored from their backup without losing the damaged data,
+// every recovery is kept in the log, and entry stats come from the month index
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const DATE = '2024-03-05';
+const SHARD_KEY = 'energytune_entries_month_2024-03';
+
+let AsyncStorage;
+let AsyncStorageBackend;
+let StorageService;
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  ({ AsyncStorageBackend } = require('../asyncStorageBackend'));
+  StorageService = require('../../storage').default;
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const getCorruptCopies = async () => {
+  const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(`${SHARD_KEY}_corrupt_`));
+  return Promise.all(keys.sort().map(key => AsyncStorage.getItem(key)));
+};
+
+// Corrupt copies are keyed by detection time
+const nextMillisecond = () => new Promise(resolve => setTimeout(resolve, 2));
+
+describe('AsyncStorageBackend', () => {
+  it('backs up the stored value on the first write after launch', async () => {
+    await new AsyncStorageBackend().replaceAllEntries({ [DATE]: { date: DATE, notes: 'first' } });
+
+    // A fresh instance has no snapshot in memory, as after an app restart
+    await new AsyncStorageBackend().replaceAllEntries({ [DATE]: { date: DATE, notes: 'second' } });
+
+    const backup = JSON.parse(await AsyncStorage.getItem(`${SHARD_KEY}_backup`));
+    expect(backup[DATE].notes).toBe('first');
+  });
+
+  it('keeps damaged data aside before overwriting it', async () => {
+    await new AsyncStorageBackend().replaceAllEntries({ [DATE]: { date: DATE, notes: 'first' } });
+    await AsyncStorage.setItem(SHARD_KEY, '{"2024-03-05": {"no');
+
+    await new AsyncStorageBackend().replaceAllEntries({ [DATE]: { date: DATE, notes: 'second' } });
+
+    expect(await getCorruptCopies()).toEqual(['{"2024-03-05": {"no']);
+  });
+
+  it('keeps every damaged copy and logs every recovery', async () => {
+    await StorageService.updateEnergyLevel(DATE, 'morning', 5);
+    await StorageService.updateEnergyLevel(DATE, 'morning', 6);
+
+    await AsyncStorage.setItem(SHARD_KEY, 'garbled once');
+    expect((await StorageService.getEntry(DATE)).energyLevels.morning).toBe(5);
+
+    await nextMillisecond();
+    await AsyncStorage.setItem(SHARD_KEY, 'garbled twice');
+    expect((await StorageService.getEntry(DATE)).energyLevels.morning).toBe(5);
+
+    expect(await getCorruptCopies()).toEqual(['garbled once', 'garbled twice']);
+
+    const events = await StorageService.getRecoveryEvents();
+    expect(events).toHaveLength(2);
+    expect(events.every(event => event.key === SHARD_KEY && event.restored)).toBe(true);
+
+    const status = await StorageService.getRecoveryStatus();
+    expect(status).toMatchObject({ restored: true, recoveredEntries: 2 });
+    expect(status.events).toHaveLength(2);
+
+    await StorageService.dismissRecoveryStatus();
+    expect(await StorageService.getRecoveryStatus()).toBeNull();
+    expect(await StorageService.getRecoveryEvents()).toHaveLength(2);
+  });
+
+  it('keeps the damaged data when there is no backup to restore', async () => {
+    await StorageService.updateEnergyLevel(DATE, 'morning', 5);
+    await AsyncStorage.multiRemove([`${SHARD_KEY}_backup`, `${SHARD_KEY}_backup_checksum`]);
+    await AsyncStorage.setItem(SHARD_KEY, 'garbled');
+
+    expect((await StorageService.getEntry(DATE)).energyLevels.morning).toBeNull();
+    expect(await getCorruptCopies()).toEqual(['garbled']);
+    expect(await StorageService.getRecoveryStatus()).toMatchObject({ restored: false });
+  });
+
+  describe('getEntryStats', () => {
+    const INDEX_KEY = 'energytune_entries_index';
+    const dates = ['2024-01-10', '2024-01-20', '2024-02-05', '2024-03-01', '2024-03-30'];
+
+    beforeEach(async () => {
+      await new AsyncStorageBackend().putEntries(dates.map(date => ({ date })));
+    });
+
+    it('reads only the first and last month with entries', async () => {
+      // The storage mock's methods are jest mocks already
+      AsyncStorage.multiGet.mockClear();
+
+      expect(await new AsyncStorageBackend().getEntryStats()).toEqual({ count: 5, firstDate: '2024-01-10', lastDate: '2024-03-30' });
+      const readKeys = AsyncStorage.multiGet.mock.calls.flatMap(([keys]) => keys);
+      expect(readKeys).toContain('energytune_entries_month_2024-01');
+      expect(readKeys).not.toContain('energytune_entries_month_2024-02');
+    });
+
+    it('keeps the counts up to date when days are deleted', async () => {
+      await new AsyncStorageBackend().deleteEntries(['2024-03-01', '2024-03-30']);
+
+      expect(await new AsyncStorageBackend().getEntryStats()).toEqual({ count: 3, firstDate: '2024-01-10', lastDate: '2024-02-05' });
+    });
+
+    it('counts the shards of an index written without counts once', async () => {
+      await new AsyncStorageBackend().writeChecked(INDEX_KEY, { months: ['2024-01', '2024-02', '2024-03'] });
+
+      expect((await new AsyncStorageBackend().getEntryStats()).count).toBe(5);
+      expect(JSON.parse(await AsyncStorage.getItem(INDEX_KEY)).counts).toEqual({ '2024-01': 2, '2024-02': 1, '2024-03': 2 });
+    });
+  });
+});
@@ -0,0 +1,459 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { computeChecksum, isChecksumValid } from '../../utils/checksum';
+
+// Legacy single-blob key, migrated into monthly shards on first launch
+const LEGACY_ENTRIES_KEY = 'energytune_entries';
+const ENTRIES_INDEX_KEY = 'energytune_entries_index';
+const ENTRIES_SHARD_PREFIX = 'energytune_entries_month_';
+
+// Suffixes for the companion keys written next to every checked value
+const CHECKSUM_SUFFIX = '_checksum';
+const BACKUP_SUFFIX = '_backup';
+// Damaged values are kept under `<key>_corrupt_<ISO time>`, one key per occurrence
+const CORRUPT_SUFFIX = '_corrupt_';
+
+// Entries are stored in one key per calendar month (YYYY-MM)
+const getMonthKey = (date) => date.slice(0, 7);
+const getShardKey = (month) => ENTRIES_SHARD_PREFIX + month;
+const isMonthKey = (month) => /^\d{4}-\d{2}$/.test(month);
+
+const groupEntriesByMonth = (entries) => {
+  const groups = {};
+  entries.forEach(entry => {
+    const month = getMonthKey(entry.date);
+    if (!groups[month]) {
+      groups[month] = {};
+    }
+    groups[month][entry.date] = entry;
+  });
+  return groups;
+};
+
+/**
+ * AsyncStorage backend - Entries in checksummed monthly shards, settings as plain keys
+ *
+ * Every shard is written together with its checksum, and the previous good value
+ * is kept as a backup so a damaged shard can be restored on read.
+ */
+export class AsyncStorageBackend {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onRecovery - Called with a description of every restored key
+   */
+  constructor({ onRecovery } = {}) {
+    this.name = 'asyncStorage';
+    this.onRecovery = onRecovery;
+
+    // Last serialized value known to be valid, per key. Becomes the backup on the next write.
+    this._lastGoodSnapshots = {};
+    // Recoveries in progress, per key, so concurrent readers share one restore
+    this._recoveries = {};
+
+    // Sorted list of months that have a shard, loaded lazily from the index
+    this._monthIndex = null;
+    // Entries per month, kept in the index so stats don't have to parse every shard.
+    // Dirty when a count changed since the index was last written.
+    this._monthCounts = {};
+    this._countsDirty = false;
+    this._entriesReady = null;
+  }
+
+  init() {
+    if (!this._entriesReady) {
+      this._entriesReady = this.migrateLegacyEntries().catch((error) => {
+        this._entriesReady = null;
+        throw error;
+      });
+    }
+    return this._entriesReady;
+  }
+
+  // Entries
+  async getEntry(date) {
+    await this.init();
+    const shard = await this.readShard(getMonthKey(date));
+    return shard[date] || null;
+  }
+
+  async getEntries(dates) {
+    await this.init();
+    const months = [...new Set(dates.map(getMonthKey))];
+    const shards = await Promise.all(months.map(month => this.readShard(month)));
+    const merged = Object.assign({}, ...shards);
+
+    const result = {};
+    dates.forEach(date => {
+      if (merged[date]) {
+        result[date] = merged[date];
+      }
+    });
+    return result;
+  }
+
+  // Only the month shards touched by `entries` are loaded and rewritten
+  async putEntries(entries) {
+    await this.init();
+    const groups = groupEntriesByMonth(entries);
+    const months = await this.getMonthIndex();
+
+    for (const [month, changed] of Object.entries(groups)) {
+      const shard = await this.readShard(month);
+      await this.writeShard(month, { ...shard, ...changed });
+    }
+
+    if (this._countsDirty || Object.keys(groups).some(month => !months.includes(month))) {
+      await this.writeMonthIndex([...months, ...Object.keys(groups)]);
+    }
+  }
+
+  async deleteEntries(dates) {
+    await this.init();
+    const months = [...new Set(dates.map(getMonthKey))];
+    const indexedMonths = await this.getMonthIndex();
+
+    for (const month of months) {
+      const shard = await this.readShard(month);
+      dates.forEach(date => {
+        delete shard[date];
+      });
+      await this.writeShard(month, shard);
+    }
+
+    if (this._countsDirty) {
+      await this.writeMonthIndex(indexedMonths);
+    }
+  }
+
+  async getEntriesInRange(startDate, endDate) {
+    await this.init();
+    const startMonth = getMonthKey(startDate);
+    const endMonth = getMonthKey(endDate);
+    const months = (await this.getMonthIndex())
+      .filter(month => month >= startMonth && month <= endMonth);
+    const shards = await Promise.all(months.map(month => this.readShard(month)));
+
+    return shards
+      .flatMap(shard => Object.values(shard))
+      .filter(entry => entry && entry.date >= startDate && entry.date <= endDate)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async getAllEntries() {
+    await this.init();
+    const months = await this.getMonthIndex();
+    const shards = await Promise.all(months.map(month => this.readShard(month)));
+    return Object.assign({}, ...shards);
+  }
+
+  async getLatestEntries(limit) {
+    await this.init();
+    const months = [...(await this.getMonthIndex())].reverse();
+    const entries = {};
+
+    // Walk back month by month until enough days are loaded
+    for (const month of months) {
+      Object.assign(entries, await this.readShard(month));
+      if (Object.keys(entries).length >= limit) {
+        break;
+      }
+    }
+
+    return Object.keys(entries)
+      .sort((a, b) => b.localeCompare(a))
+      .slice(0, limit)
+      .map(date => entries[date]);
+  }
+
+  // Counted from the index; only the first and last months with entries are read, for their dates
+  async getEntryStats() {
+    await this.init();
+    const months = await this.getMonthIndex();
+
+    // Indexes written before counts were kept: count once and store the result
+    for (const month of months.filter(candidate => this._monthCounts[candidate] === undefined)) {
+      await this.readShard(month);
+    }
+
+    const filled = months.filter(month => this._monthCounts[month] > 0);
+    const firstDates = filled.length > 0 ? Object.keys(await this.readShard(filled[0])).sort() : [];
+    const lastDates = filled.length > 0 ? Object.keys(await this.readShard(filled[filled.length - 1])).sort() : [];
+
+    if (this._countsDirty) {
+      await this.writeMonthIndex(months);
+    }
+
+    return {
+      count: months.reduce((sum, month) => sum + (this._monthCounts[month] || 0), 0),
+      firstDate: firstDates[0] || null,
+      lastDate: lastDates[lastDates.length - 1] || null,
+    };
+  }
+
+  async replaceAllEntries(entriesByDate) {
+    await this.init();
+    await this.writeEntryShards(Object.values(entriesByDate), await this.getMonthIndex());
+  }
+
+  async clearEntries() {
+    await this.init();
+    const months = await this.getMonthIndex();
+    for (const month of months) {
+      await this.removeChecked(getShardKey(month));
+    }
+    await this.removeChecked(ENTRIES_INDEX_KEY);
+    this._monthIndex = [];
+    this._monthCounts = {};
+    this._countsDirty = false;
+  }
+
+  // Settings
+  getSetting(key) {
+    return AsyncStorage.getItem(key);
+  }
+
+  setSetting(key, value) {
+    return AsyncStorage.setItem(key, value);
+  }
+
+  removeSetting(key) {
+    return AsyncStorage.removeItem(key);
+  }
+
+  // Read a value written by writeChecked and verify it against its checksum.
+  // Values written before checksums existed have no checksum and are accepted if they parse.
+  async readChecked(key) {
+    const [[, raw], [, checksum]] = await AsyncStorage.multiGet([key, key + CHECKSUM_SUFFIX]);
+
+    if (raw === null || raw === undefined) {
+      return { status: 'missing', value: null, raw: null };
+    }
+
+    if (checksum && !isChecksumValid(raw, checksum)) {
+      return { status: 'corrupted', value: null, raw, reason: 'checksum_mismatch' };
+    }
+
+    try {
+      const value = JSON.parse(raw);
+      this._lastGoodSnapshots[key] = { raw, checksum: checksum || computeChecksum(raw) };
+      return { status: 'ok', value, raw };
+    } catch (error) {
+      return { status: 'corrupted', value: null, raw, reason: 'parse_error' };
+    }
+  }
+
+  // Write a value together with its checksum in a single multiSet, moving the
+  // previous good snapshot into the backup key so a damaged write can be rolled back.
+  async writeChecked(key, value) {
+    const raw = JSON.stringify(value);
+    const checksum = computeChecksum(raw);
+    const pairs = [
+      [key, raw],
+      [key + CHECKSUM_SUFFIX, checksum],
+    ];
+
+    // First write of this key since launch: read what is stored so it becomes the
+    // backup, and keep a damaged value aside rather than overwriting it
+    if (!this._lastGoodSnapshots[key]) {
+      const current = await this.readChecked(key);
+      if (current.status === 'corrupted') {
+        const corruptKey = await this.keepCorruptCopy(key, current.raw, new Date().toISOString());
+        console.error(`Stored data for ${key} is corrupted (${current.reason}), kept as ${corruptKey} before overwriting`);
+      }
+    }
+
+    const previous = this._lastGoodSnapshots[key];
+    if (previous && previous.raw !== raw) {
+      pairs.push(
+        [key + BACKUP_SUFFIX, previous.raw],
+        [key + BACKUP_SUFFIX + CHECKSUM_SUFFIX, previous.checksum]
+      );
+    }
+
+    await AsyncStorage.multiSet(pairs);
+    this._lastGoodSnapshots[key] = { raw, checksum };
+  }
+
+  async removeChecked(key) {
+    await AsyncStorage.multiRemove([
+      key,
+      key + CHECKSUM_SUFFIX,
+      key + BACKUP_SUFFIX,
+      key + BACKUP_SUFFIX + CHECKSUM_SUFFIX,
+    ]);
+    delete this._lastGoodSnapshots[key];
+  }
+
+  // Copy a damaged value to its own timestamped key and check that the copy reads
+  // back intact, so the original is never replaced without a copy of it
+  async keepCorruptCopy(key, raw, detectedAt) {
+    const corruptKey = key + CORRUPT_SUFFIX + detectedAt;
+    await AsyncStorage.setItem(corruptKey, raw);
+    if ((await AsyncStorage.getItem(corruptKey)) !== raw) {
+      throw new Error(`Could not keep a copy of the damaged data in ${key}`);
+    }
+    return corruptKey;
+  }
+
+  // Restore a corrupted key from its backup. The damaged value is kept aside
+  // under a separate key and the outcome is reported through onRecovery.
+  async recoverChecked(key, corrupted) {
+    const detectedAt = new Date().toISOString();
+    const corruptKey = await this.keepCorruptCopy(key, corrupted.raw, detectedAt);
+
+    const backup = await this.readChecked(key + BACKUP_SUFFIX);
+    const restored = backup.status === 'ok';
+    const value = restored ? backup.value : {};
+
+    // A restored or emptied shard holds a different number of entries
+    if (key.startsWith(ENTRIES_SHARD_PREFIX)) {
+      delete this._monthCounts[key.slice(ENTRIES_SHARD_PREFIX.length)];
+    }
+
+    if (restored) {
+      const checksum = computeChecksum(backup.raw);
+      await AsyncStorage.multiSet([
+        [key, backup.raw],
+        [key + CHECKSUM_SUFFIX, checksum],
+      ]);
+      this._lastGoodSnapshots[key] = { raw: backup.raw, checksum };
+    } else {
+      await AsyncStorage.multiRemove([key, key + CHECKSUM_SUFFIX]);
+    }
+
+    if (this.onRecovery) {
+      await this.onRecovery({
+        key,
+        reason: corrupted.reason,
+        restored,
+        recoveredEntries: restored && value && typeof value === 'object' ? Object.keys(value).length : 0,
+        corruptKey,
+        detectedAt,
+      });
+    }
+
+    return value;
+  }
+
+  // Read a checked value, restoring it from backup when it is damaged.
+  // Returns null when the key does not exist.
+  async readCheckedWithRecovery(key) {
+    const result = await this.readChecked(key);
+
+    if (result.status === 'ok') {
+      return result.value;
+    }
+
+    if (result.status === 'missing') {
+      return null;
+    }
+
+    // Never hand back an empty object for damaged data - the next save would
+    // overwrite the whole history with it
+    console.error(`Stored data for ${key} is corrupted (${result.reason}), restoring from backup`);
+    if (!this._recoveries[key]) {
+      this._recoveries[key] = this.recoverChecked(key, result)
+        .finally(() => {
+          delete this._recoveries[key];
+        });
+    }
+    return await this._recoveries[key];
+  }
+
+  // Move entries from the legacy single key into monthly shards. The index is
+  // written after all shards, so an interrupted migration simply runs again.
+  async migrateLegacyEntries() {
+    const legacyEntries = await this.readCheckedWithRecovery(LEGACY_ENTRIES_KEY);
+    if (legacyEntries === null) {
+      return;
+    }
+
+    const hasIndex = (await AsyncStorage.getItem(ENTRIES_INDEX_KEY)) !== null;
+    if (!hasIndex && typeof legacyEntries === 'object') {
+      const entries = Object.entries(legacyEntries).map(([date, entry]) => ({ ...entry, date }));
+      await this.writeEntryShards(entries, []);
+    }
+
+    await this.removeChecked(LEGACY_ENTRIES_KEY);
+  }
+
+  async getMonthIndex() {
+    if (this._monthIndex) {
+      return this._monthIndex;
+    }
+
+    const result = await this.readChecked(ENTRIES_INDEX_KEY);
+    if (result.status === 'ok' && Array.isArray(result.value?.months)) {
+      this._monthIndex = result.value.months;
+      // Counts already taken from shards read before the index are newer
+      this._monthCounts = { ...result.value.counts, ...this._monthCounts };
+      return this._monthIndex;
+    }
+
+    // Missing or damaged index: rebuild it from the shard keys that exist
+    const keys = await AsyncStorage.getAllKeys();
+    const months = keys
+      .filter(key => key.startsWith(ENTRIES_SHARD_PREFIX))
+      .map(key => key.slice(ENTRIES_SHARD_PREFIX.length))
+      .filter(isMonthKey);
+
+    await this.writeMonthIndex(months);
+    return this._monthIndex;
+  }
+
+  async writeMonthIndex(months) {
+    const sortedMonths = [...new Set(months)].sort();
+    const counts = {};
+    sortedMonths.forEach(month => {
+      if (this._monthCounts[month] !== undefined) {
+        counts[month] = this._monthCounts[month];
+      }
+    });
+
+    await this.writeChecked(ENTRIES_INDEX_KEY, { months: sortedMonths, counts });
+    this._monthIndex = sortedMonths;
+    this._monthCounts = counts;
+    this._countsDirty = false;
+  }
+
+  setMonthCount(month, count) {
+    if (this._monthCounts[month] !== count) {
+      this._monthCounts[month] = count;
+      this._countsDirty = true;
+    }
+  }
+
+  // Counts the month when its count isn't known yet (older index, or restored from backup)
+  async readShard(month) {
+    const shard = await this.readCheckedWithRecovery(getShardKey(month));
+    if (!shard || typeof shard !== 'object') {
+      return {};
+    }
+    if (this._monthCounts[month] === undefined) {
+      this.setMonthCount(month, Object.keys(shard).length);
+    }
+    return shard;
+  }
+
+  async writeShard(month, shard) {
+    await this.writeChecked(getShardKey(month), shard);
+    this.setMonthCount(month, Object.keys(shard).length);
+  }
+
+  // Replace all stored entries. Shards for `previousMonths` that no longer
+  // have entries are removed afterwards.
+  async writeEntryShards(entries, previousMonths) {
+    const groups = groupEntriesByMonth(entries);
+
+    for (const [month, shard] of Object.entries(groups)) {
+      await this.writeShard(month, shard);
+    }
+
+    await this.writeMonthIndex(Object.keys(groups));
+
+    for (const month of previousMonths) {
+      if (!groups[month]) {
+        await this.removeChecked(getShardKey(month));
+      }
+    }
+  }
+}
@@ -0,0 +1,35 @@
+import { AsyncStorageBackend } from './asyncStorageBackend';
+import { MemoryBackend } from './memoryBackend';
+import { SQLiteBackend } from './sqliteBackend';
+
+/**
+ * Storage backends used by StorageService. Every backend implements:
+ *
+ * Entries (plain objects keyed by YYYY-MM-DD `date`)
+ *   init(), getEntry(date), getEntries(dates), putEntries(entries), deleteEntries(dates),
+ *   getEntriesInRange(startDate, endDate), getAllEntries(), getLatestEntries(limit),
+ *   getEntryStats(), replaceAllEntries(entriesByDate), clearEntries()
+ *
+ * Settings (string values)
+ *   getSetting(key), setSetting(key, value), removeSetting(key)
+ */
+export const STORAGE_BACKENDS = {
+  ASYNC_STORAGE: 'asyncStorage',
+  SQLITE: 'sqlite',
+  MEMORY: 'memory',
+};
+
+export const createStorageBackend = (type, options = {}) => {
+  switch (type) {
+    case STORAGE_BACKENDS.ASYNC_STORAGE:
+      return new AsyncStorageBackend(options);
+    case STORAGE_BACKENDS.SQLITE:
+      return new SQLiteBackend(options);
+    case STORAGE_BACKENDS.MEMORY:
+      return new MemoryBackend(options);
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+};
+
+export { AsyncStorageBackend, MemoryBackend, SQLiteBackend };
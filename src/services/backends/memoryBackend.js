@@ -0,0 +1,90 @@
+// Values are stored serialized so callers never share references with the store
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * In-memory backend - Nothing is persisted. Useful for previews, the web
+ * playground and exercising StorageService without a device.
+ */
+export class MemoryBackend {
+  constructor({ entries = {}, settings = {} } = {}) {
+    this.name = 'memory';
+    this._entries = new Map(Object.entries(clone(entries)));
+    this._settings = new Map(Object.entries(settings));
+  }
+
+  async init() {}
+
+  // Entries
+  async getEntry(date) {
+    const entry = this._entries.get(date);
+    return entry ? clone(entry) : null;
+  }
+
+  async getEntries(dates) {
+    const result = {};
+    dates.forEach(date => {
+      if (this._entries.has(date)) {
+        result[date] = clone(this._entries.get(date));
+      }
+    });
+    return result;
+  }
+
+  async putEntries(entries) {
+    entries.forEach(entry => {
+      this._entries.set(entry.date, clone(entry));
+    });
+  }
+
+  async deleteEntries(dates) {
+    dates.forEach(date => this._entries.delete(date));
+  }
+
+  async getEntriesInRange(startDate, endDate) {
+    return [...this._entries.values()]
+      .filter(entry => entry.date >= startDate && entry.date <= endDate)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(clone);
+  }
+
+  async getAllEntries() {
+    return clone(Object.fromEntries(this._entries));
+  }
+
+  async getLatestEntries(limit) {
+    return [...this._entries.keys()]
+      .sort((a, b) => b.localeCompare(a))
+      .slice(0, limit)
+      .map(date => clone(this._entries.get(date)));
+  }
+
+  async getEntryStats() {
+    const dates = [...this._entries.keys()].sort();
+    return {
+      count: dates.length,
+      firstDate: dates[0] || null,
+      lastDate: dates[dates.length - 1] || null,
+    };
+  }
+
+  async replaceAllEntries(entriesByDate) {
+    this._entries = new Map(Object.entries(clone(entriesByDate)));
+  }
+
+  async clearEntries() {
+    this._entries.clear();
+  }
+
+  // Settings
+  async getSetting(key) {
+    return this._settings.has(key) ? this._settings.get(key) : null;
+  }
+
+  async setSetting(key, value) {
+    this._settings.set(key, value);
+  }
+
+  async removeSetting(key) {
+    this._settings.delete(key);
+  }
+}
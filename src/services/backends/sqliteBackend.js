@@ -0,0 +1,178 @@
+import * as SQLite from 'expo-sqlite';
+
+const DATABASE_NAME = 'energytune.db';
+
+const SCHEMA = `
+  PRAGMA journal_mode = WAL;
+  CREATE TABLE IF NOT EXISTS entries (
+    date TEXT PRIMARY KEY NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT NOT NULL
+  );
+`;
+
+const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+/**
+ * SQLite backend - One row per day keyed by date, so range queries and
+ * aggregates run in the database instead of over a parsed blob.
+ */
+export class SQLiteBackend {
+  constructor({ databaseName = DATABASE_NAME } = {}) {
+    this.name = 'sqlite';
+    this.databaseName = databaseName;
+    this._db = null;
+    this._opening = null;
+  }
+
+  async getDatabase() {
+    if (this._db) {
+      return this._db;
+    }
+
+    if (!this._opening) {
+      this._opening = (async () => {
+        const db = await SQLite.openDatabaseAsync(this.databaseName);
+        await db.execAsync(SCHEMA);
+        this._db = db;
+        return db;
+      })().catch((error) => {
+        this._opening = null;
+        throw error;
+      });
+    }
+    return this._opening;
+  }
+
+  async init() {
+    await this.getDatabase();
+  }
+
+  // Entries
+  async getEntry(date) {
+    const db = await this.getDatabase();
+    const row = await db.getFirstAsync('SELECT data FROM entries WHERE date = ?', [date]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getEntries(dates) {
+    if (dates.length === 0) {
+      return {};
+    }
+
+    const db = await this.getDatabase();
+    const placeholders = dates.map(() => '?').join(', ');
+    const rows = await db.getAllAsync(
+      `SELECT data FROM entries WHERE date IN (${placeholders})`,
+      dates
+    );
+
+    const result = {};
+    parseRows(rows).forEach(entry => {
+      result[entry.date] = entry;
+    });
+    return result;
+  }
+
+  async putEntries(entries) {
+    const db = await this.getDatabase();
+    await db.withTransactionAsync(async () => {
+      for (const entry of entries) {
+        await db.runAsync(
+          'INSERT OR REPLACE INTO entries (date, data, updated_at) VALUES (?, ?, ?)',
+          [entry.date, JSON.stringify(entry), entry.updatedAt || null]
+        );
+      }
+    });
+  }
+
+  async deleteEntries(dates) {
+    if (dates.length === 0) {
+      return;
+    }
+
+    const db = await this.getDatabase();
+    const placeholders = dates.map(() => '?').join(', ');
+    await db.runAsync(`DELETE FROM entries WHERE date IN (${placeholders})`, dates);
+  }
+
+  async getEntriesInRange(startDate, endDate) {
+    const db = await this.getDatabase();
+    const rows = await db.getAllAsync(
+      'SELECT data FROM entries WHERE date BETWEEN ? AND ? ORDER BY date ASC',
+      [startDate, endDate]
+    );
+    return parseRows(rows);
+  }
+
+  async getAllEntries() {
+    const db = await this.getDatabase();
+    const rows = await db.getAllAsync('SELECT data FROM entries ORDER BY date ASC');
+
+    const result = {};
+    parseRows(rows).forEach(entry => {
+      result[entry.date] = entry;
+    });
+    return result;
+  }
+
+  async getLatestEntries(limit) {
+    const db = await this.getDatabase();
+    const rows = await db.getAllAsync(
+      'SELECT data FROM entries ORDER BY date DESC LIMIT ?',
+      [limit]
+    );
+    return parseRows(rows);
+  }
+
+  async getEntryStats() {
+    const db = await this.getDatabase();
+    const row = await db.getFirstAsync(
+      'SELECT COUNT(*) AS count, MIN(date) AS firstDate, MAX(date) AS lastDate FROM entries'
+    );
+    return {
+      count: row?.count || 0,
+      firstDate: row?.firstDate || null,
+      lastDate: row?.lastDate || null,
+    };
+  }
+
+  async replaceAllEntries(entriesByDate) {
+    const db = await this.getDatabase();
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM entries');
+      for (const [date, entry] of Object.entries(entriesByDate)) {
+        await db.runAsync(
+          'INSERT INTO entries (date, data, updated_at) VALUES (?, ?, ?)',
+          [date, JSON.stringify({ ...entry, date }), entry.updatedAt || null]
+        );
+      }
+    });
+  }
+
+  async clearEntries() {
+    const db = await this.getDatabase();
+    await db.runAsync('DELETE FROM entries');
+  }
+
+  // Settings
+  async getSetting(key) {
+    const db = await this.getDatabase();
+    const row = await db.getFirstAsync('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  async setSetting(key, value) {
+    const db = await this.getDatabase();
+    await db.runAsync('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, value]);
+  }
+
+  async removeSetting(key) {
+    const db = await this.getDatabase();
+    await db.runAsync('DELETE FROM settings WHERE key = ?', [key]);
+  }
+}
@@ -0,0 +1,48 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import StorageService from './storage';
+import { readCalendarEvents } from '../utils/icalendar';
+import { computeMeetingLoad } from '../utils/meetingLoad';
+import { DAY_CONTEXT_SOURCES } from '../utils/dayContext';
+
+// How far back meetings are read; recurring series are expanded over this window
+const IMPORT_WINDOW_DAYS = 730;
+
+/**
+ * Calendar Service - Imports meeting load per day and check-in period from an
+ * iCalendar (.ics) export into the day context. Future meetings are left out, since
+ * there are no check-ins to compare them with yet.
+ */
+class CalendarService {
+  /**
+   * @param {Object} file - Picked document: { uri }
+   * @returns {Promise<Object>} { days, firstDate, lastDate, meetingCount }
+   */
+  async importICS(file) {
+    try {
+      const text = await FileSystem.readAsStringAsync(file.uri, {
+        encoding: FileSystem.EncodingType.UTF8,
+      });
+
+      const now = new Date();
+      const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+      const events = readCalendarEvents(text, {
+        from: endOfToday - IMPORT_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+        to: endOfToday,
+      });
+
+      const { days, meetingCount } = computeMeetingLoad(events);
+      const dates = Object.keys(days).sort();
+      if (dates.length === 0) {
+        throw new Error('The calendar has no meetings in the last two years');
+      }
+
+      await StorageService.saveDayContext(DAY_CONTEXT_SOURCES.CALENDAR, days);
+      return { days: dates.length, firstDate: dates[0], lastDate: dates[dates.length - 1], meetingCount };
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CalendarService();
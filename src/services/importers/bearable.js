@@ -0,0 +1,137 @@
+// Bearable CSV export
+// One row per logged item: date, date formatted, weekday, time of day, category,
+// rating/amount, detail, notes.
+// Energy ratings become energy levels (mood fills in where no energy was logged),
+// stress and anxiety symptoms become stress levels by severity, and factors become
+// energy or stress sources depending on how the day went.
+
+import { CSV_REJECT_REASONS } from '../../utils/csvImport';
+import { TIME_PERIODS } from '../../utils/constants';
+import {
+  createDayCollector,
+  forEachCSVRecord,
+  mapToLevel,
+  normalizeHeader,
+  parseImportDate,
+  placeReading,
+  splitList,
+} from './common';
+
+// Bearable's own segments of the day
+const TIME_OF_DAY = {
+  am: TIME_PERIODS.MORNING,
+  morning: TIME_PERIODS.MORNING,
+  mid: TIME_PERIODS.AFTERNOON,
+  afternoon: TIME_PERIODS.AFTERNOON,
+  pm: TIME_PERIODS.EVENING,
+  evening: TIME_PERIODS.EVENING,
+  'pre-bed': TIME_PERIODS.EVENING,
+  night: TIME_PERIODS.EVENING,
+};
+
+const SEVERITIES = ['none', 'mild', 'moderate', 'severe', 'extreme'];
+const SEVERITY_SCALE = { min: 0, max: SEVERITIES.length - 1 };
+const STRESS_SYMPTOMS = /stress|anxi|overwhelm|tension/i;
+
+const ratingScale = (maxRating) => ({ min: 1, max: maxRating > 5 ? 10 : 5 });
+
+// "Anxiety (Moderate)" or a 0-4 rating
+const parseSeverity = (rating, detail) => {
+  const number = Number(rating);
+  if (rating !== '' && Number.isInteger(number)) {
+    return number;
+  }
+  const match = String(detail).match(/\(([a-z]+)\)/i);
+  return match ? SEVERITIES.indexOf(match[1].toLowerCase()) : -1;
+};
+
+export const bearableImporter = {
+  id: 'bearable',
+  format: 'csv',
+
+  detect(header) {
+    const names = header.map(normalizeHeader);
+    return names.includes('category') && names.includes('rating/amount') && names.includes('detail');
+  },
+
+  parse(fileContent) {
+    const readings = [];
+    const rejectedRows = [];
+    const maxRatings = { mood: 0, energy: 0 };
+    let rowCount = 0;
+
+    // Ratings are 1-5 in older exports and 1-10 in newer ones, so look at the whole file first
+    forEachCSVRecord(fileContent, (record) => {
+      rowCount++;
+      const reject = (reason, value = null) => rejectedRows.push({ line: record.line, reason, field: null, value });
+
+      if (record.error) {
+        reject(CSV_REJECT_REASONS.UNCLOSED_QUOTE);
+        return;
+      }
+
+      const rawDate = record.get('date', 'date formatted');
+      if (!rawDate) {
+        reject(CSV_REJECT_REASONS.MISSING_DATE);
+        return;
+      }
+      const date = parseImportDate(record.get('date')) || parseImportDate(record.get('date formatted'), true);
+      if (!date) {
+        reject(CSV_REJECT_REASONS.INVALID_DATE, rawDate);
+        return;
+      }
+
+      const timeOfDay = record.get('time of day');
+      const placed = TIME_OF_DAY[timeOfDay.toLowerCase()]
+        ? { date, period: TIME_OF_DAY[timeOfDay.toLowerCase()] }
+        : placeReading(date, timeOfDay);
+
+      const category = record.get('category').toLowerCase();
+      const rating = record.get('rating/amount');
+      const reading = { ...placed, line: record.line, category, rating, detail: record.get('detail'), notes: record.get('notes') };
+
+      if (category === 'mood' || category === 'energy') {
+        const number = Number(rating);
+        if (!Number.isFinite(number) || number < 1 || number > 10) {
+          reject(CSV_REJECT_REASONS.INVALID_VALUE, rating);
+          return;
+        }
+        maxRatings[category] = Math.max(maxRatings[category], number);
+      }
+      readings.push(reading);
+    });
+
+    const collector = createDayCollector();
+    readings.forEach(reading => {
+      const { date, period, category, rating, detail, notes } = reading;
+
+      if (category === 'mood' || category === 'energy') {
+        const level = mapToLevel(rating, ratingScale(maxRatings[category]));
+        if (category === 'energy') {
+          collector.addLevel(date, 'energy', period, level);
+        } else {
+          collector.addMood(date, level);
+          // Mood only stands in for energy when no energy was logged at all
+          if (maxRatings.energy === 0) {
+            collector.addLevel(date, 'energy', period, level);
+          }
+        }
+      } else if (category.startsWith('symptom') && STRESS_SYMPTOMS.test(detail)) {
+        const severity = parseSeverity(rating, detail);
+        const level = mapToLevel(severity, SEVERITY_SCALE);
+        if (level === null) {
+          rejectedRows.push({ line: reading.line, reason: CSV_REJECT_REASONS.INVALID_VALUE, field: null, value: detail });
+          return;
+        }
+        collector.addLevel(date, 'stress', period, level);
+      } else if (category.startsWith('factor') || category.startsWith('activit')) {
+        collector.addActivities(date, splitList(detail));
+      }
+
+      collector.addNote(date, notes);
+    });
+
+    rejectedRows.sort((a, b) => a.line - b.line);
+    return { entries: collector.toEntries(), rejectedRows, rowCount };
+  },
+};
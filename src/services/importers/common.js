@@ -0,0 +1,364 @@
+// Helpers shared by the import adapters: reading named CSV columns, scale conversion,
+// time-of-day to period, collecting several readings into one entry per day, and
+// per-day metrics from wearable exports
+
+import { parseCSV, detectDelimiter } from '../../utils/csv';
+import { CSV_REJECT_REASONS, parseCSVDate } from '../../utils/csvImport';
+import { ENTRY_DAY_ROLLOVER_HOUR } from '../../utils/helpers';
+import { getPeriodAt, getPeriodIds } from '../../utils/checkInPeriods';
+
+// Entry level fields by the metric name the collector uses
+export const LEVEL_METRICS = { energyLevels: 'energy', stressLevels: 'stress' };
+
+export const normalizeHeader = (header) => String(header).trim().toLowerCase();
+
+/** Header row of a CSV file, or [] when it is empty. */
+export const readCSVHeader = (fileContent, delimiter = detectDelimiter(fileContent)) => {
+  let header = null;
+  try {
+    parseCSV(fileContent.slice(0, 4096), {
+      delimiter,
+      onRow: (row) => {
+        if (!header) {
+          header = row.values;
+        }
+      },
+    });
+  } catch (error) {
+    console.error('Error reading CSV header:', error);
+  }
+  return header || [];
+};
+
+/**
+ * Walk the data rows of a CSV file with a header row
+ * @param {Function} onRecord - Called with ({ get(name), values, line, error })
+ *   where get() looks a column up by any of the given (lowercase) header names
+ */
+export const forEachCSVRecord = (fileContent, onRecord) => {
+  const delimiter = detectDelimiter(fileContent);
+  let columnIndex = null;
+
+  parseCSV(fileContent, {
+    delimiter,
+    onRow: (row) => {
+      if (!columnIndex) {
+        columnIndex = {};
+        row.values.forEach((header, index) => {
+          const name = normalizeHeader(header);
+          if (!(name in columnIndex)) {
+            columnIndex[name] = index;
+          }
+        });
+        return;
+      }
+
+      const get = (...names) => {
+        const name = names.find(candidate => candidate in columnIndex);
+        return name === undefined ? '' : (row.values[columnIndex[name]] ?? '').trim();
+      };
+      onRecord({ get, values: row.values, line: row.line, error: row.error });
+    },
+  });
+};
+
+/**
+ * Convert a value on another app's scale to a 1-10 level
+ * @param {Object} scale - { min, max, invert } where invert means a high value is a low level
+ * @returns {number|null}
+ */
+export const mapToLevel = (value, { min, max, invert = false }) => {
+  const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < min || number > max || max <= min) {
+    return null;
+  }
+
+  const position = (number - min) / (max - min);
+  return Math.round(1 + (invert ? 1 - position : position) * 9);
+};
+
+/**
+ * Read a clock time such as "08:15", "8:15 PM" or an ISO timestamp
+ * @returns {Object|null} { hour, minute } - hour of the day, 0-23
+ */
+export const parseClockTime = (value) => {
+  const match = String(value).match(/(?:^|T|\s)(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?/i);
+  if (!match) {
+    return null;
+  }
+
+  let hour = Number(match[1]);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hour < 12) {
+    hour += 12;
+  } else if (meridiem === 'am' && hour === 12) {
+    hour = 0;
+  }
+  return hour >= 0 && hour < 24 ? { hour, minute: Number(match[2]) } : null;
+};
+
+const previousDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const previous = new Date(Date.UTC(year, month - 1, day - 1));
+  return previous.toISOString().slice(0, 10);
+};
+
+/**
+ * Assign a reading to an entry day and period from its clock time
+ * Like the app itself, anything before the rollover hour belongs to the previous day.
+ * @returns {Object} { date, period } - period is null when the time can't be read
+ */
+export const placeReading = (date, time) => {
+  const clock = parseClockTime(time);
+  if (clock === null) {
+    return { date, period: null };
+  }
+  const period = getPeriodAt(clock.hour, clock.minute);
+  return { date: clock.hour < ENTRY_DAY_ROLLOVER_HOUR ? previousDate(date) : date, period };
+};
+
+/** A whole number on our own 1-10 scale. */
+export const isLevel = (value) => Number.isInteger(value) && value >= 1 && value <= 10;
+
+/**
+ * Place an ISO timestamp ("2024-03-05T10:00:00+01:00" or "2024-03-05") from a file we
+ * wrote ourselves: a recorded period wins, otherwise the local clock time decides.
+ * @returns {Object|null} { date, period } or null when the timestamp can't be read
+ */
+export const placeTimestamp = (timestamp, period = null) => {
+  const date = parseImportDate(String(timestamp || '').slice(0, 10));
+  if (!date) {
+    return null;
+  }
+  if (getPeriodIds().includes(period)) {
+    return { date, period };
+  }
+  return placeReading(date, String(timestamp).slice(10));
+};
+
+/** Parse a date cell; slash dates are read month-first unless `dayFirst`. */
+export const parseImportDate = (value, dayFirst = false) => parseCSVDate(value, dayFirst).date || null;
+
+/** Split "work | friends" or "work, friends" into trimmed names. */
+export const splitList = (value) => {
+  return String(value || '')
+    .split(/\s*[|,;]\s*/)
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Collect readings from apps that log several times a day into one entry per day
+ * Levels in the same period are averaged. Activities go to energySources on days that
+ * went well (mood/energy at least `positiveFrom`) and to stressSources otherwise.
+ */
+export const createDayCollector = ({ positiveFrom = 6 } = {}) => {
+  const periodIds = getPeriodIds();
+  const days = {};
+  const emptyPeriods = () => Object.fromEntries(periodIds.map(period => [period, []]));
+
+  const getDay = (date) => {
+    if (!days[date]) {
+      days[date] = {
+        energy: emptyPeriods(),
+        stress: emptyPeriods(),
+        allDay: { energy: [], stress: [] },
+        mood: [],
+        activities: [],
+        sources: { energySources: [], stressSources: [] },
+        notes: [],
+      };
+    }
+    return days[date];
+  };
+
+  return {
+    /** period null, or one that isn't configured, means the reading applies to the whole day */
+    addLevel(date, metric, period, level) {
+      const day = getDay(date);
+      if (period && day[metric][period]) {
+        day[metric][period].push(level);
+      } else {
+        day.allDay[metric].push(level);
+      }
+    },
+
+    /** Levels used only to decide where the day's activities go */
+    addMood(date, level) {
+      getDay(date).mood.push(level);
+    },
+
+    addActivities(date, activities) {
+      if (activities.length === 0) {
+        return;
+      }
+      const day = getDay(date);
+      activities.forEach(activity => {
+        if (!day.activities.includes(activity)) {
+          day.activities.push(activity);
+        }
+      });
+    },
+
+    /** Sources that are known to be energy or stress sources */
+    addSources(date, field, sources) {
+      if (sources.length === 0) {
+        return;
+      }
+      const list = getDay(date).sources[field];
+      sources.forEach(source => {
+        if (!list.includes(source)) {
+          list.push(source);
+        }
+      });
+    },
+
+    /** A journal field restored as-is: 'energySources', 'stressSources' or 'notes' */
+    addText(date, field, text) {
+      if (field === 'notes') {
+        this.addNote(date, text);
+      } else if (String(text || '').trim()) {
+        this.addSources(date, field, [String(text).trim()]);
+      }
+    },
+
+    addNote(date, note) {
+      const text = String(note || '').trim();
+      const day = text ? getDay(date) : null;
+      // Some apps repeat the day's note on every row
+      if (day && !day.notes.includes(text)) {
+        day.notes.push(text);
+      }
+    },
+
+    toEntries() {
+      return Object.keys(days).sort().map(date => {
+        const day = days[date];
+        const levels = (metric) => periodIds.reduce((result, period) => {
+          const values = day[metric][period].length > 0 ? day[metric][period] : day.allDay[metric];
+          result[period] = values.length > 0 ? Math.round(average(values)) : null;
+          return result;
+        }, {});
+
+        const energyLevels = levels('energy');
+        const stressLevels = levels('stress');
+        const dayLevels = day.mood.length > 0
+          ? day.mood
+          : periodIds.map(period => energyLevels[period]).filter(level => level !== null);
+        const positive = dayLevels.length === 0 || average(dayLevels) >= positiveFrom;
+        const energySources = [...day.sources.energySources, ...(positive ? day.activities : [])];
+        const stressSources = [...day.sources.stressSources, ...(positive ? [] : day.activities)];
+
+        return {
+          date,
+          energyLevels,
+          stressLevels,
+          energySources: energySources.join(', '),
+          stressSources: stressSources.join(', '),
+          notes: day.notes.join('\n\n'),
+        };
+      });
+    },
+  };
+};
+
+/**
+ * Read a number from a wearable export cell: "52", "52 ms", "+45", "1,234" or "7,5"
+ * @returns {number|null}
+ */
+export const parseMetricNumber = (value) => {
+  const text = String(value ?? '').trim();
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    return Number(text.replace(/,/g, ''));
+  }
+  const match = text.match(/-?\d+(?:[.,]\d+)?/);
+  return match ? Number(match[0].replace(',', '.')) : null;
+};
+
+/**
+ * Read a duration such as "7h 32min", "7h 32m", "7:32" or "45min"
+ * @returns {number|null} Minutes
+ */
+export const parseDurationMinutes = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  const clock = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (clock) {
+    return Number(clock[1]) * 60 + Number(clock[2]);
+  }
+  const hours = text.match(/(\d+(?:[.,]\d+)?)\s*h/);
+  const minutes = text.match(/(\d+)\s*m/);
+  if (!hours && !minutes) {
+    return null;
+  }
+  return Math.round((hours ? Number(hours[1].replace(',', '.')) * 60 : 0) + (minutes ? Number(minutes[1]) : 0));
+};
+
+/**
+ * Collect per-day metrics from wearable exports. Several values for the same day
+ * (a nap next to the night's sleep, a file with overlapping rows) are averaged.
+ */
+export const createMetricCollector = () => {
+  const days = {};
+
+  return {
+    /** Ignores empty and non-numeric values; returns whether the value was kept */
+    add(date, metric, value) {
+      if (value === null || value === undefined || !Number.isFinite(value)) {
+        return false;
+      }
+      days[date] = days[date] || {};
+      days[date][metric] = [...(days[date][metric] || []), value];
+      return true;
+    },
+
+    /** @returns {Object} { date: { metric: value } } */
+    toDays() {
+      return Object.fromEntries(Object.keys(days).sort().map(date => [
+        date,
+        Object.fromEntries(Object.entries(days[date]).map(([metric, values]) => [metric, Math.round(average(values))])),
+      ]));
+    },
+  };
+};
+
+/**
+ * Shared row loop of the wearable importers
+ * @param {Function} readRecord - (record) => { date, metrics: { metric: number|null } } with
+ *   the raw date cell; rows without any metric are rejected as empty
+ * @returns {Object} { days, rejectedRows, rowCount }
+ */
+export const parseWearableCSV = (fileContent, readRecord) => {
+  const collector = createMetricCollector();
+  const rejectedRows = [];
+  let rowCount = 0;
+
+  forEachCSVRecord(fileContent, (record) => {
+    rowCount++;
+    const reject = (reason, value = null) => rejectedRows.push({ line: record.line, reason, field: null, value });
+
+    if (record.error) {
+      reject(CSV_REJECT_REASONS.UNCLOSED_QUOTE);
+      return;
+    }
+
+    const { date: rawDate, metrics } = readRecord(record);
+    if (!rawDate) {
+      reject(CSV_REJECT_REASONS.MISSING_DATE);
+      return;
+    }
+    const date = parseImportDate(rawDate);
+    if (!date) {
+      reject(CSV_REJECT_REASONS.INVALID_DATE, rawDate);
+      return;
+    }
+
+    const kept = Object.entries(metrics).filter(([metric, value]) => collector.add(date, metric, value));
+    if (kept.length === 0) {
+      reject(CSV_REJECT_REASONS.EMPTY_ROW);
+    }
+  });
+
+  return { days: collector.toDays(), rejectedRows, rowCount };
+};
@@ -0,0 +1,114 @@
+// Daylio CSV export
+// Columns: full_date, date, weekday, time, mood, activities, note_title, note
+// (older exports have year + "May 1" style dates instead of full_date).
+// Moods are on Daylio's five-point scale and become energy levels; the day's
+// activities become energy or stress sources depending on how the day went.
+
+import { CSV_REJECT_REASONS } from '../../utils/csvImport';
+import {
+  createDayCollector,
+  forEachCSVRecord,
+  mapToLevel,
+  normalizeHeader,
+  parseImportDate,
+  placeReading,
+  splitList,
+} from './common';
+
+const MOOD_SCALE = { min: 1, max: 5 };
+
+// Daylio's default mood names; custom names can be mapped with options.moods
+export const DAYLIO_MOODS = {
+  rad: 5,
+  good: 4,
+  meh: 3,
+  bad: 2,
+  awful: 1,
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Older exports: year column plus "May 1" or "1 May"
+const parseShortDate = (year, value) => {
+  const match = String(value).trim().match(/^(?:([a-z]+)\.?\s+(\d{1,2})|(\d{1,2})\.?\s+([a-z]+))/i);
+  if (!match || !/^\d{4}$/.test(year)) {
+    return null;
+  }
+  const monthName = (match[1] || match[4]).slice(0, 3).toLowerCase();
+  const month = MONTHS.indexOf(monthName) + 1;
+  const day = Number(match[2] || match[3]);
+  return month > 0 ? parseImportDate(`${year}-${month}-${day}`) : null;
+};
+
+export const daylioImporter = {
+  id: 'daylio',
+  format: 'csv',
+
+  detect(header) {
+    const names = header.map(normalizeHeader);
+    return names.includes('mood') && names.includes('activities') && names.includes('weekday');
+  },
+
+  /**
+   * @param {Object} options - { moods: { name: 1-5 } } for custom mood names
+   */
+  parse(fileContent, options = {}) {
+    const moods = { ...DAYLIO_MOODS };
+    Object.entries(options.moods || {}).forEach(([name, score]) => {
+      moods[name.trim().toLowerCase()] = score;
+    });
+
+    // Days with a mood of "meh" or better count as good days for the activities
+    const collector = createDayCollector({ positiveFrom: mapToLevel(3, MOOD_SCALE) });
+    const rejectedRows = [];
+    let rowCount = 0;
+
+    forEachCSVRecord(fileContent, (record) => {
+      rowCount++;
+      const reject = (reason, value = null) => rejectedRows.push({ line: record.line, reason, field: null, value });
+
+      if (record.error) {
+        reject(CSV_REJECT_REASONS.UNCLOSED_QUOTE);
+        return;
+      }
+
+      const rawDate = record.get('full_date') || record.get('date');
+      const date = record.get('full_date')
+        ? parseImportDate(record.get('full_date'))
+        : parseShortDate(record.get('year'), record.get('date'));
+      if (!rawDate) {
+        reject(CSV_REJECT_REASONS.MISSING_DATE);
+        return;
+      }
+      if (!date) {
+        reject(CSV_REJECT_REASONS.INVALID_DATE, rawDate);
+        return;
+      }
+
+      const moodName = record.get('mood').toLowerCase();
+      const score = moods[moodName];
+      if (moodName && mapToLevel(score ?? '', MOOD_SCALE) === null) {
+        reject(CSV_REJECT_REASONS.UNKNOWN_MOOD, record.get('mood'));
+        return;
+      }
+
+      const activities = splitList(record.get('activities'));
+      const note = [record.get('note_title'), record.get('note')].filter(Boolean).join('\n');
+      if (score === undefined && activities.length === 0 && !note) {
+        reject(CSV_REJECT_REASONS.EMPTY_ROW);
+        return;
+      }
+
+      const placed = placeReading(date, record.get('time'));
+      if (score !== undefined) {
+        const level = mapToLevel(score, MOOD_SCALE);
+        collector.addLevel(placed.date, 'energy', placed.period, level);
+        collector.addMood(placed.date, level);
+      }
+      collector.addActivities(placed.date, activities);
+      collector.addNote(placed.date, note);
+    });
+
+    return { entries: collector.toEntries(), rejectedRows, rowCount };
+  },
+};
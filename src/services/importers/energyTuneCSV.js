@@ -0,0 +1,21 @@
+// EnergyTune's own CSV export, and spreadsheets with similarly named columns
+
+import { parseCSVEntries, matchCSVColumn, parseCSVDate } from '../../utils/csvImport';
+
+export const energyTuneCSVImporter = {
+  id: 'energytune',
+  format: 'csv',
+
+  // A date column plus at least one recognisable level column, or no header at all
+  detect(header) {
+    const fields = header.map(matchCSVColumn);
+    if (fields.includes('date')) {
+      return fields.some(field => field && field.includes('.'));
+    }
+    return !!parseCSVDate(header[0] ?? '').date;
+  },
+
+  parse(fileContent) {
+    return parseCSVEntries(fileContent);
+  },
+};
@@ -0,0 +1,81 @@
+// FHIR R4 Observations, as written by our FHIR export
+// Reads a Bundle (or a bare array of Observations). Only observations coded in our
+// code system are used; anything else in the bundle is skipped without complaint.
+
+import { CSV_REJECT_REASONS } from '../../utils/csvImport';
+import {
+  ENERGYTUNE_CODE_SYSTEM,
+  OBSERVATION_CODES,
+  PERIOD_EXTENSION_URL,
+} from '../../utils/healthStandards';
+import { LEVEL_METRICS, createDayCollector, isLevel, placeTimestamp } from './common';
+
+const FIELDS_BY_CODE = Object.fromEntries(
+  Object.entries(OBSERVATION_CODES).map(([field, { code }]) => [code, field])
+);
+
+const observationsOf = (data) => {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return (data?.entry || []).map(item => item?.resource);
+};
+
+const fieldOf = (observation) => {
+  const coding = (observation?.code?.coding || []).find(item => item.system === ENERGYTUNE_CODE_SYSTEM);
+  return coding ? FIELDS_BY_CODE[coding.code] : undefined;
+};
+
+export const fhirImporter = {
+  id: 'fhir',
+  format: 'json',
+
+  detect(data) {
+    const observations = observationsOf(data);
+    const isBundle = data?.resourceType === 'Bundle';
+    return (isBundle || Array.isArray(data)) && observations.some(resource => resource?.resourceType === 'Observation' && fieldOf(resource));
+  },
+
+  parse(fileContent) {
+    const observations = observationsOf(JSON.parse(fileContent));
+    const collector = createDayCollector();
+    const rejectedRows = [];
+
+    observations.forEach((observation, index) => {
+      const field = fieldOf(observation);
+      if (observation?.resourceType !== 'Observation' || !field || observation.status === 'entered-in-error') {
+        return;
+      }
+      const reject = (reason, value = null) => rejectedRows.push({ item: index + 1, reason, field: null, value });
+
+      const timestamp = observation.effectiveDateTime || observation.effectivePeriod?.start;
+      if (!timestamp) {
+        reject(CSV_REJECT_REASONS.MISSING_DATE);
+        return;
+      }
+
+      if (field === 'energyLevels' || field === 'stressLevels') {
+        const value = observation.valueInteger ?? observation.valueQuantity?.value;
+        const period = (observation.extension || []).find(item => item.url === PERIOD_EXTENSION_URL)?.valueCode;
+        const placed = placeTimestamp(timestamp, period);
+        if (!placed) {
+          reject(CSV_REJECT_REASONS.INVALID_DATE, timestamp);
+        } else if (!isLevel(value)) {
+          reject(CSV_REJECT_REASONS.INVALID_LEVEL, String(value));
+        } else {
+          collector.addLevel(placed.date, LEVEL_METRICS[field], placed.period, value);
+        }
+        return;
+      }
+
+      const placed = placeTimestamp(timestamp, null);
+      if (!placed) {
+        reject(CSV_REJECT_REASONS.INVALID_DATE, timestamp);
+        return;
+      }
+      collector.addText(placed.date, field, observation.valueString);
+    });
+
+    return { entries: collector.toEntries(), rejectedRows, rowCount: observations.length };
+  },
+};
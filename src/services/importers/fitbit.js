@@ -0,0 +1,33 @@
+// Fitbit data export (Google Takeout → Fitbit)
+// Reads the daily files: Sleep Score/sleep_score.csv ("timestamp", "overall_score",
+// "resting_heart_rate"), the Daily Readiness file ("date", "readiness_score_value")
+// and the Daily Heart Rate Variability Summary ("timestamp", "rmssd"). Sleep rows are
+// stamped with the wake-up time, which is the day the sleep belongs to.
+//
+// Returns per-day context for the day context store rather than entries.
+
+import { normalizeHeader, parseMetricNumber, parseWearableCSV } from './common';
+
+export const fitbitImporter = {
+  id: 'fitbit',
+  format: 'csv',
+
+  detect(header) {
+    const names = header.map(normalizeHeader);
+    return (names.includes('overall_score') && names.includes('sleep_log_entry_id'))
+      || names.includes('readiness_score_value')
+      || (names.includes('rmssd') && names.includes('timestamp'));
+  },
+
+  parse(fileContent) {
+    return parseWearableCSV(fileContent, (record) => ({
+      date: record.get('date', 'timestamp'),
+      metrics: {
+        readiness: parseMetricNumber(record.get('readiness_score_value')),
+        sleepScore: parseMetricNumber(record.get('overall_score')),
+        restingHeartRate: parseMetricNumber(record.get('resting_heart_rate')),
+        hrv: parseMetricNumber(record.get('rmssd')),
+      },
+    }));
+  },
+};
@@ -0,0 +1,50 @@
+// Garmin Connect report exports (Reports → pick a report → Export)
+// The sleep report's first column is named after the report ("Sleep Score 4 Weeks")
+// and holds the date, next to "Score", "Resting Heart Rate", "Body Battery",
+// "HRV Status" and "Duration" ("7h 32min"). Daily reports with a "Date" column and
+// "Training Readiness", "Body Battery" or "Overnight HRV" are read as well.
+// Readiness is Training Readiness where the watch reports it, otherwise Body Battery.
+//
+// Returns per-day context for the day context store rather than entries.
+
+import {
+  normalizeHeader,
+  parseDurationMinutes,
+  parseMetricNumber,
+  parseWearableCSV,
+  readCSVHeader,
+} from './common';
+
+const DAILY_COLUMNS = ['training readiness', 'body battery', 'body battery high', 'overnight hrv'];
+
+const isSleepReport = (names) => names[0]?.startsWith('sleep score') && names.includes('score');
+
+export const garminImporter = {
+  id: 'garmin',
+  format: 'csv',
+
+  detect(header) {
+    const names = header.map(normalizeHeader);
+    return isSleepReport(names) || (names.includes('date') && DAILY_COLUMNS.some(name => names.includes(name)));
+  },
+
+  parse(fileContent) {
+    const names = readCSVHeader(fileContent).map(normalizeHeader);
+    const sleepReport = isSleepReport(names);
+
+    return parseWearableCSV(fileContent, (record) => {
+      const readiness = parseMetricNumber(record.get('training readiness'))
+        ?? parseMetricNumber(record.get('body battery', 'body battery high'));
+      return {
+        date: sleepReport ? record.values[0]?.trim() : record.get('date'),
+        metrics: {
+          readiness,
+          sleepScore: parseMetricNumber(record.get(sleepReport ? 'score' : 'sleep score')),
+          sleepMinutes: parseDurationMinutes(record.get('duration', 'sleep duration')),
+          hrv: parseMetricNumber(record.get('hrv status', 'overnight hrv')),
+          restingHeartRate: parseMetricNumber(record.get('resting heart rate')),
+        },
+      };
+    });
+  },
+};
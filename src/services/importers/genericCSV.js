@@ -0,0 +1,242 @@
+// Any other tracker's CSV, mapped column by column by the user
+// Each column gets a target (see GENERIC_COLUMN_TARGETS). Energy and stress values are
+// converted from the tracker's own scale, and rows with a time column are placed in the
+// matching period; rows on the same day are merged.
+
+import { CSV_REJECT_REASONS, matchCSVColumn, parseCSVDate } from '../../utils/csvImport';
+import { parseCSV, detectDelimiter } from '../../utils/csv';
+import {
+  createDayCollector,
+  mapToLevel,
+  normalizeHeader,
+  parseImportDate,
+  placeReading,
+  splitList,
+} from './common';
+
+export const GENERIC_COLUMN_TARGETS = {
+  IGNORE: 'ignore',
+  DATE: 'date',
+  TIME: 'time',
+  ENERGY: 'energy', // period taken from the time column
+  STRESS: 'stress',
+  ENERGY_MORNING: 'energyLevels.morning',
+  ENERGY_AFTERNOON: 'energyLevels.afternoon',
+  ENERGY_EVENING: 'energyLevels.evening',
+  STRESS_MORNING: 'stressLevels.morning',
+  STRESS_AFTERNOON: 'stressLevels.afternoon',
+  STRESS_EVENING: 'stressLevels.evening',
+  ENERGY_SOURCES: 'energySources',
+  STRESS_SOURCES: 'stressSources',
+  NOTES: 'notes',
+};
+
+export const SCALE_PRESETS = [
+  { min: 1, max: 5 },
+  { min: 1, max: 10 },
+  { min: 0, max: 10 },
+  { min: 0, max: 100 },
+];
+
+const SAMPLE_ROWS = 50;
+
+const metricOf = (target) => {
+  if (target.startsWith('energy') && target !== GENERIC_COLUMN_TARGETS.ENERGY_SOURCES) {
+    return 'energy';
+  }
+  if (target.startsWith('stress') && target !== GENERIC_COLUMN_TARGETS.STRESS_SOURCES) {
+    return 'stress';
+  }
+  return null;
+};
+
+// Best guess for a column from its header
+const suggestTarget = (header) => {
+  const field = matchCSVColumn(header);
+  if (field) {
+    return field;
+  }
+
+  const name = normalizeHeader(header);
+  if (/^when$|timestamp|logged/.test(name)) {
+    return GENERIC_COLUMN_TARGETS.DATE;
+  }
+  if (/\btime\b|hour/.test(name)) {
+    return GENERIC_COLUMN_TARGETS.TIME;
+  }
+  if (/energy|mood/.test(name)) {
+    return GENERIC_COLUMN_TARGETS.ENERGY;
+  }
+  if (/stress|anxiety/.test(name)) {
+    return GENERIC_COLUMN_TARGETS.STRESS;
+  }
+  if (/activit|tag|factor/.test(name)) {
+    return GENERIC_COLUMN_TARGETS.ENERGY_SOURCES;
+  }
+  return GENERIC_COLUMN_TARGETS.IGNORE;
+};
+
+// Smallest preset that covers the values seen in the file
+const suggestScale = (values) => {
+  const numbers = values.map(Number).filter(Number.isFinite);
+  if (numbers.length === 0) {
+    return SCALE_PRESETS[1];
+  }
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  return SCALE_PRESETS.find(preset => preset.min <= min && preset.max >= max) || { min, max };
+};
+
+export const genericCSVImporter = {
+  id: 'generic',
+  format: 'csv',
+
+  // Fallback for any CSV nothing else recognises
+  detect() {
+    return true;
+  },
+
+  /**
+   * Columns with sample values and a suggested mapping, for the mapping screen
+   * @returns {Object} { columns: [{ index, header, sample }], mapping: [target],
+   *   scales: { energy, stress }, dayFirst }
+   */
+  inspect(fileContent) {
+    const rows = [];
+    parseCSV(fileContent.slice(0, 64 * 1024), {
+      delimiter: detectDelimiter(fileContent),
+      onRow: (row) => {
+        if (rows.length <= SAMPLE_ROWS) {
+          rows.push(row.values);
+        }
+      },
+    });
+
+    const [header = [], ...samples] = rows;
+    const mapping = header.map(suggestTarget);
+    const scaleValues = { energy: [], stress: [] };
+    mapping.forEach((target, index) => {
+      const metric = metricOf(target);
+      if (metric) {
+        samples.forEach(values => {
+          if ((values[index] ?? '').trim() !== '') {
+            scaleValues[metric].push(values[index].trim().replace(',', '.'));
+          }
+        });
+      }
+    });
+
+    // Slash dates like 31/12/2024 give away a day-first file
+    const dateIndex = mapping.indexOf(GENERIC_COLUMN_TARGETS.DATE);
+    const dayFirst = dateIndex !== -1 && samples.some(values => parseCSVDate(values[dateIndex] ?? '').dayFirst === true);
+
+    return {
+      dayFirst,
+      columns: header.map((name, index) => ({
+        index,
+        header: name,
+        sample: samples.map(values => (values[index] ?? '').trim()).find(Boolean) || '',
+      })),
+      mapping,
+      scales: {
+        energy: { ...suggestScale(scaleValues.energy), invert: false },
+        stress: { ...suggestScale(scaleValues.stress), invert: false },
+      },
+    };
+  },
+
+  /**
+   * @param {Object} options - { mapping: [target by column index], scales: { energy, stress },
+   *   dayFirst } where scales are { min, max, invert } and dayFirst reads 05/03 as 5 March
+   */
+  parse(fileContent, options = {}) {
+    const { mapping = [], scales = {}, dayFirst = false } = options;
+    const dateIndex = mapping.indexOf(GENERIC_COLUMN_TARGETS.DATE);
+    if (dateIndex === -1) {
+      throw new Error('Choose which column holds the date');
+    }
+    const timeIndex = mapping.indexOf(GENERIC_COLUMN_TARGETS.TIME);
+
+    const collector = createDayCollector();
+    const rejectedRows = [];
+    let rowCount = 0;
+    let headerSkipped = false;
+
+    parseCSV(fileContent, {
+      delimiter: detectDelimiter(fileContent),
+      onRow: (row) => {
+        if (!headerSkipped) {
+          headerSkipped = true;
+          return;
+        }
+        rowCount++;
+        const reject = (reason, details = {}) => rejectedRows.push({
+          line: row.line,
+          reason,
+          field: details.field || null,
+          value: details.value ?? null,
+        });
+
+        if (row.error) {
+          reject(CSV_REJECT_REASONS.UNCLOSED_QUOTE);
+          return;
+        }
+
+        const rawDate = (row.values[dateIndex] ?? '').trim();
+        if (!rawDate) {
+          reject(CSV_REJECT_REASONS.MISSING_DATE);
+          return;
+        }
+        const date = parseImportDate(rawDate, dayFirst);
+        if (!date) {
+          reject(CSV_REJECT_REASONS.INVALID_DATE, { value: rawDate });
+          return;
+        }
+
+        // Date cells with a time ("2024-03-05 08:30") place the row too
+        const placed = placeReading(date, timeIndex === -1 ? rawDate : row.values[timeIndex] ?? '');
+        const levels = [];
+        const texts = [];
+
+        for (let index = 0; index < mapping.length; index++) {
+          const target = mapping[index];
+          const value = (row.values[index] ?? '').trim();
+          const metric = metricOf(target);
+          if (value === '' || !target || target === GENERIC_COLUMN_TARGETS.IGNORE) {
+            continue;
+          }
+
+          if (metric) {
+            const level = mapToLevel(value, scales[metric] || SCALE_PRESETS[1]);
+            if (level === null) {
+              reject(CSV_REJECT_REASONS.INVALID_VALUE, { field: target.includes('.') ? target : null, value });
+              return;
+            }
+            const period = target.includes('.') ? target.split('.')[1] : placed.period;
+            levels.push({ metric, period, level });
+          } else if (target !== GENERIC_COLUMN_TARGETS.DATE && target !== GENERIC_COLUMN_TARGETS.TIME) {
+            texts.push({ target, value });
+          }
+        }
+
+        if (levels.length === 0 && texts.length === 0) {
+          reject(CSV_REJECT_REASONS.EMPTY_ROW);
+          return;
+        }
+
+        levels.forEach(({ metric, period, level }) => {
+          collector.addLevel(placed.date, metric, period, level);
+        });
+        texts.forEach(({ target, value }) => {
+          if (target === GENERIC_COLUMN_TARGETS.NOTES) {
+            collector.addNote(placed.date, value);
+          } else {
+            collector.addSources(placed.date, target, splitList(value));
+          }
+        });
+      },
+    });
+
+    return { entries: collector.toEntries(), rejectedRows, rowCount };
+  },
+};
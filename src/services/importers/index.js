@@ -0,0 +1,72 @@
+import { energyTuneCSVImporter } from './energyTuneCSV';
+import { daylioImporter } from './daylio';
+import { bearableImporter } from './bearable';
+import { genericCSVImporter } from './genericCSV';
+import { fhirImporter } from './fhir';
+import { openMHealthImporter } from './openMHealth';
+import { ouraImporter } from './oura';
+import { garminImporter } from './garmin';
+import { fitbitImporter } from './fitbit';
+import { readCSVHeader } from './common';
+
+/**
+ * Import adapters used by StorageService.importData. Every importer has:
+ *
+ *   id, format ('csv' or 'json')
+ *   detect(header) - true when the file's header row looks like this app's export
+ *     (JSON importers get the parsed document instead)
+ *   parse(fileContent, options) -> { entries, rejectedRows: [{ line, reason, field, value }], rowCount }
+ *     (JSON importers report the 1-based `item` of a rejected record instead of a `line`)
+ *
+ * Entries come out in the shape of our own CSV import; validation and conflict
+ * handling happen in StorageService like for any other import.
+ *
+ * Wearable importers detect the same way, but their parse() returns per-day context
+ * instead: { days: { date: { metric: value } }, rejectedRows, rowCount }, and their id is
+ * the DAY_CONTEXT_SOURCES key the days are stored under. See WearableService.
+ */
+export const IMPORT_SOURCES = {
+  ENERGYTUNE: 'energytune',
+  DAYLIO: 'daylio',
+  BEARABLE: 'bearable',
+  GENERIC: 'generic',
+  FHIR: 'fhir',
+  OPEN_MHEALTH: 'openmhealth',
+};
+
+// Checked in order; the generic importer accepts anything and comes last
+const CSV_IMPORTERS = [daylioImporter, bearableImporter, energyTuneCSVImporter, genericCSVImporter];
+
+// Health-standard documents; anything else is read as our own JSON export
+const JSON_IMPORTERS = [fhirImporter, openMHealthImporter];
+
+// Sleep and readiness exports; checked before the entry importers
+const WEARABLE_IMPORTERS = [ouraImporter, garminImporter, fitbitImporter];
+
+export const getImporter = (id) => {
+  const importer = [...CSV_IMPORTERS, ...JSON_IMPORTERS].find(candidate => candidate.id === id);
+  if (!importer) {
+    throw new Error(`Unknown import source: ${id}`);
+  }
+  return importer;
+};
+
+/** Pick the importer for a CSV file from its header row. */
+export const detectCSVImporter = (fileContent) => {
+  const header = readCSVHeader(fileContent);
+  return CSV_IMPORTERS.find(importer => importer.detect(header));
+};
+
+/** Pick the importer for a parsed JSON document, or undefined for our own JSON format. */
+export const detectJSONImporter = (data) => {
+  return JSON_IMPORTERS.find(importer => importer.detect(data));
+};
+
+/** Pick the wearable importer for a CSV file, or undefined when it isn't a wearable export. */
+export const detectWearableImporter = (fileContent) => {
+  const header = readCSVHeader(fileContent);
+  return WEARABLE_IMPORTERS.find(importer => importer.detect(header));
+};
+
+export { GENERIC_COLUMN_TARGETS, SCALE_PRESETS } from './genericCSV';
+export { DAYLIO_MOODS } from './daylio';
@@ -0,0 +1,67 @@
+// Open mHealth data points, as written by our Open mHealth export
+// A JSON array of { header, body }; only points in our namespace are used.
+
+import { CSV_REJECT_REASONS } from '../../utils/csvImport';
+import { OMH_NAMESPACE, OMH_SCHEMAS } from '../../utils/healthStandards';
+import { LEVEL_METRICS, createDayCollector, isLevel, placeTimestamp } from './common';
+
+const FIELDS_BY_SCHEMA = {
+  [OMH_SCHEMAS.energyLevels]: 'energyLevels',
+  [OMH_SCHEMAS.stressLevels]: 'stressLevels',
+};
+
+const isOurs = (dataPoint) => dataPoint?.header?.schema_id?.namespace === OMH_NAMESPACE;
+
+export const openMHealthImporter = {
+  id: 'openmhealth',
+  format: 'json',
+
+  detect(data) {
+    return Array.isArray(data) && data.some(isOurs);
+  },
+
+  parse(fileContent) {
+    const dataPoints = JSON.parse(fileContent);
+    const collector = createDayCollector();
+    const rejectedRows = [];
+
+    dataPoints.forEach((dataPoint, index) => {
+      if (!isOurs(dataPoint)) {
+        return;
+      }
+      const reject = (reason, value = null) => rejectedRows.push({ item: index + 1, reason, field: null, value });
+      const schema = dataPoint.header.schema_id.name;
+      const timeFrame = dataPoint.body?.effective_time_frame || {};
+
+      if (schema === OMH_SCHEMAS.journal) {
+        // The interval starts at midnight, so only its date counts
+        const start = timeFrame.time_interval?.start_date_time || timeFrame.date_time;
+        const placed = start ? placeTimestamp(start.slice(0, 10)) : null;
+        if (!placed) {
+          reject(CSV_REJECT_REASONS.MISSING_DATE);
+          return;
+        }
+        collector.addText(placed.date, 'energySources', dataPoint.body.energy_sources);
+        collector.addText(placed.date, 'stressSources', dataPoint.body.stress_sources);
+        collector.addText(placed.date, 'notes', dataPoint.body.notes);
+        return;
+      }
+
+      const field = FIELDS_BY_SCHEMA[schema];
+      if (!field) {
+        return;
+      }
+      const placed = placeTimestamp(timeFrame.date_time, dataPoint.body.check_in_period);
+      const value = dataPoint.body.level?.value;
+      if (!placed) {
+        reject(timeFrame.date_time ? CSV_REJECT_REASONS.INVALID_DATE : CSV_REJECT_REASONS.MISSING_DATE, timeFrame.date_time || null);
+      } else if (!isLevel(value)) {
+        reject(CSV_REJECT_REASONS.INVALID_LEVEL, String(value));
+      } else {
+        collector.addLevel(placed.date, LEVEL_METRICS[field], placed.period, value);
+      }
+    });
+
+    return { entries: collector.toEntries(), rejectedRows, rowCount: dataPoints.length };
+  },
+};
@@ -0,0 +1,58 @@
+// Oura CSV exports
+// Two shapes are read: the trends export of the Oura web dashboard, one row per day
+// with "date", "Readiness Score", "Sleep Score", "Total Sleep Time" (seconds),
+// "Average HRV", "Average Resting Heart Rate" and "Steps"; and the per-type files of
+// the membership data export (dailyreadiness.csv, dailysleep.csv, dailyactivity.csv),
+// which share "day", "score" and "contributors" and differ in their other columns.
+//
+// Returns per-day context for the day context store rather than entries.
+
+import { normalizeHeader, parseMetricNumber, parseWearableCSV, readCSVHeader } from './common';
+
+// Which daily score a per-type file holds, from its extra columns
+const scoreMetric = (names) => {
+  if (names.includes('temperature_deviation')) return 'readiness';
+  if (names.includes('steps')) return null;
+  return 'sleepScore';
+};
+
+const isDataExport = (names) => names.includes('day') && names.includes('score') && names.includes('contributors');
+
+export const ouraImporter = {
+  id: 'oura',
+  format: 'csv',
+
+  detect(header) {
+    const names = header.map(normalizeHeader);
+    return (names.includes('readiness score') && names.includes('sleep score')) || isDataExport(names);
+  },
+
+  parse(fileContent) {
+    const names = readCSVHeader(fileContent).map(normalizeHeader);
+
+    if (isDataExport(names)) {
+      const metric = scoreMetric(names);
+      return parseWearableCSV(fileContent, (record) => ({
+        date: record.get('day'),
+        metrics: metric
+          ? { [metric]: parseMetricNumber(record.get('score')) }
+          : { steps: parseMetricNumber(record.get('steps')) },
+      }));
+    }
+
+    return parseWearableCSV(fileContent, (record) => {
+      const sleepSeconds = parseMetricNumber(record.get('total sleep time', 'total sleep duration'));
+      return {
+        date: record.get('date'),
+        metrics: {
+          readiness: parseMetricNumber(record.get('readiness score')),
+          sleepScore: parseMetricNumber(record.get('sleep score')),
+          sleepMinutes: sleepSeconds !== null ? sleepSeconds / 60 : null,
+          hrv: parseMetricNumber(record.get('average hrv')),
+          restingHeartRate: parseMetricNumber(record.get('average resting heart rate', 'lowest resting heart rate')),
+          steps: parseMetricNumber(record.get('steps')),
+        },
+      };
+    });
+  },
+};
@@ -0,0 +1,72 @@
+import StorageService from './storage';
+
+/**
+ * Migration Service - Runs ordered, one-time storage migrations at app start
+ *
+ * Each migration has a version number greater than the one before it. The stored
+ * data version is advanced after every successful step, so an interrupted run
+ * resumes at the failed step on the next launch. Per-record shape changes live in
+ * utils/schema.js; migrations here rewrite what is already persisted.
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Stamp schema versions on stored entries and settings',
+    run: async () => {
+      await StorageService.upgradeStoredEntries();
+      await StorageService.upgradeStoredSettings();
+    },
+  },
+  {
+    version: 2,
+    description: 'Add custom metric values to stored entries',
+    run: async () => {
+      await StorageService.upgradeStoredEntries();
+    },
+  },
+];
+
+class MigrationService {
+  constructor() {
+    this.running = null;
+  }
+
+  /**
+   * Run all migrations newer than the stored data version
+   * @returns {Promise<Object>} { fromVersion, toVersion, applied }
+   */
+  runMigrations() {
+    // Share a single run between concurrent callers
+    if (!this.running) {
+      this.running = this.applyPendingMigrations().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async applyPendingMigrations() {
+    const fromVersion = await StorageService.getDataVersion();
+    const pending = STORAGE_MIGRATIONS.filter(migration => migration.version > fromVersion);
+    const applied = [];
+
+    for (const migration of pending) {
+      try {
+        await migration.run();
+        await StorageService.setDataVersion(migration.version);
+        applied.push(migration.version);
+      } catch (error) {
+        console.error(`[Migrations] Migration ${migration.version} failed:`, error);
+        throw error;
+      }
+    }
+
+    return {
+      fromVersion,
+      toVersion: applied.length > 0 ? applied[applied.length - 1] : fromVersion,
+      applied,
+    };
+  }
+}
+
+export default new MigrationService();
@@ -3,6 +3,7 @@ import * as Haptics from 'expo-haptics';
 import { Platform } from 'react-native';
 import StorageService from './storage';
 import { getTodayString } from '../utils/helpers';
+import { getPeriodIds, getPeriodName } from '../utils/checkInPeriods';
 
 /** Used in notification payload `data.scope` so we only cancel the right scheduled requests. */
 export const NOTIFICATION_SCOPE = {
@@ -239,7 +240,8 @@ class NotificationService {
       }
       
       const scheduledIds = [];
-      const periods = ['morning', 'afternoon', 'evening'];
+      // Only configured periods; reminders of removed periods stay in settings unused
+      const periods = getPeriodIds();
       
       for (const period of periods) {
         const periodSettings = settings.periods[period];
@@ -311,22 +313,10 @@ class NotificationService {
    * Get notification content based on period
    */
   getNotificationContent(period) {
-    const content = {
-      morning: {
-        title: 'Morning Energy Check-in',
-        body: "Press and hold to quick fill. Tap to open app for stress level & details",
-      },
-      afternoon: {
-        title: 'Afternoon EnergyCheck-in',
-        body: "Press and hold to quick fill. Tap to open app for stress level & details",
-      },
-      evening: {
-        title: 'Evening Energy Check-in',
-        body: "Press and hold to quick fill. Tap to open app for stress level & details",
-      },
+    return {
+      title: `${getPeriodName(period)} Energy Check-in`,
+      body: "Press and hold to quick fill. Tap to open app for stress level & details",
     };
-    
-    return content[period] || content.morning;
   }
 
   /**
@@ -395,7 +385,7 @@ class NotificationService {
    */
   async showConfirmation(period, type, value) {
     try {
-      const periodLabel = period.charAt(0).toUpperCase() + period.slice(1);
+      const periodLabel = getPeriodName(period);
       const typeLabel = type === 'energy' ? 'Energy' : 'Stress';
       const today = getTodayString();
       
@@ -437,6 +427,7 @@ class NotificationService {
 
   isLegacyDailyReminderData(data) {
     if (!data || data.scope) return false;
+    // Versions without a scope only had the three default periods
     const periods = ['morning', 'afternoon', 'evening'];
     return periods.includes(data.period) && data.type === 'energy';
   }
@@ -496,11 +487,12 @@ class NotificationService {
    */
   async scheduleTestNotification(seconds = 5) {
     try {
+      const period = getPeriodIds()[0];
       const config = {
         content: {
-          title: 'Test Morning Check-in',
+          title: `Test ${getPeriodName(period)} Check-in`,
           body: "Press and hold to quick fill. Tap to open app for stress level & details (TEST)",
-          data: { period: 'morning', type: 'energy', scope: NOTIFICATION_SCOPE.TEST_DAILY },
+          data: { period, type: 'energy', scope: NOTIFICATION_SCOPE.TEST_DAILY },
           sound: false, // false = no sound
         },
         trigger: {
@@ -0,0 +1,153 @@
+import StorageService from './storage';
+import WeeklySummaryService from './weeklySummaryService';
+import { filterByTimePeriod, aggregateWeekly } from '../utils/aggregation';
+import { buildHTMLReport } from '../utils/htmlReport';
+import { parseLocalDate } from '../utils/helpers';
+import { getPeriodIds, getPeriodName } from '../utils/checkInPeriods';
+
+// Monday first, as most people read a week
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Longer ranges are charted per week so the lines stay readable
+const MAX_DAILY_POINTS = 120;
+const TOP_PATTERNS = 5;
+// Same clustering as the weekly summary screen
+const PATTERN_ALGORITHM = 'tfidf';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+const isLevel = (value) => value !== null && value !== undefined && value > 0;
+
+/**
+ * Report Service - Builds the shareable HTML report for a date range
+ * Uses the weekly summary metrics and pattern analysis, so the report and the
+ * in-app summary never disagree.
+ */
+class ReportService {
+  /**
+   * Collect everything the report shows
+   * @param {string} startDate - YYYY-MM-DD, inclusive
+   * @param {string} endDate - YYYY-MM-DD, inclusive
+   * @param {Object} options - { redact } leaves sources and notes out of the report
+   * @returns {Promise<Object>} Report data for buildHTMLReport
+   */
+  async buildReport(startDate, endDate, { redact = false } = {}) {
+    const entries = await StorageService.getEntriesInRange(startDate, endDate);
+    if (entries.length === 0) {
+      throw new Error('No entries in the selected date range');
+    }
+
+    const energy = WeeklySummaryService.calculateEnergyMetrics(entries);
+    const stress = WeeklySummaryService.calculateStressMetrics(entries);
+
+    return {
+      startDate,
+      endDate,
+      generatedAt: new Date().toISOString(),
+      redacted: redact,
+      daysInRange: Math.round((parseLocalDate(endDate) - parseLocalDate(startDate)) / DAY_MS) + 1,
+      entriesCount: entries.length,
+      energy,
+      stress,
+      bestDay: WeeklySummaryService.findBestDay(entries),
+      hardestDay: WeeklySummaryService.findHardestDay(entries),
+      weekState: WeeklySummaryService.determineWeekState(energy.average, stress.average),
+      trend: this.getTrend(entries),
+      weekdays: this.getWeekdayBreakdown(entries),
+      periods: this.getPeriodBreakdown(entries),
+      topEnergySources: await WeeklySummaryService.extractTopSources(entries, 'energy', TOP_PATTERNS, PATTERN_ALGORITHM),
+      topStressors: await WeeklySummaryService.extractTopSources(entries, 'stress', TOP_PATTERNS, PATTERN_ALGORITHM),
+      journal: redact ? [] : this.getJournal(entries),
+    };
+  }
+
+  /**
+   * Build the report file, ready for sharing
+   * @returns {Promise<Object>} { data, filename, mimeType }
+   */
+  async generateReport(startDate, endDate, options = {}) {
+    try {
+      const report = await this.buildReport(startDate, endDate, options);
+      return {
+        data: buildHTMLReport(report),
+        filename: `energytune_report_${startDate}_${endDate}.html`,
+        mimeType: 'text/html',
+      };
+    } catch (error) {
+      console.error('Error generating report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Daily (or, for long ranges, weekly) average energy and stress
+   */
+  getTrend(entries) {
+    const daily = filterByTimePeriod(entries, 'all');
+    if (daily.length <= MAX_DAILY_POINTS) {
+      return {
+        granularity: 'day',
+        points: daily.map(({ date, energy, stress }) => ({ date, energy, stress })),
+      };
+    }
+    return {
+      granularity: 'week',
+      points: aggregateWeekly(daily).map(({ date, energy, stress }) => ({ date, energy, stress })),
+    };
+  }
+
+  /**
+   * Average of every check-in per weekday, Monday first
+   */
+  getWeekdayBreakdown(entries) {
+    const periods = getPeriodIds();
+    return WEEKDAYS.map(weekday => {
+      const days = entries.filter(entry => parseLocalDate(entry.date).getDay() === weekday);
+      const values = (key) => days.flatMap(entry => periods.map(period => entry[key]?.[period]).filter(isLevel));
+      const energy = values('energyLevels');
+      const stress = values('stressLevels');
+      return {
+        label: WEEKDAY_LABELS[weekday],
+        energy: average(energy),
+        stress: average(stress),
+        count: Math.max(energy.length, stress.length),
+      };
+    });
+  }
+
+  /**
+   * Average per check-in period across the range
+   */
+  getPeriodBreakdown(entries) {
+    return getPeriodIds().map(period => {
+      const energy = entries.map(entry => entry.energyLevels?.[period]).filter(isLevel);
+      const stress = entries.map(entry => entry.stressLevels?.[period]).filter(isLevel);
+      return {
+        label: getPeriodName(period),
+        energy: average(energy),
+        stress: average(stress),
+        count: Math.max(energy.length, stress.length),
+      };
+    });
+  }
+
+  /**
+   * Days with any free text, oldest first
+   */
+  getJournal(entries) {
+    return entries
+      .map(entry => ({
+        date: entry.date,
+        energySources: entry.energySources?.trim() || '',
+        stressSources: entry.stressSources?.trim() || '',
+        notes: entry.notes?.trim() || '',
+      }))
+      .filter(day => day.energySources || day.stressSources || day.notes);
+  }
+}
+
+export default new ReportService();
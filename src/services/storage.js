@@ -1,14 +1,154 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getTodayString } from '../utils/helpers';
+import {
+  ENTRY_SCHEMA_VERSION,
+  NOTIFICATION_SETTINGS_SCHEMA_VERSION,
+  WEEKLY_SUMMARY_SETTINGS_SCHEMA_VERSION,
+  upgradeEntry,
+  upgradeNotificationSettings,
+  upgradeWeeklySummarySettings,
+} from '../utils/schema';
+import { diffEntries, setFieldValue } from '../utils/entryDiff';
+import { hasMetricValues, normalizeMetric } from '../utils/customMetrics';
+import { DEFAULT_CHECK_IN_PERIODS, getPeriodIds, setActivePeriods } from '../utils/checkInPeriods';
+import {
+  BACKUP_FILE_EXTENSION,
+  THEME_PREFERENCES,
+  createBackupEnvelope,
+  getBackupSettingNames,
+  isBackupEnvelope,
+  validateBackupEnvelope,
+} from '../utils/backupEnvelope';
+import { decryptText, encryptText, isEncryptedContent } from '../utils/encryption';
+import { CSV_EXPORT_LAYOUTS, buildCSVExport } from '../utils/csvExport';
+import { buildMarkdownJournal } from '../utils/markdownJournal';
+import { createZip } from '../utils/zip';
+import { XLSX_MIME_TYPE } from '../utils/xlsx';
+import { buildXLSXExport } from '../utils/xlsxExport';
+import { bytesToBase64 } from '../utils/bytes';
+import { HEALTH_EXPORT_FORMATS, buildFHIRBundle, buildOpenMHealthDataPoints } from '../utils/healthStandards';
+import {
+  DEFAULT_CONFLICT_STRATEGY,
+  findImportConflicts,
+  resolveConflict,
+} from '../utils/importConflicts';
+import {
+  createSyncState,
+  materializeSyncState,
+  mergeSyncStates,
+  recordLocalChanges,
+  settleSyncConflicts,
+} from '../utils/syncState';
+import { STORAGE_BACKENDS, createStorageBackend } from './backends';
+import HierarchicalPatternService from './hierarchicalPatternService';
+import { IMPORT_SOURCES, detectCSVImporter, detectJSONImporter, getImporter } from './importers';
 import * as Sharing from 'expo-sharing';
+import * as Crypto from 'expo-crypto';
 
-const STORAGE_KEY = 'energytune_entries';
 const NOTIFICATION_SETTINGS_KEY = 'energytune_notification_settings';
 const WEEKLY_SUMMARY_SETTINGS_KEY = 'energytune_weekly_summary_settings';
 const ONBOARDING_COMPLETED_KEY = 'energytune_onboarding_completed';
+// Predates the energytune_ prefix; kept so existing preferences survive
+const THEME_PREFERENCE_KEY = 'themePreference';
+const STORAGE_RECOVERY_KEY = 'energytune_storage_recovery';
+const MAX_RECOVERY_EVENTS = 20;
+const DATA_VERSION_KEY = 'energytune_data_version';
+const BACKEND_MIGRATED_KEY = 'energytune_backend_migrated';
+const REVISIONS_KEY_PREFIX = 'energytune_revisions_';
+const TRASH_INDEX_KEY = 'energytune_trash';
+const TRASH_ITEM_KEY_PREFIX = 'energytune_trash_item_';
+const TRASH_SETTINGS_KEY = 'energytune_trash_settings';
+const AUTO_BACKUP_SETTINGS_KEY = 'energytune_auto_backup_settings';
+const WEBDAV_SETTINGS_KEY = 'energytune_webdav_settings';
+const SYNC_DEVICE_ID_KEY = 'energytune_sync_device_id';
+const SYNC_STATE_KEY = 'energytune_sync_state';
+const SYNC_SETTINGS_KEY = 'energytune_sync_settings';
+const DAY_CONTEXT_KEY = 'energytune_day_context';
+const CUSTOM_METRICS_KEY = 'energytune_custom_metrics';
+const CHECK_IN_PERIODS_KEY = 'energytune_check_in_periods';
+
+// Revision log limits
+const MAX_REVISIONS_PER_DAY = 30;
+// Consecutive edits of the same fields within this window share one revision (e.g. typing)
+const REVISION_COALESCE_MS = 60 * 1000;
+
+/** What caused an entry change, recorded with every revision. */
+export const REVISION_SOURCES = {
+  MANUAL: 'manual',
+  QUICK_FILL: 'quick_fill',
+  IMPORT: 'import',
+  RESET: 'reset',
+  REVERT: 'revert',
+  RESTORE: 'restore',
+  SYNC: 'sync',
+};
+
+/** Why something was moved to the trash. */
+export const TRASH_REASONS = {
+  RESET: 'reset',
+  CLEAR_ALL: 'clear_all',
+  IMPORT_REPLACE: 'import_replace',
+};
+
+// How long deleted data is kept before it is purged for good
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+const DEFAULT_TRASH_SETTINGS = {
+  retentionDays: 30,
+};
+
+/** How often automatic backups are written. */
+export const AUTO_BACKUP_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+// How many automatic backups are kept before the oldest is removed
+export const AUTO_BACKUP_KEEP_OPTIONS = [3, 7, 14, 30];
+const DEFAULT_AUTO_BACKUP_SETTINGS = {
+  enabled: false,
+  frequency: AUTO_BACKUP_FREQUENCIES.DAILY,
+  keep: 7,
+  lastBackupAt: null,
+};
+
+// WebDAV backup target. Credentials stay on this device and are never part of a backup.
+const DEFAULT_WEBDAV_SETTINGS = {
+  url: '',
+  username: '',
+  password: '',
+  folder: 'EnergyTune',
+  uploadAutoBackups: false,
+  lastUploadAt: null,
+};
+
+// Sync server connection. `cursor` is the server sequence number seen by the last sync.
+const DEFAULT_SYNC_SETTINGS = {
+  serverUrl: '',
+  token: '',
+  cursor: 0,
+  lastSyncAt: null,
+};
+
+// Settings copied over when switching away from the AsyncStorage backend
+const MIGRATED_SETTING_KEYS = [
+  NOTIFICATION_SETTINGS_KEY,
+  WEEKLY_SUMMARY_SETTINGS_KEY,
+  ONBOARDING_COMPLETED_KEY,
+  DATA_VERSION_KEY,
+  TRASH_SETTINGS_KEY,
+  THEME_PREFERENCE_KEY,
+  AUTO_BACKUP_SETTINGS_KEY,
+  WEBDAV_SETTINGS_KEY,
+  SYNC_DEVICE_ID_KEY,
+  SYNC_STATE_KEY,
+  SYNC_SETTINGS_KEY,
+  DAY_CONTEXT_KEY,
+  CUSTOM_METRICS_KEY,
+  CHECK_IN_PERIODS_KEY,
+];
 
 // Default notification settings
 const DEFAULT_NOTIFICATION_SETTINGS = {
+  schemaVersion: NOTIFICATION_SETTINGS_SCHEMA_VERSION,
   enabled: false,
   periods: {
     morning: { enabled: true, time: '10:00' },
@@ -20,145 +160,1030 @@ const DEFAULT_NOTIFICATION_SETTINGS = {
 
 // Default weekly summary settings
 const DEFAULT_WEEKLY_SUMMARY_SETTINGS = {
+  schemaVersion: WEEKLY_SUMMARY_SETTINGS_SCHEMA_VERSION,
   enabled: false,
   day: 0, // 0 = Sunday, 1 = Monday, etc.
   time: '18:00',
 };
 
+// Reminders for periods added later start when the period does
+const createReminderSettings = (period) => ({ enabled: true, time: period.start });
+
+// One empty level per active check-in period
+const createLevels = () => Object.fromEntries(getPeriodIds().map(period => [period, null]));
+
 // Data structure for entries
 const createEntry = (date = getTodayString()) => ({
+  schemaVersion: ENTRY_SCHEMA_VERSION,
   date,
-  energyLevels: {
-    morning: null,
-    afternoon: null,
-    evening: null,
-  },
-  stressLevels: {
-    morning: null,
-    afternoon: null,
-    evening: null,
-  },
+  energyLevels: createLevels(),
+  stressLevels: createLevels(),
   energySources: '',
   stressSources: '',
   notes: '',
+  // Custom metric values by metric id (see utils/customMetrics)
+  metrics: {},
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString(),
 });
 
 class StorageService {
+  constructor() {
+    this.backend = this.createDefaultBackend();
+    this._backendReady = null;
+
+    // All writes run one after another through this chain
+    this._writeQueue = Promise.resolve();
+    // Entry mutations waiting for the next batched read-modify-write
+    this._pendingMutations = [];
+    // Updates to the recovery log, one after another. Kept apart from the write
+    // queue because recovery runs while the backend is still loading.
+    this._recoveryLog = Promise.resolve();
+  }
+
+  createDefaultBackend() {
+    return createStorageBackend(STORAGE_BACKENDS.ASYNC_STORAGE, {
+      onRecovery: (event) => this.recordRecoveryEvent(event),
+    });
+  }
+
+  /**
+   * Select the persistence backend. Call once at startup, before anything reads storage.
+   * @param {string} type - One of STORAGE_BACKENDS
+   */
+  useBackend(type) {
+    if (this.backend.name === type) {
+      return;
+    }
+
+    this.backend = type === STORAGE_BACKENDS.ASYNC_STORAGE
+      ? this.createDefaultBackend()
+      : createStorageBackend(type);
+    this._backendReady = null;
+  }
+
+  ensureBackendReady() {
+    if (!this._backendReady) {
+      this._backendReady = this.prepareBackend().catch((error) => {
+        this._backendReady = null;
+        throw error;
+      });
+    }
+    return this._backendReady;
+  }
+
+  // Initialize the active backend. The first time a persistent backend other than
+  // AsyncStorage is used, existing AsyncStorage data is copied into it (and left in
+  // place as a fallback).
+  async prepareBackend() {
+    const backend = this.backend;
+    await backend.init();
+
+    if (backend.name !== STORAGE_BACKENDS.SQLITE) {
+      return;
+    }
+
+    if ((await backend.getSetting(BACKEND_MIGRATED_KEY)) === 'true') {
+      return;
+    }
+
+    const legacy = this.createDefaultBackend();
+    const legacyEntries = await legacy.getAllEntries();
+    const { count } = await backend.getEntryStats();
+
+    if (count === 0 && Object.keys(legacyEntries).length > 0) {
+      await backend.putEntries(Object.values(legacyEntries));
+    }
+
+    for (const key of MIGRATED_SETTING_KEYS) {
+      const value = await legacy.getSetting(key);
+      if (value !== null && (await backend.getSetting(key)) === null) {
+        await backend.setSetting(key, value);
+      }
+    }
+
+    await backend.setSetting(BACKEND_MIGRATED_KEY, 'true');
+  }
+
+  // Run a write task after every previously queued write has settled.
+  // A failing task rejects its own promise without blocking the queue.
+  enqueueWrite(task) {
+    const run = this._writeQueue.then(task, task);
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Queue a change to a single day. `mutator` receives the current entry and
+  // returns the updated one. Mutations queued while another write is running
+  // are applied together in one read-modify-write. With a `trashReason`, the entry
+  // the mutation replaces is moved to the trash in that same write.
+  mutateEntry(date, mutator, { source = REVISION_SOURCES.MANUAL, trashReason = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this._pendingMutations.push({ date, mutator, source, trashReason, resolve, reject });
+
+      if (this._pendingMutations.length === 1) {
+        this.enqueueWrite(() => this.flushPendingMutations()).catch(() => {});
+      }
+    });
+  }
+
+  async flushPendingMutations() {
+    const batch = this._pendingMutations;
+    this._pendingMutations = [];
+
+    let entries;
+    try {
+      await this.ensureBackendReady();
+      entries = await this.backend.getEntries([...new Set(batch.map(({ date }) => date))]);
+    } catch (error) {
+      batch.forEach(({ reject }) => reject(error));
+      return;
+    }
+
+    const applied = [];
+    const revisions = {};
+    const trashed = [];
+    for (const mutation of batch) {
+      try {
+        const current = entries[mutation.date] || createEntry(mutation.date);
+        // Snapshot first: mutators may change the entry in place
+        const before = JSON.parse(JSON.stringify(current));
+        if (mutation.trashReason && diffEntries(createEntry(mutation.date), before).length > 0) {
+          trashed.push({ reason: mutation.trashReason, entries: { [mutation.date]: before } });
+        }
+        const updated = mutation.mutator(current) || current;
+        entries[mutation.date] = {
+          ...updated,
+          date: mutation.date,
+          updatedAt: new Date().toISOString(),
+        };
+        applied.push(mutation);
+
+        const changes = diffEntries(before, entries[mutation.date]);
+        if (changes.length > 0) {
+          revisions[mutation.date] = [
+            ...(revisions[mutation.date] || []),
+            this.createRevision(mutation.source, changes),
+          ];
+        }
+      } catch (error) {
+        mutation.reject(error);
+      }
+    }
+
+    if (applied.length === 0) {
+      return;
+    }
+
+    try {
+      // Into the trash before the write that replaces them, so nothing is lost if it fails
+      for (const item of trashed) {
+        await this.moveEntriesToTrash(item.entries, item.reason);
+      }
+      const changedDates = [...new Set(applied.map(({ date }) => date))];
+      await this.backend.putEntries(changedDates.map(date => entries[date]));
+    } catch (error) {
+      applied.forEach(({ reject }) => reject(error));
+      return;
+    }
+
+    // History is recorded before callers resume, so a resolved write is in the history.
+    // It is best-effort: a failure here must not fail the saved change
+    for (const [date, dateRevisions] of Object.entries(revisions)) {
+      try {
+        await this.appendRevisions(date, dateRevisions);
+      } catch (error) {
+        console.error('Error recording entry revision:', error);
+      }
+    }
+    applied.forEach(({ date, resolve }) => resolve(entries[date]));
+  }
+
+  // Entry revision history
+  createRevision(source, changes) {
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      source,
+      timestamp: new Date().toISOString(),
+      changes,
+    };
+  }
+
+  async readRevisions(date) {
+    const data = await this.backend.getSetting(REVISIONS_KEY_PREFIX + date);
+    return data ? JSON.parse(data) : [];
+  }
+
+  // Called from inside the write queue, so it writes to the backend directly
+  async appendRevisions(date, newRevisions) {
+    const revisions = await this.readRevisions(date);
+
+    newRevisions.forEach(revision => {
+      const last = revisions[revisions.length - 1];
+      const sameFields = last &&
+        last.source === revision.source &&
+        last.changes.length === revision.changes.length &&
+        last.changes.every((change, i) => change.field === revision.changes[i].field);
+      const recent = last && Date.parse(revision.timestamp) - Date.parse(last.timestamp) < REVISION_COALESCE_MS;
+
+      if (sameFields && recent) {
+        revisions[revisions.length - 1] = {
+          ...last,
+          timestamp: revision.timestamp,
+          changes: last.changes.map((change, i) => ({ ...change, after: revision.changes[i].after })),
+        };
+      } else {
+        revisions.push(revision);
+      }
+    });
+
+    const bounded = revisions
+      .filter(revision => revision.changes.some(change => change.before !== change.after))
+      .slice(-MAX_REVISIONS_PER_DAY);
+    await this.backend.setSetting(REVISIONS_KEY_PREFIX + date, JSON.stringify(bounded));
+  }
+
+  /**
+   * Revisions recorded for a day, newest first. Read through the write queue, so
+   * every change queued before the call is included.
+   * @returns {Promise<Array>} [{ id, source, timestamp, changes: [{ field, before, after }] }]
+   */
+  async getEntryHistory(date) {
+    try {
+      await this.ensureBackendReady();
+      return (await this.enqueueWrite(() => this.readRevisions(date))).reverse();
+    } catch (error) {
+      console.error('Error loading entry history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Restore the values a revision replaced
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} revisionId - Revision to undo
+   * @param {string} field - Optional single field path to restore; all fields when omitted
+   */
+  async revertEntry(date, revisionId, field = null) {
+    try {
+      await this.ensureBackendReady();
+      const revision = (await this.readRevisions(date)).find(item => item.id === revisionId);
+      if (!revision) {
+        throw new Error('Revision not found');
+      }
+
+      const changes = field
+        ? revision.changes.filter(change => change.field === field)
+        : revision.changes;
+
+      const restored = await this.mutateEntry(
+        date,
+        (entry) => changes.reduce(
+          (current, change) => setFieldValue(current, change.field, change.before),
+          entry
+        ),
+        { source: REVISION_SOURCES.REVERT }
+      );
+
+      // Fully reverted revisions are skipped by undo, so repeated undos keep stepping back
+      if (!field) {
+        await this.enqueueWrite(async () => {
+          const revisions = await this.readRevisions(date);
+          const updated = revisions.map(item => (item.id === revisionId ? { ...item, reverted: true } : item));
+          await this.backend.setSetting(REVISIONS_KEY_PREFIX + date, JSON.stringify(updated));
+        });
+      }
+
+      return restored;
+    } catch (error) {
+      console.error('Error reverting entry:', error);
+      throw error;
+    }
+  }
+
+  // Revert the most recent change to a day. Returns null when there is nothing to undo.
+  async undoLastChange(date) {
+    const history = await this.getEntryHistory(date);
+    const latest = history.find(revision =>
+      revision.source !== REVISION_SOURCES.REVERT && !revision.reverted
+    );
+    return latest ? this.revertEntry(date, latest.id) : null;
+  }
+
+  // Give every overwritten day a revision so the bulk write can be reverted per day
+  async recordOverwrites(existingEntries, newEntries, source) {
+    for (const [date, existing] of Object.entries(existingEntries)) {
+      if (!newEntries[date]) {
+        continue;
+      }
+      const changes = diffEntries(existing, newEntries[date]);
+      if (changes.length > 0) {
+        await this.appendRevisions(date, [this.createRevision(source, changes)]);
+      }
+    }
+  }
+
+  async clearEntryHistory(dates) {
+    for (const date of dates) {
+      await this.backend.removeSetting(REVISIONS_KEY_PREFIX + date);
+    }
+  }
+
   async getAllEntries() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : {};
+      await this.ensureBackendReady();
+      return await this.backend.getAllEntries();
+    } catch (error) {
+      console.error('Error loading entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load entries between two dates (inclusive) with a backend range query
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Promise<Array>} Entries sorted by date
+   */
+  async getEntriesInRange(startDate, endDate) {
+    try {
+      await this.ensureBackendReady();
+      return await this.backend.getEntriesInRange(startDate, endDate);
+    } catch (error) {
+      console.error('Error loading entries in range:', error);
+      throw error;
+    }
+  }
+
+  // Replace every stored entry with `entries` (keyed by date)
+  async writeEntries(entries) {
+    await this.ensureBackendReady();
+    await this.backend.replaceAllEntries(entries);
+  }
+
+  // Settings are stored as strings in the backend key-value store
+  async getSettingValue(key) {
+    await this.ensureBackendReady();
+    return this.backend.getSetting(key);
+  }
+
+  async setSettingValue(key, value) {
+    await this.ensureBackendReady();
+    return this.enqueueWrite(() => this.backend.setSetting(key, value));
+  }
+
+  async removeSettingValue(key) {
+    await this.ensureBackendReady();
+    return this.enqueueWrite(() => this.backend.removeSetting(key));
+  }
+
+  // Storage recovery reporting
+  async readRecoveryEvents() {
+    const data = await this.backend.getSetting(STORAGE_RECOVERY_KEY);
+    if (!data) {
+      return [];
+    }
+    const parsed = JSON.parse(data);
+    // Only the last event was stored before the log existed
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+
+  // Written directly, not through the write queue: see _recoveryLog
+  updateRecoveryEvents(update) {
+    const run = this._recoveryLog.then(async () => {
+      const events = await this.readRecoveryEvents();
+      await this.backend.setSetting(STORAGE_RECOVERY_KEY, JSON.stringify(update(events)));
+    });
+    this._recoveryLog = run.catch(() => {});
+    return run;
+  }
+
+  async recordRecoveryEvent(event) {
+    try {
+      await this.updateRecoveryEvents(events => [event, ...events].slice(0, MAX_RECOVERY_EVENTS));
+    } catch (error) {
+      console.error('Error recording storage recovery:', error);
+    }
+  }
+
+  /**
+   * Every recorded storage recovery, newest first, including dismissed ones
+   * @returns {Promise<Array>} [{ key, reason, restored, recoveredEntries, corruptKey, detectedAt, dismissed }]
+   */
+  async getRecoveryEvents() {
+    try {
+      await this.ensureBackendReady();
+      return await this.readRecoveryEvents();
+    } catch (error) {
+      console.error('Error loading storage recovery events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Summary of the recoveries the user hasn't dismissed yet, or null when there are none
+   * @returns {Promise<Object|null>} { restored, recoveredEntries, events }
+   */
+  async getRecoveryStatus() {
+    const events = (await this.getRecoveryEvents()).filter(event => !event.dismissed);
+    if (events.length === 0) {
+      return null;
+    }
+    return {
+      restored: events.every(event => event.restored),
+      recoveredEntries: events.reduce((sum, event) => sum + (event.recoveredEntries || 0), 0),
+      events,
+    };
+  }
+
+  // Hides the notice; the events stay in the log
+  async dismissRecoveryStatus() {
+    try {
+      await this.ensureBackendReady();
+      await this.updateRecoveryEvents(events => events.map(event => ({ ...event, dismissed: true })));
+    } catch (error) {
+      console.error('Error dismissing storage recovery status:', error);
+      throw error;
+    }
+  }
+
+  async getEntry(date) {
+    try {
+      await this.ensureBackendReady();
+      return (await this.backend.getEntry(date)) || createEntry(date);
+    } catch (error) {
+      console.error('Error loading entry:', error);
+      return createEntry(date);
+    }
+  }
+
+  async saveEntry(date, entryData, options = {}) {
+    try {
+      return await this.mutateEntry(date, (existingEntry) => ({
+        ...existingEntry,
+        ...entryData,
+      }), options);
+    } catch (error) {
+      console.error('Error saving entry:', error);
+      throw error;
+    }
+  }
+
+  // Apply several field changes to one day in a single write.
+  // Level maps (energyLevels, stressLevels) are merged per period, custom metrics per metric.
+  async updateEntryFields(date, changes) {
+    try {
+      return await this.mutateEntry(date, (entry) => {
+        const updated = { ...entry };
+        Object.entries(changes).forEach(([field, value]) => {
+          if (field === 'energyLevels' || field === 'stressLevels' || field === 'metrics') {
+            updated[field] = { ...entry[field], ...value };
+          } else {
+            updated[field] = value;
+          }
+        });
+        return updated;
+      });
+    } catch (error) {
+      console.error('Error updating entry fields:', error);
+      throw error;
+    }
+  }
+
+  async updateEnergyLevel(date, period, value) {
+    try {
+      return await this.updateEntryFields(date, { energyLevels: { [period]: value } });
+    } catch (error) {
+      console.error('Error updating energy level:', error);
+      throw error;
+    }
+  }
+
+  async updateStressLevel(date, period, value) {
+    try {
+      return await this.updateEntryFields(date, { stressLevels: { [period]: value } });
+    } catch (error) {
+      console.error('Error updating stress level:', error);
+      throw error;
+    }
+  }
+
+  async updateEnergySources(date, sources) {
+    try {
+      return await this.updateEntryFields(date, { energySources: sources });
+    } catch (error) {
+      console.error('Error updating energy sources:', error);
+      throw error;
+    }
+  }
+
+  async updateStressSources(date, sources) {
+    try {
+      return await this.updateEntryFields(date, { stressSources: sources });
+    } catch (error) {
+      console.error('Error updating stress sources:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a custom metric value
+   * @param {string} period - The check-in for per-period metrics, null for per-day metrics
+   */
+  async updateMetricValue(date, metricId, period, value) {
+    try {
+      return await this.mutateEntry(date, (entry) => {
+        const metrics = { ...entry.metrics };
+        if (period) {
+          const current = metrics[metricId];
+          metrics[metricId] = {
+            ...(current && typeof current === 'object' ? current : {}),
+            [period]: value,
+          };
+        } else {
+          metrics[metricId] = value;
+        }
+        return { ...entry, metrics };
+      });
+    } catch (error) {
+      console.error('Error updating metric value:', error);
+      throw error;
+    }
+  }
+
+  async getRecentEntries(days = 7) {
+    try {
+      await this.ensureBackendReady();
+      return await this.backend.getLatestEntries(days);
+    } catch (error) {
+      console.error('Error loading recent entries:', error);
+      return [];
+    }
+  }
+
+  async clearAllData() {
+    try {
+      await this.ensureBackendReady();
+      await this.enqueueWrite(async () => {
+        const entries = await this.backend.getAllEntries();
+        await this.moveEntriesToTrash(entries, TRASH_REASONS.CLEAR_ALL);
+        await this.backend.clearEntries();
+        await this.clearEntryHistory(Object.keys(entries));
+      });
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear a day, keeping the previous version in the trash
+   * @returns {Promise<Object>} The fresh, empty entry
+   */
+  async resetEntry(date) {
+    try {
+      const freshEntry = createEntry(date);
+      return await this.mutateEntry(date, (existingEntry) => ({
+        ...freshEntry,
+        createdAt: existingEntry.createdAt,
+      }), { source: REVISION_SOURCES.RESET, trashReason: TRASH_REASONS.RESET });
+    } catch (error) {
+      console.error('Error resetting entry:', error);
+      throw error;
+    }
+  }
+
+  // Trash
+  async readTrashIndex() {
+    const data = await this.backend.getSetting(TRASH_INDEX_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  // Called from inside the write queue, so it writes to the backend directly
+  async moveEntriesToTrash(entries, reason) {
+    const dates = Object.keys(entries).sort();
+    if (dates.length === 0) {
+      return null;
+    }
+
+    const item = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      reason,
+      deletedAt: new Date().toISOString(),
+      entryCount: dates.length,
+      firstDate: dates[0],
+      lastDate: dates[dates.length - 1],
+    };
+
+    await this.backend.setSetting(TRASH_ITEM_KEY_PREFIX + item.id, JSON.stringify(entries));
+    const index = await this.readTrashIndex();
+    await this.backend.setSetting(TRASH_INDEX_KEY, JSON.stringify([item, ...index]));
+    return item;
+  }
+
+  async removeTrashItems(ids) {
+    for (const id of ids) {
+      await this.backend.removeSetting(TRASH_ITEM_KEY_PREFIX + id);
+    }
+    const index = await this.readTrashIndex();
+    await this.backend.setSetting(
+      TRASH_INDEX_KEY,
+      JSON.stringify(index.filter(item => !ids.includes(item.id)))
+    );
+  }
+
+  async getTrashSettings() {
+    try {
+      const data = await this.getSettingValue(TRASH_SETTINGS_KEY);
+      return data ? { ...DEFAULT_TRASH_SETTINGS, ...JSON.parse(data) } : DEFAULT_TRASH_SETTINGS;
+    } catch (error) {
+      console.error('Error loading trash settings:', error);
+      return DEFAULT_TRASH_SETTINGS;
+    }
+  }
+
+  async saveTrashSettings(settings) {
+    try {
+      await this.setSettingValue(TRASH_SETTINGS_KEY, JSON.stringify(settings));
+      await this.purgeExpiredTrash();
+    } catch (error) {
+      console.error('Error saving trash settings:', error);
+      throw error;
+    }
+  }
+
+  async getAutoBackupSettings() {
+    try {
+      const data = await this.getSettingValue(AUTO_BACKUP_SETTINGS_KEY);
+      return data ? { ...DEFAULT_AUTO_BACKUP_SETTINGS, ...JSON.parse(data) } : DEFAULT_AUTO_BACKUP_SETTINGS;
+    } catch (error) {
+      console.error('Error loading auto backup settings:', error);
+      return DEFAULT_AUTO_BACKUP_SETTINGS;
+    }
+  }
+
+  async saveAutoBackupSettings(settings) {
+    try {
+      await this.setSettingValue(AUTO_BACKUP_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Error saving auto backup settings:', error);
+      throw error;
+    }
+  }
+
+  async getWebDAVSettings() {
+    try {
+      const data = await this.getSettingValue(WEBDAV_SETTINGS_KEY);
+      return data ? { ...DEFAULT_WEBDAV_SETTINGS, ...JSON.parse(data) } : DEFAULT_WEBDAV_SETTINGS;
+    } catch (error) {
+      console.error('Error loading WebDAV settings:', error);
+      return DEFAULT_WEBDAV_SETTINGS;
+    }
+  }
+
+  async saveWebDAVSettings(settings) {
+    try {
+      await this.setSettingValue(WEBDAV_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Error saving WebDAV settings:', error);
+      throw error;
+    }
+  }
+
+  async removeWebDAVSettings() {
+    try {
+      await this.removeSettingValue(WEBDAV_SETTINGS_KEY);
+    } catch (error) {
+      console.error('Error removing WebDAV settings:', error);
+      throw error;
+    }
+  }
+
+  // Multi-device sync
+  /** Random id that tells this device's edits apart from other devices'. Created on first use. */
+  async getSyncDeviceId() {
+    const existing = await this.getSettingValue(SYNC_DEVICE_ID_KEY);
+    if (existing) {
+      return existing;
+    }
+    const deviceId = Array.from(Crypto.getRandomBytes(8), byte => byte.toString(16).padStart(2, '0')).join('');
+    await this.setSettingValue(SYNC_DEVICE_ID_KEY, deviceId);
+    return deviceId;
+  }
+
+  async getSyncSettings() {
+    try {
+      const data = await this.getSettingValue(SYNC_SETTINGS_KEY);
+      return data ? { ...DEFAULT_SYNC_SETTINGS, ...JSON.parse(data) } : DEFAULT_SYNC_SETTINGS;
+    } catch (error) {
+      console.error('Error loading sync settings:', error);
+      return DEFAULT_SYNC_SETTINGS;
+    }
+  }
+
+  async saveSyncSettings(settings) {
+    try {
+      await this.setSettingValue(SYNC_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record local edits, merge sync states from other devices and write the result
+   * Runs as one write, so edits made meanwhile are never overwritten. Values replaced
+   * by the merge, and values that lost a conflict, go into each day's change history.
+   * @param {Array} remoteStates - Validated sync states from other devices
+   * @returns {Promise<Object>} { state, recorded, changedDates, conflicts }
+   */
+  async applySyncStates(remoteStates = []) {
+    const deviceId = await this.getSyncDeviceId();
+    await this.ensureBackendReady();
+
+    return this.enqueueWrite(async () => {
+      const stored = await this.backend.getSetting(SYNC_STATE_KEY);
+      const entries = await this.backend.getAllEntries();
+
+      const local = recordLocalChanges(stored ? JSON.parse(stored) : createSyncState(), entries, deviceId);
+      const merged = remoteStates.reduce((state, remote) => mergeSyncStates(state, remote), local.state);
+      const { state, conflicts } = settleSyncConflicts(merged, deviceId);
+
+      const now = new Date().toISOString();
+      const updatedEntries = {};
+      Object.entries(materializeSyncState(state)).forEach(([date, fields]) => {
+        const existing = entries[date];
+        const hasValues = Object.values(fields).some(value => value !== null);
+        if (!existing && !hasValues) {
+          return;
+        }
+        const base = existing || createEntry(date);
+        const updated = Object.entries(fields).reduce(
+          (entry, [field, value]) => setFieldValue(entry, field, value),
+          base
+        );
+        if (diffEntries(base, updated).length > 0) {
+          updatedEntries[date] = { ...updated, updatedAt: now };
+        }
+      });
+
+      await this.backend.putEntries(Object.values(updatedEntries));
+      await this.backend.setSetting(SYNC_STATE_KEY, JSON.stringify(state));
+
+      // History is best-effort, as for any other write
+      try {
+        await this.recordSyncRevisions(entries, updatedEntries, conflicts);
+      } catch (error) {
+        console.error('Error recording sync revisions:', error);
+      }
+
+      return {
+        state,
+        recorded: local.recorded,
+        changedDates: Object.keys(updatedEntries).sort(),
+        conflicts,
+      };
+    });
+  }
+
+  // Overwritten values, plus the values that lost a conflict even where this device's
+  // value was kept, so nothing a device edited disappears without a trace
+  async recordSyncRevisions(existingEntries, updatedEntries, conflicts) {
+    const changesByDate = {};
+    Object.entries(updatedEntries).forEach(([date, updated]) => {
+      changesByDate[date] = diffEntries(existingEntries[date] || createEntry(date), updated);
+    });
+    conflicts.forEach(({ date, field, value, alternatives }) => {
+      const changes = changesByDate[date] || [];
+      alternatives
+        .filter(alternative => !changes.some(change => change.field === field && change.before === alternative))
+        .forEach(alternative => changes.push({ field, before: alternative, after: value }));
+      changesByDate[date] = changes;
+    });
+
+    for (const [date, changes] of Object.entries(changesByDate)) {
+      if (changes.length > 0) {
+        await this.appendRevisions(date, [this.createRevision(REVISION_SOURCES.SYNC, changes)]);
+      }
+    }
+  }
+
+  // Day context (sleep, steps, ... imported from other apps, see utils/dayContext)
+  /** @returns {Promise<Object>} { date: { source: { metric: value } } } */
+  async getDayContext() {
+    try {
+      const data = await this.getSettingValue(DAY_CONTEXT_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error loading day context:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Store imported context for one source. Metrics in `days` replace what the source had
+   * for them, so separate files of one export (Oura's sleep and readiness) add up; other
+   * metrics, days and sources are kept.
+   * @param {string} source - One of DAY_CONTEXT_SOURCES
+   * @param {Object} days - { date: { metric: value } }
+   */
+  async saveDayContext(source, days) {
+    try {
+      await this.ensureBackendReady();
+      await this.enqueueWrite(async () => {
+        const data = await this.backend.getSetting(DAY_CONTEXT_KEY);
+        const context = data ? JSON.parse(data) : {};
+        Object.entries(days).forEach(([date, metrics]) => {
+          context[date] = { ...context[date], [source]: { ...context[date]?.[source], ...metrics } };
+        });
+        await this.backend.setSetting(DAY_CONTEXT_KEY, JSON.stringify(context));
+      });
+    } catch (error) {
+      console.error('Error saving day context:', error);
+      throw error;
+    }
+  }
+
+  /** Remove everything imported from `source`. */
+  async removeDayContext(source) {
+    try {
+      await this.ensureBackendReady();
+      await this.enqueueWrite(async () => {
+        const data = await this.backend.getSetting(DAY_CONTEXT_KEY);
+        const context = data ? JSON.parse(data) : {};
+        Object.keys(context).forEach(date => {
+          const { [source]: removed, ...rest } = context[date];
+          if (Object.keys(rest).length > 0) {
+            context[date] = rest;
+          } else {
+            delete context[date];
+          }
+        });
+        await this.backend.setSetting(DAY_CONTEXT_KEY, JSON.stringify(context));
+      });
+    } catch (error) {
+      console.error('Error removing day context:', error);
+      throw error;
+    }
+  }
+
+  // Custom metric definitions (see utils/customMetrics)
+  /** @returns {Promise<Array>} [{ id, name, type, min, max, unit, frequency }] */
+  async getCustomMetrics() {
+    try {
+      const data = await this.getSettingValue(CUSTOM_METRICS_KEY);
+      return data ? JSON.parse(data).map(normalizeMetric) : [];
     } catch (error) {
-      console.error('Error loading entries:', error);
-      return {};
+      console.error('Error loading custom metrics:', error);
+      return [];
     }
   }
 
-  async getEntry(date) {
+  /**
+   * Replace the metric definitions. Values of removed metrics stay on the entries, so
+   * adding a metric with the same name brings them back.
+   */
+  async saveCustomMetrics(metrics) {
     try {
-      const entries = await this.getAllEntries();
-      return entries[date] || createEntry(date);
+      await this.setSettingValue(CUSTOM_METRICS_KEY, JSON.stringify(metrics.map(normalizeMetric)));
     } catch (error) {
-      console.error('Error loading entry:', error);
-      return createEntry(date);
+      console.error('Error saving custom metrics:', error);
+      throw error;
     }
   }
 
-  async saveEntry(date, entryData) {
+  // Check-in periods (see utils/checkInPeriods)
+  /**
+   * Load the configured periods and make them the active set
+   * @returns {Promise<Array>} [{ id, name, start }] in day order
+   */
+  async getCheckInPeriods() {
     try {
-      const entries = await this.getAllEntries();
-      const existingEntry = entries[date] || createEntry(date);
-      
-      const updatedEntry = {
-        ...existingEntry,
-        ...entryData,
-        updatedAt: new Date().toISOString(),
-      };
-
-      entries[date] = updatedEntry;
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
-      
-      return updatedEntry;
+      const data = await this.getSettingValue(CHECK_IN_PERIODS_KEY);
+      return setActivePeriods(data ? JSON.parse(data) : DEFAULT_CHECK_IN_PERIODS);
     } catch (error) {
-      console.error('Error saving entry:', error);
-      throw error;
+      console.error('Error loading check-in periods:', error);
+      return setActivePeriods(DEFAULT_CHECK_IN_PERIODS);
     }
   }
 
-  async updateEnergyLevel(date, period, value) {
+  /**
+   * Replace the check-in periods. Levels logged for a removed period stay on their
+   * entries, so adding a period with the same name brings them back.
+   */
+  async saveCheckInPeriods(periods) {
     try {
-      const entry = await this.getEntry(date);
-      entry.energyLevels[period] = value;
-      const updatedEntry = await this.saveEntry(date, entry);
-      
-      return updatedEntry;
+      const active = setActivePeriods(periods);
+      await this.setSettingValue(CHECK_IN_PERIODS_KEY, JSON.stringify(active));
+      return active;
     } catch (error) {
-      console.error('Error updating energy level:', error);
+      console.error('Error saving check-in periods:', error);
       throw error;
     }
   }
 
-  async updateStressLevel(date, period, value) {
+  /**
+   * Items in the trash, newest first. Expired items are purged before listing.
+   * @returns {Promise<Array>} [{ id, reason, deletedAt, expiresAt, entryCount, firstDate, lastDate }]
+   */
+  async getTrashItems() {
     try {
-      const entry = await this.getEntry(date);
-      entry.stressLevels[period] = value;
-      const updatedEntry = await this.saveEntry(date, entry);
-      
-      return updatedEntry;
+      await this.purgeExpiredTrash();
+      const { retentionDays } = await this.getTrashSettings();
+      const index = await this.readTrashIndex();
+      return index.map(item => ({
+        ...item,
+        expiresAt: new Date(Date.parse(item.deletedAt) + retentionDays * 24 * 60 * 60 * 1000).toISOString(),
+      }));
     } catch (error) {
-      console.error('Error updating stress level:', error);
-      throw error;
+      console.error('Error loading trash:', error);
+      return [];
     }
   }
 
-  async updateEnergySources(date, sources) {
+  async purgeExpiredTrash() {
     try {
-      const entry = await this.getEntry(date);
-      entry.energySources = sources;
-      return await this.saveEntry(date, entry);
+      await this.ensureBackendReady();
+      const { retentionDays } = await this.getTrashSettings();
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+      await this.enqueueWrite(async () => {
+        const expired = (await this.readTrashIndex())
+          .filter(item => Date.parse(item.deletedAt) < cutoff)
+          .map(item => item.id);
+        if (expired.length > 0) {
+          await this.removeTrashItems(expired);
+        }
+      });
     } catch (error) {
-      console.error('Error updating energy sources:', error);
-      throw error;
+      console.error('Error purging expired trash:', error);
     }
   }
 
-  async updateStressSources(date, sources) {
+  /**
+   * Put the days held by a trash item back. Days logged since then are kept;
+   * days present in both are overwritten and get a revision so they can be undone.
+   * @returns {Promise<Object>} { restoredCount }
+   */
+  async restoreTrashItem(id) {
     try {
-      const entry = await this.getEntry(date);
-      entry.stressSources = sources;
-      return await this.saveEntry(date, entry);
+      await this.ensureBackendReady();
+      return await this.enqueueWrite(async () => {
+        const data = await this.backend.getSetting(TRASH_ITEM_KEY_PREFIX + id);
+        if (!data) {
+          throw new Error('Trash item not found');
+        }
+
+        const entries = JSON.parse(data);
+        const existingEntries = await this.backend.getEntries(Object.keys(entries));
+        await this.backend.putEntries(Object.values(entries));
+        await this.recordOverwrites(existingEntries, entries, REVISION_SOURCES.RESTORE);
+        await this.removeTrashItems([id]);
+
+        return { restoredCount: Object.keys(entries).length };
+      });
     } catch (error) {
-      console.error('Error updating stress sources:', error);
+      console.error('Error restoring from trash:', error);
       throw error;
     }
   }
 
-  async getRecentEntries(days = 7) {
+  async purgeTrashItem(id) {
     try {
-      const entries = await this.getAllEntries();
-      const dates = Object.keys(entries)
-        .sort((a, b) => new Date(b) - new Date(a))
-        .slice(0, days);
-      
-      return dates.map(date => entries[date]);
+      await this.ensureBackendReady();
+      await this.enqueueWrite(() => this.removeTrashItems([id]));
     } catch (error) {
-      console.error('Error loading recent entries:', error);
-      return [];
+      console.error('Error deleting trash item:', error);
+      throw error;
     }
   }
 
-  async clearAllData() {
+  async emptyTrash() {
     try {
-      await AsyncStorage.removeItem(STORAGE_KEY);
+      await this.ensureBackendReady();
+      await this.enqueueWrite(async () => {
+        const index = await this.readTrashIndex();
+        await this.removeTrashItems(index.map(item => item.id));
+      });
     } catch (error) {
-      console.error('Error clearing data:', error);
+      console.error('Error emptying trash:', error);
       throw error;
     }
   }
 
-  async exportData(format = 'json') {
+  /**
+   * Build an export file
+   * @param {string} format - 'json', 'csv', 'xlsx', 'backup', 'fhir', 'openmhealth' or 'markdown'
+   * @param {Object} options - { passphrase } encrypts JSON and backup exports;
+   *   { csv } configures CSV exports (see buildCSVExport)
+   * @returns {Promise<Object>} { data, filename, mimeType, encoding } - encoding is 'base64'
+   *   for binary files (the Markdown journal zip, XLSX), otherwise 'utf8' or absent
+   */
+  async exportData(format = 'json', options = {}) {
+    if (options.passphrase) {
+      return this.exportEncrypted(format, options.passphrase);
+    }
+
     try {
       const entries = await this.getAllEntries();
       
@@ -166,6 +1191,11 @@ class StorageService {
         throw new Error('Invalid data format in storage');
       }
 
+      // Full backups keep every entry as stored, plus settings
+      if (format === 'backup') {
+        return await this.exportBackup(entries);
+      }
+
       const entriesArray = Object.values(entries).filter(entry => 
         entry && entry.date && (
           entry.energyLevels || 
@@ -182,6 +1212,7 @@ class StorageService {
       let exportData;
       let filename;
       let mimeType;
+      let encoding = 'utf8';
 
       switch (format) {
         case 'json':
@@ -190,11 +1221,55 @@ class StorageService {
           mimeType = 'application/json';
           break;
         
-        case 'csv':
-          exportData = this.convertToCSV(entriesArray);
-          filename = `energytune_export_${getTodayString()}.csv`;
+        case 'csv': {
+          const csvOptions = options.csv || {};
+          exportData = this.convertToCSV(entriesArray, { ...csvOptions, metrics: await this.getCustomMetrics() });
+          // Aggregated and long files get their layout in the name
+          const layout = csvOptions.layout && csvOptions.layout !== CSV_EXPORT_LAYOUTS.WIDE ? `_${csvOptions.layout}` : '';
+          filename = `energytune_export_${getTodayString()}${layout}.csv`;
           mimeType = 'text/csv';
           break;
+        }
+
+        // Observations are timed at the reminder time of their check-in
+        case HEALTH_EXPORT_FORMATS.FHIR:
+        case HEALTH_EXPORT_FORMATS.OPEN_MHEALTH: {
+          const sorted = [...entriesArray].sort((a, b) => a.date.localeCompare(b.date));
+          const reminderTimes = await this.getReminderTimes();
+          if (format === HEALTH_EXPORT_FORMATS.FHIR) {
+            exportData = JSON.stringify(buildFHIRBundle(sorted, { reminderTimes }), null, 2);
+            mimeType = 'application/fhir+json';
+          } else {
+            exportData = JSON.stringify(buildOpenMHealthDataPoints(sorted, { reminderTimes }), null, 2);
+            mimeType = 'application/json';
+          }
+          filename = `energytune_${format}_${getTodayString()}.json`;
+          break;
+        }
+
+        // A zip of Markdown notes, handed over as base64 like any binary file
+        case 'markdown':
+          exportData = bytesToBase64(createZip(buildMarkdownJournal(entriesArray)));
+          filename = `energytune_journal_${getTodayString()}.zip`;
+          mimeType = 'application/zip';
+          encoding = 'base64';
+          break;
+
+        case 'xlsx': {
+          // Same pattern analysis as the analytics screen, one sheet row per pattern
+          const [energyPatterns, stressPatterns] = await Promise.all([
+            HierarchicalPatternService.analyzeHierarchicalPatterns(entriesArray, 'energy'),
+            HierarchicalPatternService.analyzeHierarchicalPatterns(entriesArray, 'stress'),
+          ]);
+          exportData = bytesToBase64(buildXLSXExport(entriesArray, {
+            energy: energyPatterns.mainPatterns,
+            stress: stressPatterns.mainPatterns,
+          }));
+          filename = `energytune_export_${getTodayString()}.xlsx`;
+          mimeType = XLSX_MIME_TYPE;
+          encoding = 'base64';
+          break;
+        }
         
         default:
           throw new Error(`Unsupported export format: ${format}`);
@@ -205,92 +1280,145 @@ class StorageService {
         throw new Error('Export generated empty data');
       }
 
-      return { data: exportData, filename, mimeType };
+      return { data: exportData, filename, mimeType, encoding };
     } catch (error) {
       console.error('Error exporting data:', error);
       throw new Error(`Export failed: ${error.message}`);
     }
   }
 
-  convertToCSV(entries) {
+  // Reminder time of each period, e.g. { morning: '10:00', ... }
+  async getReminderTimes() {
+    const { periods } = await this.getNotificationSettings();
+    return Object.fromEntries(
+      Object.entries(periods).map(([period, settings]) => [period, settings.time])
+    );
+  }
+
+  async exportEncrypted(format, passphrase) {
+    if (format !== 'json' && format !== 'backup') {
+      throw new Error(`Encryption is not available for ${format} exports`);
+    }
+
+    const { data, filename } = await this.exportData(format);
+    try {
+      const [baseName, extension] = filename.split(/\.(?=[^.]+$)/);
+      return {
+        data: encryptText(data, passphrase, format),
+        filename: `${baseName}_encrypted.${extension}`,
+        mimeType: 'application/json',
+      };
+    } catch (error) {
+      console.error('Error encrypting export:', error);
+      throw new Error(`Export failed: ${error.message}`);
+    }
+  }
+
+  async exportBackup(entries) {
+    const entriesArray = Object.values(entries).sort((a, b) => a.date.localeCompare(b.date));
+    const envelope = createBackupEnvelope(entriesArray, await this.getBackupSettings());
+
+    return {
+      data: JSON.stringify(envelope, null, 2),
+      filename: `energytune_backup_${getTodayString()}.${BACKUP_FILE_EXTENSION}`,
+      mimeType: 'application/json',
+    };
+  }
+
+  async getBackupSettings() {
+    const trash = await this.getSettingValue(TRASH_SETTINGS_KEY);
+    const dayContext = await this.getDayContext();
+    const customMetrics = await this.getCustomMetrics();
+    const checkInPeriods = await this.getSettingValue(CHECK_IN_PERIODS_KEY);
+    return {
+      notifications: await this.getNotificationSettings(),
+      weeklySummary: await this.getWeeklySummarySettings(),
+      themePreference: await this.getThemePreference(),
+      onboardingCompleted: await this.getOnboardingCompleted(),
+      trash: trash ? JSON.parse(trash) : null,
+      dayContext: Object.keys(dayContext).length > 0 ? dayContext : null,
+      customMetrics: customMetrics.length > 0 ? customMetrics : null,
+      checkInPeriods: checkInPeriods ? JSON.parse(checkInPeriods) : null,
+    };
+  }
+
+  // Called from inside the write queue, so it writes to the backend directly
+  async applyBackupSettings(settings) {
+    const {
+      notifications,
+      weeklySummary,
+      themePreference,
+      onboardingCompleted,
+      trash,
+      dayContext,
+      customMetrics,
+      checkInPeriods,
+    } = settings;
+
+    if (notifications) {
+      await this.backend.setSetting(
+        NOTIFICATION_SETTINGS_KEY,
+        JSON.stringify(upgradeNotificationSettings(notifications))
+      );
+    }
+    if (weeklySummary) {
+      await this.backend.setSetting(
+        WEEKLY_SUMMARY_SETTINGS_KEY,
+        JSON.stringify(upgradeWeeklySummarySettings(weeklySummary))
+      );
+    }
+    if (THEME_PREFERENCES.includes(themePreference)) {
+      await this.backend.setSetting(THEME_PREFERENCE_KEY, themePreference);
+    }
+    if (typeof onboardingCompleted === 'boolean') {
+      await this.backend.setSetting(ONBOARDING_COMPLETED_KEY, onboardingCompleted ? 'true' : 'false');
+    }
+    if (trash) {
+      await this.backend.setSetting(TRASH_SETTINGS_KEY, JSON.stringify(trash));
+    }
+    if (dayContext && typeof dayContext === 'object') {
+      await this.backend.setSetting(DAY_CONTEXT_KEY, JSON.stringify(dayContext));
+    }
+    if (Array.isArray(customMetrics)) {
+      await this.backend.setSetting(CUSTOM_METRICS_KEY, JSON.stringify(customMetrics.map(normalizeMetric)));
+    }
+    if (Array.isArray(checkInPeriods)) {
+      await this.backend.setSetting(CHECK_IN_PERIODS_KEY, JSON.stringify(setActivePeriods(checkInPeriods)));
+    }
+  }
+
+  /**
+   * @param {Object} options - Layout, columns, date range and dialect (see buildCSVExport)
+   */
+  convertToCSV(entries, options = {}) {
     if (!entries || entries.length === 0) {
       throw new Error('No entries provided for CSV conversion');
     }
 
-    const headers = [
-      'Date', 'Morning Energy', 'Afternoon Energy', 'Evening Energy',
-      'Morning Stress', 'Afternoon Stress', 'Evening Stress',
-      'Energy Sources', 'Stress Sources', 'Notes'
-    ];
-
-    const rows = entries.map(entry => {
+    const validEntries = entries.filter(entry => {
       if (!entry || !entry.date) {
         console.warn('Skipping invalid entry:', entry);
-        return null;
+        return false;
       }
+      return true;
+    });
 
-      return [
-        entry.date,
-        entry.energyLevels?.morning ?? '',
-        entry.energyLevels?.afternoon ?? '',
-        entry.energyLevels?.evening ?? '',
-        entry.stressLevels?.morning ?? '',
-        entry.stressLevels?.afternoon ?? '',
-        entry.stressLevels?.evening ?? '',
-        entry.energySources ?? '',
-        entry.stressSources ?? '',
-        entry.notes ?? ''
-      ];
-    }).filter(row => row !== null);
-
-    if (rows.length === 0) {
+    if (validEntries.length === 0) {
       throw new Error('No valid rows to export to CSV');
     }
 
-    return [headers, ...rows]
-      .map(row => row.map(cell => {
-        // Escape quotes and wrap in quotes if necessary
-        const cellStr = String(cell || '');
-        const needsQuotes = cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n');
-        const escapedCell = cellStr.replace(/"/g, '""');
-        return needsQuotes ? `"${escapedCell}"` : escapedCell;
-      }).join(','))
-      .join('\n');
+    return buildCSVExport(validEntries, options);
   }
 
   async getDataStats() {
     try {
-      const entries = await this.getAllEntries();
-      
-      if (!entries || typeof entries !== 'object') {
-        return {
-          totalEntries: 0,
-          firstEntry: null,
-          lastEntry: null,
-        };
-      }
-
-      const entriesArray = Object.values(entries).filter(entry => 
-        entry && entry.date
-      );
-      
-      if (entriesArray.length === 0) {
-        return {
-          totalEntries: 0,
-          firstEntry: null,
-          lastEntry: null,
-        };
-      }
-
-      const sortedDates = entriesArray
-        .map(entry => entry.date)
-        .filter(date => date) // Filter out null/undefined dates
-        .sort();
+      await this.ensureBackendReady();
+      const { count, firstDate, lastDate } = await this.backend.getEntryStats();
 
       return {
-        totalEntries: entriesArray.length,
-        firstEntry: sortedDates[0] || null,
-        lastEntry: sortedDates[sortedDates.length - 1] || null,
+        totalEntries: count,
+        firstEntry: firstDate,
+        lastEntry: lastDate,
       };
     } catch (error) {
       console.error('Error getting data stats:', error);
@@ -302,17 +1430,45 @@ class StorageService {
     }
   }
 
-  async importData(fileContent, format = 'json', mode = 'merge') {
+  /**
+   * Parse and validate an import file for preview. Nothing is written until finalizeImport.
+   * @param {Object} options - { passphrase } for files written with an encrypted export;
+   *   { source, importOptions } pick the CSV importer and configure it (see importers/)
+   */
+  async importData(fileContent, format = 'json', mode = 'merge', options = {}) {
     try {
       let importedEntries = [];
+      let backup = null;
+      let importResult = null;
+
+      // Encrypted files carry the format of the export they wrap
+      if (isEncryptedContent(fileContent)) {
+        if (!options.passphrase) {
+          throw new Error('This file is encrypted. A passphrase is required.');
+        }
+        const decrypted = decryptText(fileContent, options.passphrase);
+        fileContent = decrypted.plaintext;
+        format = decrypted.contentType || 'json';
+      }
+
+      // Full backups are JSON too, so detect the envelope before treating it as plain entries
+      if (format.toLowerCase() === 'backup' || (format.toLowerCase() === 'json' && this.looksLikeBackup(fileContent))) {
+        backup = this.parseBackupImport(fileContent);
+        format = 'backup';
+      }
 
       // Parse the file content based on format
       switch (format.toLowerCase()) {
+        case 'backup':
+          importedEntries = backup.entries;
+          break;
         case 'json':
-          importedEntries = this.parseJSONImport(fileContent);
+          importResult = this.parseHealthImport(fileContent);
+          importedEntries = importResult ? importResult.entries : this.parseJSONImport(fileContent);
           break;
         case 'csv':
-          importedEntries = this.parseCSVImport(fileContent);
+          importResult = this.parseCSVImport(fileContent, options.source, options.importOptions);
+          importedEntries = importResult.entries;
           break;
         default:
           throw new Error(`Unsupported import format: ${format}`);
@@ -321,7 +1477,9 @@ class StorageService {
       // Validate imported entries
       const validEntries = this.validateImportedEntries(importedEntries);
       
-      if (validEntries.length === 0) {
+      // A settings-only backup is still worth restoring, and a file whose rows were all
+      // rejected still gets a preview so the report can be read
+      if (validEntries.length === 0 && !backup && !importResult?.rejectedRows.length) {
         throw new Error('No valid entries found in the imported file');
       }
 
@@ -329,17 +1487,38 @@ class StorageService {
       this._pendingImport = {
         entries: validEntries,
         mode,
+        settings: backup ? backup.settings : null,
+        // Backups restore entries exactly as they were, including timestamps
+        preserveTimestamps: !!backup,
       };
 
-      // Get existing entries for conflict detection
-      const existingEntries = await this.getAllEntries();
-      const existingCount = Object.keys(existingEntries).length;
+      // Get existing entry count for the preview totals
+      const { totalEntries: existingCount } = await this.getDataStats();
+
+      // Field-level differences for days that already exist
+      await this.ensureBackendReady();
+      const existingEntries = await this.backend.getEntries(validEntries.map(entry => entry.date));
+      const { conflicts, newDates, unchangedDates } = findImportConflicts(existingEntries, validEntries);
 
+      const dates = validEntries.map(entry => entry.date).sort();
       return {
         success: true,
         importedCount: validEntries.length,
-        totalEntries: mode === 'replace' ? validEntries.length : existingCount + validEntries.length,
+        totalEntries: mode === 'replace' ? validEntries.length : existingCount + newDates.length,
         previewData: validEntries,
+        conflicts,
+        newCount: newDates.length,
+        unchangedCount: unchangedDates.length,
+        // CSV rows that could not be imported: [{ line, reason, field, value }]
+        rejectedRows: importResult ? importResult.rejectedRows : [],
+        source: importResult ? importResult.source : null,
+        backup: backup && {
+          createdAt: backup.createdAt,
+          appVersion: backup.app?.version || null,
+          firstDate: dates[0] || null,
+          lastDate: dates[dates.length - 1] || null,
+          settings: getBackupSettingNames(backup.settings),
+        },
       };
     } catch (error) {
       console.error('Error importing data:', error);
@@ -347,53 +1526,106 @@ class StorageService {
     }
   }
 
-  async finalizeImport() {
+  /**
+   * Write the previewed import
+   * @param {Object} options - { mode } overrides the mode given to importData;
+   *   { strategy } resolves days that already exist (see CONFLICT_STRATEGIES);
+   *   { overrides: { date: strategy } } picks a different strategy for single days;
+   *   { restoreSettings: false } skips the settings contained in a backup
+   */
+  async finalizeImport(options = {}) {
     if (!this._pendingImport) {
       throw new Error('No pending import found');
     }
 
     try {
-      const { entries: validEntries, mode } = this._pendingImport;
-      
-      // Get existing entries
-      const existingEntries = await this.getAllEntries();
-      let finalEntries = { ...existingEntries };
-
-      // Handle import mode
-      if (mode === 'replace') {
-        finalEntries = {};
-      }
-
-      // Add imported entries
-      let importedCount = 0;
-      for (const entry of validEntries) {
-        if (entry.date) {
-          finalEntries[entry.date] = {
-            ...createEntry(entry.date),
-            ...entry,
-            updatedAt: new Date().toISOString(),
-          };
-          importedCount++;
+      const { entries: validEntries, settings, preserveTimestamps } = this._pendingImport;
+      const mode = options.mode || this._pendingImport.mode;
+      const restoreSettings = options.restoreSettings !== false;
+
+      return await this.enqueueWrite(async () => {
+        const result = await this.applyImport(validEntries, mode, {
+          preserveTimestamps,
+          strategy: options.strategy,
+          overrides: options.overrides,
+        });
+        if (settings && restoreSettings) {
+          await this.applyBackupSettings(settings);
         }
-      }
-
-      // Save all entries
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(finalEntries));
-
-      // Clear pending import
-      this._pendingImport = null;
-
-      return {
-        success: true,
-        importedCount,
-        totalEntries: Object.keys(finalEntries).length,
-      };
+        return { ...result, restoredSettings: restoreSettings ? settings : null };
+      });
     } catch (error) {
       console.error('Error finalizing import:', error);
       throw new Error(`Import finalization failed: ${error.message}`);
     }
   }
 
+  async applyImport(validEntries, mode, {
+    preserveTimestamps = false,
+    strategy = DEFAULT_CONFLICT_STRATEGY,
+    overrides = {},
+  } = {}) {
+    await this.ensureBackendReady();
+    const now = new Date().toISOString();
+
+    // Build imported entries. The file's own updatedAt is kept until conflicts are resolved,
+    // so "newest wins" compares real edit times.
+    const importedEntries = {};
+    for (const entry of validEntries) {
+      if (entry.date) {
+        importedEntries[entry.date] = {
+          ...createEntry(entry.date),
+          ...entry,
+        };
+      }
+    }
+    const stamp = (entry) => (
+      preserveTimestamps && entry.updatedAt ? entry : { ...entry, updatedAt: now }
+    );
+
+    let keptCount = 0;
+
+    // Handle import mode: replace swaps the whole set, merge only writes imported days
+    if (mode === 'replace') {
+      const stampedEntries = {};
+      Object.values(importedEntries).forEach(entry => {
+        stampedEntries[entry.date] = stamp(entry);
+      });
+      await this.moveEntriesToTrash(await this.backend.getAllEntries(), TRASH_REASONS.IMPORT_REPLACE);
+      await this.backend.replaceAllEntries(stampedEntries);
+    } else {
+      const existingEntries = await this.backend.getEntries(Object.keys(importedEntries));
+      const resolvedEntries = {};
+
+      Object.values(importedEntries).forEach(imported => {
+        const existing = existingEntries[imported.date];
+        const resolved = existing
+          ? resolveConflict(existing, imported, overrides?.[imported.date] || strategy)
+          : imported;
+
+        if (resolved === existing) {
+          keptCount++;
+        } else {
+          resolvedEntries[imported.date] = stamp(resolved);
+        }
+      });
+
+      await this.backend.putEntries(Object.values(resolvedEntries));
+      await this.recordOverwrites(existingEntries, resolvedEntries, REVISION_SOURCES.IMPORT);
+    }
+
+    // Clear pending import
+    this._pendingImport = null;
+
+    const { count } = await this.backend.getEntryStats();
+    return {
+      success: true,
+      importedCount: Object.keys(importedEntries).length - keptCount,
+      keptCount,
+      totalEntries: count,
+    };
+  }
+
   parseJSONImport(fileContent) {
     try {
       const data = JSON.parse(fileContent);
@@ -416,145 +1648,87 @@ class StorageService {
     }
   }
 
-  normalizeImportedEntries(entries) {
-    return entries.map(entry => {
-      const normalizedEntry = { ...entry };
-
-      // Normalize energy sources - handle both object with 'day' property and direct string
-      if (entry.energySources) {
-        if (typeof entry.energySources === 'object' && entry.energySources.day !== undefined) {
-          normalizedEntry.energySources = entry.energySources.day || '';
-        } else if (typeof entry.energySources === 'string') {
-          normalizedEntry.energySources = entry.energySources;
-        } else {
-          normalizedEntry.energySources = '';
-        }
-      } else {
-        normalizedEntry.energySources = '';
-      }
-
-      // Normalize stress sources - handle both object with 'day' property and direct string
-      if (entry.stressSources) {
-        if (typeof entry.stressSources === 'object' && entry.stressSources.day !== undefined) {
-          normalizedEntry.stressSources = entry.stressSources.day || '';
-        } else if (typeof entry.stressSources === 'string') {
-          normalizedEntry.stressSources = entry.stressSources;
-        } else {
-          normalizedEntry.stressSources = '';
-        }
-      } else {
-        normalizedEntry.stressSources = '';
-      }
-
-      // Normalize energy levels - convert -1 to null (no data)
-      if (entry.energyLevels) {
-        normalizedEntry.energyLevels = {
-          morning: entry.energyLevels.morning === -1 ? null : entry.energyLevels.morning,
-          afternoon: entry.energyLevels.afternoon === -1 ? null : entry.energyLevels.afternoon,
-          evening: entry.energyLevels.evening === -1 ? null : entry.energyLevels.evening,
-        };
-      }
-
-      // Normalize stress levels - convert -1 to null (no data)
-      if (entry.stressLevels) {
-        normalizedEntry.stressLevels = {
-          morning: entry.stressLevels.morning === -1 ? null : entry.stressLevels.morning,
-          afternoon: entry.stressLevels.afternoon === -1 ? null : entry.stressLevels.afternoon,
-          evening: entry.stressLevels.evening === -1 ? null : entry.stressLevels.evening,
-        };
-      }
-
-      // Ensure notes field exists
-      if (!normalizedEntry.notes) {
-        normalizedEntry.notes = '';
-      }
-
-      // Add timestamps if missing
-      if (!normalizedEntry.createdAt) {
-        normalizedEntry.createdAt = new Date().toISOString();
-      }
-      if (!normalizedEntry.updatedAt) {
-        normalizedEntry.updatedAt = new Date().toISOString();
-      }
-
-      return normalizedEntry;
-    });
+  looksLikeBackup(fileContent) {
+    try {
+      return isBackupEnvelope(JSON.parse(fileContent));
+    } catch (error) {
+      return false;
+    }
   }
 
-  parseCSVImport(fileContent) {
+  parseBackupImport(fileContent) {
+    let data;
     try {
-      const lines = fileContent.trim().split('\n');
-      if (lines.length < 2) {
-        throw new Error('CSV file must have at least a header and one data row');
-      }
-
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      const entries = [];
+      data = JSON.parse(fileContent);
+    } catch (error) {
+      throw new Error('Invalid backup file format');
+    }
 
-      for (let i = 1; i < lines.length; i++) {
-        const values = this.parseCSVLine(lines[i]);
-        if (values.length < headers.length) continue;
+    const errors = validateBackupEnvelope(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
 
-        const entry = {
-          date: values[0]?.trim(),
-          energyLevels: {
-            morning: this.parseNumber(values[1]),
-            afternoon: this.parseNumber(values[2]),
-            evening: this.parseNumber(values[3]),
-          },
-          stressLevels: {
-            morning: this.parseNumber(values[4]),
-            afternoon: this.parseNumber(values[5]),
-            evening: this.parseNumber(values[6]),
-          },
-          energySources: values[7]?.trim() || '',
-          stressSources: values[8]?.trim() || '',
-          notes: values[9]?.trim() || '',
-        };
+    return {
+      ...data,
+      entries: this.normalizeImportedEntries(data.entries),
+      settings: data.settings || {},
+    };
+  }
 
-        if (entry.date) {
-          entries.push(entry);
-        }
-      }
+  // Bring entries from any older export format up to the current entry schema
+  normalizeImportedEntries(entries) {
+    return entries.map(entry => upgradeEntry(entry));
+  }
 
-      return entries;
+  /**
+   * Parse a CSV file into entries with the importer for the app that wrote it
+   * @param {string} source - IMPORT_SOURCES id; detected from the header when omitted
+   * @param {Object} importOptions - Passed to the importer, e.g. the generic column mapping
+   * @returns {Object} { source, entries, rejectedRows, rowCount }
+   */
+  parseCSVImport(fileContent, source = null, importOptions = {}) {
+    const importer = source ? getImporter(source) : detectCSVImporter(fileContent);
+    try {
+      return { source: importer.id, ...importer.parse(fileContent, importOptions) };
     } catch (error) {
-      throw new Error('Invalid CSV file format');
+      throw new Error(`Invalid CSV file format: ${error.message}`);
     }
   }
 
-  parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      const nextChar = line[i + 1];
-      
-      if (char === '"' && !inQuotes) {
-        inQuotes = true;
-      } else if (char === '"' && inQuotes && nextChar === '"') {
-        current += '"';
-        i++; // Skip next quote
-      } else if (char === '"' && inQuotes) {
-        inQuotes = false;
-      } else if (char === ',' && !inQuotes) {
-        values.push(current);
-        current = '';
-      } else {
-        current += char;
-      }
+  /**
+   * Parse FHIR or Open mHealth JSON written by our health-records export
+   * @returns {Object|null} { source, entries, rejectedRows, rowCount }, or null for any other JSON
+   */
+  parseHealthImport(fileContent) {
+    let data;
+    try {
+      data = JSON.parse(fileContent);
+    } catch (error) {
+      return null;
+    }
+
+    const importer = detectJSONImporter(data);
+    if (!importer) {
+      return null;
+    }
+    try {
+      return { source: importer.id, ...importer.parse(fileContent) };
+    } catch (error) {
+      throw new Error(`Invalid ${importer.id} file format: ${error.message}`);
     }
-    
-    values.push(current);
-    return values;
   }
 
-  parseNumber(value) {
-    if (!value || value.trim() === '') return null;
-    const num = parseInt(value.trim(), 10);
-    return (num >= 1 && num <= 10) ? num : null;
+  /**
+   * Which app a CSV file comes from, and for unknown files the columns to map
+   * @returns {Object} { source } plus { columns, mapping, scales } for the generic importer
+   */
+  inspectCSVImport(fileContent) {
+    const importer = detectCSVImporter(fileContent);
+    if (importer.id === IMPORT_SOURCES.GENERIC) {
+      return { source: importer.id, ...importer.inspect(fileContent) };
+    }
+    return { source: importer.id };
   }
 
   validateImportedEntries(entries) {
@@ -570,24 +1744,19 @@ class StorageService {
         return false;
       }
 
-      // At least one piece of data should be present
-      const hasEnergyData = entry.energyLevels && (
-        (entry.energyLevels.morning !== null && entry.energyLevels.morning !== undefined) || 
-        (entry.energyLevels.afternoon !== null && entry.energyLevels.afternoon !== undefined) || 
-        (entry.energyLevels.evening !== null && entry.energyLevels.evening !== undefined)
-      );
-      
-      const hasStressData = entry.stressLevels && (
-        (entry.stressLevels.morning !== null && entry.stressLevels.morning !== undefined) || 
-        (entry.stressLevels.afternoon !== null && entry.stressLevels.afternoon !== undefined) || 
-        (entry.stressLevels.evening !== null && entry.stressLevels.evening !== undefined)
+      // At least one piece of data should be present, in any period (including
+      // periods that are not configured on this device)
+      const hasLevel = (levels) => Boolean(levels) && Object.values(levels).some(
+        value => value !== null && value !== undefined
       );
+      const hasEnergyData = hasLevel(entry.energyLevels);
+      const hasStressData = hasLevel(entry.stressLevels);
       
       const hasSourceData = (entry.energySources && entry.energySources.trim() !== '') || 
                            (entry.stressSources && entry.stressSources.trim() !== '') || 
                            (entry.notes && entry.notes.trim() !== '');
 
-      return hasEnergyData || hasStressData || hasSourceData;
+      return hasEnergyData || hasStressData || hasSourceData || hasMetricValues(entry);
     });
   }
 
@@ -604,18 +1773,17 @@ class StorageService {
         const baseEnergy = 5 + Math.random() * 3; // 5-8 base
         const baseStress = 3 + Math.random() * 4; // 3-7 base
         
+        // Energy dips and stress peaks in the middle of the day
+        const energyOffsets = [0, -1, -0.5];
+        const stressOffsets = [0, 1, -0.5];
+        const level = (base, offsets, index) => Math.max(1, Math.min(10, Math.round(
+          base + offsets[index % offsets.length] + (Math.random() - 0.5) * 2
+        )));
+
         entries[date] = {
           date,
-          energyLevels: {
-            morning: Math.max(1, Math.min(10, Math.round(baseEnergy + (Math.random() - 0.5) * 2))),
-            afternoon: Math.max(1, Math.min(10, Math.round(baseEnergy - 1 + (Math.random() - 0.5) * 2))),
-            evening: Math.max(1, Math.min(10, Math.round(baseEnergy - 0.5 + (Math.random() - 0.5) * 2))),
-          },
-          stressLevels: {
-            morning: Math.max(1, Math.min(10, Math.round(baseStress + (Math.random() - 0.5) * 2))),
-            afternoon: Math.max(1, Math.min(10, Math.round(baseStress + 1 + (Math.random() - 0.5) * 2))),
-            evening: Math.max(1, Math.min(10, Math.round(baseStress - 0.5 + (Math.random() - 0.5) * 2))),
-          },
+          energyLevels: Object.fromEntries(getPeriodIds().map((period, index) => [period, level(baseEnergy, energyOffsets, index)])),
+          stressLevels: Object.fromEntries(getPeriodIds().map((period, index) => [period, level(baseStress, stressOffsets, index)])),
           energySources: this.getRandomEnergySources(),
           stressSources: this.getRandomStressSources(),
           notes: '',
@@ -624,7 +1792,7 @@ class StorageService {
         };
       }
 
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+      await this.enqueueWrite(() => this.writeEntries(entries));
       return entries;
     } catch (error) {
       console.error('Error generating sample data:', error);
@@ -663,20 +1831,22 @@ class StorageService {
   // Notification settings methods
   async getNotificationSettings() {
     try {
-      const data = await AsyncStorage.getItem(NOTIFICATION_SETTINGS_KEY);
-      if (data) {
-        const settings = JSON.parse(data);
-        // Merge with defaults to ensure all properties exist
-        return {
-          ...DEFAULT_NOTIFICATION_SETTINGS,
-          ...settings,
-          periods: {
-            ...DEFAULT_NOTIFICATION_SETTINGS.periods,
-            ...(settings.periods || {}),
-          },
-        };
-      }
-      return DEFAULT_NOTIFICATION_SETTINGS;
+      const data = await this.getSettingValue(NOTIFICATION_SETTINGS_KEY);
+      const settings = data ? upgradeNotificationSettings(JSON.parse(data)) : {};
+      const periods = await this.getCheckInPeriods();
+      // Merge with defaults to ensure all properties exist, with a reminder for every
+      // configured period. Reminders of removed periods stay stored but are not scheduled.
+      return {
+        ...DEFAULT_NOTIFICATION_SETTINGS,
+        ...settings,
+        periods: {
+          ...Object.fromEntries(periods.map(period => [
+            period.id,
+            DEFAULT_NOTIFICATION_SETTINGS.periods[period.id] || createReminderSettings(period),
+          ])),
+          ...(settings.periods || {}),
+        },
+      };
     } catch (error) {
       console.error('Error loading notification settings:', error);
       return DEFAULT_NOTIFICATION_SETTINGS;
@@ -685,7 +1855,7 @@ class StorageService {
 
   async saveNotificationSettings(settings) {
     try {
-      await AsyncStorage.setItem(NOTIFICATION_SETTINGS_KEY, JSON.stringify(settings));
+      await this.setSettingValue(NOTIFICATION_SETTINGS_KEY, JSON.stringify(settings));
       return settings;
     } catch (error) {
       console.error('Error saving notification settings:', error);
@@ -696,39 +1866,36 @@ class StorageService {
   // Quick entry methods
   async saveQuickEntry(date, period, type, value) {
     try {
-      const entry = await this.getEntry(date);
-      
-      // Update the appropriate level
-      if (type === 'energy') {
-        entry.energyLevels[period] = value;
-      } else if (type === 'stress') {
-        entry.stressLevels[period] = value;
-      }
-      
-      // Initialize quickEntryMeta if it doesn't exist
-      if (!entry.quickEntryMeta) {
-        entry.quickEntryMeta = {};
-      }
-      
-      // Initialize period meta if it doesn't exist
-      if (!entry.quickEntryMeta[period]) {
-        entry.quickEntryMeta[period] = {
-          isQuick: false,
-          energy: false,
-          stress: false,
-          timestamp: null,
-        };
-      }
-      
-      // Mark as quick entry
-      entry.quickEntryMeta[period].isQuick = true;
-      entry.quickEntryMeta[period][type] = true;
-      entry.quickEntryMeta[period].timestamp = new Date().toISOString();
-      
-      // Save the entry
-      const updatedEntry = await this.saveEntry(date, entry);
-      
-      return updatedEntry;
+      return await this.mutateEntry(date, (entry) => {
+        // Update the appropriate level
+        if (type === 'energy') {
+          entry.energyLevels = { ...entry.energyLevels, [period]: value };
+        } else if (type === 'stress') {
+          entry.stressLevels = { ...entry.stressLevels, [period]: value };
+        }
+
+        // Initialize quickEntryMeta if it doesn't exist
+        if (!entry.quickEntryMeta) {
+          entry.quickEntryMeta = {};
+        }
+
+        // Initialize period meta if it doesn't exist
+        if (!entry.quickEntryMeta[period]) {
+          entry.quickEntryMeta[period] = {
+            isQuick: false,
+            energy: false,
+            stress: false,
+            timestamp: null,
+          };
+        }
+
+        // Mark as quick entry
+        entry.quickEntryMeta[period].isQuick = true;
+        entry.quickEntryMeta[period][type] = true;
+        entry.quickEntryMeta[period].timestamp = new Date().toISOString();
+
+        return entry;
+      }, { source: REVISION_SOURCES.QUICK_FILL });
     } catch (error) {
       console.error('Error saving quick entry:', error);
       throw error;
@@ -761,12 +1928,16 @@ class StorageService {
     try {
       const entry = await this.getEntry(date);
       
-      if (entry.quickEntryMeta && entry.quickEntryMeta[period]) {
-        entry.quickEntryMeta[period].isQuick = false;
-        await this.saveEntry(date, entry);
+      if (!entry.quickEntryMeta || !entry.quickEntryMeta[period]) {
+        return entry;
       }
-      
-      return entry;
+
+      return await this.mutateEntry(date, (current) => {
+        if (current.quickEntryMeta && current.quickEntryMeta[period]) {
+          current.quickEntryMeta[period].isQuick = false;
+        }
+        return current;
+      });
     } catch (error) {
       console.error('Error clearing quick entry flag:', error);
       throw error;
@@ -776,9 +1947,9 @@ class StorageService {
   // Weekly summary settings methods
   async getWeeklySummarySettings() {
     try {
-      const data = await AsyncStorage.getItem(WEEKLY_SUMMARY_SETTINGS_KEY);
+      const data = await this.getSettingValue(WEEKLY_SUMMARY_SETTINGS_KEY);
       if (data) {
-        const settings = JSON.parse(data);
+        const settings = upgradeWeeklySummarySettings(JSON.parse(data));
         // Merge with defaults to ensure all properties exist
         return {
           ...DEFAULT_WEEKLY_SUMMARY_SETTINGS,
@@ -794,7 +1965,7 @@ class StorageService {
 
   async saveWeeklySummarySettings(settings) {
     try {
-      await AsyncStorage.setItem(WEEKLY_SUMMARY_SETTINGS_KEY, JSON.stringify(settings));
+      await this.setSettingValue(WEEKLY_SUMMARY_SETTINGS_KEY, JSON.stringify(settings));
       return settings;
     } catch (error) {
       console.error('Error saving weekly summary settings:', error);
@@ -802,10 +1973,59 @@ class StorageService {
     }
   }
 
+  // Rewrite stored entries that are older than the current entry schema
+  async upgradeStoredEntries() {
+    return this.enqueueWrite(async () => {
+      const entries = await this.getAllEntries();
+      let upgradedCount = 0;
+
+      Object.keys(entries).forEach(date => {
+        if (entries[date]?.schemaVersion !== ENTRY_SCHEMA_VERSION) {
+          entries[date] = { ...upgradeEntry(entries[date]), date };
+          upgradedCount++;
+        }
+      });
+
+      if (upgradedCount > 0) {
+        await this.backend.putEntries(Object.values(entries));
+      }
+      return upgradedCount;
+    });
+  }
+
+  // Rewrite stored settings in the current schema (defaults are never persisted here)
+  async upgradeStoredSettings() {
+    const upgrades = [
+      [NOTIFICATION_SETTINGS_KEY, upgradeNotificationSettings],
+      [WEEKLY_SUMMARY_SETTINGS_KEY, upgradeWeeklySummarySettings],
+    ];
+
+    for (const [key, upgrade] of upgrades) {
+      const data = await this.getSettingValue(key);
+      if (!data) continue;
+
+      const settings = JSON.parse(data);
+      const upgraded = upgrade(settings);
+      if (upgraded.schemaVersion !== settings.schemaVersion) {
+        await this.setSettingValue(key, JSON.stringify(upgraded));
+      }
+    }
+  }
+
+  // Storage data version, advanced by MigrationService
+  async getDataVersion() {
+    const version = await this.getSettingValue(DATA_VERSION_KEY);
+    return version ? parseInt(version, 10) : 0;
+  }
+
+  async setDataVersion(version) {
+    await this.setSettingValue(DATA_VERSION_KEY, String(version));
+  }
+
   // Onboarding completion tracking
   async getOnboardingCompleted() {
     try {
-      const completed = await AsyncStorage.getItem(ONBOARDING_COMPLETED_KEY);
+      const completed = await this.getSettingValue(ONBOARDING_COMPLETED_KEY);
       return completed === 'true';
     } catch (error) {
       console.error('Error loading onboarding completion status:', error);
@@ -813,9 +2033,28 @@ class StorageService {
     }
   }
 
+  async getThemePreference() {
+    try {
+      const preference = await this.getSettingValue(THEME_PREFERENCE_KEY);
+      return THEME_PREFERENCES.includes(preference) ? preference : 'system';
+    } catch (error) {
+      console.error('Error loading theme preference:', error);
+      return 'system';
+    }
+  }
+
+  async saveThemePreference(preference) {
+    try {
+      await this.setSettingValue(THEME_PREFERENCE_KEY, preference);
+    } catch (error) {
+      console.error('Error saving theme preference:', error);
+      throw error;
+    }
+  }
+
   async setOnboardingCompleted(completed) {
     try {
-      await AsyncStorage.setItem(ONBOARDING_COMPLETED_KEY, completed ? 'true' : 'false');
+      await this.setSettingValue(ONBOARDING_COMPLETED_KEY, completed ? 'true' : 'false');
     } catch (error) {
       console.error('Error saving onboarding completion status:', error);
       throw error;
@@ -0,0 +1,181 @@
+import StorageService from './storage';
+import { formatBackupTimestamp } from '../utils/backupEnvelope';
+import { validateSyncState } from '../utils/syncState';
+
+const API_VERSION = 'v1';
+const REQUEST_TIMEOUT_MS = 30000;
+
+const describeStatus = (status) => {
+  switch (status) {
+    case 401:
+    case 403:
+      return 'The sync server rejected the access token';
+    case 404:
+      return 'No sync server was found at this address. Check the server URL.';
+    case 413:
+      return 'The sync data is too large for the server';
+    default:
+      return status >= 500
+        ? `The sync server reported an error (${status})`
+        : `Unexpected response from the sync server (${status})`;
+  }
+};
+
+/**
+ * Sync Service - Keeps entries in step across devices
+ * Each sync records local edits as per-field operations, merges the states of other
+ * devices and shares this device's state again, either as a file or through a sync
+ * server (see scripts/sync-server.js). Merging is deterministic, so it doesn't matter
+ * which device syncs first or how often.
+ */
+class SyncService {
+  constructor() {
+    this._running = null;
+  }
+
+  isServerConfigured(settings) {
+    return !!settings?.serverUrl?.trim();
+  }
+
+  /**
+   * Sync file with this device's full sync state, ready for sharing
+   * @returns {Promise<Object>} { data, filename, mimeType }
+   */
+  async createSyncFile() {
+    try {
+      const { state } = await StorageService.applySyncStates();
+      const deviceId = await StorageService.getSyncDeviceId();
+      return {
+        data: JSON.stringify({ ...state, deviceId, exportedAt: new Date().toISOString() }),
+        filename: `energytune_sync_${formatBackupTimestamp()}.json`,
+        mimeType: 'application/json',
+      };
+    } catch (error) {
+      console.error('Error creating sync file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a sync file from another device
+   * @returns {Promise<Object>} { changedDates, conflicts }
+   */
+  async importSyncFile(content) {
+    let state;
+    try {
+      state = JSON.parse(content);
+    } catch (error) {
+      throw new Error('Not an EnergyTune sync file');
+    }
+
+    const errors = validateSyncState(state);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    try {
+      const { changedDates, conflicts } = await StorageService.applySyncStates([state]);
+      return { changedDates, conflicts };
+    } catch (error) {
+      console.error('Error importing sync file:', error);
+      throw error;
+    }
+  }
+
+  async request(settings, method, path, body) {
+    const baseUrl = settings.serverUrl.trim().replace(/\/+$/, '');
+    if (!/^https?:\/\/[^/]+/i.test(baseUrl)) {
+      throw new Error('Enter the full server address, starting with https://');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/${API_VERSION}/${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${settings.token}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError'
+        ? 'The sync server did not respond in time'
+        : 'Could not reach the sync server. Check the address and your connection.');
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+      throw new Error(describeStatus(response.status));
+    }
+    return response.json();
+  }
+
+  /**
+   * Check the server address and token
+   * @returns {Promise<Object>} { devices } - number of devices that have synced so far
+   */
+  async testServer(settings) {
+    const { devices } = await this.request(settings, 'GET', 'status');
+    return { devices };
+  }
+
+  /**
+   * Pull the states other devices pushed since the last sync, merge them and push
+   * this device's state
+   * @returns {Promise<Object>} { received, changedDates, conflicts }
+   */
+  async syncWithServer() {
+    try {
+      const settings = await StorageService.getSyncSettings();
+      if (!this.isServerConfigured(settings)) {
+        throw new Error('No sync server is set up');
+      }
+      const deviceId = await StorageService.getSyncDeviceId();
+
+      const { seq, states = [] } = await this.request(settings, 'GET', `states?since=${settings.cursor || 0}`);
+      const remoteStates = states
+        .filter(item => item.deviceId !== deviceId)
+        .map(item => item.state)
+        .filter(state => validateSyncState(state).length === 0);
+
+      const { state, changedDates, conflicts } = await StorageService.applySyncStates(remoteStates);
+      await this.request(settings, 'PUT', `states/${encodeURIComponent(deviceId)}`, state);
+
+      // Our own push comes back with the next pull and is skipped then
+      const current = await StorageService.getSyncSettings();
+      await StorageService.saveSyncSettings({ ...current, cursor: seq, lastSyncAt: new Date().toISOString() });
+
+      return { received: remoteStates.length, changedDates, conflicts };
+    } catch (error) {
+      console.error('Error syncing with server:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sync in the background when a server is set up, e.g. when the app comes to the
+   * foreground. Concurrent calls share one run; failures are logged only.
+   */
+  syncIfConfigured() {
+    if (!this._running) {
+      this._running = (async () => {
+        try {
+          const settings = await StorageService.getSyncSettings();
+          return this.isServerConfigured(settings) ? await this.syncWithServer() : null;
+        } catch (error) {
+          return null;
+        }
+      })().finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+}
+
+export default new SyncService();
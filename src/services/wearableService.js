@@ -0,0 +1,44 @@
+import StorageService from './storage';
+import { detectWearableImporter } from './importers';
+
+/**
+ * Wearable Service - Imports daily readiness, sleep and heart data from Oura, Garmin
+ * and Fitbit CSV exports into the day context, one source per device maker.
+ * Importing a file again replaces the days it covers.
+ */
+class WearableService {
+  /** @returns {Object|undefined} The importer for a wearable export, undefined for any other CSV */
+  detect(fileContent) {
+    return detectWearableImporter(fileContent);
+  }
+
+  /**
+   * @param {Object} importer - From detect()
+   * @returns {Promise<Object>} { source, days, firstDate, lastDate, rejectedRows, rowCount }
+   */
+  async importCSV(fileContent, importer) {
+    try {
+      const { days, rejectedRows, rowCount } = importer.parse(fileContent);
+      const dates = Object.keys(days).sort();
+      if (dates.length === 0) {
+        throw new Error('The file contains no readiness, sleep or heart rate values');
+      }
+
+      await StorageService.saveDayContext(importer.id, days);
+
+      return {
+        source: importer.id,
+        days: dates.length,
+        firstDate: dates[0],
+        lastDate: dates[dates.length - 1],
+        rejectedRows,
+        rowCount,
+      };
+    } catch (error) {
+      console.error(`Error importing ${importer.id} export:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new WearableService();
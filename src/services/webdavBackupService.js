@@ -0,0 +1,144 @@
+import StorageService from './storage';
+import { BACKUP_FILE_EXTENSION, formatBackupTimestamp } from '../utils/backupEnvelope';
+import { createWebDAVClient } from '../utils/webdav';
+
+const FILE_PREFIX = 'energytune_backup_';
+const CONTENT_TYPE = 'application/json';
+
+/**
+ * WebDAV Backup Service - Uploads full backups to a self-hosted WebDAV server
+ * (Nextcloud, ownCloud, ...) and restores them from there.
+ */
+class WebDAVBackupService {
+  isConfigured(settings) {
+    return !!settings?.url?.trim();
+  }
+
+  getClient(settings) {
+    return createWebDAVClient(settings);
+  }
+
+  /**
+   * Check the address and credentials without changing anything on the server
+   * @param {Object} settings - { url, username, password, folder }
+   * @returns {Promise<Object>} { folderExists } - a missing folder is created on the first upload
+   */
+  async testConnection(settings) {
+    const client = this.getClient(settings);
+    if (!(await client.folderExists(''))) {
+      throw new Error('Nothing was found at this address. Check the server URL.');
+    }
+    return { folderExists: await client.folderExists(settings.folder) };
+  }
+
+  /**
+   * Upload a full backup of the current data
+   * @returns {Promise<Object>} { filename, uploadedAt }
+   */
+  async uploadBackup() {
+    try {
+      const settings = await StorageService.getWebDAVSettings();
+      if (!this.isConfigured(settings)) {
+        throw new Error('No WebDAV server is set up');
+      }
+
+      const now = new Date();
+      const { data } = await StorageService.exportData('backup');
+      const filename = `${FILE_PREFIX}${formatBackupTimestamp(now)}.${BACKUP_FILE_EXTENSION}`;
+      await this.uploadFile(settings, filename, data);
+      return { filename, uploadedAt: now.toISOString() };
+    } catch (error) {
+      console.error('Error uploading backup to WebDAV:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a backup that was just written on the device, when the user asked for
+   * automatic backups to be copied to the server. Failures are logged, never thrown,
+   * so an offline server doesn't break the local backup.
+   */
+  async uploadAutoBackup(filename, data) {
+    try {
+      const settings = await StorageService.getWebDAVSettings();
+      if (this.isConfigured(settings) && settings.uploadAutoBackups) {
+        await this.uploadFile(settings, filename, data);
+      }
+    } catch (error) {
+      console.error('Error uploading automatic backup to WebDAV:', error);
+    }
+  }
+
+  async uploadFile(settings, filename, data) {
+    const client = this.getClient(settings);
+    await client.ensureFolder(settings.folder);
+    await client.upload(this.filePath(settings, filename), data, CONTENT_TYPE);
+
+    // Read the settings again so changes made during the upload aren't lost
+    const current = await StorageService.getWebDAVSettings();
+    await StorageService.saveWebDAVSettings({ ...current, lastUploadAt: new Date().toISOString() });
+  }
+
+  /**
+   * Backups in the server folder, newest first
+   * @returns {Promise<Array>} [{ filename, size, modifiedAt }]
+   */
+  async listBackups() {
+    try {
+      const settings = await StorageService.getWebDAVSettings();
+      if (!this.isConfigured(settings)) {
+        return [];
+      }
+
+      const client = this.getClient(settings);
+      if (!(await client.folderExists(settings.folder))) {
+        return [];
+      }
+
+      const items = await client.list(settings.folder);
+      return items
+        .filter(item => !item.isFolder && item.name.endsWith(`.${BACKUP_FILE_EXTENSION}`))
+        .map(item => ({ filename: item.name, size: item.size, modifiedAt: item.modifiedAt }))
+        // Newest upload first; the timestamped names break ties
+        .sort((a, b) => (
+          (b.modifiedAt || '').localeCompare(a.modifiedAt || '') || b.filename.localeCompare(a.filename)
+        ));
+    } catch (error) {
+      console.error('Error listing WebDAV backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all data with a backup from the server, settings included
+   * Current entries go to the trash, as with any replacing import.
+   * @returns {Promise<Object>} The StorageService.finalizeImport result
+   */
+  async restoreBackup(filename) {
+    try {
+      const settings = await StorageService.getWebDAVSettings();
+      const content = await this.getClient(settings).download(this.filePath(settings, filename));
+      await StorageService.importData(content, 'backup', 'replace');
+      return await StorageService.finalizeImport();
+    } catch (error) {
+      console.error('Error restoring WebDAV backup:', error);
+      throw error;
+    }
+  }
+
+  async deleteBackup(filename) {
+    try {
+      const settings = await StorageService.getWebDAVSettings();
+      await this.getClient(settings).remove(this.filePath(settings, filename));
+    } catch (error) {
+      console.error('Error deleting WebDAV backup:', error);
+      throw error;
+    }
+  }
+
+  filePath(settings, filename) {
+    return `${settings.folder || ''}/${filename}`;
+  }
+}
+
+export default new WebDAVBackupService();
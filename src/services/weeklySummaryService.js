@@ -1,5 +1,6 @@
 import StorageService from './storage';
 import HierarchicalPatternService from './hierarchicalPatternService';
+import { getPeriodIds } from '../utils/checkInPeriods';
 
 /**
  * Weekly Summary Service - Generates simple, zen-like weekly summaries
@@ -15,13 +16,8 @@ class WeeklySummaryService {
    */
   async generateWeeklySummary(startDate, endDate, algorithm = 'phrase_grouping') {
     try {
-      // Fetch all entries
-      const allEntries = await StorageService.getAllEntries();
-      
-      // Filter entries within date range
-      const weekEntries = Object.values(allEntries).filter(entry => {
-        return entry.date >= startDate && entry.date <= endDate;
-      }).sort((a, b) => new Date(a.date) - new Date(b.date));
+      // Fetch entries within date range, sorted by date
+      const weekEntries = await StorageService.getEntriesInRange(startDate, endDate);
       
       if (weekEntries.length === 0) {
         return this.getEmptySummary(startDate, endDate);
@@ -68,7 +64,7 @@ class WeeklySummaryService {
     
     entries.forEach(entry => {
       if (entry.energyLevels) {
-        ['morning', 'afternoon', 'evening'].forEach(period => {
+        getPeriodIds().forEach(period => {
           const value = entry.energyLevels[period];
           if (value !== null && value !== undefined && value > 0) {
             allLevels.push(value);
@@ -101,7 +97,7 @@ class WeeklySummaryService {
     
     entries.forEach(entry => {
       if (entry.stressLevels) {
-        ['morning', 'afternoon', 'evening'].forEach(period => {
+        getPeriodIds().forEach(period => {
           const value = entry.stressLevels[period];
           if (value !== null && value !== undefined && value > 0) {
             allLevels.push(value);
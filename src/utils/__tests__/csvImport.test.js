@@ -0,0 +1,60 @@
+import { buildCSVExport } from '../csvExport';
+import { parseCSVEntries } from '../csvImport';
+import { DEFAULT_CHECK_IN_PERIODS, setActivePeriods } from '../checkInPeriods';
+import { detectCSVImporter } from '../../services/importers';
+
+const SHIFT_PERIODS = [
+  { id: 'wake', name: 'Wake', start: '06:00' },
+  { id: 'pre_shift', name: 'Pre-shift', start: '13:30' },
+  { id: 'night', name: 'Night', start: '22:00' },
+];
+
+beforeEach(() => {
+  setActivePeriods(SHIFT_PERIODS);
+});
+
+afterEach(() => {
+  setActivePeriods(DEFAULT_CHECK_IN_PERIODS);
+});
+
+describe('CSV import with custom check-in periods', () => {
+  it('reads back every period of its own export', () => {
+    const csv = buildCSVExport([{
+      date: '2024-03-05',
+      energyLevels: { wake: 7, pre_shift: 5, night: 3 },
+      stressLevels: { wake: 2, pre_shift: 6, night: 4 },
+      energySources: 'Sleep',
+      stressSources: 'Traffic',
+      notes: 'Long day',
+    }]);
+
+    const importer = detectCSVImporter(csv);
+    expect(importer.id).toBe('energytune');
+
+    const { entries, rejectedRows } = importer.parse(csv);
+    expect(rejectedRows).toEqual([]);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      energyLevels: { wake: 7, pre_shift: 5, night: 3 },
+      stressLevels: { wake: 2, pre_shift: 6, night: 4 },
+      energySources: 'Sleep',
+      stressSources: 'Traffic',
+      notes: 'Long day',
+    });
+  });
+
+  it('still maps the default period names and aliases', () => {
+    const { entries } = parseCSVEntries('Date,Energy AM,Afternoon Energy,Evening Stress\n2024-03-05,6,5,4');
+
+    expect(entries[0].energyLevels).toEqual({ wake: null, pre_shift: null, night: null, morning: 6, afternoon: 5 });
+    expect(entries[0].stressLevels).toEqual({ wake: null, pre_shift: null, night: null, evening: 4 });
+  });
+
+  it('assumes the configured periods for files without a header', () => {
+    const { entries } = parseCSVEntries('2024-03-05,7,5,3,2,6,4,Sleep,Traffic,Tired');
+
+    expect(entries[0].energyLevels).toEqual({ wake: 7, pre_shift: 5, night: 3 });
+    expect(entries[0].stressLevels).toEqual({ wake: 2, pre_shift: 6, night: 4 });
+    expect(entries[0].notes).toBe('Tired');
+  });
+});
@@ -0,0 +1,23 @@
+import { buildDayNote } from '../markdownJournal';
+
+const entry = (changes) => ({
+  date: '2024-03-05',
+  energyLevels: { morning: 6, afternoon: null, evening: null },
+  stressLevels: { morning: 3, afternoon: null, evening: null },
+  energySources: '',
+  stressSources: '',
+  notes: '',
+  ...changes,
+});
+
+describe('buildDayNote', () => {
+  it('keeps sources with line breaks on one list item each', () => {
+    const note = buildDayNote(entry({
+      energySources: 'Long walk\nin the park, coffee',
+      stressSources: 'Deadline\r\n\r\n# not a heading',
+    }));
+
+    expect(note).toContain('## Energy sources\n\n- Long walk in the park\n- coffee\n');
+    expect(note).toContain('## Stress sources\n\n- Deadline # not a heading\n');
+  });
+});
@@ -0,0 +1,24 @@
+import { upgradeEntry } from '../schema';
+import { DEFAULT_CHECK_IN_PERIODS, setActivePeriods } from '../checkInPeriods';
+
+afterEach(() => {
+  setActivePeriods(DEFAULT_CHECK_IN_PERIODS);
+});
+
+describe('upgradeEntry', () => {
+  it('gives every configured period a level and keeps levels of removed periods', () => {
+    setActivePeriods([
+      { id: 'morning', name: 'Wake', start: '06:00' },
+      { id: 'pre_shift', name: 'Pre-shift', start: '13:30' },
+    ]);
+
+    const upgraded = upgradeEntry({
+      date: '2024-03-05',
+      energyLevels: { morning: 6, evening: -1 },
+      stressLevels: { afternoon: 4 },
+    });
+
+    expect(upgraded.energyLevels).toEqual({ morning: 6, pre_shift: null, evening: null });
+    expect(upgraded.stressLevels).toEqual({ morning: null, pre_shift: null, afternoon: 4 });
+  });
+});
@@ -0,0 +1,172 @@
+// Averaging entries per day, week and month
+// Shared by the analytics charts and the aggregated CSV export so both show the same numbers.
+
+// Filter data by time period
+export const filterByTimePeriod = (rawData, timePeriod) => {
+  return rawData.map(item => {
+    let energy = null;
+    let stress = null;
+    let energyLevels = item.energyLevels || {};
+    let stressLevels = item.stressLevels || {};
+
+    if (timePeriod === 'all') {
+      // Use existing averaged values or calculate from individual periods
+      if (item.energy !== null && item.energy !== undefined) {
+        energy = item.energy;
+      } else if (energyLevels) {
+        const energyValues = Object.values(energyLevels).filter(val => val !== null && val !== undefined);
+        energy = energyValues.length > 0 
+          ? energyValues.reduce((sum, val) => sum + val, 0) / energyValues.length 
+          : null;
+      }
+
+      if (item.stress !== null && item.stress !== undefined) {
+        stress = item.stress;
+      } else if (stressLevels) {
+        const stressValues = Object.values(stressLevels).filter(val => val !== null && val !== undefined);
+        stress = stressValues.length > 0 
+          ? stressValues.reduce((sum, val) => sum + val, 0) / stressValues.length 
+          : null;
+      }
+    } else {
+      // Use specific time period values
+      energy = energyLevels[timePeriod] !== null && energyLevels[timePeriod] !== undefined 
+        ? energyLevels[timePeriod] 
+        : null;
+      stress = stressLevels[timePeriod] !== null && stressLevels[timePeriod] !== undefined 
+        ? stressLevels[timePeriod] 
+        : null;
+    }
+
+    return {
+      ...item,
+      energy,
+      stress,
+      timePeriod,
+      energyLevels,
+      stressLevels,
+    };
+  });
+};
+
+// Aggregate data by day (for monthly views)
+export const aggregateDaily = (rawData) => {
+  const grouped = {};
+  rawData.forEach(item => {
+    const date = new Date(item.date);
+    const dayKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    
+    if (!grouped[dayKey]) {
+      grouped[dayKey] = {
+        date: dayKey,
+        energyValues: [],
+        stressValues: [],
+        entries: []
+      };
+    }
+    
+    if (item.energy !== null && item.energy !== undefined) {
+      grouped[dayKey].energyValues.push(item.energy);
+    }
+    if (item.stress !== null && item.stress !== undefined) {
+      grouped[dayKey].stressValues.push(item.stress);
+    }
+    grouped[dayKey].entries.push(item);
+  });
+
+  return Object.values(grouped).map(group => ({
+    date: group.date,
+    energy: group.energyValues.length > 0 
+      ? group.energyValues.reduce((sum, val) => sum + val, 0) / group.energyValues.length 
+      : null,
+    stress: group.stressValues.length > 0 
+      ? group.stressValues.reduce((sum, val) => sum + val, 0) / group.stressValues.length 
+      : null,
+    entriesCount: group.entries.length,
+    originalEntries: group.entries,
+    energyLevels: group.entries[0]?.energyLevels || {},
+    stressLevels: group.entries[0]?.stressLevels || {},
+  })).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Aggregate data by week (for quarterly views)
+export const aggregateWeekly = (rawData) => {
+  const grouped = {};
+  rawData.forEach(item => {
+    const date = new Date(item.date);
+    // Calculate start of week (Sunday)
+    const weekStart = new Date(date);
+    weekStart.setDate(date.getDate() - date.getDay());
+    weekStart.setHours(0, 0, 0, 0);
+    
+    // Use ISO date string as unique week key (YYYY-MM-DD of week start)
+    const weekKey = weekStart.toISOString().split('T')[0];
+    
+    if (!grouped[weekKey]) {
+      grouped[weekKey] = {
+        date: weekKey,
+        energyValues: [],
+        stressValues: [],
+        entries: []
+      };
+    }
+    
+    if (item.energy !== null && item.energy !== undefined) {
+      grouped[weekKey].energyValues.push(item.energy);
+    }
+    if (item.stress !== null && item.stress !== undefined) {
+      grouped[weekKey].stressValues.push(item.stress);
+    }
+    grouped[weekKey].entries.push(item);
+  });
+
+  return Object.values(grouped).map(group => ({
+    date: group.date,
+    energy: group.energyValues.length > 0 
+      ? group.energyValues.reduce((sum, val) => sum + val, 0) / group.energyValues.length 
+      : null,
+    stress: group.stressValues.length > 0 
+      ? group.stressValues.reduce((sum, val) => sum + val, 0) / group.stressValues.length 
+      : null,
+    entriesCount: group.entries.length,
+    originalEntries: group.entries,
+  })).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Aggregate data by month (for yearly views)
+export const aggregateMonthly = (rawData) => {
+  const grouped = {};
+  rawData.forEach(item => {
+    const date = new Date(item.date);
+    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    
+    if (!grouped[monthKey]) {
+      grouped[monthKey] = {
+        date: `${monthKey}-01`,
+        energyValues: [],
+        stressValues: [],
+        entries: []
+      };
+    }
+    
+    if (item.energy !== null && item.energy !== undefined) {
+      grouped[monthKey].energyValues.push(item.energy);
+    }
+    if (item.stress !== null && item.stress !== undefined) {
+      grouped[monthKey].stressValues.push(item.stress);
+    }
+    grouped[monthKey].entries.push(item);
+  });
+
+  return Object.values(grouped).map(group => ({
+    date: group.date,
+    energy: group.energyValues.length > 0 
+      ? group.energyValues.reduce((sum, val) => sum + val, 0) / group.energyValues.length 
+      : null,
+    stress: group.stressValues.length > 0 
+      ? group.stressValues.reduce((sum, val) => sum + val, 0) / group.stressValues.length 
+      : null,
+    entriesCount: group.entries.length,
+    originalEntries: group.entries,
+  })).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
@@ -0,0 +1,245 @@
+// Apple Health export.xml reader
+// The export holds every sample the phone and watch ever recorded and easily runs to
+// hundreds of megabytes, so it is fed in chunks and only per-day totals are kept.
+// Each <Record> is a single tag whose attributes carry everything we need:
+//   <Record type="HKQuantityTypeIdentifierStepCount" sourceName="iPhone" unit="count"
+//     startDate="2024-03-05 08:10:00 +0100" endDate="2024-03-05 08:20:00 +0100" value="412"/>
+// Dates are written in the device's time zone, so the calendar day is read straight
+// from the string instead of being converted.
+
+import { formatDate, parseLocalDate } from './helpers';
+
+const RECORD_TAG = '<Record';
+const HEALTH_DATA_TAG = '<HealthData';
+// The document type definition before <HealthData> is a few kilobytes
+const HEADER_LIMIT = 1024 * 1024;
+const NOT_AN_EXPORT = 'Not an Apple Health export. Choose the export.xml file from the Health app export.';
+
+const RECORD_TYPES = {
+  SLEEP: 'HKCategoryTypeIdentifierSleepAnalysis',
+  STEPS: 'HKQuantityTypeIdentifierStepCount',
+  RESTING_HEART_RATE: 'HKQuantityTypeIdentifierRestingHeartRate',
+  HRV: 'HKQuantityTypeIdentifierHeartRateVariabilitySDNN',
+};
+
+const WANTED_TYPES = Object.values(RECORD_TYPES);
+
+const SLEEP_IN_BED = 'HKCategoryValueSleepAnalysisInBed';
+// Covers the old single "Asleep" value as well as Core, Deep, REM and Unspecified
+const SLEEP_ASLEEP_PREFIX = 'HKCategoryValueSleepAnalysisAsleep';
+
+// Sleep that ends at or after this hour counts toward the next day, so a night that
+// starts before midnight belongs to the morning after it
+const SLEEP_DAY_CUTOFF_HOUR = 18;
+
+const ATTRIBUTE_PATTERN = /(\w+)="([^"]*)"/g;
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_PATTERN.exec(tag)) !== null) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+};
+
+// '2024-03-05 07:12:00 +0100' → milliseconds
+const parseHealthTimestamp = (value) => {
+  const [day, time, offset = '+0000'] = value.split(' ');
+  return Date.parse(`${day}T${time}${offset.slice(0, 3)}:${offset.slice(3)}`);
+};
+
+const sleepDay = (endDate) => {
+  const day = endDate.slice(0, 10);
+  if (Number(endDate.slice(11, 13)) < SLEEP_DAY_CUTOFF_HOUR) {
+    return day;
+  }
+  const next = parseLocalDate(day);
+  next.setDate(next.getDate() + 1);
+  return formatDate(next);
+};
+
+// Total length of possibly overlapping intervals. Phone, watch and sleep apps often
+// record the same night, which must not be counted twice.
+const unionMinutes = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let currentStart = null;
+  let currentEnd = null;
+
+  sorted.forEach(([start, end]) => {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) {
+        total += currentEnd - currentStart;
+      }
+      currentStart = start;
+      currentEnd = end;
+    } else if (end > currentEnd) {
+      currentEnd = end;
+    }
+  });
+  if (currentEnd !== null) {
+    total += currentEnd - currentStart;
+  }
+  return Math.round(total / 60000);
+};
+
+const average = ({ sum, count }) => Math.round(sum / count);
+
+/**
+ * Create a reader for an Apple Health export
+ * Call push() with consecutive pieces of the file, then finish() once.
+ * @returns {Object} { push(text), finish() } where finish returns
+ *   { days: { date: { sleepMinutes, steps, restingHeartRate, hrv } }, recordCount }
+ */
+export const createAppleHealthParser = () => {
+  let buffer = '';
+  let started = false;
+  // Characters read while looking for <HealthData>
+  let scanned = 0;
+  let recordCount = 0;
+
+  // Steps per day and source; iPhone and Apple Watch both count the same walk
+  const steps = {};
+  const sleep = {};
+  const restingHeartRate = {};
+  const hrv = {};
+
+  const addAverage = (target, date, value) => {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const current = target[date] || { sum: 0, count: 0 };
+    target[date] = { sum: current.sum + value, count: current.count + 1 };
+  };
+
+  const handleRecord = (tag) => {
+    // Most records are heart rate, energy and the like; skip them before parsing
+    const typeStart = tag.indexOf('type="');
+    if (typeStart === -1) {
+      return;
+    }
+    const type = tag.slice(typeStart + 6, tag.indexOf('"', typeStart + 6));
+    if (!WANTED_TYPES.includes(type)) {
+      return;
+    }
+
+    const { sourceName = '', startDate, endDate, value } = parseAttributes(tag);
+    if (!startDate || !endDate) {
+      return;
+    }
+    recordCount++;
+
+    switch (type) {
+      case RECORD_TYPES.SLEEP: {
+        const isAsleep = value?.startsWith(SLEEP_ASLEEP_PREFIX);
+        if (!isAsleep && value !== SLEEP_IN_BED) {
+          return;
+        }
+        const start = parseHealthTimestamp(startDate);
+        const end = parseHealthTimestamp(endDate);
+        if (!(end > start)) {
+          return;
+        }
+        const date = sleepDay(endDate);
+        sleep[date] = sleep[date] || { asleep: [], inBed: [] };
+        sleep[date][isAsleep ? 'asleep' : 'inBed'].push([start, end]);
+        break;
+      }
+      case RECORD_TYPES.STEPS: {
+        const count = Number(value);
+        if (Number.isFinite(count)) {
+          const date = startDate.slice(0, 10);
+          steps[date] = steps[date] || {};
+          steps[date][sourceName] = (steps[date][sourceName] || 0) + count;
+        }
+        break;
+      }
+      case RECORD_TYPES.RESTING_HEART_RATE:
+        addAverage(restingHeartRate, startDate.slice(0, 10), Number(value));
+        break;
+      case RECORD_TYPES.HRV:
+        addAverage(hrv, startDate.slice(0, 10), Number(value));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const push = (text) => {
+    if (!started) {
+      if (scanned === 0 && text.startsWith('PK')) {
+        throw new Error('This is the zipped export. Unzip export.zip first and choose the export.xml inside it.');
+      }
+      scanned += text.length;
+      const start = (buffer + text).indexOf(HEALTH_DATA_TAG);
+      if (start === -1) {
+        if (scanned > HEADER_LIMIT) {
+          throw new Error(NOT_AN_EXPORT);
+        }
+        // Records only follow <HealthData>; keep enough for a tag split across chunks
+        buffer = (buffer + text).slice(-HEALTH_DATA_TAG.length);
+        return;
+      }
+      started = true;
+      buffer = (buffer + text).slice(start);
+    } else {
+      buffer += text;
+    }
+
+    let position = 0;
+    while (true) {
+      const start = buffer.indexOf(RECORD_TAG, position);
+      if (start === -1) {
+        // Keep a possible partial "<Record" at the end for the next chunk
+        position = Math.max(position, buffer.length - RECORD_TAG.length);
+        break;
+      }
+      const end = buffer.indexOf('>', start);
+      if (end === -1) {
+        position = start;
+        break;
+      }
+      // Skip <RecordList> and the like
+      if (/\s/.test(buffer[start + RECORD_TAG.length])) {
+        handleRecord(buffer.slice(start, end));
+      }
+      position = end + 1;
+    }
+    buffer = buffer.slice(position);
+  };
+
+  const finish = () => {
+    if (!started) {
+      throw new Error(NOT_AN_EXPORT);
+    }
+
+    const days = {};
+    const day = (date) => {
+      days[date] = days[date] || {};
+      return days[date];
+    };
+
+    Object.entries(sleep).forEach(([date, { asleep, inBed }]) => {
+      // Older watches and third-party apps only record time in bed
+      const minutes = unionMinutes(asleep.length > 0 ? asleep : inBed);
+      if (minutes > 0) {
+        day(date).sleepMinutes = minutes;
+      }
+    });
+    Object.entries(steps).forEach(([date, bySource]) => {
+      day(date).steps = Math.round(Math.max(...Object.values(bySource)));
+    });
+    Object.entries(restingHeartRate).forEach(([date, values]) => {
+      day(date).restingHeartRate = average(values);
+    });
+    Object.entries(hrv).forEach(([date, values]) => {
+      day(date).hrv = average(values);
+    });
+
+    return { days, recordCount };
+  };
+
+  return { push, finish };
+};
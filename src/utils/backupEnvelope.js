@@ -0,0 +1,97 @@
+// Full backup file format (.energytune)
+// A backup is a JSON envelope that describes the app and schema versions it was written
+// with, so it can be validated and upgraded on restore instead of guessed at.
+
+import { version as APP_VERSION } from '../../package.json';
+import { computeChecksum } from './checksum';
+import { formatDate } from './helpers';
+import {
+  ENTRY_SCHEMA_VERSION,
+  NOTIFICATION_SETTINGS_SCHEMA_VERSION,
+  WEEKLY_SUMMARY_SETTINGS_SCHEMA_VERSION,
+} from './schema';
+
+export const BACKUP_FORMAT = 'energytune-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+export const BACKUP_FILE_EXTENSION = 'energytune';
+
+export const THEME_PREFERENCES = ['system', 'light', 'dark'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/** Local date and time for backup filenames: 2024-03-05_081500. Sorts chronologically. */
+export const formatBackupTimestamp = (date = new Date()) => (
+  `${formatDate(date)}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+);
+
+/**
+ * Wrap entries and settings in a backup envelope
+ * @param {Array} entries - Full entries, including quickEntryMeta and timestamps
+ * @param {Object} settings - { notifications, weeklySummary, themePreference, onboardingCompleted, trash, dayContext,
+ *   customMetrics, checkInPeriods }
+ */
+export const createBackupEnvelope = (entries, settings) => ({
+  format: BACKUP_FORMAT,
+  formatVersion: BACKUP_FORMAT_VERSION,
+  createdAt: new Date().toISOString(),
+  app: {
+    name: 'EnergyTune',
+    version: APP_VERSION,
+  },
+  schema: {
+    entries: ENTRY_SCHEMA_VERSION,
+    notificationSettings: NOTIFICATION_SETTINGS_SCHEMA_VERSION,
+    weeklySummarySettings: WEEKLY_SUMMARY_SETTINGS_SCHEMA_VERSION,
+  },
+  checksum: computeChecksum(JSON.stringify(entries)),
+  entries,
+  settings,
+});
+
+export const isBackupEnvelope = (data) => {
+  return !!data && typeof data === 'object' && data.format === BACKUP_FORMAT;
+};
+
+/**
+ * Check a parsed backup file before anything is restored from it
+ * @returns {Array<string>} Problems found; empty when the envelope is usable
+ */
+export const validateBackupEnvelope = (data) => {
+  const errors = [];
+
+  if (!isBackupEnvelope(data)) {
+    return ['Not an EnergyTune backup file'];
+  }
+
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion < 1) {
+    errors.push('Missing backup format version');
+  } else if (data.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push('This backup was created by a newer version of EnergyTune. Please update the app first.');
+  }
+
+  if (!Array.isArray(data.entries)) {
+    errors.push('Backup contains no entry list');
+  } else if (data.checksum && computeChecksum(JSON.stringify(data.entries)) !== data.checksum) {
+    errors.push('Backup file is damaged (checksum mismatch)');
+  }
+
+  if (data.schema?.entries > ENTRY_SCHEMA_VERSION) {
+    errors.push('Backup entries use a newer data format than this app supports');
+  }
+
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    errors.push('Backup settings are malformed');
+  }
+
+  const theme = data.settings?.themePreference;
+  if (theme !== undefined && theme !== null && !THEME_PREFERENCES.includes(theme)) {
+    errors.push(`Unknown theme preference "${theme}"`);
+  }
+
+  return errors;
+};
+
+/** Names of the settings groups a backup will restore, for previews. */
+export const getBackupSettingNames = (settings = {}) => {
+  return Object.keys(settings).filter(key => settings[key] !== null && settings[key] !== undefined);
+};
@@ -0,0 +1,136 @@
+// Byte helpers shared by the encryption and file export code
+// Hermes lacks a complete TextEncoder/TextDecoder and Buffer, so these are done by hand.
+
+export const utf8Encode = (text) => {
+  const str = String(text);
+  const bytes = [];
+
+  for (let i = 0; i < str.length; i++) {
+    let code = str.charCodeAt(i);
+
+    // Combine surrogate pairs into a single code point
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+      const next = str.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+
+  return Uint8Array.from(bytes);
+};
+
+export const utf8Decode = (bytes) => {
+  let result = '';
+  let i = 0;
+
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    let code;
+
+    if (byte < 0x80) {
+      code = byte;
+    } else if (byte >= 0xf0) {
+      code = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte >= 0xe0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      code = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    }
+
+    if (code >= 0x10000) {
+      code -= 0x10000;
+      result += String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+    } else {
+      result += String.fromCharCode(code);
+    }
+  }
+
+  return result;
+};
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_LOOKUP = {};
+for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+  BASE64_LOOKUP[BASE64_ALPHABET[i]] = i;
+}
+
+export const bytesToBase64 = (bytes) => {
+  let result = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const a = bytes[i];
+    const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+    const triple = (a << 16) | (b << 8) | c;
+
+    result += BASE64_ALPHABET[(triple >> 18) & 0x3f];
+    result += BASE64_ALPHABET[(triple >> 12) & 0x3f];
+    result += i + 1 < bytes.length ? BASE64_ALPHABET[(triple >> 6) & 0x3f] : '=';
+    result += i + 2 < bytes.length ? BASE64_ALPHABET[triple & 0x3f] : '=';
+  }
+
+  return result;
+};
+
+export const base64ToBytes = (base64) => {
+  const clean = String(base64).replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let byteIndex = 0;
+
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_LOOKUP[clean[i]];
+    const b = BASE64_LOOKUP[clean[i + 1]] ?? 0;
+    const c = BASE64_LOOKUP[clean[i + 2]] ?? 0;
+    const d = BASE64_LOOKUP[clean[i + 3]] ?? 0;
+    const triple = (a << 18) | (b << 12) | (c << 6) | d;
+
+    bytes[byteIndex++] = (triple >> 16) & 0xff;
+    if (i + 2 < clean.length) bytes[byteIndex++] = (triple >> 8) & 0xff;
+    if (i + 3 < clean.length) bytes[byteIndex++] = triple & 0xff;
+  }
+
+  return bytes.subarray(0, byteIndex);
+};
+
+export const concatBytes = (...arrays) => {
+  const total = arrays.reduce((sum, array) => sum + array.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+
+  return result;
+};
+
+/** Compare without an early exit, so timing does not reveal where a MAC differs. */
+export const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+};
@@ -0,0 +1,228 @@
+// ChaCha20-Poly1305 authenticated encryption (RFC 8439)
+// Pure JS: 32-bit ChaCha state in a Uint32Array, Poly1305 on 13-bit limbs so every
+// intermediate product stays exactly representable as a double.
+
+import { concatBytes, constantTimeEqual } from './bytes';
+
+export const KEY_LENGTH = 32;
+export const NONCE_LENGTH = 12;
+export const TAG_LENGTH = 16;
+
+const readUint32LE = (bytes, offset) =>
+  (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+
+const rotl = (value, shift) => (value << shift) | (value >>> (32 - shift));
+
+const quarterRound = (x, a, b, c, d) => {
+  x[a] = (x[a] + x[b]) | 0; x[d] = rotl(x[d] ^ x[a], 16);
+  x[c] = (x[c] + x[d]) | 0; x[b] = rotl(x[b] ^ x[c], 12);
+  x[a] = (x[a] + x[b]) | 0; x[d] = rotl(x[d] ^ x[a], 8);
+  x[c] = (x[c] + x[d]) | 0; x[b] = rotl(x[b] ^ x[c], 7);
+};
+
+const chachaBlock = (key, nonce, counter) => {
+  const state = new Uint32Array(16);
+  state[0] = 0x61707865;
+  state[1] = 0x3320646e;
+  state[2] = 0x79622d32;
+  state[3] = 0x6b206574;
+  for (let i = 0; i < 8; i++) {
+    state[4 + i] = readUint32LE(key, i * 4);
+  }
+  state[12] = counter;
+  state[13] = readUint32LE(nonce, 0);
+  state[14] = readUint32LE(nonce, 4);
+  state[15] = readUint32LE(nonce, 8);
+
+  const working = state.slice();
+  for (let i = 0; i < 10; i++) {
+    quarterRound(working, 0, 4, 8, 12);
+    quarterRound(working, 1, 5, 9, 13);
+    quarterRound(working, 2, 6, 10, 14);
+    quarterRound(working, 3, 7, 11, 15);
+    quarterRound(working, 0, 5, 10, 15);
+    quarterRound(working, 1, 6, 11, 12);
+    quarterRound(working, 2, 7, 8, 13);
+    quarterRound(working, 3, 4, 9, 14);
+  }
+
+  const out = new Uint8Array(64);
+  for (let i = 0; i < 16; i++) {
+    const word = (working[i] + state[i]) >>> 0;
+    out[i * 4] = word & 0xff;
+    out[i * 4 + 1] = (word >>> 8) & 0xff;
+    out[i * 4 + 2] = (word >>> 16) & 0xff;
+    out[i * 4 + 3] = word >>> 24;
+  }
+  return out;
+};
+
+export const chacha20 = (key, nonce, data, initialCounter = 1) => {
+  const out = new Uint8Array(data.length);
+
+  for (let offset = 0, counter = initialCounter; offset < data.length; offset += 64, counter++) {
+    const keyStream = chachaBlock(key, nonce, counter);
+    const end = Math.min(64, data.length - offset);
+    for (let i = 0; i < end; i++) {
+      out[offset + i] = data[offset + i] ^ keyStream[i];
+    }
+  }
+
+  return out;
+};
+
+// Split a little-endian number of up to 17 bytes into ten 13-bit limbs
+const toLimbs = (bytes) => {
+  const limbs = new Array(10);
+  for (let i = 0; i < 10; i++) {
+    const bit = i * 13;
+    const byte = bit >> 3;
+    const value = (bytes[byte] || 0) | ((bytes[byte + 1] || 0) << 8) | ((bytes[byte + 2] || 0) << 16);
+    limbs[i] = (value >>> (bit & 7)) & 0x1fff;
+  }
+  return limbs;
+};
+
+const fromLimbs = (limbs) => {
+  const out = new Uint8Array(17);
+  let acc = 0;
+  let accBits = 0;
+  let index = 0;
+
+  limbs.forEach(limb => {
+    acc |= limb << accBits;
+    accBits += 13;
+    while (accBits >= 8 && index < out.length) {
+      out[index++] = acc & 0xff;
+      acc >>>= 8;
+      accBits -= 8;
+    }
+  });
+  if (index < out.length) {
+    out[index] = acc & 0xff;
+  }
+
+  return out;
+};
+
+// Carry every limb down to 13 bits; overflow past 2^130 wraps around as *5
+const carry = (h) => {
+  for (let pass = 0; pass < 2; pass++) {
+    for (let i = 0; i < 10; i++) {
+      const c = Math.floor(h[i] / 8192);
+      h[i] -= c * 8192;
+      if (i < 9) {
+        h[i + 1] += c;
+      } else {
+        h[0] += c * 5;
+      }
+    }
+  }
+};
+
+/** Poly1305 MAC of data whose length is a multiple of 16 bytes (as in the AEAD construction). */
+const poly1305 = (key, data) => {
+  const rBytes = key.slice(0, 16);
+  rBytes[3] &= 15; rBytes[7] &= 15; rBytes[11] &= 15; rBytes[15] &= 15;
+  rBytes[4] &= 252; rBytes[8] &= 252; rBytes[12] &= 252;
+  const r = toLimbs(rBytes);
+
+  const h = new Array(10).fill(0);
+  const block = new Uint8Array(17);
+  const d = new Array(10);
+
+  for (let offset = 0; offset < data.length; offset += 16) {
+    block.set(data.subarray(offset, offset + 16));
+    block[16] = 1;
+    const m = toLimbs(block);
+    for (let i = 0; i < 10; i++) {
+      h[i] += m[i];
+    }
+
+    // h = h * r mod (2^130 - 5)
+    for (let i = 0; i < 10; i++) {
+      let sum = 0;
+      for (let j = 0; j < 10; j++) {
+        sum += j <= i ? h[j] * r[i - j] : h[j] * 5 * r[i + 10 - j];
+      }
+      d[i] = sum;
+    }
+    for (let i = 0; i < 10; i++) {
+      h[i] = d[i];
+    }
+    carry(h);
+  }
+
+  // Fully reduce: if h + 5 reaches 2^130 then h >= p, so use h - p instead
+  carry(h);
+  const g = h.slice();
+  g[0] += 5;
+  for (let i = 0; i < 9; i++) {
+    const c = g[i] >> 13;
+    g[i] &= 0x1fff;
+    g[i + 1] += c;
+  }
+  const reduced = g[9] >> 13 ? [...g.slice(0, 9), g[9] & 0x1fff] : h;
+
+  // tag = (h + s) mod 2^128
+  const hBytes = fromLimbs(reduced);
+  const tag = new Uint8Array(16);
+  let c = 0;
+  for (let i = 0; i < 16; i++) {
+    const sum = hBytes[i] + key[16 + i] + c;
+    tag[i] = sum & 0xff;
+    c = sum >> 8;
+  }
+  return tag;
+};
+
+const pad16 = (length) => new Uint8Array((16 - (length % 16)) % 16);
+
+const lengthBytes = (aadLength, dataLength) => {
+  const out = new Uint8Array(16);
+  [aadLength, dataLength].forEach((length, index) => {
+    let value = length;
+    for (let i = 0; i < 8; i++) {
+      out[index * 8 + i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+  });
+  return out;
+};
+
+const computeTag = (key, nonce, aad, ciphertext) => {
+  const polyKey = chachaBlock(key, nonce, 0).subarray(0, 32);
+  const macData = concatBytes(
+    aad, pad16(aad.length),
+    ciphertext, pad16(ciphertext.length),
+    lengthBytes(aad.length, ciphertext.length)
+  );
+  return poly1305(polyKey, macData);
+};
+
+/**
+ * Encrypt and authenticate
+ * @returns {Uint8Array} ciphertext followed by the 16-byte tag
+ */
+export const seal = (key, nonce, plaintext, aad = new Uint8Array(0)) => {
+  const ciphertext = chacha20(key, nonce, plaintext);
+  return concatBytes(ciphertext, computeTag(key, nonce, aad, ciphertext));
+};
+
+/**
+ * Verify and decrypt
+ * @returns {Uint8Array|null} plaintext, or null when the tag does not match
+ */
+export const open = (key, nonce, sealed, aad = new Uint8Array(0)) => {
+  if (sealed.length < TAG_LENGTH) {
+    return null;
+  }
+
+  const ciphertext = sealed.subarray(0, sealed.length - TAG_LENGTH);
+  const tag = sealed.subarray(sealed.length - TAG_LENGTH);
+  if (!constantTimeEqual(tag, computeTag(key, nonce, aad, ciphertext))) {
+    return null;
+  }
+
+  return chacha20(key, nonce, ciphertext);
+};
@@ -0,0 +1,156 @@
+// Check-in periods: the named parts of the day energy and stress are logged for
+// Definitions are a setting ({ id, name, start }); each period runs from its start until
+// the next one starts, counted from the entry-day rollover. Entries keep their levels
+// keyed by period id, so renaming a period or moving its start keeps the data.
+
+import { entry as entryTexts } from '../config/texts';
+import { ENTRY_DAY_ROLLOVER_HOUR } from './helpers';
+import { TIME_PERIODS } from './constants';
+
+export const MIN_CHECK_IN_PERIODS = 2;
+export const MAX_CHECK_IN_PERIODS = 6;
+export const MAX_PERIOD_NAME_LENGTH = 16;
+
+export const DEFAULT_CHECK_IN_PERIODS = [
+  { id: TIME_PERIODS.MORNING, name: entryTexts.periods.morning, start: '05:00' },
+  { id: TIME_PERIODS.AFTERNOON, name: entryTexts.periods.afternoon, start: '12:00' },
+  { id: TIME_PERIODS.EVENING, name: entryTexts.periods.evening, start: '17:00' },
+];
+
+const DAY_MINUTES = 24 * 60;
+const ROLLOVER_MINUTES = ENTRY_DAY_ROLLOVER_HOUR * 60;
+
+// Loaded by StorageService.getCheckInPeriods; entries, steps and exports read it synchronously
+let activePeriods = DEFAULT_CHECK_IN_PERIODS;
+
+export const isValidTime = (time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(time));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since the entry day started, so a 01:00 period sorts after 22:00
+const minutesIntoDay = (clockMinutes) => (clockMinutes - ROLLOVER_MINUTES + DAY_MINUTES) % DAY_MINUTES;
+
+/** Periods in the order they happen during an entry day. */
+export const sortPeriods = (periods) => [...periods].sort(
+  (a, b) => minutesIntoDay(toMinutes(a.start)) - minutesIntoDay(toMinutes(b.start))
+);
+
+/** Period ids are derived from the name once and never change. */
+export const createPeriodId = (name, existingIds = []) => {
+  const base = name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'period';
+  let id = base;
+  for (let suffix = 2; existingIds.includes(id); suffix++) {
+    id = `${base}_${suffix}`;
+  }
+  return id;
+};
+
+/**
+ * Check a full set of periods before saving it
+ * @returns {string|null} Error key (see texts profile.checkInPeriodsSection.errors), or null when valid
+ */
+export const validatePeriods = (periods) => {
+  if (periods.length < MIN_CHECK_IN_PERIODS) {
+    return 'tooFew';
+  }
+  if (periods.length > MAX_CHECK_IN_PERIODS) {
+    return 'tooMany';
+  }
+  const names = periods.map(period => String(period.name || '').trim().toLowerCase());
+  if (names.some(name => !name)) {
+    return 'nameRequired';
+  }
+  if (names.some(name => name.length > MAX_PERIOD_NAME_LENGTH)) {
+    return 'nameTooLong';
+  }
+  if (new Set(names).size !== names.length) {
+    return 'nameTaken';
+  }
+  if (periods.some(period => !isValidTime(period.start))) {
+    return 'invalidTime';
+  }
+  if (new Set(periods.map(period => period.start)).size !== periods.length) {
+    return 'sameStart';
+  }
+  return null;
+};
+
+/** A stored set of periods, sorted; falls back to the defaults when it can't be used. */
+export const normalizePeriods = (periods) => {
+  if (!Array.isArray(periods)) {
+    return DEFAULT_CHECK_IN_PERIODS;
+  }
+  const cleaned = periods
+    .filter(period => period && period.id)
+    .map(period => ({ id: String(period.id), name: String(period.name || '').trim(), start: period.start }));
+  return validatePeriods(cleaned) ? DEFAULT_CHECK_IN_PERIODS : sortPeriods(cleaned);
+};
+
+export const getActivePeriods = () => activePeriods;
+
+export const setActivePeriods = (periods) => {
+  activePeriods = normalizePeriods(periods);
+  return activePeriods;
+};
+
+export const getPeriodIds = (periods = activePeriods) => periods.map(period => period.id);
+
+/** Display name of a period id; ids of removed periods still get a readable label. */
+export const getPeriodName = (id, periods = activePeriods) => {
+  const period = periods.find(candidate => candidate.id === id);
+  if (period) {
+    return period.name;
+  }
+  const text = String(id).replace(/_/g, ' ');
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+};
+
+/** { id: name } for every period, e.g. for history labels. */
+export const getPeriodNames = (periods = activePeriods) => Object.fromEntries(
+  periods.map(period => [period.id, period.name])
+);
+
+/** Where a period's window ends: the next period's start, wrapping to the first. */
+export const getPeriodEnd = (id, periods = activePeriods) => {
+  const index = periods.findIndex(period => period.id === id);
+  return periods[(index + 1) % periods.length].start;
+};
+
+/** Sunrise, sun or moon by start time, for compact period pickers. */
+export const getPeriodIcon = (period) => {
+  const hour = Math.floor(toMinutes(period.start) / 60);
+  if (hour >= ENTRY_DAY_ROLLOVER_HOUR && hour < 12) return '🌅';
+  if (hour >= 12 && hour < 17) return '☀️';
+  return '🌙';
+};
+
+/**
+ * The period a local clock time falls in. Times before the first period's start
+ * (but after the rollover) count toward the first period.
+ * @param {number} hour - Local hour, 0-23
+ * @param {number} minute
+ * @returns {string} Period id
+ */
+export const getPeriodAt = (hour, minute = 0, periods = activePeriods) => {
+  const position = minutesIntoDay(hour * 60 + minute);
+  let current = periods[0];
+  periods.forEach(period => {
+    if (minutesIntoDay(toMinutes(period.start)) <= position) {
+      current = period;
+    }
+  });
+  return current.id;
+};
+
+/** Clock minutes at which the active period changes: the rollover and every later start. */
+export const getPeriodBoundaries = (periods = activePeriods) => [
+  ROLLOVER_MINUTES,
+  ...periods.slice(1).map(period => toMinutes(period.start)),
+];
@@ -0,0 +1,21 @@
+// Checksum helpers for validating persisted data
+
+/**
+ * FNV-1a (32-bit) hash of a string, returned as an 8-character hex string.
+ * Not cryptographic - only used to detect truncated or garbled storage values.
+ */
+export const computeChecksum = (value) => {
+  const str = String(value ?? '');
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, '0');
+};
+
+export const isChecksumValid = (value, checksum) => {
+  return computeChecksum(value) === checksum;
+};
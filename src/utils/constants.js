@@ -5,6 +5,7 @@ export const ENERGY_LEVELS = levels.energy;
 
 export const STRESS_LEVELS = levels.stress;
 
+// Ids of the default check-in periods; the active set is a setting (see utils/checkInPeriods)
 export const TIME_PERIODS = {
   MORNING: 'morning',
   AFTERNOON: 'afternoon',
@@ -14,3 +15,6 @@ export const TIME_PERIODS = {
 export const COMMON_ENERGY_SOURCES = commonSources.energy;
 
 export const COMMON_STRESS_SOURCES = commonSources.stress;
+
+// Persistence backend used by StorageService: 'asyncStorage', 'sqlite' or 'memory'
+export const STORAGE_BACKEND = 'asyncStorage';
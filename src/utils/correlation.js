@@ -0,0 +1,39 @@
+// Pearson correlation for comparing two daily series
+
+/**
+ * @param {Array<Array<number>>} pairs - [x, y] per day
+ * @returns {number|null} Coefficient between -1 and 1, or null when either series has no variance
+ */
+export const pearsonCorrelation = (pairs) => {
+  const n = pairs.length;
+  if (n < 2) {
+    return null;
+  }
+
+  let sumX = 0;
+  let sumY = 0;
+  let sumXX = 0;
+  let sumYY = 0;
+  let sumXY = 0;
+  pairs.forEach(([x, y]) => {
+    sumX += x;
+    sumY += y;
+    sumXX += x * x;
+    sumYY += y * y;
+    sumXY += x * y;
+  });
+
+  const denominator = Math.sqrt((n * sumXX - sumX * sumX) * (n * sumYY - sumY * sumY));
+  if (!(denominator > 0)) {
+    return null;
+  }
+  return Math.max(-1, Math.min(1, (n * sumXY - sumX * sumY) / denominator));
+};
+
+/** Same labels as the energy-stress card: above 0.7 strong, above 0.4 moderate. */
+export const correlationStrength = (correlation) => {
+  const strength = Math.abs(correlation);
+  if (strength > 0.7) return 'strong';
+  if (strength > 0.4) return 'moderate';
+  return 'weak';
+};
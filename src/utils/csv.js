@@ -0,0 +1,174 @@
+// RFC 4180 CSV reading and writing
+// The parser is a small state machine fed in chunks, so quoted fields may contain
+// delimiters, quotes and line breaks, and rows are handed out as soon as they end.
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const BOM = '\uFEFF';
+const CHUNK_SIZE = 64 * 1024;
+const SNIFF_LENGTH = 8 * 1024;
+
+/**
+ * Create an incremental CSV parser
+ * @param {Object} options - { delimiter, onRow }
+ *   onRow receives { values, line, error } where `line` is the 1-based line the row
+ *   starts on and `error` is 'unclosed_quote' when the file ended inside a quoted field
+ * @returns {Object} { push(chunk), end() }
+ */
+export const createCSVParser = ({ delimiter = ',', onRow }) => {
+  let values = [];
+  let field = '';
+  let fieldQuoted = false;
+  let inQuotes = false;
+  let quotePending = false; // a quote inside a quoted field: either "" or the closing quote
+  let skipLineFeed = false; // the previous character was a CR
+  let atStart = true;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+    fieldQuoted = false;
+  };
+
+  const endRow = (error = null) => {
+    endField();
+    // Blank lines are not rows
+    const blank = values.length === 1 && values[0] === '' && !error;
+    if (!blank) {
+      onRow({ values, line: rowLine, error });
+    }
+    values = [];
+  };
+
+  const handleChar = (char) => {
+    if (skipLineFeed) {
+      skipLineFeed = false;
+      if (char === '\n') {
+        return;
+      }
+    }
+
+    if (quotePending) {
+      quotePending = false;
+      if (char === '"') {
+        field += '"';
+        return;
+      }
+      inQuotes = false;
+    }
+
+    if (inQuotes) {
+      if (char === '"') {
+        quotePending = true;
+      } else if (char === '\r' || char === '\n') {
+        // Line breaks inside notes are kept, normalised to \n
+        field += '\n';
+        line++;
+        skipLineFeed = char === '\r';
+      } else {
+        field += char;
+      }
+      return;
+    }
+
+    if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+      skipLineFeed = char === '\r';
+    } else if (char === '"' && field === '' && !fieldQuoted) {
+      inQuotes = true;
+      fieldQuoted = true;
+    } else {
+      // Stray quotes in unquoted fields are kept as text, as spreadsheets do
+      field += char;
+    }
+  };
+
+  return {
+    push(chunk) {
+      let text = chunk;
+      if (atStart && text.length > 0) {
+        atStart = false;
+        if (text[0] === BOM) {
+          text = text.slice(1);
+        }
+      }
+      for (let i = 0; i < text.length; i++) {
+        handleChar(text[i]);
+      }
+    },
+
+    end() {
+      if (quotePending) {
+        quotePending = false;
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        endRow('unclosed_quote');
+      } else if (values.length > 0 || field !== '' || fieldQuoted) {
+        endRow();
+      }
+    },
+  };
+};
+
+/**
+ * Parse a whole CSV string, feeding it to the parser in chunks
+ * @param {Function} onRow - Called for every row; without it the rows are returned
+ */
+export const parseCSV = (text, { delimiter = ',', onRow = null } = {}) => {
+  const rows = [];
+  const parser = createCSVParser({ delimiter, onRow: onRow || (row => rows.push(row)) });
+
+  for (let offset = 0; offset < text.length; offset += CHUNK_SIZE) {
+    parser.push(text.slice(offset, offset + CHUNK_SIZE));
+  }
+  parser.end();
+
+  return rows;
+};
+
+/**
+ * Guess the delimiter from the start of the file
+ * The candidate that splits the first rows into the most consistent number of columns wins.
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, SNIFF_LENGTH);
+  let best = { delimiter: ',', score: 0 };
+
+  CSV_DELIMITERS.forEach(delimiter => {
+    const rows = parseCSV(sample, { delimiter });
+    // The last row may have been cut off by the sample
+    if (sample.length < text.length) {
+      rows.pop();
+    }
+    const columns = rows[0]?.values.length || 0;
+    if (columns < 2) {
+      return;
+    }
+
+    const consistent = rows.slice(0, 20).filter(row => row.values.length === columns).length;
+    const score = consistent * 100 + columns;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+/** Quote a cell when it contains the delimiter, a quote or a line break. */
+export const formatCSVCell = (value, delimiter = ',') => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text);
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCSVRow = (values, delimiter = ',') => {
+  return values.map(value => formatCSVCell(value, delimiter)).join(delimiter);
+};
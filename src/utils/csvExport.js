@@ -0,0 +1,260 @@
+// Configurable CSV export
+// "wide" is one row per day (the classic export), "long" one row per check-in for
+// R/pandas, and "weekly"/"monthly" the same averages the analytics charts show.
+
+import { formatCSVRow } from './csv';
+import { filterByTimePeriod, aggregateWeekly, aggregateMonthly } from './aggregation';
+import { getPeriodIds, getPeriodName } from './checkInPeriods';
+import { METRIC_TYPES, getMetricValue, isPerPeriodMetric } from './customMetrics';
+
+export const CSV_EXPORT_LAYOUTS = {
+  WIDE: 'wide',
+  LONG: 'long',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+export const CSV_EXPORT_COLUMNS = {
+  LEVELS: 'levels',
+  DAILY_AVERAGES: 'dailyAverages',
+  SOURCES: 'sources',
+  NOTES: 'notes',
+  QUICK_ENTRY_META: 'quickEntryMeta',
+  TIMESTAMPS: 'timestamps',
+  CUSTOM_METRICS: 'customMetrics',
+};
+
+// Spreadsheet conventions: European Excel expects semicolons, decimal commas and a BOM
+export const CSV_DIALECTS = {
+  standard: { delimiter: ',', decimal: '.', bom: false },
+  excelEurope: { delimiter: ';', decimal: ',', bom: true },
+  tab: { delimiter: '\t', decimal: '.', bom: false },
+};
+
+export const DEFAULT_CSV_EXPORT_OPTIONS = {
+  startDate: null,
+  endDate: null,
+  layout: CSV_EXPORT_LAYOUTS.WIDE,
+  columns: [CSV_EXPORT_COLUMNS.LEVELS, CSV_EXPORT_COLUMNS.CUSTOM_METRICS, CSV_EXPORT_COLUMNS.SOURCES, CSV_EXPORT_COLUMNS.NOTES],
+  dialect: 'standard',
+};
+
+const formatNumber = (value, decimal) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Number.isInteger(value) ? String(value) : value.toFixed(2);
+  return decimal === '.' ? text : text.replace('.', decimal);
+};
+
+// 'energy', 'stress', 'both' or '' for a period filled in with quick entry
+const quickEntryValue = (meta) => {
+  if (!meta?.isQuick) {
+    return '';
+  }
+  if (meta.energy && meta.stress) {
+    return 'both';
+  }
+  return meta.energy ? 'energy' : meta.stress ? 'stress' : '';
+};
+
+// Custom metrics: durations in minutes, yes/no as "yes" and "no"
+const formatMetric = (value, decimal) => {
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return formatNumber(value, decimal);
+};
+
+const metricHeader = (metric) => {
+  const unit = metric.type === METRIC_TYPES.DURATION ? 'min' : metric.unit;
+  return unit ? `${metric.name} (${unit})` : metric.name;
+};
+
+// snake_case column name for the long layout, e.g. caffeine_cups
+const metricColumn = (metric) => {
+  const unit = metric.type === METRIC_TYPES.DURATION ? 'min' : metric.unit;
+  return [metric.id, unit].filter(Boolean).join('_').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+};
+
+const dayAverage = (levels) => filterByTimePeriod([{ energyLevels: levels }], 'all')[0].energy;
+
+/** Entries within the optional inclusive date range, oldest first. */
+export const filterEntriesByRange = (entries, startDate = null, endDate = null) => {
+  return entries
+    .filter(entry => (!startDate || entry.date >= startDate) && (!endDate || entry.date <= endDate))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const wideTable = (entries, columns, decimal, metrics) => {
+  const periods = getPeriodIds();
+  const has = (column) => columns.includes(column);
+  const header = ['Date'];
+  if (has(CSV_EXPORT_COLUMNS.LEVELS)) {
+    header.push(
+      ...periods.map(period => `${getPeriodName(period)} Energy`),
+      ...periods.map(period => `${getPeriodName(period)} Stress`)
+    );
+  }
+  // One column per day metric, one per check-in for per-period metrics
+  const metricColumns = has(CSV_EXPORT_COLUMNS.CUSTOM_METRICS)
+    ? metrics.flatMap(metric => (isPerPeriodMetric(metric)
+      ? periods.map(period => ({ metric, period, label: `${getPeriodName(period)} ${metricHeader(metric)}` }))
+      : [{ metric, period: null, label: metricHeader(metric) }]))
+    : [];
+  header.push(...metricColumns.map(column => column.label));
+  if (has(CSV_EXPORT_COLUMNS.DAILY_AVERAGES)) {
+    header.push('Average Energy', 'Average Stress');
+  }
+  if (has(CSV_EXPORT_COLUMNS.SOURCES)) {
+    header.push('Energy Sources', 'Stress Sources');
+  }
+  if (has(CSV_EXPORT_COLUMNS.NOTES)) {
+    header.push('Notes');
+  }
+  if (has(CSV_EXPORT_COLUMNS.QUICK_ENTRY_META)) {
+    header.push(...periods.map(period => `${getPeriodName(period)} Quick Entry`));
+  }
+  if (has(CSV_EXPORT_COLUMNS.TIMESTAMPS)) {
+    header.push('Created At', 'Updated At');
+  }
+
+  const rows = entries.map(entry => {
+    const row = [entry.date];
+    if (has(CSV_EXPORT_COLUMNS.LEVELS)) {
+      row.push(
+        ...periods.map(period => formatNumber(entry.energyLevels?.[period], decimal)),
+        ...periods.map(period => formatNumber(entry.stressLevels?.[period], decimal))
+      );
+    }
+    row.push(...metricColumns.map(({ metric, period }) => formatMetric(getMetricValue(entry, metric, period), decimal)));
+    if (has(CSV_EXPORT_COLUMNS.DAILY_AVERAGES)) {
+      row.push(formatNumber(dayAverage(entry.energyLevels), decimal), formatNumber(dayAverage(entry.stressLevels), decimal));
+    }
+    if (has(CSV_EXPORT_COLUMNS.SOURCES)) {
+      row.push(entry.energySources ?? '', entry.stressSources ?? '');
+    }
+    if (has(CSV_EXPORT_COLUMNS.NOTES)) {
+      row.push(entry.notes ?? '');
+    }
+    if (has(CSV_EXPORT_COLUMNS.QUICK_ENTRY_META)) {
+      row.push(...periods.map(period => quickEntryValue(entry.quickEntryMeta?.[period])));
+    }
+    if (has(CSV_EXPORT_COLUMNS.TIMESTAMPS)) {
+      row.push(entry.createdAt ?? '', entry.updatedAt ?? '');
+    }
+    return row;
+  });
+
+  return [header, ...rows];
+};
+
+// Tidy format: snake_case headers, one row per check-in that has a value.
+// Per-day metrics repeat on every row of their day, like the daily averages.
+const longTable = (entries, columns, decimal, metrics) => {
+  const periods = getPeriodIds();
+  const has = (column) => columns.includes(column);
+  const header = ['date', 'period', 'energy', 'stress'];
+  const metricList = has(CSV_EXPORT_COLUMNS.CUSTOM_METRICS) ? metrics : [];
+  header.push(...metricList.map(metricColumn));
+  if (has(CSV_EXPORT_COLUMNS.DAILY_AVERAGES)) {
+    header.push('day_average_energy', 'day_average_stress');
+  }
+  if (has(CSV_EXPORT_COLUMNS.SOURCES)) {
+    header.push('energy_sources', 'stress_sources');
+  }
+  if (has(CSV_EXPORT_COLUMNS.NOTES)) {
+    header.push('notes');
+  }
+  if (has(CSV_EXPORT_COLUMNS.QUICK_ENTRY_META)) {
+    header.push('quick_entry');
+  }
+  if (has(CSV_EXPORT_COLUMNS.TIMESTAMPS)) {
+    header.push('created_at', 'updated_at');
+  }
+
+  const rows = [];
+  entries.forEach(entry => {
+    periods.forEach(period => {
+      const energy = entry.energyLevels?.[period] ?? null;
+      const stress = entry.stressLevels?.[period] ?? null;
+      const metricValues = metricList.map(metric => getMetricValue(entry, metric, isPerPeriodMetric(metric) ? period : null));
+      const hasPeriodMetric = metricList.some((metric, index) => isPerPeriodMetric(metric) && metricValues[index] !== null);
+      if (energy === null && stress === null && !hasPeriodMetric) {
+        return;
+      }
+
+      const row = [entry.date, period, formatNumber(energy, decimal), formatNumber(stress, decimal)];
+      row.push(...metricValues.map(value => formatMetric(value, decimal)));
+      if (has(CSV_EXPORT_COLUMNS.DAILY_AVERAGES)) {
+        row.push(formatNumber(dayAverage(entry.energyLevels), decimal), formatNumber(dayAverage(entry.stressLevels), decimal));
+      }
+      if (has(CSV_EXPORT_COLUMNS.SOURCES)) {
+        row.push(entry.energySources ?? '', entry.stressSources ?? '');
+      }
+      if (has(CSV_EXPORT_COLUMNS.NOTES)) {
+        row.push(entry.notes ?? '');
+      }
+      if (has(CSV_EXPORT_COLUMNS.QUICK_ENTRY_META)) {
+        row.push(quickEntryValue(entry.quickEntryMeta?.[period]));
+      }
+      if (has(CSV_EXPORT_COLUMNS.TIMESTAMPS)) {
+        row.push(entry.createdAt ?? '', entry.updatedAt ?? '');
+      }
+      rows.push(row);
+    });
+  });
+
+  return [header, ...rows];
+};
+
+const aggregatedTable = (entries, layout, decimal) => {
+  const daily = filterByTimePeriod(entries, 'all');
+  const groups = layout === CSV_EXPORT_LAYOUTS.WEEKLY ? aggregateWeekly(daily) : aggregateMonthly(daily);
+  const header = [layout === CSV_EXPORT_LAYOUTS.WEEKLY ? 'Week Start' : 'Month', 'Average Energy', 'Average Stress', 'Days Logged'];
+
+  const rows = groups.map(group => [
+    layout === CSV_EXPORT_LAYOUTS.WEEKLY ? group.date : group.date.slice(0, 7),
+    formatNumber(group.energy, decimal),
+    formatNumber(group.stress, decimal),
+    group.entriesCount,
+  ]);
+
+  return [header, ...rows];
+};
+
+/**
+ * Build a CSV export
+ * @param {Array} entries
+ * @param {Object} options - See DEFAULT_CSV_EXPORT_OPTIONS; dates are inclusive YYYY-MM-DD.
+ *   `metrics` are the custom metric definitions to write columns for.
+ * @returns {string} File content
+ */
+export const buildCSVExport = (entries, options = {}) => {
+  const { startDate, endDate, layout, columns, dialect, metrics = [] } = { ...DEFAULT_CSV_EXPORT_OPTIONS, ...options };
+  const { delimiter, decimal, bom } = CSV_DIALECTS[dialect] || CSV_DIALECTS.standard;
+
+  const selected = filterEntriesByRange(entries, startDate, endDate);
+  if (selected.length === 0) {
+    throw new Error('No entries in the selected date range');
+  }
+
+  let table;
+  switch (layout) {
+    case CSV_EXPORT_LAYOUTS.LONG:
+      table = longTable(selected, columns, decimal, metrics);
+      break;
+    case CSV_EXPORT_LAYOUTS.WEEKLY:
+    case CSV_EXPORT_LAYOUTS.MONTHLY:
+      table = aggregatedTable(selected, layout, decimal);
+      break;
+    case CSV_EXPORT_LAYOUTS.WIDE:
+      table = wideTable(selected, columns, decimal, metrics);
+      break;
+    default:
+      throw new Error(`Unsupported CSV layout: ${layout}`);
+  }
+
+  const content = table.map(row => formatCSVRow(row, delimiter)).join('\n');
+  return bom ? `\uFEFF${content}` : content;
+};
@@ -0,0 +1,308 @@
+// Turning CSV rows into entries
+// Columns are matched by header name ("Morning Energy", "Energy AM", "stress_evening", ...)
+// against the configured check-in periods, and every row that can't be imported is reported with its line number and the reason.
+
+import { parseCSV, detectDelimiter } from './csv';
+import { setFieldValue } from './entryDiff';
+import { getActivePeriods, getPeriodIds } from './checkInPeriods';
+import { TIME_PERIODS } from './constants';
+
+export const CSV_REJECT_REASONS = {
+  UNCLOSED_QUOTE: 'unclosed_quote',
+  MISSING_DATE: 'missing_date',
+  INVALID_DATE: 'invalid_date',
+  AMBIGUOUS_DATE: 'ambiguous_date',
+  INVALID_LEVEL: 'invalid_level',
+  DUPLICATE_DATE: 'duplicate_date',
+  EMPTY_ROW: 'empty_row',
+  // Used by the adapters for other apps' exports
+  UNKNOWN_MOOD: 'unknown_mood',
+  INVALID_VALUE: 'invalid_value',
+};
+
+// Column order of our own CSV export for the configured periods, used for files without a header row
+export const getDefaultCSVColumns = () => {
+  const periods = getPeriodIds();
+  return [
+    'date',
+    ...periods.map(period => `energyLevels.${period}`),
+    ...periods.map(period => `stressLevels.${period}`),
+    'energySources', 'stressSources', 'notes',
+  ];
+};
+
+// Other names for the default periods, tried when no configured period matches
+const PERIOD_ALIASES = {
+  [TIME_PERIODS.MORNING]: ['morning', 'am', 'morgen', 'matin'],
+  [TIME_PERIODS.AFTERNOON]: ['afternoon', 'midday', 'noon', 'pm', 'mittag'],
+  [TIME_PERIODS.EVENING]: ['evening', 'night', 'eve', 'abend', 'soir'],
+};
+const ENERGY_WORDS = ['energy', 'energie', 'energia'];
+const STRESS_WORDS = ['stress'];
+const SOURCE_WORDS = ['source', 'sources', 'trigger', 'triggers', 'cause', 'causes'];
+const NOTE_WORDS = ['note', 'notes', 'comment', 'comments', 'journal'];
+const DATE_WORDS = ['date', 'datum', 'fecha', 'day'];
+
+// "Energy AM", "energy_am", "energyMorning" -> ['energy', 'am'] / ['energy', 'morning']
+const headerWords = (header) => {
+  return String(header)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+const hasAny = (words, candidates) => words.some(word => candidates.includes(word));
+
+// The configured period whose name or id appears in the header. Longer names are tried
+// first, so "Late Night Energy" goes to "Late Night" rather than "Night".
+const matchPeriod = (words) => {
+  const candidates = getActivePeriods()
+    .flatMap(period => [period.name, period.id].map(name => ({ id: period.id, words: headerWords(name) })))
+    .filter(candidate => candidate.words.length > 0)
+    .sort((a, b) => b.words.length - a.words.length);
+  const match = candidates.find(candidate => candidate.words.every(word => words.includes(word)));
+  if (match) {
+    return match.id;
+  }
+  return Object.keys(PERIOD_ALIASES).find(key => hasAny(words, PERIOD_ALIASES[key])) || null;
+};
+
+/**
+ * Match a header cell to an entry field path
+ * @returns {string|null} e.g. 'date', 'energyLevels.morning', 'notes'
+ */
+export const matchCSVColumn = (header) => {
+  const words = headerWords(header);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const metric = hasAny(words, ENERGY_WORDS) ? 'energy' : hasAny(words, STRESS_WORDS) ? 'stress' : null;
+
+  if (hasAny(words, NOTE_WORDS)) {
+    return 'notes';
+  }
+  if (metric && hasAny(words, SOURCE_WORDS)) {
+    return `${metric}Sources`;
+  }
+  if (metric) {
+    const period = matchPeriod(words);
+    return period ? `${metric}Levels.${period}` : null;
+  }
+  if (hasAny(words, DATE_WORDS)) {
+    return 'date';
+  }
+  return null;
+};
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const toDateString = (year, month, day) => {
+  if (!isValidDate(year, month, day)) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Read the date formats spreadsheets commonly produce
+ * 2024-03-05, 2024/3/5, ISO timestamps, 05.03.2024 (day first) and 05/03/2024 or 03/05/2024.
+ * Slash dates with both parts ≤ 12 depend on the file's convention: `dayFirst` decides them,
+ * and without it they come back as { ambiguous: true }.
+ * @returns {Object} { date } or { ambiguous: true } or {}
+ */
+export const parseCSVDate = (value, dayFirst = null) => {
+  const text = String(value).trim();
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (match) {
+    return { date: toDateString(Number(match[1]), Number(match[2]), Number(match[3])) };
+  }
+
+  match = text.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4})(?:\s.*)?$/);
+  if (!match) {
+    return {};
+  }
+
+  const first = Number(match[1]);
+  const second = Number(match[3]);
+  const year = Number(match[4]);
+
+  if (match[2] === '.') {
+    return { date: toDateString(year, second, first) };
+  }
+  if (first > 12 || second > 12) {
+    return first > 12
+      ? { date: toDateString(year, second, first), dayFirst: true }
+      : { date: toDateString(year, first, second), dayFirst: false };
+  }
+  if (dayFirst === null) {
+    return { ambiguous: true };
+  }
+  return dayFirst
+    ? { date: toDateString(year, second, first) }
+    : { date: toDateString(year, first, second) };
+};
+
+// Whole numbers 1-10; "7", "7.0" and "7,0" are all fine
+const parseLevel = (value) => {
+  const number = Number(value.replace(',', '.'));
+  return Number.isInteger(number) && number >= 1 && number <= 10 ? number : null;
+};
+
+const emptyLevels = () => Object.fromEntries(getPeriodIds().map(period => [period, null]));
+
+const emptyEntry = (date) => ({
+  date,
+  energyLevels: emptyLevels(),
+  stressLevels: emptyLevels(),
+  energySources: '',
+  stressSources: '',
+  notes: '',
+});
+
+const mapHeader = (values) => {
+  const columns = values.map(value => matchCSVColumn(value));
+  // Only the first column for each field is used
+  return columns.map((field, index) => (field && columns.indexOf(field) === index ? field : null));
+};
+
+/**
+ * Parse a CSV export into entries
+ * @param {string} fileContent
+ * @param {Object} options - { delimiter } to skip detection; { columns } as field paths by
+ *   column index to skip header matching (the first row is then treated as data)
+ * @returns {Object} { entries, rejectedRows: [{ line, reason, field, value }], delimiter,
+ *   hasHeader, columns, rowCount }
+ */
+export const parseCSVEntries = (fileContent, options = {}) => {
+  const delimiter = options.delimiter || detectDelimiter(fileContent);
+  let columns = options.columns || null;
+  let hasHeader = false;
+  let rowCount = 0;
+
+  const entries = [];
+  const rejectedRows = [];
+  const linesByDate = {};
+  const ambiguousRows = [];
+  let dayFirst = null;
+
+  const reject = (line, reason, details = {}) => {
+    rejectedRows.push({ line, reason, field: details.field || null, value: details.value ?? null });
+  };
+
+  const buildEntry = (row, date) => {
+    if (linesByDate[date]) {
+      reject(row.line, CSV_REJECT_REASONS.DUPLICATE_DATE, { value: String(linesByDate[date]) });
+      return;
+    }
+
+    let entry = emptyEntry(date);
+    let hasData = false;
+
+    for (let index = 0; index < columns.length; index++) {
+      const field = columns[index];
+      const value = (row.values[index] ?? '').trim();
+      if (!field || field === 'date' || value === '') {
+        continue;
+      }
+
+      if (field.includes('.')) {
+        const level = parseLevel(value);
+        if (level === null) {
+          reject(row.line, CSV_REJECT_REASONS.INVALID_LEVEL, { field, value });
+          return;
+        }
+        entry = setFieldValue(entry, field, level);
+      } else {
+        entry = setFieldValue(entry, field, value);
+      }
+      hasData = true;
+    }
+
+    if (!hasData) {
+      reject(row.line, CSV_REJECT_REASONS.EMPTY_ROW);
+      return;
+    }
+
+    linesByDate[date] = row.line;
+    entries.push(entry);
+  };
+
+  const handleRow = (row) => {
+    rowCount++;
+
+    if (!columns) {
+      const headerColumns = mapHeader(row.values);
+      if (headerColumns.includes('date')) {
+        columns = headerColumns;
+        hasHeader = true;
+        rowCount--;
+        return;
+      }
+      // No recognisable header: assume the column order of our own export
+      const firstCell = parseCSVDate(row.values[0] ?? '');
+      if (!firstCell.date && !firstCell.ambiguous) {
+        throw new Error('No date column found in the CSV header');
+      }
+      columns = getDefaultCSVColumns();
+    }
+
+    if (row.error) {
+      reject(row.line, CSV_REJECT_REASONS.UNCLOSED_QUOTE);
+      return;
+    }
+
+    const dateIndex = columns.indexOf('date');
+    const rawDate = (row.values[dateIndex] ?? '').trim();
+    if (!rawDate) {
+      reject(row.line, CSV_REJECT_REASONS.MISSING_DATE);
+      return;
+    }
+
+    const parsed = parseCSVDate(rawDate, dayFirst);
+    if (parsed.dayFirst !== undefined && dayFirst === null) {
+      dayFirst = parsed.dayFirst;
+    }
+    if (parsed.ambiguous) {
+      // Decided once the rest of the file shows which way round its dates are
+      ambiguousRows.push({ row, rawDate });
+      return;
+    }
+    if (!parsed.date) {
+      reject(row.line, CSV_REJECT_REASONS.INVALID_DATE, { value: rawDate });
+      return;
+    }
+
+    buildEntry(row, parsed.date);
+  };
+
+  parseCSV(fileContent, { delimiter, onRow: handleRow });
+
+  ambiguousRows.forEach(({ row, rawDate }) => {
+    const parsed = parseCSVDate(rawDate, dayFirst);
+    if (parsed.date) {
+      buildEntry(row, parsed.date);
+    } else {
+      reject(row.line, parsed.ambiguous ? CSV_REJECT_REASONS.AMBIGUOUS_DATE : CSV_REJECT_REASONS.INVALID_DATE, {
+        value: rawDate,
+      });
+    }
+  });
+
+  entries.sort((a, b) => a.date.localeCompare(b.date));
+  rejectedRows.sort((a, b) => a.line - b.line);
+
+  return {
+    entries,
+    rejectedRows,
+    delimiter,
+    hasHeader,
+    columns: columns || [],
+    rowCount,
+  };
+};
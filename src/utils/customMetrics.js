@@ -0,0 +1,210 @@
+// User-defined metrics tracked next to energy and stress
+// Definitions are a setting; values live on each entry under `metrics`, keyed by metric id:
+// { focus: { morning: 7, afternoon: 5, evening: null }, caffeine: 3 } - per-period metrics
+// hold a value per check-in, per-day metrics a single value.
+
+import { entry as entryTexts } from '../config/texts';
+import { getPeriodIds } from './checkInPeriods';
+
+export const METRIC_TYPES = {
+  SCALE: 'scale',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DURATION: 'duration',
+};
+
+export const METRIC_FREQUENCIES = {
+  PERIOD: 'period',
+  DAY: 'day',
+};
+
+export const MAX_CUSTOM_METRICS = 10;
+export const MAX_METRIC_NAME_LENGTH = 24;
+
+// Scales are picked from chips, so they stay short enough to fit a row
+export const MAX_SCALE_STEPS = 10;
+
+const TYPE_DEFAULTS = {
+  [METRIC_TYPES.SCALE]: { min: 1, max: 10, unit: '' },
+  [METRIC_TYPES.NUMBER]: { min: 0, max: null, unit: '' },
+  [METRIC_TYPES.BOOLEAN]: { min: null, max: null, unit: '' },
+  [METRIC_TYPES.DURATION]: { min: 0, max: null, unit: '' },
+};
+
+/** Starting points offered when adding a metric; names come from texts. */
+export const METRIC_PRESETS = [
+  { key: 'focus', type: METRIC_TYPES.SCALE, min: 1, max: 10, unit: '', frequency: METRIC_FREQUENCIES.PERIOD },
+  { key: 'mood', type: METRIC_TYPES.SCALE, min: 1, max: 10, unit: '', frequency: METRIC_FREQUENCIES.PERIOD },
+  { key: 'sleepHours', type: METRIC_TYPES.NUMBER, min: 0, max: 24, unit: 'h', frequency: METRIC_FREQUENCIES.DAY },
+  { key: 'caffeine', type: METRIC_TYPES.NUMBER, min: 0, max: 20, unit: 'cups', frequency: METRIC_FREQUENCIES.DAY },
+  { key: 'exercise', type: METRIC_TYPES.DURATION, min: 0, max: 600, unit: '', frequency: METRIC_FREQUENCIES.DAY },
+];
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/** Metric ids are derived from the name once and never change, so renaming keeps the data. */
+export const createMetricId = (name, existingIds = []) => {
+  const base = name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'metric';
+  let id = base;
+  for (let suffix = 2; existingIds.includes(id); suffix++) {
+    id = `${base}_${suffix}`;
+  }
+  return id;
+};
+
+/** A definition with type defaults filled in and numeric fields coerced. */
+export const normalizeMetric = (metric) => {
+  const type = Object.values(METRIC_TYPES).includes(metric.type) ? metric.type : METRIC_TYPES.NUMBER;
+  const defaults = TYPE_DEFAULTS[type];
+  const frequency = metric.frequency === METRIC_FREQUENCIES.PERIOD ? METRIC_FREQUENCIES.PERIOD : METRIC_FREQUENCIES.DAY;
+  const min = toNumberOrNull(metric.min);
+  const max = toNumberOrNull(metric.max);
+
+  return {
+    id: metric.id,
+    name: String(metric.name || '').trim(),
+    type,
+    min: type === METRIC_TYPES.BOOLEAN ? null : (min ?? defaults.min),
+    max: type === METRIC_TYPES.BOOLEAN ? null : (max ?? defaults.max),
+    unit: type === METRIC_TYPES.NUMBER ? String(metric.unit || '').trim() : defaults.unit,
+    frequency,
+  };
+};
+
+/**
+ * Check a definition before saving it
+ * @param {Object} metric - Normalized definition
+ * @param {Array} others - The other saved definitions
+ * @returns {string|null} Error key (see texts profile.customMetrics.errors), or null when valid
+ */
+export const validateMetric = (metric, others = []) => {
+  if (!metric.name) {
+    return 'nameRequired';
+  }
+  if (metric.name.length > MAX_METRIC_NAME_LENGTH) {
+    return 'nameTooLong';
+  }
+  const lowerName = metric.name.toLowerCase();
+  if (['energy', 'stress'].includes(lowerName) || others.some(other => other.name.toLowerCase() === lowerName)) {
+    return 'nameTaken';
+  }
+  if (metric.min !== null && metric.max !== null && metric.min >= metric.max) {
+    return 'invalidRange';
+  }
+  if (metric.type === METRIC_TYPES.SCALE) {
+    if (!Number.isInteger(metric.min) || !Number.isInteger(metric.max) || metric.max - metric.min + 1 > MAX_SCALE_STEPS) {
+      return 'invalidScale';
+    }
+  }
+  return null;
+};
+
+export const isPerPeriodMetric = (metric) => metric.frequency === METRIC_FREQUENCIES.PERIOD;
+
+/** Clamp to the metric's range; booleans are stored as true/false. */
+export const coerceMetricValue = (metric, value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (metric.type === METRIC_TYPES.BOOLEAN) {
+    return value === true || value === 'true' || value === 1;
+  }
+  let number = Number(value);
+  if (!Number.isFinite(number)) {
+    return null;
+  }
+  if (metric.min !== null) number = Math.max(metric.min, number);
+  if (metric.max !== null) number = Math.min(metric.max, number);
+  return metric.type === METRIC_TYPES.SCALE || metric.type === METRIC_TYPES.DURATION ? Math.round(number) : number;
+};
+
+/**
+ * Read typed text as a metric value. Durations accept minutes ("45") or hours and
+ * minutes ("1:30", "1h 30m").
+ * @returns {number|null|undefined} The value, null for empty text, undefined when unreadable
+ */
+export const parseMetricInput = (metric, text) => {
+  const trimmed = String(text ?? '').trim().replace(',', '.');
+  if (trimmed === '') {
+    return null;
+  }
+
+  if (metric.type === METRIC_TYPES.DURATION) {
+    const clock = trimmed.match(/^(\d+):(\d{1,2})$/);
+    if (clock) {
+      return coerceMetricValue(metric, Number(clock[1]) * 60 + Number(clock[2]));
+    }
+    const units = trimmed.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/i);
+    if (units && (units[1] || units[2])) {
+      return coerceMetricValue(metric, Number(units[1] || 0) * 60 + Number(units[2] || 0));
+    }
+  }
+
+  const number = Number(trimmed);
+  return Number.isFinite(number) ? coerceMetricValue(metric, number) : undefined;
+};
+
+/** The stored value for one check-in (per-period metrics) or the day (per-day metrics). */
+export const getMetricValue = (entry, metric, period = null) => {
+  const stored = entry?.metrics?.[metric.id];
+  const value = isPerPeriodMetric(metric) ? (period ? stored?.[period] : null) : stored;
+  return value === undefined ? null : value;
+};
+
+/**
+ * One number per day for charts and correlations: scales are averaged over the day's
+ * check-ins, numbers and durations added up, and yes/no is 1 when any check-in said yes
+ * @returns {number|null}
+ */
+export const getDailyMetricValue = (entry, metric) => {
+  const values = isPerPeriodMetric(metric)
+    ? getPeriodIds().map(period => getMetricValue(entry, metric, period)).filter(value => value !== null)
+    : [getMetricValue(entry, metric)].filter(value => value !== null);
+
+  if (values.length === 0) {
+    return null;
+  }
+  if (metric.type === METRIC_TYPES.BOOLEAN) {
+    return values.some(Boolean) ? 1 : 0;
+  }
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return metric.type === METRIC_TYPES.SCALE ? total / values.length : total;
+};
+
+/** Whether an entry has any custom metric value. */
+export const hasMetricValues = (entry) => Object.values(entry?.metrics || {}).some(value => (
+  value !== null && typeof value === 'object'
+    ? Object.values(value).some(periodValue => periodValue !== null && periodValue !== undefined)
+    : value !== null && value !== undefined
+));
+
+/** Short display form, e.g. "7", "3 cups", "1h 30m", "Yes". */
+export const formatMetricValue = (metric, value, decimals = 1) => {
+  if (value === null || value === undefined) {
+    return '–';
+  }
+  switch (metric.type) {
+    case METRIC_TYPES.BOOLEAN:
+      return value ? entryTexts.metrics.yes : entryTexts.metrics.no;
+    case METRIC_TYPES.DURATION: {
+      const minutes = Math.round(value);
+      const hours = Math.floor(minutes / 60);
+      if (hours === 0) return `${minutes}m`;
+      return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+    }
+    default: {
+      const text = Number.isInteger(value) ? String(value) : value.toFixed(decimals);
+      return metric.unit ? `${text} ${metric.unit}` : text;
+    }
+  }
+};
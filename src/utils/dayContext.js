@@ -0,0 +1,109 @@
+// Context imported from other apps, stored per day next to the entries
+// Stored as { date: { source: { metric: value } } }, so each import only replaces its
+// own part of a day.
+
+import { analytics } from '../config/texts';
+
+export const DAY_CONTEXT_SOURCES = {
+  APPLE_HEALTH: 'appleHealth',
+  OURA: 'oura',
+  GARMIN: 'garmin',
+  FITBIT: 'fitbit',
+  CALENDAR: 'calendar',
+};
+
+const { APPLE_HEALTH, OURA, GARMIN, FITBIT } = DAY_CONTEXT_SOURCES;
+const WEARABLES = [OURA, GARMIN, FITBIT];
+
+const formatHours = (minutes) => `${(minutes / 60).toFixed(1)} h`;
+const formatScore = (value) => `${Math.round(value)}`;
+
+/**
+ * Metrics that can be compared with energy and stress
+ * `sources` are tried in order, so a day with both Apple Health and Oura sleep uses the
+ * Apple Health value. `format` turns a stored value into a short display string.
+ */
+export const CONTEXT_METRICS = [
+  {
+    id: 'sleepMinutes',
+    key: 'sleepMinutes',
+    sources: [APPLE_HEALTH, ...WEARABLES],
+    label: analytics.contextMetrics.sleep,
+    format: formatHours,
+  },
+  {
+    id: 'steps',
+    key: 'steps',
+    sources: [APPLE_HEALTH, OURA],
+    label: analytics.contextMetrics.steps,
+    format: (value) => Math.round(value).toLocaleString('en-US'),
+  },
+  {
+    id: 'restingHeartRate',
+    key: 'restingHeartRate',
+    sources: [APPLE_HEALTH, ...WEARABLES],
+    label: analytics.contextMetrics.restingHeartRate,
+    format: (value) => `${Math.round(value)} bpm`,
+  },
+  {
+    // Apple Health stores SDNN, the wearables RMSSD; the two aren't comparable
+    id: 'hrv',
+    key: 'hrv',
+    sources: [APPLE_HEALTH],
+    label: analytics.contextMetrics.hrv,
+    format: (value) => `${Math.round(value)} ms`,
+  },
+  {
+    id: 'wearableHrv',
+    key: 'hrv',
+    sources: WEARABLES,
+    label: analytics.contextMetrics.wearableHrv,
+    format: (value) => `${Math.round(value)} ms`,
+  },
+  {
+    id: 'readiness',
+    key: 'readiness',
+    sources: WEARABLES,
+    label: analytics.contextMetrics.readiness,
+    format: formatScore,
+  },
+  {
+    id: 'sleepScore',
+    key: 'sleepScore',
+    sources: WEARABLES,
+    label: analytics.contextMetrics.sleepScore,
+    format: formatScore,
+  },
+];
+
+export const getContextMetric = (id) => CONTEXT_METRICS.find(metric => metric.id === id);
+
+export const getContextValue = (context, metric) => {
+  for (const source of metric.sources) {
+    const value = context?.[source]?.[metric.key];
+    if (Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return null;
+};
+
+/** Meeting load of a day (see utils/meetingLoad), or null without calendar data. */
+export const getMeetingLoad = (context) => context?.[DAY_CONTEXT_SOURCES.CALENDAR] || null;
+
+/** First and last date and number of days that have context from `source`. */
+export const summarizeDayContext = (dayContext, source) => {
+  const dates = Object.keys(dayContext)
+    .filter(date => dayContext[date]?.[source])
+    .sort();
+  return {
+    days: dates.length,
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+  };
+};
+
+/** summarizeDayContext for every source that has data, as [{ source, days, firstDate, lastDate }] */
+export const summarizeDayContextSources = (dayContext) => Object.values(DAY_CONTEXT_SOURCES)
+  .map(source => ({ source, ...summarizeDayContext(dayContext, source) }))
+  .filter(summary => summary.days > 0);
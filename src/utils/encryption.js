@@ -0,0 +1,110 @@
+// Passphrase-encrypted export files
+// The payload is encrypted with ChaCha20-Poly1305 under a key derived from the passphrase
+// with PBKDF2-SHA256. The JSON header is authenticated too, so tampering with the KDF
+// parameters or content type is detected rather than silently producing garbage.
+
+import * as Crypto from 'expo-crypto';
+import { utf8Encode, utf8Decode, bytesToBase64, base64ToBytes } from './bytes';
+import { pbkdf2Sha256 } from './sha256';
+import { KEY_LENGTH, NONCE_LENGTH, seal, open } from './chacha20poly1305';
+
+export const ENCRYPTED_FORMAT = 'energytune-encrypted';
+export const ENCRYPTED_FORMAT_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KDF_ITERATIONS = 100000;
+const MAX_KDF_ITERATIONS = 2000000;
+const SALT_LENGTH = 16;
+
+const header = ({ version, kdf, cipher, contentType }) => JSON.stringify({
+  format: ENCRYPTED_FORMAT,
+  version,
+  kdf,
+  cipher,
+  contentType,
+});
+
+const deriveKey = (passphrase, kdf) => {
+  return pbkdf2Sha256(utf8Encode(passphrase), base64ToBytes(kdf.salt), kdf.iterations, KEY_LENGTH);
+};
+
+export const isEncryptedContent = (fileContent) => {
+  try {
+    return JSON.parse(fileContent)?.format === ENCRYPTED_FORMAT;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Encrypt an export with a passphrase
+ * @param {string} plaintext - Export file content
+ * @param {string} passphrase
+ * @param {string} contentType - Export format of the plaintext ('json' or 'backup')
+ * @returns {string} JSON file content
+ */
+export const encryptText = (plaintext, passphrase, contentType) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const kdf = {
+    name: 'PBKDF2-SHA256',
+    iterations: KDF_ITERATIONS,
+    salt: bytesToBase64(Crypto.getRandomBytes(SALT_LENGTH)),
+  };
+  const cipher = {
+    name: 'ChaCha20-Poly1305',
+    nonce: bytesToBase64(Crypto.getRandomBytes(NONCE_LENGTH)),
+  };
+
+  const key = deriveKey(passphrase, kdf);
+  const aad = utf8Encode(header({ version: ENCRYPTED_FORMAT_VERSION, kdf, cipher, contentType }));
+  const sealed = seal(key, base64ToBytes(cipher.nonce), utf8Encode(plaintext), aad);
+
+  return JSON.stringify({
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_FORMAT_VERSION,
+    kdf,
+    cipher,
+    contentType,
+    ciphertext: bytesToBase64(sealed),
+  }, null, 2);
+};
+
+/**
+ * Decrypt a file written by encryptText
+ * @returns {Object} { plaintext, contentType }
+ */
+export const decryptText = (fileContent, passphrase) => {
+  let data;
+  try {
+    data = JSON.parse(fileContent);
+  } catch (error) {
+    throw new Error('Invalid encrypted file format');
+  }
+
+  if (data?.format !== ENCRYPTED_FORMAT) {
+    throw new Error('Not an encrypted EnergyTune file');
+  }
+  if (data.version > ENCRYPTED_FORMAT_VERSION) {
+    throw new Error('This file was encrypted by a newer version of EnergyTune. Please update the app first.');
+  }
+  if (data.kdf?.name !== 'PBKDF2-SHA256' || data.cipher?.name !== 'ChaCha20-Poly1305') {
+    throw new Error('Unsupported encryption method');
+  }
+  // A hostile file could otherwise ask for an iteration count that never finishes
+  if (!Number.isInteger(data.kdf.iterations) || data.kdf.iterations < 1 || data.kdf.iterations > MAX_KDF_ITERATIONS) {
+    throw new Error('Unsupported encryption parameters');
+  }
+
+  const key = deriveKey(passphrase || '', data.kdf);
+  const aad = utf8Encode(header(data));
+  const plaintext = open(key, base64ToBytes(data.cipher.nonce), base64ToBytes(data.ciphertext), aad);
+
+  if (!plaintext) {
+    throw new Error('Incorrect passphrase or damaged file');
+  }
+
+  return { plaintext: utf8Decode(plaintext), contentType: data.contentType };
+};
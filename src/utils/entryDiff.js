@@ -0,0 +1,78 @@
+// Field-level comparison of entries
+// Fields are addressed by path: 'energyLevels.morning', 'stressSources',
+// 'metrics.focus.morning' (per-period custom metric), 'metrics.caffeine' (per-day), ...
+
+export const LEVEL_FIELDS = ['energyLevels', 'stressLevels'];
+export const TEXT_FIELDS = ['energySources', 'stressSources', 'notes'];
+
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+export const getFieldValue = (entry, path) => {
+  const value = path.split('.').reduce((current, key) => current?.[key], entry);
+  return normalizeValue(value);
+};
+
+/** Returns a copy of `entry` with the value at `path` replaced. */
+export const setFieldValue = (entry, path, value) => {
+  const [field, ...keys] = path.split('.');
+
+  if (keys.length === 0) {
+    return { ...entry, [field]: TEXT_FIELDS.includes(field) ? (value ?? '') : value };
+  }
+
+  const setNested = (container, [key, ...rest]) => ({
+    ...(container && typeof container === 'object' ? container : {}),
+    [key]: rest.length > 0 ? setNested(container?.[key], rest) : (value ?? null),
+  });
+  return { ...entry, [field]: setNested(entry[field], keys) };
+};
+
+/** All comparable field paths present in either entry. */
+export const getFieldPaths = (...entries) => {
+  const paths = [];
+
+  LEVEL_FIELDS.forEach(field => {
+    const keys = new Set();
+    entries.forEach(entry => {
+      Object.keys(entry?.[field] || {}).forEach(key => keys.add(key));
+    });
+    keys.forEach(key => paths.push(`${field}.${key}`));
+  });
+
+  // Custom metrics: one path per day value, or per check-in for per-period metrics
+  const metricPaths = new Set();
+  entries.forEach(entry => {
+    Object.entries(entry?.metrics || {}).forEach(([id, value]) => {
+      if (value !== null && typeof value === 'object') {
+        Object.keys(value).forEach(period => metricPaths.add(`metrics.${id}.${period}`));
+      } else {
+        metricPaths.add(`metrics.${id}`);
+      }
+    });
+  });
+
+  return [...paths, ...TEXT_FIELDS, ...metricPaths];
+};
+
+/**
+ * Compare two versions of an entry
+ * @returns {Array} [{ field, before, after }] for every field that differs
+ */
+export const diffEntries = (before, after) => {
+  return getFieldPaths(before, after)
+    .map(field => ({
+      field,
+      before: getFieldValue(before, field),
+      after: getFieldValue(after, field),
+    }))
+    .filter(change => change.before !== change.after);
+};
+
+/** Short display form of a field value, e.g. for history and import previews. */
+export const formatFieldValue = (value, emptyLabel, maxLength = 40) => {
+  if (value === null || value === undefined) {
+    return emptyLabel;
+  }
+  const text = String(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+};
@@ -1,56 +1,48 @@
-export const isStepComplete = (entry, stepIndex) => {
-  if (!entry) return false;
-  
-  if (stepIndex === 0) { // morning
-    return entry.energyLevels.morning !== null && entry.stressLevels.morning !== null;
-  } else if (stepIndex === 1) { // afternoon
-    return entry.energyLevels.afternoon !== null && entry.stressLevels.afternoon !== null;
-  } else if (stepIndex === 2) { // evening
-    return entry.energyLevels.evening !== null && entry.stressLevels.evening !== null;
-  } else if (stepIndex === 3) { // sources
-    return entry.energySources?.trim() && entry.stressSources?.trim();
+import { getPeriodIds } from './checkInPeriods';
+
+// Entry steps are one per check-in period, followed by the sources step
+
+const isFilled = (value) => value !== null && value !== undefined;
+
+const isPeriodComplete = (entry, period) => (
+  isFilled(entry.energyLevels?.[period]) && isFilled(entry.stressLevels?.[period])
+);
+
+const areSourcesComplete = (entry) => !!(entry.energySources?.trim() && entry.stressSources?.trim());
+
+/**
+ * @param {Array} steps - Period ids followed by 'sources' (see useStepNavigation)
+ */
+export const isStepComplete = (entry, stepIndex, steps) => {
+  if (!entry || stepIndex < 0 || stepIndex >= steps.length) return false;
+
+  if (stepIndex === steps.length - 1) { // sources
+    return areSourcesComplete(entry);
   }
-  return false;
+  return isPeriodComplete(entry, steps[stepIndex]);
 };
 
 export const canContinueFromStep = (entry, currentStep, steps) => {
-  if (currentStep < 3) {
-    // For time periods, both energy and stress must be filled
-    const period = steps[currentStep];
-    return entry && entry.energyLevels[period] !== null && entry.stressLevels[period] !== null;
-  } else {
-    // For sources, both fields must have content - return boolean not string
-    return !!(entry && entry.energySources?.trim() && entry.stressSources?.trim());
-  }
+  // For time periods, both energy and stress must be filled; for sources, both fields
+  // must have content
+  return isStepComplete(entry, currentStep, steps);
 };
 
-export const isEntryComplete = (entry) => {
+/** Every configured period and both sources filled in. */
+export const isEntryComplete = (entry, periods = getPeriodIds()) => {
   if (!entry) return false;
-  
-  // Check all three time periods
-  const morningComplete = entry.energyLevels.morning !== null && entry.stressLevels.morning !== null;
-  const afternoonComplete = entry.energyLevels.afternoon !== null && entry.stressLevels.afternoon !== null;
-  const eveningComplete = entry.energyLevels.evening !== null && entry.stressLevels.evening !== null;
-  
-  // Check sources
-  const sourcesComplete = entry.energySources?.trim() && entry.stressSources?.trim();
-  
-  return morningComplete && afternoonComplete && eveningComplete && sourcesComplete;
+
+  return periods.every(period => isPeriodComplete(entry, period)) && areSourcesComplete(entry);
 };
 
 export const hasAnyData = (entry) => {
   if (!entry) return false;
-  
-  // Check if any time period has data
-  const hasEnergyData = entry.energyLevels.morning !== null || 
-                        entry.energyLevels.afternoon !== null || 
-                        entry.energyLevels.evening !== null;
-  
-  const hasStressData = entry.stressLevels.morning !== null || 
-                        entry.stressLevels.afternoon !== null || 
-                        entry.stressLevels.evening !== null;
-  
+
+  // Check if any time period has data, including periods no longer configured
+  const hasEnergyData = Object.values(entry.energyLevels || {}).some(isFilled);
+  const hasStressData = Object.values(entry.stressLevels || {}).some(isFilled);
+
   const hasSources = entry.energySources?.trim() || entry.stressSources?.trim();
-  
+
   return hasEnergyData || hasStressData || hasSources;
 };
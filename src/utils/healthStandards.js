@@ -0,0 +1,202 @@
+// FHIR R4 and Open mHealth representations of check-ins
+// Every energy or stress value becomes one observation / data point, timed at the
+// reminder time of its period. Sources and notes travel as day-level text observations
+// so that our own importer can restore entries completely.
+
+import { utf8Encode } from './bytes';
+import { sha256 } from './sha256';
+import { getPeriodIds } from './checkInPeriods';
+
+export const HEALTH_EXPORT_FORMATS = {
+  FHIR: 'fhir',
+  OPEN_MHEALTH: 'openmhealth',
+};
+
+export const ENERGYTUNE_CODE_SYSTEM = 'https://energytune.app/fhir/CodeSystem/check-in';
+export const PERIOD_EXTENSION_URL = 'https://energytune.app/fhir/StructureDefinition/check-in-period';
+export const OMH_NAMESPACE = 'energytune';
+
+// Observation codes in our code system, by entry field
+export const OBSERVATION_CODES = {
+  energyLevels: { code: 'energy-level', display: 'Energy level (1-10)' },
+  stressLevels: { code: 'stress-level', display: 'Stress level (1-10)' },
+  energySources: { code: 'energy-sources', display: 'Energy sources' },
+  stressSources: { code: 'stress-sources', display: 'Stress sources' },
+  notes: { code: 'journal-note', display: 'Journal note' },
+};
+
+// Open mHealth schema names, by entry field
+export const OMH_SCHEMAS = {
+  energyLevels: 'energy-level',
+  stressLevels: 'stress-level',
+  journal: 'daily-journal',
+};
+
+const LEVEL_FIELDS = ['energyLevels', 'stressLevels'];
+const TEXT_FIELDS = ['energySources', 'stressSources', 'notes'];
+const SCALE = { low: 1, high: 10 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/** Local date-time with the UTC offset of that day, e.g. 2024-03-05T10:00:00+01:00 */
+export const localDateTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const [year, month, day] = date.split('-').map(Number);
+
+  // Offset at that moment, so daylight saving time is respected
+  const offset = -new Date(year, month - 1, day, hours, minutes).getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const absolute = Math.abs(offset);
+
+  return `${date}T${pad(hours)}:${pad(minutes)}:00${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * When a period's check-in happened: the configured reminder time on that day
+ * @param {Object} reminderTimes - { morning: '10:00', ... }
+ */
+export const getCheckInDateTime = (date, period, reminderTimes) => {
+  return localDateTime(date, reminderTimes[period] || '12:00');
+};
+
+// Stable name-based UUID (RFC 9562 version 8 from SHA-256), so re-exports keep their ids
+export const nameBasedUUID = (name) => {
+  const bytes = sha256(utf8Encode(name)).slice(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x80;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const observationCode = (field) => ({
+  coding: [{ system: ENERGYTUNE_CODE_SYSTEM, ...OBSERVATION_CODES[field] }],
+  text: OBSERVATION_CODES[field].display,
+});
+
+const SURVEY_CATEGORY = [{
+  coding: [{
+    system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    code: 'survey',
+    display: 'Survey',
+  }],
+}];
+
+/**
+ * FHIR R4 collection Bundle of Observations
+ * @param {Array} entries
+ * @param {Object} options - { reminderTimes, createdAt }
+ */
+export const buildFHIRBundle = (entries, { reminderTimes, createdAt = new Date().toISOString() }) => {
+  const resources = [];
+  const periods = getPeriodIds();
+
+  entries.forEach(entry => {
+    LEVEL_FIELDS.forEach(field => {
+      periods.forEach(period => {
+        const value = entry[field]?.[period];
+        if (value === null || value === undefined) {
+          return;
+        }
+
+        const quick = entry.quickEntryMeta?.[period]?.[field === 'energyLevels' ? 'energy' : 'stress'];
+        resources.push({
+          resourceType: 'Observation',
+          id: `${OBSERVATION_CODES[field].code}-${entry.date}-${period}`,
+          status: 'final',
+          category: SURVEY_CATEGORY,
+          code: observationCode(field),
+          effectiveDateTime: getCheckInDateTime(entry.date, period, reminderTimes),
+          valueInteger: value,
+          referenceRange: [{ text: `${SCALE.low} (lowest) to ${SCALE.high} (highest)` }],
+          extension: [{ url: PERIOD_EXTENSION_URL, valueCode: period }],
+          ...(quick ? { method: { text: 'Quick entry from a reminder' } } : {}),
+        });
+      });
+    });
+
+    TEXT_FIELDS.forEach(field => {
+      const text = entry[field]?.trim();
+      if (!text) {
+        return;
+      }
+      resources.push({
+        resourceType: 'Observation',
+        id: `${OBSERVATION_CODES[field].code}-${entry.date}`,
+        status: 'final',
+        category: SURVEY_CATEGORY,
+        code: observationCode(field),
+        effectiveDateTime: entry.date,
+        valueString: text,
+      });
+    });
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: createdAt,
+    meta: { source: 'EnergyTune' },
+    total: resources.length,
+    entry: resources.map(resource => ({ resource })),
+  };
+};
+
+const omhHeader = (schemaName, id, createdAt) => ({
+  id: nameBasedUUID(`energytune:${id}`),
+  creation_date_time: createdAt,
+  schema_id: { namespace: OMH_NAMESPACE, name: schemaName, version: '1.0' },
+  acquisition_provenance: { source_name: 'EnergyTune', modality: 'self-reported' },
+});
+
+/**
+ * Open mHealth data points (an array), one per check-in value plus a journal point per day
+ * @param {Object} options - { reminderTimes, createdAt }
+ */
+export const buildOpenMHealthDataPoints = (entries, { reminderTimes, createdAt = new Date().toISOString() }) => {
+  const dataPoints = [];
+  const periods = getPeriodIds();
+
+  entries.forEach(entry => {
+    LEVEL_FIELDS.forEach(field => {
+      periods.forEach(period => {
+        const value = entry[field]?.[period];
+        if (value === null || value === undefined) {
+          return;
+        }
+        dataPoints.push({
+          header: omhHeader(OMH_SCHEMAS[field], `${field}/${entry.date}/${period}`, createdAt),
+          body: {
+            effective_time_frame: { date_time: getCheckInDateTime(entry.date, period, reminderTimes) },
+            check_in_period: period,
+            level: { value, unit: 'score', scale_minimum: SCALE.low, scale_maximum: SCALE.high },
+          },
+        });
+      });
+    });
+
+    const journal = {};
+    TEXT_FIELDS.forEach(field => {
+      if (entry[field]?.trim()) {
+        journal[field] = entry[field].trim();
+      }
+    });
+    if (Object.keys(journal).length > 0) {
+      dataPoints.push({
+        header: omhHeader(OMH_SCHEMAS.journal, `journal/${entry.date}`, createdAt),
+        body: {
+          effective_time_frame: {
+            time_interval: {
+              start_date_time: localDateTime(entry.date, '00:00'),
+              end_date_time: localDateTime(entry.date, '23:59'),
+            },
+          },
+          energy_sources: journal.energySources || null,
+          stress_sources: journal.stressSources || null,
+          notes: journal.notes || null,
+        },
+      });
+    }
+  });
+
+  return dataPoints;
+};
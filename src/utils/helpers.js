@@ -104,13 +104,6 @@ export const calculateAverage = (values) => {
   return values.reduce((sum, value) => sum + value, 0) / values.length;
 };
 
-export const getTimeOfDay = () => {
-  const hour = new Date().getHours();
-  if (hour < 12) return 'morning';
-  if (hour < 17) return 'afternoon';
-  return 'evening';
-};
-
 export const hapticFeedback = async (intensity = 'Light') => {
   try {
     const { Haptics } = await import('expo-haptics');
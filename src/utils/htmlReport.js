@@ -0,0 +1,269 @@
+// Self-contained HTML report
+// One file with inline CSS and SVG charts, no scripts and no external requests, so it can
+// be mailed to a coach or therapist and opened (or printed) anywhere, offline.
+
+const COLORS = {
+  energy: '#34C759',
+  stress: '#FF3B30',
+  grid: '#E5E5EA',
+  label: '#1C1C1E',
+  secondaryLabel: '#6C6C70',
+};
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 28 };
+const SCALE_MAX = 10;
+
+export const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatLevel = (value) => (value === null || value === undefined ? '–' : (Math.round(value * 10) / 10).toString());
+
+const formatDay = (date, options = { day: 'numeric', month: 'short' }) => {
+  return new Date(`${date}T12:00:00`).toLocaleDateString('en-GB', options);
+};
+
+const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+const yFor = (value) => PADDING.top + plotHeight * (1 - value / SCALE_MAX);
+
+const gridLines = () => [0, 2, 4, 6, 8, 10].map(value => {
+  const y = yFor(value).toFixed(1);
+  return `<line x1="${PADDING.left}" y1="${y}" x2="${CHART_WIDTH - PADDING.right}" y2="${y}" stroke="${COLORS.grid}" stroke-width="1"/>`
+    + `<text x="${PADDING.left - 6}" y="${y}" font-size="10" fill="${COLORS.secondaryLabel}" text-anchor="end" dominant-baseline="middle">${value}</text>`;
+}).join('');
+
+const svg = (content, label) => (
+  `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHTML(label)}" xmlns="http://www.w3.org/2000/svg">${gridLines()}${content}</svg>`
+);
+
+// Line per metric; days without a value break the line instead of bridging the gap
+const linePaths = (points, key, xFor) => {
+  let path = '';
+  let drawing = false;
+  points.forEach((point, index) => {
+    const value = point[key];
+    if (value === null || value === undefined) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${xFor(index).toFixed(1)},${yFor(value).toFixed(1)}`;
+    drawing = true;
+  });
+
+  const dots = points.map((point, index) => (
+    point[key] === null || point[key] === undefined
+      ? ''
+      : `<circle cx="${xFor(index).toFixed(1)}" cy="${yFor(point[key]).toFixed(1)}" r="${points.length > 60 ? 1.5 : 3}" fill="${COLORS[key]}"/>`
+  )).join('');
+
+  return `<path d="${path}" fill="none" stroke="${COLORS[key]}" stroke-width="2" stroke-linejoin="round"/>${dots}`;
+};
+
+/** Energy and stress over time as an SVG line chart. */
+export const buildTrendChart = (points, label) => {
+  if (points.length === 0) {
+    return '';
+  }
+  const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+  const xFor = (index) => PADDING.left + (points.length > 1 ? index * step : plotWidth / 2);
+
+  // About six date labels, whatever the range
+  const every = Math.max(1, Math.ceil(points.length / 6));
+  const labels = points.map((point, index) => (
+    index % every === 0
+      ? `<text x="${xFor(index).toFixed(1)}" y="${CHART_HEIGHT - 8}" font-size="10" fill="${COLORS.secondaryLabel}" text-anchor="middle">${escapeHTML(formatDay(point.date))}</text>`
+      : ''
+  )).join('');
+
+  return svg(`${linePaths(points, 'energy', xFor)}${linePaths(points, 'stress', xFor)}${labels}`, label);
+};
+
+/** Side-by-side energy and stress bars per group (weekday or period). */
+export const buildBarChart = (groups, label) => {
+  const groupWidth = plotWidth / groups.length;
+  const barWidth = Math.min(24, groupWidth / 3);
+
+  const bars = groups.map((group, index) => {
+    const center = PADDING.left + groupWidth * (index + 0.5);
+    const bar = (key, x) => {
+      if (group[key] === null || group[key] === undefined) {
+        return '';
+      }
+      const y = yFor(group[key]);
+      return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(yFor(0) - y).toFixed(1)}" rx="3" fill="${COLORS[key]}"/>`;
+    };
+    return bar('energy', center - barWidth - 1)
+      + bar('stress', center + 1)
+      + `<text x="${center.toFixed(1)}" y="${CHART_HEIGHT - 8}" font-size="11" fill="${COLORS.secondaryLabel}" text-anchor="middle">${escapeHTML(group.label)}</text>`;
+  }).join('');
+
+  return svg(bars, label);
+};
+
+const statCard = (title, metric, color) => `
+      <div class="card">
+        <div class="card-title">${title}</div>
+        <div class="card-value" style="color:${color}">${formatLevel(metric.average)}<span>/10</span></div>
+        <div class="card-detail">${metric.count > 0 ? `Range ${metric.min}–${metric.max} · ${metric.count} check-ins` : 'No check-ins'}</div>
+      </div>`;
+
+const dayCard = (title, day, sourcesKey, redacted) => {
+  if (!day) {
+    return '';
+  }
+  const sources = !redacted && day[sourcesKey] ? `<div class="card-detail">${escapeHTML(day[sourcesKey])}</div>` : '';
+  return `
+      <div class="card">
+        <div class="card-title">${title}</div>
+        <div class="card-text">${escapeHTML(day.dayName)}</div>
+        <div class="card-detail">Energy ${formatLevel(day.energy)} · Stress ${formatLevel(day.stress)}</div>
+        ${sources}
+      </div>`;
+};
+
+const breakdownTable = (groups, firstColumn) => `
+    <table>
+      <thead><tr><th>${firstColumn}</th><th>Energy</th><th>Stress</th><th>Check-ins</th></tr></thead>
+      <tbody>${groups.map(group => `
+        <tr><td>${escapeHTML(group.label)}</td><td>${formatLevel(group.energy)}</td><td>${formatLevel(group.stress)}</td><td>${group.count}</td></tr>`).join('')}
+      </tbody>
+    </table>`;
+
+const patternList = (title, patterns, kind, redacted) => {
+  if (patterns.length === 0) {
+    return '';
+  }
+  const items = patterns.map((pattern, index) => {
+    // Pattern labels are phrases from the user's own words
+    const label = redacted ? `${kind} ${index + 1}` : `${pattern.emoji || ''} ${pattern.label}`.trim();
+    return `<li><span>${escapeHTML(label)}</span><span class="muted">${pattern.count} ${pattern.count === 1 ? 'day' : 'days'}</span></li>`;
+  }).join('');
+  return `
+    <div class="patterns">
+      <h3>${title}</h3>
+      <ul>${items}</ul>
+    </div>`;
+};
+
+const journalSection = (journal) => {
+  if (journal.length === 0) {
+    return '';
+  }
+  const days = journal.map(day => {
+    const rows = [
+      day.energySources ? `<p><strong>Energy sources:</strong> ${escapeHTML(day.energySources)}</p>` : '',
+      day.stressSources ? `<p><strong>Stress sources:</strong> ${escapeHTML(day.stressSources)}</p>` : '',
+      day.notes ? `<p class="note">${escapeHTML(day.notes)}</p>` : '',
+    ].join('');
+    return `
+      <div class="journal-day">
+        <h3>${escapeHTML(formatDay(day.date, { weekday: 'long', day: 'numeric', month: 'long' }))}</h3>
+        ${rows}
+      </div>`;
+  }).join('');
+  return `
+  <section>
+    <h2>Journal</h2>${days}
+  </section>`;
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: ${COLORS.label}; margin: 0; background: #F2F2F7; }
+  main { max-width: 760px; margin: 0 auto; padding: 24px 16px 48px; }
+  h1 { font-size: 26px; margin: 0 0 4px; }
+  h2 { font-size: 19px; margin: 0 0 12px; }
+  h3 { font-size: 15px; margin: 0 0 8px; }
+  section { background: #FFFFFF; border-radius: 12px; padding: 16px; margin-top: 16px; }
+  .muted, .subtitle { color: ${COLORS.secondaryLabel}; }
+  .subtitle { margin: 0 0 8px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; }
+  .card { border: 1px solid ${COLORS.grid}; border-radius: 10px; padding: 12px; }
+  .card-title { font-size: 13px; color: ${COLORS.secondaryLabel}; text-transform: uppercase; letter-spacing: 0.04em; }
+  .card-value { font-size: 28px; font-weight: 600; }
+  .card-value span { font-size: 15px; color: ${COLORS.secondaryLabel}; }
+  .card-text { font-size: 17px; font-weight: 600; margin-top: 4px; }
+  .card-detail { font-size: 13px; color: ${COLORS.secondaryLabel}; margin-top: 4px; }
+  .legend span { display: inline-block; margin-right: 16px; font-size: 13px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 5px; margin-right: 6px; }
+  svg { width: 100%; height: auto; display: block; margin: 8px 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid ${COLORS.grid}; }
+  .patterns-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 16px; }
+  .patterns ul { list-style: none; padding: 0; margin: 0; }
+  .patterns li { display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid ${COLORS.grid}; }
+  .journal-day { border-top: 1px solid ${COLORS.grid}; padding-top: 12px; margin-top: 12px; }
+  .journal-day p { margin: 4px 0; font-size: 14px; }
+  .note { white-space: pre-wrap; }
+  footer { text-align: center; font-size: 12px; color: ${COLORS.secondaryLabel}; margin-top: 24px; }
+  @media print { body { background: #FFFFFF; } section { break-inside: avoid; border: 1px solid ${COLORS.grid}; } }
+`;
+
+const LEGEND = `<div class="legend"><span><i style="background:${COLORS.energy}"></i>Energy</span><span><i style="background:${COLORS.stress}"></i>Stress</span></div>`;
+
+/**
+ * Render a report as one HTML document
+ * @param {Object} report - From ReportService.buildReport
+ * @returns {string}
+ */
+export const buildHTMLReport = (report) => {
+  const range = `${formatDay(report.startDate, { day: 'numeric', month: 'long', year: 'numeric' })} – ${formatDay(report.endDate, { day: 'numeric', month: 'long', year: 'numeric' })}`;
+  const trendTitle = report.trend.granularity === 'week' ? 'Weekly averages' : 'Daily averages';
+  const hasPatterns = report.topEnergySources.length > 0 || report.topStressors.length > 0;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>EnergyTune report · ${escapeHTML(range)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+  <h1>Energy &amp; stress report</h1>
+  <p class="subtitle">${escapeHTML(range)} · ${report.entriesCount} of ${report.daysInRange} days logged</p>
+  <p class="subtitle">${escapeHTML(`${report.weekState.emoji} ${report.weekState.label}: ${report.weekState.description}`)}</p>
+
+  <section>
+    <h2>Summary</h2>
+    <div class="cards">${statCard('Average energy', report.energy, COLORS.energy)}${statCard('Average stress', report.stress, COLORS.stress)}${dayCard('Best day', report.bestDay, 'energySources', report.redacted)}${dayCard('Hardest day', report.hardestDay, 'stressSources', report.redacted)}
+    </div>
+  </section>
+
+  <section>
+    <h2>${trendTitle}</h2>
+    ${LEGEND}
+    ${buildTrendChart(report.trend.points, trendTitle)}
+  </section>
+
+  <section>
+    <h2>By weekday</h2>
+    ${LEGEND}
+    ${buildBarChart(report.weekdays, 'Averages by weekday')}
+    ${breakdownTable(report.weekdays, 'Day')}
+  </section>
+
+  <section>
+    <h2>By time of day</h2>
+    ${buildBarChart(report.periods, 'Averages by time of day')}
+    ${breakdownTable(report.periods, 'Check-in')}
+  </section>
+${hasPatterns ? `
+  <section>
+    <h2>Top patterns</h2>
+    <div class="patterns-grid">${patternList('What gave energy', report.topEnergySources, 'Energy source', report.redacted)}${patternList('What caused stress', report.topStressors, 'Stressor', report.redacted)}
+    </div>
+  </section>` : ''}${report.redacted ? '' : journalSection(report.journal)}
+
+  <footer>Created with EnergyTune on ${escapeHTML(new Date(report.generatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }))}${report.redacted ? ' · Notes and sources left out' : ''}</footer>
+</main>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,325 @@
+// iCalendar (.ics) reading for the calendar import
+// Covers what calendar apps export for meetings: timed VEVENTs with DTSTART and DTEND
+// or DURATION, in UTC, a TZID or floating local time; recurring events (RRULE with
+// DAILY, WEEKLY, MONTHLY or YEARLY, INTERVAL, COUNT, UNTIL, BYDAY and BYMONTHDAY),
+// EXDATE, and moved or cancelled occurrences (RECURRENCE-ID).
+// All-day events, cancelled events and events marked as free are left out.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Rules without an end stop at the import window; this only guards against bad input
+const MAX_RECURRENCE_STEPS = 20000;
+
+const unfoldLines = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n');
+
+// NAME;PARAM=value;PARAM="quoted:value":content
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const equals = part.indexOf('=');
+    if (equals > 0) {
+      params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1).trim() };
+};
+
+// Offset of a time zone from UTC at a moment, in ms; null for zones Intl doesn't know
+// (Outlook writes Windows names such as "W. Europe Standard Time")
+const zoneFormatters = {};
+const getZoneOffset = (timeZone, timestamp) => {
+  try {
+    if (!zoneFormatters[timeZone]) {
+      zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    }
+    const parts = {};
+    zoneFormatters[timeZone].formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return asUTC - Math.floor(timestamp / 1000) * 1000;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Wall-clock time in a zone to a timestamp
+ * @param {Object} time - { year, month, day, hour, minute, second }
+ * @param {string|null} zone - 'UTC', a TZID, or null for floating (device-local) time
+ */
+const toTimestamp = ({ year, month, day, hour, minute, second }, zone) => {
+  if (zone === 'UTC') {
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+  if (zone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getZoneOffset(zone, guess);
+    if (offset !== null) {
+      // Check again at the result, in case a DST change lies between the two
+      const corrected = getZoneOffset(zone, guess - offset);
+      return guess - (corrected ?? offset);
+    }
+  }
+  return new Date(year, month - 1, day, hour, minute, second).getTime();
+};
+
+/** @returns {Object|null} { time, zone, allDay } for a DATE or DATE-TIME value */
+const parseDateValue = (value, params = {}) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return {
+    time: {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0),
+    },
+    zone: utc ? 'UTC' : (params.TZID || null),
+    allDay: hour === undefined || params.VALUE === 'DATE',
+  };
+};
+
+// P1DT2H30M, PT45M, -PT15M
+const parseDuration = (value) => {
+  const match = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600
+    + Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRule = (value) => {
+  const parts = Object.fromEntries(value.split(';').map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  }));
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    // A date-only UNTIL includes that whole day
+    until: until ? toTimestamp(until.time, until.zone) + (until.allDay ? DAY_MS - 1 : 0) : null,
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(',').map(day => {
+        const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+        return match ? { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+      }).filter(day => day && day.weekday >= 0)
+      : null,
+    byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number).filter(Boolean) : null,
+  };
+};
+
+// Calendar-date arithmetic in UTC, so device DST never shifts a day
+const dateUTC = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Candidate days of one month for a MONTHLY rule, ascending
+const monthDays = (year, month, rule, startDay) => {
+  const length = daysInMonth(year, month);
+  if (rule.byDay) {
+    const days = [];
+    rule.byDay.forEach(({ ordinal, weekday }) => {
+      const matches = [];
+      for (let day = 1; day <= length; day++) {
+        if (dateUTC(year, month, day).getUTCDay() === weekday) {
+          matches.push(day);
+        }
+      }
+      if (ordinal === null) {
+        days.push(...matches);
+      } else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) days.push(day);
+      }
+    });
+    return [...new Set(days)].sort((a, b) => a - b);
+  }
+  return (rule.byMonthDay || [startDay])
+    .map(day => (day < 0 ? length + day + 1 : day))
+    .filter(day => day >= 1 && day <= length)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Walk the calendar days a rule produces, starting at the first occurrence
+ * @param {Function} onDay - Called with { year, month, day }; return false to stop
+ */
+const forEachRecurrenceDay = (start, rule, onDay) => {
+  const first = dateUTC(start.year, start.month, start.day);
+  const startWeekday = first.getUTCDay();
+
+  for (let step = 0; step < MAX_RECURRENCE_STEPS; step++) {
+    let candidates = [];
+    if (rule.freq === 'DAILY') {
+      candidates = [new Date(first.getTime() + step * rule.interval * DAY_MS)];
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (the default WKST)
+      const weekStart = first.getTime() - ((startWeekday + 6) % 7) * DAY_MS + step * rule.interval * 7 * DAY_MS;
+      const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [startWeekday];
+      candidates = [...new Set(weekdays)]
+        .map(weekday => new Date(weekStart + ((weekday + 6) % 7) * DAY_MS))
+        .sort((a, b) => a - b);
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = start.month - 1 + step * rule.interval;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      candidates = monthDays(year, month, rule, start.day).map(day => dateUTC(year, month, day));
+    } else if (rule.freq === 'YEARLY') {
+      const year = start.year + step * rule.interval;
+      if (start.day <= daysInMonth(year, start.month)) {
+        candidates = [dateUTC(year, start.month, start.day)];
+      }
+    } else {
+      return;
+    }
+
+    for (const candidate of candidates) {
+      const day = { year: candidate.getUTCFullYear(), month: candidate.getUTCMonth() + 1, day: candidate.getUTCDate() };
+      if (candidate >= first && onDay(day) === false) {
+        return;
+      }
+    }
+  }
+};
+
+const readEvents = (lines) => {
+  const events = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (/^BEGIN:VEVENT$/i.test(line)) {
+      event = { exdates: [], attendees: 0 };
+      return;
+    }
+    if (/^END:VEVENT$/i.test(line)) {
+      if (event) events.push(event);
+      event = null;
+      return;
+    }
+    if (!event) {
+      return;
+    }
+
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+    const { name, params, value } = property;
+    if (name === 'DTSTART') event.start = parseDateValue(value, params);
+    else if (name === 'DTEND') event.end = parseDateValue(value, params);
+    else if (name === 'DURATION') event.duration = parseDuration(value);
+    else if (name === 'RRULE') event.rule = parseRule(value);
+    else if (name === 'RECURRENCE-ID') event.recurrenceId = parseDateValue(value, params);
+    else if (name === 'UID') event.uid = value;
+    else if (name === 'SUMMARY') event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+    else if (name === 'STATUS') event.status = value.toUpperCase();
+    else if (name === 'TRANSP') event.transparent = value.toUpperCase() === 'TRANSPARENT';
+    else if (name === 'ATTENDEE') event.attendees++;
+    else if (name === 'EXDATE') {
+      value.split(',').forEach(part => {
+        const date = parseDateValue(part, params);
+        if (date) event.exdates.push(toTimestamp(date.time, date.zone));
+      });
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Read the busy, timed events of an .ics file, with recurring events expanded
+ * @param {string} text - File content
+ * @param {Object} window - { from, to } timestamps; occurrences outside are left out
+ * @returns {Array} [{ start, end, summary, attendees }] with timestamps, sorted by start
+ */
+export const readCalendarEvents = (text, { from, to }) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('This is not an iCalendar (.ics) file');
+  }
+
+  const events = readEvents(unfoldLines(text)).filter(event => event.start && !event.start.allDay);
+
+  // Occurrences that were moved or cancelled are replaced by their own VEVENT
+  const overridden = new Set(events
+    .filter(event => event.recurrenceId)
+    .map(event => `${event.uid}|${toTimestamp(event.recurrenceId.time, event.recurrenceId.zone)}`));
+
+  const occurrences = [];
+  events.forEach(event => {
+    if (event.status === 'CANCELLED' || event.transparent) {
+      return;
+    }
+
+    const startTimestamp = toTimestamp(event.start.time, event.start.zone);
+    const duration = event.end
+      ? toTimestamp(event.end.time, event.end.zone) - startTimestamp
+      : (event.duration ?? 0);
+    if (!(duration > 0)) {
+      return;
+    }
+
+    const add = (start) => {
+      if (start + duration > from && start < to) {
+        occurrences.push({ start, end: start + duration, summary: event.summary || '', attendees: event.attendees });
+      }
+    };
+
+    if (!event.rule || event.recurrenceId) {
+      add(startTimestamp);
+      return;
+    }
+
+    let count = 0;
+    forEachRecurrenceDay(event.start.time, event.rule, (day) => {
+      const start = toTimestamp({ ...event.start.time, ...day }, event.start.zone);
+      if ((event.rule.until !== null && start > event.rule.until) || start >= to) {
+        return false;
+      }
+      count++;
+      if (!event.exdates.includes(start) && !overridden.has(`${event.uid}|${start}`)) {
+        add(start);
+      }
+      return event.rule.count === null || count < event.rule.count;
+    });
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,72 @@
+// Conflict detection and resolution for imports that touch days already logged
+
+import { diffEntries, getFieldPaths, getFieldValue, setFieldValue } from './entryDiff';
+
+export const CONFLICT_STRATEGIES = {
+  KEEP_EXISTING: 'keep_existing',
+  KEEP_IMPORTED: 'keep_imported',
+  NEWEST: 'newest',
+  FILL_EMPTY: 'fill_empty',
+};
+
+export const DEFAULT_CONFLICT_STRATEGY = CONFLICT_STRATEGIES.KEEP_IMPORTED;
+
+/**
+ * Compare imported entries with the stored ones for the same dates
+ * @param {Object} existingEntries - { date: entry } for the imported dates that exist
+ * @param {Array} importedEntries
+ * @returns {Object} { conflicts: [{ date, existing, imported, changes }], newDates, unchangedDates }
+ */
+export const findImportConflicts = (existingEntries, importedEntries) => {
+  const conflicts = [];
+  const newDates = [];
+  const unchangedDates = [];
+
+  importedEntries.forEach(imported => {
+    const existing = existingEntries[imported.date];
+    if (!existing) {
+      newDates.push(imported.date);
+      return;
+    }
+
+    const changes = diffEntries(existing, imported);
+    if (changes.length === 0) {
+      unchangedDates.push(imported.date);
+    } else {
+      conflicts.push({ date: imported.date, existing, imported, changes });
+    }
+  });
+
+  conflicts.sort((a, b) => a.date.localeCompare(b.date));
+  return { conflicts, newDates, unchangedDates };
+};
+
+const timestampOf = (entry) => {
+  const time = Date.parse(entry?.updatedAt);
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/** Pick the version of a day to keep under the given strategy. */
+export const resolveConflict = (existing, imported, strategy = DEFAULT_CONFLICT_STRATEGY) => {
+  switch (strategy) {
+    case CONFLICT_STRATEGIES.KEEP_EXISTING:
+      return existing;
+
+    case CONFLICT_STRATEGIES.NEWEST:
+      // Ties and missing timestamps go to the import, matching the old overwrite behaviour
+      return timestampOf(existing) > timestampOf(imported) ? existing : imported;
+
+    case CONFLICT_STRATEGIES.FILL_EMPTY:
+      return getFieldPaths(existing, imported).reduce((merged, field) => {
+        const importedValue = getFieldValue(imported, field);
+        if (getFieldValue(merged, field) === null && importedValue !== null) {
+          return setFieldValue(merged, field, importedValue);
+        }
+        return merged;
+      }, existing);
+
+    case CONFLICT_STRATEGIES.KEEP_IMPORTED:
+    default:
+      return imported;
+  }
+};
@@ -0,0 +1,138 @@
+// Markdown journal export for Obsidian, Logseq and other note apps
+// One note per day named after its date, so it lines up with daily notes, with the
+// check-in values as front-matter properties. Each month gets an index note linking its days.
+
+import { filterByTimePeriod } from './aggregation';
+import { parseLocalDate } from './helpers';
+import { getPeriodIds, getPeriodName } from './checkInPeriods';
+
+export const JOURNAL_FOLDER = 'EnergyTune';
+
+// Empty YAML values read as null, which note apps show as an unset property
+const yamlNumber = (value) => (value === null || value === undefined ? '' : ` ${Number(value.toFixed(1))}`);
+
+const dayAverage = (levels) => filterByTimePeriod([{ energyLevels: levels }], 'all')[0].energy;
+
+// Line breaks inside a source would end its list item, so they become spaces
+const listItems = (sources) => {
+  return String(sources || '')
+    .split(',')
+    .map(source => source.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean)
+    .map(source => `- ${source}`);
+};
+
+const dayTitle = (date) => parseLocalDate(date).toLocaleDateString('en-GB', {
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+const monthTitle = (month) => parseLocalDate(`${month}-01`).toLocaleDateString('en-GB', {
+  month: 'long',
+  year: 'numeric',
+});
+
+const levelCell = (value) => (value === null || value === undefined ? '–' : String(value));
+
+/** Markdown note for one day, front-matter first. */
+export const buildDayNote = (entry) => {
+  const month = entry.date.slice(0, 7);
+  const energyAverage = dayAverage(entry.energyLevels);
+  const stressAverage = dayAverage(entry.stressLevels);
+  const periods = getPeriodIds();
+
+  const frontMatter = [
+    '---',
+    `date: ${entry.date}`,
+    ...periods.map(period => `energy_${period}:${yamlNumber(entry.energyLevels?.[period])}`),
+    ...periods.map(period => `stress_${period}:${yamlNumber(entry.stressLevels?.[period])}`),
+    `energy_average:${yamlNumber(energyAverage)}`,
+    `stress_average:${yamlNumber(stressAverage)}`,
+    'tags: [energytune]',
+    '---',
+  ];
+
+  const body = [
+    `# ${dayTitle(entry.date)}`,
+    '',
+    `| | ${periods.map(period => getPeriodName(period)).join(' | ')} |`,
+    `|---|${periods.map(() => '---|').join('')}`,
+    `| Energy | ${periods.map(period => levelCell(entry.energyLevels?.[period])).join(' | ')} |`,
+    `| Stress | ${periods.map(period => levelCell(entry.stressLevels?.[period])).join(' | ')} |`,
+  ];
+
+  const energySources = listItems(entry.energySources);
+  if (energySources.length > 0) {
+    body.push('', '## Energy sources', '', ...energySources);
+  }
+  const stressSources = listItems(entry.stressSources);
+  if (stressSources.length > 0) {
+    body.push('', '## Stress sources', '', ...stressSources);
+  }
+  if (entry.notes?.trim()) {
+    body.push('', '## Notes', '', entry.notes.trim());
+  }
+  body.push('', `Part of [[${month}]]`);
+
+  return [...frontMatter, ...body, ''].join('\n');
+};
+
+/** Index note for a month: averages and a link to every logged day. */
+export const buildMonthNote = (month, entries) => {
+  const days = filterByTimePeriod(entries, 'all');
+  const average = (key) => {
+    const values = days.map(day => day[key]).filter(value => value !== null);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  };
+
+  const rows = days.map(day => `| [[${day.date}]] | ${levelCell(day.energy?.toFixed(1))} | ${levelCell(day.stress?.toFixed(1))} |`);
+
+  return [
+    '---',
+    `month: ${month}`,
+    `days_logged: ${entries.length}`,
+    `energy_average:${yamlNumber(average('energy'))}`,
+    `stress_average:${yamlNumber(average('stress'))}`,
+    'tags: [energytune]',
+    '---',
+    `# ${monthTitle(month)}`,
+    '',
+    '| Day | Energy | Stress |',
+    '|---|---|---|',
+    ...rows,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Files for the journal export: EnergyTune/<YYYY-MM>/<YYYY-MM-DD>.md plus
+ * EnergyTune/<YYYY-MM>/<YYYY-MM>.md as the month's index
+ * @returns {Array} [{ name, content, modifiedAt }] ready for createZip
+ */
+export const buildMarkdownJournal = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+  const months = {};
+  sorted.forEach(entry => {
+    const month = entry.date.slice(0, 7);
+    (months[month] = months[month] || []).push(entry);
+  });
+
+  const files = [];
+  Object.keys(months).forEach(month => {
+    months[month].forEach(entry => {
+      files.push({
+        name: `${JOURNAL_FOLDER}/${month}/${entry.date}.md`,
+        content: buildDayNote(entry),
+        modifiedAt: entry.updatedAt ? new Date(entry.updatedAt) : undefined,
+      });
+    });
+    files.push({
+      name: `${JOURNAL_FOLDER}/${month}/${month}.md`,
+      content: buildMonthNote(month, months[month]),
+    });
+  });
+
+  return files;
+};
@@ -0,0 +1,126 @@
+// Meeting load per entry day and check-in period, from calendar events
+// (see utils/icalendar). Stored as day context under the calendar source.
+
+import { ENTRY_DAY_ROLLOVER_HOUR, formatDate } from './helpers';
+import { getPeriodAt, getPeriodBoundaries, getPeriodIds } from './checkInPeriods';
+
+// Meetings this close together leave no real break in between
+export const BACK_TO_BACK_GAP_MINUTES = 5;
+
+// Longer blocks are travel, conferences or out-of-office rather than meetings
+const MAX_MEETING_HOURS = 8;
+
+const MINUTE_MS = 60 * 1000;
+
+// Entry day and period of a moment; before the rollover hour it still belongs to the previous day
+const placeMoment = (timestamp) => {
+  const moment = new Date(timestamp);
+  const period = getPeriodAt(moment.getHours(), moment.getMinutes());
+  if (moment.getHours() < ENTRY_DAY_ROLLOVER_HOUR) {
+    const previous = new Date(moment);
+    previous.setDate(previous.getDate() - 1);
+    return { date: formatDate(previous), period };
+  }
+  return { date: formatDate(moment), period };
+};
+
+// First period boundary (local time) after a moment, looking into the next day as well
+const nextBoundary = (timestamp) => {
+  const moment = new Date(timestamp);
+  const boundaries = getPeriodBoundaries();
+  const candidates = [0, 1]
+    .flatMap(dayOffset => boundaries.map(minutes => (
+      new Date(moment.getFullYear(), moment.getMonth(), moment.getDate() + dayOffset, 0, minutes).getTime()
+    )))
+    .sort((a, b) => a - b);
+  return candidates.find(candidate => candidate > timestamp);
+};
+
+const emptyLoad = () => ({ meetingCount: 0, meetingMinutes: 0, backToBack: 0 });
+
+const dayRange = (firstDate, lastDate) => {
+  const dates = [];
+  const [year, month, day] = firstDate.split('-').map(Number);
+  for (let current = new Date(year, month - 1, day); formatDate(current) <= lastDate; current.setDate(current.getDate() + 1)) {
+    dates.push(formatDate(current));
+  }
+  return dates;
+};
+
+/**
+ * Count meetings, meeting minutes and back-to-back transitions per day and period
+ * A meeting counts in the period it starts in; its minutes are split across the periods
+ * it spans, and overlapping meetings are only counted once. When the calendar has
+ * attendees at all, events without any (focus time, reminders) are not meetings.
+ * Every day between the first and last meeting gets a value, so meeting-free days
+ * take part in the comparison as zero.
+ * @param {Array} events - [{ start, end, attendees }] from readCalendarEvents
+ * @returns {Object} { days: { date: { meetingCount, meetingMinutes, backToBack,
+ *   periods: { [periodId]: load } } }, meetingCount }
+ */
+export const computeMeetingLoad = (events) => {
+  const withAttendees = events.some(event => event.attendees > 0);
+  const meetings = events
+    .filter(event => !withAttendees || event.attendees > 0)
+    .filter(event => event.end - event.start <= MAX_MEETING_HOURS * 60 * MINUTE_MS)
+    .sort((a, b) => a.start - b.start);
+
+  if (meetings.length === 0) {
+    return { days: {}, meetingCount: 0 };
+  }
+
+  const periodIds = getPeriodIds();
+  const days = {};
+  const getLoad = (date) => {
+    if (!days[date]) {
+      days[date] = { ...emptyLoad(), periods: Object.fromEntries(periodIds.map(period => [period, emptyLoad()])) };
+    }
+    return days[date];
+  };
+
+  let busyUntil = null;
+  let busyDate = null;
+  meetings.forEach(meeting => {
+    const { date, period } = placeMoment(meeting.start);
+    const sameDay = busyDate === date;
+    const load = getLoad(date);
+    load.meetingCount++;
+    load.periods[period].meetingCount++;
+
+    if (sameDay && meeting.start - busyUntil <= BACK_TO_BACK_GAP_MINUTES * MINUTE_MS) {
+      load.backToBack++;
+      load.periods[period].backToBack++;
+    }
+
+    // Only the part not already covered by an earlier meeting adds minutes
+    let from = sameDay ? Math.max(meeting.start, busyUntil) : meeting.start;
+    while (from < meeting.end) {
+      const to = Math.min(meeting.end, nextBoundary(from));
+      const slice = placeMoment(from);
+      const minutes = (to - from) / MINUTE_MS;
+      const sliceLoad = getLoad(slice.date);
+      sliceLoad.meetingMinutes += minutes;
+      sliceLoad.periods[slice.period].meetingMinutes += minutes;
+      from = to;
+    }
+
+    busyUntil = sameDay ? Math.max(busyUntil, meeting.end) : meeting.end;
+    busyDate = date;
+  });
+
+  const dates = Object.keys(days).sort();
+  const result = {};
+  dayRange(dates[0], dates[dates.length - 1]).forEach(date => {
+    const load = getLoad(date);
+    result[date] = {
+      ...load,
+      meetingMinutes: Math.round(load.meetingMinutes),
+      periods: Object.fromEntries(periodIds.map(period => [
+        period,
+        { ...load.periods[period], meetingMinutes: Math.round(load.periods[period].meetingMinutes) },
+      ])),
+    };
+  });
+
+  return { days: result, meetingCount: meetings.length };
+};
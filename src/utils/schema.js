@@ -0,0 +1,103 @@
+// Versioned schemas for persisted data
+// Every upgrade step takes the previous shape and returns the next one. Steps are
+// applied in order, so data written by any older app version or export file can be
+// brought up to date without guessing at its shape.
+
+import { getPeriodIds } from './checkInPeriods';
+
+export const ENTRY_SCHEMA_VERSION = 2;
+export const NOTIFICATION_SETTINGS_SCHEMA_VERSION = 1;
+export const WEEKLY_SUMMARY_SETTINGS_SCHEMA_VERSION = 1;
+
+// Older exports used -1 for "no value" and sometimes stored sources as { day: '...' }
+const normalizeLevel = (value) => {
+  if (value === -1 || value === undefined || value === '') return null;
+  return value;
+};
+
+// Every configured check-in period gets a level; periods the entry already has a
+// level for (including removed ones) are kept
+const normalizeLevels = (levels) => {
+  const normalized = { ...(levels && typeof levels === 'object' ? levels : {}) };
+  new Set([...getPeriodIds(), ...Object.keys(normalized)]).forEach(period => {
+    normalized[period] = normalizeLevel(normalized[period]);
+  });
+  return normalized;
+};
+
+const normalizeSources = (sources) => {
+  if (typeof sources === 'string') return sources;
+  if (sources && typeof sources === 'object' && sources.day !== undefined) {
+    return sources.day || '';
+  }
+  return '';
+};
+
+const entryUpgrades = [
+  {
+    version: 1,
+    description: 'Normalize level maps, sources, notes and timestamps',
+    upgrade: (entry) => ({
+      ...entry,
+      energyLevels: normalizeLevels(entry.energyLevels),
+      stressLevels: normalizeLevels(entry.stressLevels),
+      energySources: normalizeSources(entry.energySources),
+      stressSources: normalizeSources(entry.stressSources),
+      notes: typeof entry.notes === 'string' ? entry.notes : '',
+      createdAt: entry.createdAt || new Date().toISOString(),
+      updatedAt: entry.updatedAt || new Date().toISOString(),
+    }),
+  },
+  {
+    version: 2,
+    description: 'Add custom metric values',
+    upgrade: (entry) => ({
+      ...entry,
+      metrics: entry.metrics && typeof entry.metrics === 'object' && !Array.isArray(entry.metrics) ? entry.metrics : {},
+    }),
+  },
+];
+
+const notificationSettingsUpgrades = [
+  {
+    version: 1,
+    description: 'Ensure every period has an enabled flag and time',
+    upgrade: (settings) => {
+      const periods = { ...(settings.periods || {}) };
+      Object.keys(periods).forEach(period => {
+        periods[period] = { enabled: true, ...periods[period] };
+      });
+      return { ...settings, periods };
+    },
+  },
+];
+
+const weeklySummarySettingsUpgrades = [
+  {
+    version: 1,
+    description: 'Coerce the delivery day to a number',
+    upgrade: (settings) => ({
+      ...settings,
+      day: settings.day !== undefined ? Number(settings.day) : settings.day,
+    }),
+  },
+];
+
+const applyUpgrades = (data, upgrades) => {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+  return upgrades
+    .filter(step => step.version > fromVersion)
+    .reduce((current, step) => ({ ...step.upgrade(current), schemaVersion: step.version }), data);
+};
+
+export const upgradeEntry = (entry) => applyUpgrades(entry, entryUpgrades);
+
+export const upgradeNotificationSettings = (settings) =>
+  applyUpgrades(settings, notificationSettingsUpgrades);
+
+export const upgradeWeeklySummarySettings = (settings) =>
+  applyUpgrades(settings, weeklySummarySettingsUpgrades);
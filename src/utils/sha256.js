@@ -0,0 +1,166 @@
+// SHA-256, HMAC-SHA256 and PBKDF2-HMAC-SHA256 (FIPS 180-4, RFC 2104, RFC 8018)
+// Pure JS so passphrase-based encryption works on every platform without native modules.
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+const BLOCK_SIZE = 64;
+const W = new Uint32Array(64);
+
+// Process one 64-byte block starting at `offset`, updating `state` in place
+const compress = (state, block, offset) => {
+  for (let i = 0; i < 16; i++) {
+    const j = offset + i * 4;
+    W[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+  }
+  for (let i = 16; i < 64; i++) {
+    const w15 = W[i - 15];
+    const w2 = W[i - 2];
+    const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+    const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+    W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+  }
+
+  let [a, b, c, d, e, f, g, h] = state;
+
+  for (let i = 0; i < 64; i++) {
+    const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+    const ch = (e & f) ^ (~e & g);
+    const t1 = (h + S1 + ch + K[i] + W[i]) | 0;
+    const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+    const maj = (a & b) ^ (a & c) ^ (b & c);
+    const t2 = (S0 + maj) | 0;
+
+    h = g;
+    g = f;
+    f = e;
+    e = (d + t1) | 0;
+    d = c;
+    c = b;
+    b = a;
+    a = (t1 + t2) | 0;
+  }
+
+  state[0] = (state[0] + a) | 0;
+  state[1] = (state[1] + b) | 0;
+  state[2] = (state[2] + c) | 0;
+  state[3] = (state[3] + d) | 0;
+  state[4] = (state[4] + e) | 0;
+  state[5] = (state[5] + f) | 0;
+  state[6] = (state[6] + g) | 0;
+  state[7] = (state[7] + h) | 0;
+};
+
+const stateToBytes = (state) => {
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 8; i++) {
+    out[i * 4] = state[i] >>> 24;
+    out[i * 4 + 1] = (state[i] >>> 16) & 0xff;
+    out[i * 4 + 2] = (state[i] >>> 8) & 0xff;
+    out[i * 4 + 3] = state[i] & 0xff;
+  }
+  return out;
+};
+
+// Hash `data` continuing from `state`, which has already absorbed `prefixLength` bytes
+const finish = (state, data, prefixLength) => {
+  const fullBlocks = Math.floor(data.length / BLOCK_SIZE);
+  for (let i = 0; i < fullBlocks; i++) {
+    compress(state, data, i * BLOCK_SIZE);
+  }
+
+  const remaining = data.length - fullBlocks * BLOCK_SIZE;
+  const padLength = remaining < 56 ? 64 : 128;
+  const tail = new Uint8Array(padLength);
+  tail.set(data.subarray(fullBlocks * BLOCK_SIZE));
+  tail[remaining] = 0x80;
+
+  const bitLength = (prefixLength + data.length) * 8;
+  const high = Math.floor(bitLength / 0x100000000);
+  tail[padLength - 8] = high >>> 24;
+  tail[padLength - 7] = (high >>> 16) & 0xff;
+  tail[padLength - 6] = (high >>> 8) & 0xff;
+  tail[padLength - 5] = high & 0xff;
+  tail[padLength - 4] = bitLength >>> 24;
+  tail[padLength - 3] = (bitLength >>> 16) & 0xff;
+  tail[padLength - 2] = (bitLength >>> 8) & 0xff;
+  tail[padLength - 1] = bitLength & 0xff;
+
+  for (let offset = 0; offset < padLength; offset += BLOCK_SIZE) {
+    compress(state, tail, offset);
+  }
+
+  return stateToBytes(state);
+};
+
+export const sha256 = (data) => finish(INITIAL_STATE.slice(), data, 0);
+
+// HMAC key schedule: the inner and outer pad blocks are hashed once and reused
+const createHmacStates = (key) => {
+  const block = new Uint8Array(BLOCK_SIZE);
+  block.set(key.length > BLOCK_SIZE ? sha256(key) : key);
+
+  const inner = INITIAL_STATE.slice();
+  const outer = INITIAL_STATE.slice();
+  const pad = new Uint8Array(BLOCK_SIZE);
+
+  for (let i = 0; i < BLOCK_SIZE; i++) pad[i] = block[i] ^ 0x36;
+  compress(inner, pad, 0);
+  for (let i = 0; i < BLOCK_SIZE; i++) pad[i] = block[i] ^ 0x5c;
+  compress(outer, pad, 0);
+
+  return { inner, outer };
+};
+
+const hmacWithStates = ({ inner, outer }, data) => {
+  const innerHash = finish(inner.slice(), data, BLOCK_SIZE);
+  return finish(outer.slice(), innerHash, BLOCK_SIZE);
+};
+
+export const hmacSha256 = (key, data) => hmacWithStates(createHmacStates(key), data);
+
+/**
+ * Derive `length` bytes from a password
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @param {number} length
+ */
+export const pbkdf2Sha256 = (password, salt, iterations, length) => {
+  const states = createHmacStates(password);
+  const output = new Uint8Array(length);
+  const blockInput = new Uint8Array(salt.length + 4);
+  blockInput.set(salt);
+
+  for (let blockIndex = 1, offset = 0; offset < length; blockIndex++, offset += 32) {
+    blockInput[salt.length] = blockIndex >>> 24;
+    blockInput[salt.length + 1] = (blockIndex >>> 16) & 0xff;
+    blockInput[salt.length + 2] = (blockIndex >>> 8) & 0xff;
+    blockInput[salt.length + 3] = blockIndex & 0xff;
+
+    let u = hmacWithStates(states, blockInput);
+    const t = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      u = hmacWithStates(states, u);
+      for (let j = 0; j < 32; j++) {
+        t[j] ^= u[j];
+      }
+    }
+
+    output.set(t.subarray(0, Math.min(32, length - offset)), offset);
+  }
+
+  return output;
+};
@@ -0,0 +1,32 @@
+// Hand a generated file to the system share sheet
+import * as Sharing from 'expo-sharing';
+import * as FileSystem from 'expo-file-system/legacy';
+
+/**
+ * Write a file to the documents directory, share it and remove it again
+ * @param {Object} file - { data, filename, mimeType, encoding } where encoding 'base64'
+ *   marks binary data (as returned by StorageService.exportData)
+ * @param {string} dialogTitle - Title of the Android share dialog
+ */
+export const shareFile = async ({ data, filename, mimeType, encoding }, dialogTitle) => {
+  const fileUri = FileSystem.documentDirectory + filename;
+  await FileSystem.writeAsStringAsync(fileUri, data, {
+    encoding: encoding === 'base64' ? FileSystem.EncodingType.Base64 : FileSystem.EncodingType.UTF8,
+  });
+
+  // Check if sharing is available
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(fileUri, { mimeType, dialogTitle });
+
+  // Clean up the temporary file after a short delay
+  setTimeout(async () => {
+    try {
+      await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    } catch (cleanupError) {
+      console.warn('Failed to clean up temporary file:', cleanupError);
+    }
+  }, 1000);
+};
@@ -0,0 +1,205 @@
+// Mergeable sync state for multi-device sync
+// Every field of every day ('energyLevels.morning', 'notes', ...) is a multi-value
+// register: a list of the operations that are currently in effect (the "heads").
+// An operation is { device, counter, clock, timestamp, value }, where device + counter
+// identify it and `clock` is a Lamport clock. The state's `context` records, per device,
+// the highest counter seen, so merging can tell "superseded" apart from "not seen yet".
+//
+// Merging is commutative, associative and idempotent, so devices converge no matter in
+// which order they exchange states. Edits made on two devices without seeing each other
+// both stay heads; the newest one is shown and the other is reported as a conflict.
+
+import { getFieldPaths, getFieldValue } from './entryDiff';
+
+export const SYNC_FORMAT = 'energytune-sync';
+export const SYNC_FORMAT_VERSION = 1;
+
+export const createSyncState = () => ({
+  format: SYNC_FORMAT,
+  formatVersion: SYNC_FORMAT_VERSION,
+  context: {},
+  clock: 0,
+  days: {},
+});
+
+const isCovered = (context, op) => (context[op.device] || 0) >= op.counter;
+
+const sameOp = (a, b) => a.device === b.device && a.counter === b.counter;
+
+// Total order for concurrent operations: newest edit, then Lamport clock, then device id
+const compareOps = (a, b) => (
+  (a.timestamp || '').localeCompare(b.timestamp || '')
+  || a.clock - b.clock
+  || a.device.localeCompare(b.device)
+);
+
+const winningOp = (heads) => heads.reduce((winner, op) => (compareOps(op, winner) > 0 ? op : winner));
+
+const headsValue = (heads) => (heads && heads.length > 0 ? winningOp(heads).value : null);
+
+const cloneState = (state) => ({
+  ...state,
+  context: { ...state.context },
+  days: Object.fromEntries(Object.entries(state.days).map(([date, fields]) => [date, { ...fields }])),
+});
+
+// Append a local operation that replaces every head of a field
+const writeField = (state, deviceId, date, field, value, timestamp) => {
+  const counter = (state.context[deviceId] || 0) + 1;
+  state.clock += 1;
+  state.context[deviceId] = counter;
+  state.days[date] = state.days[date] || {};
+  state.days[date][field] = [{ device: deviceId, counter, clock: state.clock, timestamp, value }];
+};
+
+/**
+ * Turn local edits into operations by comparing entries with the synced values
+ * @param {Object} state - Sync state
+ * @param {Object} entries - All local entries, keyed by date
+ * @param {string} deviceId - This device
+ * @returns {Object} { state, recorded } where recorded is the number of new operations
+ */
+export const recordLocalChanges = (state, entries, deviceId, now = new Date()) => {
+  const next = cloneState(state);
+  let recorded = 0;
+
+  const dates = new Set([...Object.keys(entries), ...Object.keys(state.days)]);
+  dates.forEach(date => {
+    const entry = entries[date];
+    const synced = state.days[date] || {};
+    const fields = new Set([...getFieldPaths(entry), ...Object.keys(synced)]);
+
+    fields.forEach(field => {
+      const value = entry ? getFieldValue(entry, field) : null;
+      if (value !== headsValue(synced[field])) {
+        writeField(next, deviceId, date, field, value, entry?.updatedAt || now.toISOString());
+        recorded++;
+      }
+    });
+  });
+
+  return { state: next, recorded };
+};
+
+// Heads that survive a merge: those both sides have, plus those the other side hasn't seen
+const mergeHeads = (local = [], localContext, remote = [], remoteContext) => {
+  const heads = local.filter(op => remote.some(other => sameOp(op, other)) || !isCovered(remoteContext, op));
+  remote.forEach(op => {
+    if (!isCovered(localContext, op) && !heads.some(other => sameOp(op, other))) {
+      heads.push(op);
+    }
+  });
+  // Same order on every device, so merged states are identical
+  return heads.sort((a, b) => a.device.localeCompare(b.device) || a.counter - b.counter);
+};
+
+/**
+ * Merge two sync states
+ * @returns {Object} A new state containing everything either side has seen
+ */
+export const mergeSyncStates = (local, remote) => {
+  const merged = createSyncState();
+  merged.clock = Math.max(local.clock, remote.clock);
+
+  new Set([...Object.keys(local.context), ...Object.keys(remote.context)]).forEach(device => {
+    merged.context[device] = Math.max(local.context[device] || 0, remote.context[device] || 0);
+  });
+
+  new Set([...Object.keys(local.days), ...Object.keys(remote.days)]).forEach(date => {
+    const localFields = local.days[date] || {};
+    const remoteFields = remote.days[date] || {};
+    const fields = {};
+    new Set([...Object.keys(localFields), ...Object.keys(remoteFields)]).forEach(field => {
+      const heads = mergeHeads(localFields[field], local.context, remoteFields[field], remote.context);
+      if (heads.length > 0) {
+        fields[field] = heads;
+      }
+    });
+    merged.days[date] = fields;
+  });
+
+  return merged;
+};
+
+/**
+ * Current value of every synced field
+ * @returns {Object} { date: { field: value } }
+ */
+export const materializeSyncState = (state) => Object.fromEntries(
+  Object.entries(state.days).map(([date, fields]) => [
+    date,
+    Object.fromEntries(Object.entries(fields).map(([field, heads]) => [field, headsValue(heads)])),
+  ])
+);
+
+/**
+ * Fields that were edited on more than one device without either seeing the other
+ * @returns {Array} [{ date, field, value, alternatives }] where value is the one kept
+ */
+export const findSyncConflicts = (state) => {
+  const conflicts = [];
+  Object.entries(state.days).forEach(([date, fields]) => {
+    Object.entries(fields).forEach(([field, heads]) => {
+      if (heads.length < 2) {
+        return;
+      }
+      const value = headsValue(heads);
+      const alternatives = [...new Set(heads.map(op => op.value))].filter(other => other !== value);
+      if (alternatives.length > 0) {
+        conflicts.push({ date, field, value, alternatives });
+      }
+    });
+  });
+  return conflicts;
+};
+
+/**
+ * Settle conflicts by writing the kept value as a new operation that supersedes all
+ * heads, so the conflict is reported once and later edits merge normally
+ * @returns {Object} { state, conflicts }
+ */
+export const settleSyncConflicts = (state, deviceId, now = new Date()) => {
+  const conflicts = findSyncConflicts(state);
+  if (conflicts.length === 0) {
+    return { state, conflicts };
+  }
+
+  const next = cloneState(state);
+  conflicts.forEach(({ date, field, value }) => {
+    writeField(next, deviceId, date, field, value, now.toISOString());
+  });
+  return { state: next, conflicts };
+};
+
+/**
+ * Check a sync state received from another device before merging it
+ * @returns {Array<string>} Problems found; empty when the state is usable
+ */
+export const validateSyncState = (state) => {
+  if (!state || typeof state !== 'object' || state.format !== SYNC_FORMAT) {
+    return ['Not an EnergyTune sync file'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(state.formatVersion) || state.formatVersion > SYNC_FORMAT_VERSION) {
+    errors.push('This sync data was created by a newer version of EnergyTune. Please update the app first.');
+  }
+  if (!state.context || typeof state.context !== 'object' || !Number.isInteger(state.clock)) {
+    errors.push('Sync data has no clock information');
+  }
+  if (!state.days || typeof state.days !== 'object') {
+    errors.push('Sync data contains no days');
+  } else {
+    const malformed = Object.values(state.days).some(fields => (
+      !fields || typeof fields !== 'object' || Object.values(fields).some(heads => (
+        !Array.isArray(heads) || heads.some(op => (
+          !op || typeof op.device !== 'string' || !Number.isInteger(op.counter) || !Number.isInteger(op.clock)
+        ))
+      ))
+    ));
+    if (malformed) {
+      errors.push('Sync data is damaged');
+    }
+  }
+  return errors;
+};
@@ -0,0 +1,208 @@
+// Minimal WebDAV client (RFC 4918) on top of fetch
+// Covers what backups need: PROPFIND listings, MKCOL, PUT, GET and DELETE with
+// basic auth. Works with Nextcloud, ownCloud and most self-hosted servers.
+
+import { bytesToBase64, utf8Encode } from './bytes';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>'
+  + '<d:propfind xmlns:d="DAV:"><d:prop>'
+  + '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/>'
+  + '</d:prop></d:propfind>';
+
+/** Readable message for an HTTP status a WebDAV server answered with. */
+export const describeWebDAVStatus = (status) => {
+  switch (status) {
+    case 401:
+      return 'The server rejected the username or password';
+    case 403:
+      return 'The account is not allowed to access this folder';
+    case 404:
+      return 'Nothing was found at this address. Check the server URL and folder.';
+    case 405:
+      return 'This address does not accept WebDAV requests. Check the server URL.';
+    case 409:
+      return 'The parent folder does not exist on the server';
+    case 507:
+      return 'The server is out of storage space';
+    default:
+      return status >= 500
+        ? `The server reported an error (${status})`
+        : `Unexpected response from the server (${status})`;
+  }
+};
+
+const webDAVError = (message, status = null) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Folder path → URL-encoded path segments, without leading or trailing slashes
+const encodePath = (path = '') => path
+  .split('/')
+  .filter(Boolean)
+  .map(segment => encodeURIComponent(segment))
+  .join('/');
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+// Server-relative, decoded path of an href or URL, for comparing hrefs
+const normalizeHref = (href) => href
+  .replace(/^https?:\/\/[^/]+/i, '')
+  .split('/')
+  .filter(Boolean)
+  .map(decodeSegment)
+  .join('/');
+
+const decodeXMLText = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Text of the first element with this local name, whatever namespace prefix the server uses
+const elementText = (xml, name) => {
+  const match = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`).exec(xml);
+  return match ? decodeXMLText(match[1].trim()) : null;
+};
+
+/**
+ * Parse a PROPFIND multistatus response
+ * @returns {Array} [{ name, href, isFolder, size, modifiedAt }]
+ */
+export const parseMultistatus = (xml) => {
+  const responses = [];
+  const pattern = /<((?:[\w-]+:)?)response\b[^>]*>([\s\S]*?)<\/\1response>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const block = match[2];
+    const href = elementText(block, 'href');
+    if (!href) {
+      continue;
+    }
+    const segments = href.split('/').filter(Boolean);
+    const length = elementText(block, 'getcontentlength');
+    const size = length === null ? NaN : Number(length);
+    const modified = Date.parse(elementText(block, 'getlastmodified') || '');
+    responses.push({
+      name: segments.length > 0 ? decodeSegment(segments[segments.length - 1]) : '',
+      href,
+      isFolder: /<(?:[\w-]+:)?collection\b/.test(block),
+      size: Number.isFinite(size) ? size : null,
+      modifiedAt: Number.isNaN(modified) ? null : new Date(modified).toISOString(),
+    });
+  }
+  return responses;
+};
+
+/**
+ * Create a client for one WebDAV account
+ * @param {Object} config - { url, username, password } where url is the WebDAV root,
+ *   e.g. https://cloud.example.com/remote.php/dav/files/alice/
+ */
+export const createWebDAVClient = ({ url, username = '', password = '' }) => {
+  const baseUrl = String(url || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/]+/i.test(baseUrl)) {
+    throw webDAVError('Enter the full server address, starting with https://');
+  }
+
+  const headers = username || password
+    ? { Authorization: `Basic ${bytesToBase64(utf8Encode(`${username}:${password}`))}` }
+    : {};
+
+  const urlFor = (path, isFolder = false) => {
+    const encoded = encodePath(path);
+    return `${baseUrl}/${encoded}${isFolder && encoded ? '/' : ''}`;
+  };
+
+  const request = async (method, path, { isFolder = false, body, extraHeaders = {}, expected = [] } = {}) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    let response;
+    try {
+      response = await fetch(urlFor(path, isFolder), {
+        method,
+        headers: { ...headers, ...extraHeaders },
+        body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw webDAVError(error.name === 'AbortError'
+        ? 'The server did not respond in time'
+        : 'Could not reach the server. Check the address and your connection.');
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok && !expected.includes(response.status)) {
+      throw webDAVError(describeWebDAVStatus(response.status), response.status);
+    }
+    return response;
+  };
+
+  return {
+    /**
+     * List a folder's direct children (the folder itself is left out)
+     * @returns {Promise<Array>} See parseMultistatus
+     */
+    async list(path) {
+      const response = await request('PROPFIND', path, {
+        isFolder: true,
+        body: PROPFIND_BODY,
+        extraHeaders: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      });
+      if (response.status !== 207) {
+        throw webDAVError('This address does not look like a WebDAV folder. Check the server URL.', response.status);
+      }
+      // The listing includes the folder itself
+      const folder = normalizeHref(urlFor(path, true));
+      return parseMultistatus(await response.text()).filter(item => normalizeHref(item.href) !== folder);
+    },
+
+    /** Whether a folder exists; other failures (wrong password, ...) are thrown. */
+    async folderExists(path) {
+      const response = await request('PROPFIND', path, {
+        isFolder: true,
+        body: PROPFIND_BODY,
+        extraHeaders: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+        expected: [404],
+      });
+      return response.status !== 404;
+    },
+
+    /** Create a folder and any missing parents. */
+    async ensureFolder(path) {
+      const segments = path.split('/').filter(Boolean);
+      for (let i = 1; i <= segments.length; i++) {
+        const current = segments.slice(0, i).join('/');
+        if (!(await this.folderExists(current))) {
+          // 405 means it appeared in the meantime
+          await request('MKCOL', current, { isFolder: true, expected: [405] });
+        }
+      }
+    },
+
+    async upload(path, content, contentType = 'application/octet-stream') {
+      await request('PUT', path, { body: content, extraHeaders: { 'Content-Type': contentType } });
+    },
+
+    async download(path) {
+      const response = await request('GET', path);
+      return response.text();
+    },
+
+    async remove(path) {
+      await request('DELETE', path, { expected: [404] });
+    },
+  };
+};
@@ -0,0 +1,176 @@
+// Minimal XLSX (Office Open XML spreadsheet) writer
+// Just enough of ECMA-376 for typed data sheets: inline strings, numbers, dates as
+// serial numbers with a date format, a bold frozen header row and an autofilter.
+
+import { createZip } from './zip';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Column types and the cell style (index into cellXfs below) each one uses
+export const XLSX_CELL_TYPES = {
+  STRING: 'string',
+  INTEGER: 'integer',
+  DECIMAL: 'decimal',
+  PERCENT: 'percent',
+  DATE: 'date',
+  MONTH: 'month',
+};
+
+const STYLE_INDEX = {
+  string: 0,
+  header: 1,
+  date: 2,
+  decimal: 3,
+  month: 4,
+  integer: 5,
+  percent: 6,
+};
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Excel day 0 is 1899-12-30 (the 1900 leap-year bug is baked into the epoch)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Characters XML 1.0 doesn't allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXML = (value) => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** Excel serial day number of a YYYY-MM-DD (or YYYY-MM) date. */
+export const toExcelDate = (date) => {
+  const [year, month, day = 1] = date.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - EXCEL_EPOCH) / DAY_MS;
+};
+
+/** Column letters for a zero-based index: 0 → A, 26 → AA. */
+export const columnName = (index) => {
+  let name = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const rest = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + rest) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+};
+
+const cellXML = (value, type, reference) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const style = STYLE_INDEX[type] ?? STYLE_INDEX.string;
+
+  if (type === XLSX_CELL_TYPES.DATE || type === XLSX_CELL_TYPES.MONTH) {
+    return `<c r="${reference}" s="${style}"><v>${toExcelDate(value)}</v></c>`;
+  }
+  if (type === XLSX_CELL_TYPES.STRING || typeof value !== 'number' || !Number.isFinite(value)) {
+    return `<c r="${reference}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+  }
+  return `<c r="${reference}" s="${style}"><v>${value}</v></c>`;
+};
+
+const sheetXML = ({ columns, rows }) => {
+  const lastColumn = columnName(Math.max(columns.length - 1, 0));
+  const header = `<row r="1">${columns.map((column, index) => (
+    `<c r="${columnName(index)}1" s="${STYLE_INDEX.header}" t="inlineStr"><is><t>${escapeXML(column.header)}</t></is></c>`
+  )).join('')}</row>`;
+
+  const body = rows.map((row, rowIndex) => {
+    const number = rowIndex + 2;
+    const cells = columns.map((column, index) => cellXML(row[index], column.type, `${columnName(index)}${number}`)).join('');
+    return `<row r="${number}">${cells}</row>`;
+  }).join('');
+
+  const widths = columns.map((column, index) => (
+    `<col min="${index + 1}" max="${index + 1}" width="${column.width || 12}" customWidth="1"/>`
+  )).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths}</cols>`
+    + `<sheetData>${header}${body}</sheetData>`
+    + `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>`
+    + '</worksheet>';
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<numFmts count="3">'
+  + '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>'
+  + '<numFmt numFmtId="165" formatCode="0.0"/>'
+  + '<numFmt numFmtId="166" formatCode="yyyy-mm"/>'
+  + '</numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="7">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="9" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '</cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array} sheets - [{ name, columns: [{ header, type, width }], rows: [[value]] }]
+ *   where type is one of XLSX_CELL_TYPES, dates are YYYY-MM-DD strings and empty
+ *   values (null, undefined, '') leave the cell blank
+ * @returns {Uint8Array}
+ */
+export const createXLSX = (sheets) => {
+  const names = sheets.map(sheet => sheet.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, MAX_SHEET_NAME_LENGTH));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheets.map((sheet, index) => (
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    )).join('')
+    + '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>';
+
+  // Autofilters need a hidden defined name per sheet for Excel to keep them
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets>${names.map((name, index) => `<sheet name="${escapeXML(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>`
+    + `<definedNames>${sheets.map((sheet, index) => (
+      `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXML(names[index].replace(/'/g, "''"))}'!$A$1:$${columnName(Math.max(sheet.columns.length - 1, 0))}$${sheet.rows.length + 1}</definedName>`
+    )).join('')}</definedNames>`
+    + '</workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + sheets.map((sheet, index) => (
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    )).join('')
+    + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheetXML(sheet) })),
+  ]);
+};
@@ -0,0 +1,135 @@
+// Excel workbook export
+// The same data as the CSV layouts, one sheet each, but with real date and number cells
+// so nothing has to be converted by hand after opening the file.
+
+import { createXLSX, XLSX_CELL_TYPES as T } from './xlsx';
+import { filterByTimePeriod, aggregateWeekly, aggregateMonthly } from './aggregation';
+import { getPeriodIds, getPeriodName } from './checkInPeriods';
+
+const MAX_PATTERN_EXAMPLES = 5;
+
+const quickEntryValue = (meta) => {
+  if (!meta?.isQuick) {
+    return '';
+  }
+  if (meta.energy && meta.stress) {
+    return 'both';
+  }
+  return meta.energy ? 'energy' : meta.stress ? 'stress' : '';
+};
+
+const checkInsSheet = (entries) => {
+  const periods = getPeriodIds();
+  const rows = [];
+  entries.forEach(entry => {
+    periods.forEach(period => {
+      const energy = entry.energyLevels?.[period] ?? null;
+      const stress = entry.stressLevels?.[period] ?? null;
+      if (energy !== null || stress !== null) {
+        rows.push([entry.date, getPeriodName(period), energy, stress, quickEntryValue(entry.quickEntryMeta?.[period])]);
+      }
+    });
+  });
+
+  return {
+    name: 'Check-ins',
+    columns: [
+      { header: 'Date', type: T.DATE },
+      { header: 'Period', type: T.STRING },
+      { header: 'Energy', type: T.INTEGER, width: 8 },
+      { header: 'Stress', type: T.INTEGER, width: 8 },
+      { header: 'Quick Entry', type: T.STRING },
+    ],
+    rows,
+  };
+};
+
+const dailySheet = (daily) => {
+  const periods = getPeriodIds();
+  return {
+    name: 'Daily',
+    columns: [
+      { header: 'Date', type: T.DATE },
+      ...periods.map(period => ({ header: `${getPeriodName(period)} Energy`, type: T.INTEGER })),
+      ...periods.map(period => ({ header: `${getPeriodName(period)} Stress`, type: T.INTEGER })),
+      { header: 'Average Energy', type: T.DECIMAL, width: 14 },
+      { header: 'Average Stress', type: T.DECIMAL, width: 14 },
+      { header: 'Energy Sources', type: T.STRING, width: 30 },
+      { header: 'Stress Sources', type: T.STRING, width: 30 },
+      { header: 'Notes', type: T.STRING, width: 40 },
+    ],
+    rows: daily.map(day => [
+      day.date,
+      ...periods.map(period => day.energyLevels?.[period] ?? null),
+      ...periods.map(period => day.stressLevels?.[period] ?? null),
+      day.energy,
+      day.stress,
+      day.energySources || '',
+      day.stressSources || '',
+      day.notes || '',
+    ]),
+  };
+};
+
+const aggregateSheet = (name, firstColumn, groups) => ({
+  name,
+  columns: [
+    firstColumn,
+    { header: 'Average Energy', type: T.DECIMAL, width: 14 },
+    { header: 'Average Stress', type: T.DECIMAL, width: 14 },
+    { header: 'Days Logged', type: T.INTEGER },
+  ],
+  rows: groups.map(group => [group.date, group.energy, group.stress, group.entriesCount]),
+});
+
+// Patterns from HierarchicalPatternService.analyzeHierarchicalPatterns
+const patternsSheet = ({ energy = [], stress = [] }) => {
+  const rows = [];
+  [['Energy', energy], ['Stress', stress]].forEach(([type, patterns]) => {
+    patterns.forEach(pattern => {
+      const sources = pattern.sources || [];
+      const days = new Set(sources.map(source => source.date)).size || pattern.frequency;
+      const examples = [...new Set(sources.map(source => source.text))].slice(0, MAX_PATTERN_EXAMPLES);
+      rows.push([
+        type,
+        pattern.label,
+        days,
+        pattern.frequency,
+        (pattern.percentage ?? 0) / 100,
+        examples.join(', '),
+      ]);
+    });
+  });
+
+  return {
+    name: 'Patterns',
+    columns: [
+      { header: 'Type', type: T.STRING, width: 8 },
+      { header: 'Pattern', type: T.STRING, width: 24 },
+      { header: 'Days', type: T.INTEGER, width: 8 },
+      { header: 'Mentions', type: T.INTEGER, width: 10 },
+      { header: 'Share of Mentions', type: T.PERCENT, width: 16 },
+      { header: 'Examples', type: T.STRING, width: 50 },
+    ],
+    rows,
+  };
+};
+
+/**
+ * Build the .xlsx export: Check-ins, Daily, Weekly, Monthly and Patterns sheets
+ * @param {Array} entries
+ * @param {Object} patterns - { energy, stress } main patterns from the pattern service
+ * @returns {Uint8Array}
+ */
+export const buildXLSXExport = (entries, patterns = {}) => {
+  const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+  const daily = filterByTimePeriod(sorted, 'all');
+
+  return createXLSX([
+    checkInsSheet(sorted),
+    dailySheet(daily),
+    aggregateSheet('Weekly', { header: 'Week Start', type: T.DATE }, aggregateWeekly(daily)),
+    aggregateSheet('Monthly', { header: 'Month', type: T.MONTH }, aggregateMonthly(daily)),
+    patternsSheet(patterns),
+  ]);
+};
@@ -0,0 +1,105 @@
+// Minimal ZIP writer (PKWARE APPNOTE 6.3)
+// Files are stored uncompressed: exports are small text files and every unzip tool,
+// Obsidian and the iOS Files app read stored entries. Names are flagged as UTF-8.
+
+import { utf8Encode, concatBytes } from './bytes';
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+
+/** CRC-32 of a byte array, as used by ZIP and PNG. */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, in local time, at two-second resolution
+const dosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+const header = (size, fill) => {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+};
+
+/**
+ * Build a ZIP archive
+ * @param {Array} files - [{ name, content, modifiedAt }] where content is a string or Uint8Array,
+ *   name uses "/" for folders and modifiedAt is a Date (defaults to now)
+ * @returns {Uint8Array}
+ */
+export const createZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = utf8Encode(file.name);
+    const data = typeof file.content === 'string' ? utf8Encode(file.content) : file.content;
+    const crc = crc32(data);
+    const stamp = dosDateTime(file.modifiedAt || new Date());
+
+    const local = header(30, view => {
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, VERSION, true);
+      view.setUint16(6, UTF8_FLAG, true);
+      view.setUint16(8, STORED, true);
+      view.setUint16(10, stamp.time, true);
+      view.setUint16(12, stamp.date, true);
+      view.setUint32(14, crc, true);
+      view.setUint32(18, data.length, true);
+      view.setUint32(22, data.length, true);
+      view.setUint16(26, name.length, true);
+      view.setUint16(28, 0, true);
+    });
+
+    const central = header(46, view => {
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, VERSION, true);
+      view.setUint16(6, VERSION, true);
+      view.setUint16(8, UTF8_FLAG, true);
+      view.setUint16(10, STORED, true);
+      view.setUint16(12, stamp.time, true);
+      view.setUint16(14, stamp.date, true);
+      view.setUint32(16, crc, true);
+      view.setUint32(20, data.length, true);
+      view.setUint32(24, data.length, true);
+      view.setUint16(28, name.length, true);
+      view.setUint32(42, offset, true);
+    });
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  });
+
+  const centralDirectory = concatBytes(...centralParts);
+  const end = header(22, view => {
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, files.length, true);
+    view.setUint16(10, files.length, true);
+    view.setUint32(12, centralDirectory.length, true);
+    view.setUint32(16, offset, true);
+  });
+
+  return concatBytes(...localParts, centralDirectory, end);
+};